@@ -31,7 +31,24 @@ const testConnection = async () => {
   }
 };
 
+// Run `callback(connection)` in a transaction, committing on success and rolling back on error
+const withTransaction = async (callback) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await callback(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 module.exports = {
   pool,
-  testConnection
+  testConnection,
+  withTransaction
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Default permissions per role. The first groups mirror ROLE_PERMISSIONS in the admin StaffManagement
+// screen; the rest cover server areas that screen does not show yet.
+// Paths are dot-separated, e.g. 'specialPermissions.voidOrders.afterPayment'.
+// Admins can change a role's defaults or override single users; see services/permissionService.js.
+const ROLE_PERMISSIONS = {
+  Admin: {
+    tablesManagement: { view: true, manage: true, status: true },
+    orderProcessing: { view: true, create: true, modify: true, cancel: true },
+    billingAccess: { generate: true, payments: true, reports: true },
+    kotManagement: { view: true, print: true, modify: true, status: true },
+    specialPermissions: {
+      voidOrders: { items: true, fullOrder: true, afterPayment: true },
+      discounts: { item: true, bill: true, offers: true, maxDiscount: 25 }
+    },
+    reportAccess: { daily: true, table: true, item: true },
+    sessionsManagement: { view: true, control: true },
+    reservations: { view: true, create: true, manage: true },
+    deviceManagement: { view: true, printers: true, plugs: true, terminals: true, control: true },
+    canAddItems: true,
+    canChangePrices: true,
+    canManageStaff: true,
+    canViewAuditLog: true
+  },
+  Manager: {
+    tablesManagement: { view: true, manage: true, status: true },
+    orderProcessing: { view: true, create: true, modify: true, cancel: true },
+    billingAccess: { generate: true, payments: true, reports: true },
+    kotManagement: { view: true, print: true, modify: true, status: true },
+    specialPermissions: {
+      voidOrders: { items: true, fullOrder: false, afterPayment: false },
+      discounts: { item: true, bill: true, offers: true, maxDiscount: 15 }
+    },
+    reportAccess: { daily: true, table: true, item: true },
+    sessionsManagement: { view: true, control: true },
+    reservations: { view: true, create: true, manage: true },
+    deviceManagement: { view: true, printers: true, plugs: true, terminals: true, control: true },
+    canAddItems: true,
+    canChangePrices: true,
+    canManageStaff: false,
+    canViewAuditLog: false
+  },
+  Staff: {
+    tablesManagement: { view: true, manage: false, status: true },
+    orderProcessing: { view: true, create: true, modify: false, cancel: false },
+    billingAccess: { generate: false, payments: false, reports: false },
+    kotManagement: { view: true, print: true, modify: false, status: true },
+    specialPermissions: {
+      voidOrders: { items: false, fullOrder: false, afterPayment: false },
+      discounts: { item: false, bill: false, offers: false, maxDiscount: 0 }
+    },
+    reportAccess: { daily: false, table: false, item: false },
+    sessionsManagement: { view: true, control: true },
+    reservations: { view: true, create: true, manage: true },
+    deviceManagement: { view: true, printers: false, plugs: false, terminals: false, control: true },
+    canAddItems: false,
+    canChangePrices: false,
+    canManageStaff: false,
+    canViewAuditLog: false
+  },
+  // Customers: routes scope what they see to their own orders, sessions and reservations
+  User: {
+    tablesManagement: { view: true, manage: false, status: false },
+    orderProcessing: { view: true, create: true, modify: false, cancel: false },
+    billingAccess: { generate: false, payments: false, reports: false },
+    kotManagement: { view: false, print: false, modify: false, status: false },
+    specialPermissions: {
+      voidOrders: { items: false, fullOrder: false, afterPayment: false },
+      discounts: { item: false, bill: false, offers: false, maxDiscount: 0 }
+    },
+    reportAccess: { daily: false, table: false, item: false },
+    sessionsManagement: { view: true, control: false },
+    reservations: { view: true, create: true, manage: false },
+    deviceManagement: { view: false, printers: false, plugs: false, terminals: false, control: false },
+    canAddItems: false,
+    canChangePrices: false,
+    canManageStaff: false,
+    canViewAuditLog: false
+  }
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Look up a permission value by path; unknown roles and paths have no permission
+const getPermission = (permissions, path) => {
+  return path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), permissions);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Overlay `overrides` on `base` without mutating either
+const mergePermissions = (base, overrides) => {
+  if (!isPlainObject(overrides)) return base;
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergePermissions(base[key], value) : value;
+  }
+  return merged;
+};
+
+// Check a (partial) permission tree against the Admin defaults: every path must exist
+// and every value must have the same type. Returns a list of error messages.
+const validatePermissions = (permissions, template = ROLE_PERMISSIONS.Admin, prefix = '') => {
+  if (!isPlainObject(permissions)) {
+    return [`${prefix || 'permissions'} must be an object`];
+  }
+
+  return Object.entries(permissions).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (!(key in template)) {
+      return [`Unknown permission: ${path}`];
+    }
+
+    if (isPlainObject(template[key])) {
+      return validatePermissions(value, template[key], path);
+    }
+
+    if (typeof value !== typeof template[key] || (typeof value === 'number' && !Number.isFinite(value))) {
+      return [`${path} must be a ${typeof template[key]}`];
+    }
+
+    return [];
+  });
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermission,
+  mergePermissions,
+  validatePermissions
+};
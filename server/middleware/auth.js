@@ -1,34 +1,120 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { getPermission } = require('../config/permissions');
+const permissionService = require('../services/permissionService');
 
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+class AuthError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Device credentials sent by registered POS terminals
+const terminalCredentials = (headers) => ({
+  terminalId: headers['x-terminal-id'],
+  terminalKey: headers['x-terminal-key']
+});
+
+// Check a terminal's id and device key and return the active terminal
+const verifyTerminal = async ({ terminalId, terminalKey } = {}) => {
+  if (!terminalId || !terminalKey) {
+    throw new AuthError('Terminal credentials required', 401);
+  }
+
+  const keyHash = crypto.createHash('sha256').update(terminalKey).digest('hex');
+  const [terminals] = await pool.execute(
+    'SELECT id, terminal_id, name, location FROM terminals WHERE terminal_id = ? AND key_hash = ? AND is_active = TRUE',
+    [terminalId, keyHash]
+  );
+
+  if (terminals.length === 0) {
+    throw new AuthError('Unknown or inactive terminal', 401);
+  }
+
+  return terminals[0];
+};
 
+// Verify a JWT and load the active user it belongs to.
+// Tokens from a PIN sign-in only work together with their terminal's credentials.
+// Shared by the HTTP middleware and the socket.io handshake.
+const verifyToken = async (token, terminal = {}) => {
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    throw new AuthError('Access token required', 401);
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const [users] = await pool.execute(
-      'SELECT id, username, email, full_name, role, is_active FROM users WHERE id = ?',
-      [decoded.userId]
-    );
-
-    if (users.length === 0 || !users[0].is_active) {
-      return res.status(401).json({ error: 'Invalid or inactive user' });
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    throw new AuthError('Invalid or expired token', 403);
+  }
+
+  // Every token belongs to a login session (token family) that can be revoked before it expires
+  if (!decoded.sid) {
+    throw new AuthError('Invalid or expired token', 403);
+  }
+
+  // Get user and their session from database
+  const [users] = await pool.execute(`
+    SELECT
+      u.id, u.username, u.email, u.full_name, u.role, u.is_active,
+      s.family_id as auth_session_id, s.terminal_id
+    FROM users u
+    JOIN auth_sessions s ON s.user_id = u.id
+    WHERE u.id = ? AND s.family_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  `, [decoded.userId, decoded.sid]);
+
+  if (users.length === 0) {
+    throw new AuthError('Session expired or revoked', 401);
+  }
+
+  if (!users[0].is_active) {
+    throw new AuthError('Invalid or inactive user', 401);
+  }
+
+  if (users[0].terminal_id) {
+    const device = await verifyTerminal(terminal);
+    if (device.id !== users[0].terminal_id) {
+      throw new AuthError('Token belongs to another terminal', 401);
     }
+  }
+
+  return users[0];
+};
 
-    req.user = users[0];
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  try {
+    req.user = await verifyToken(token, terminalCredentials(req.headers));
     next();
   } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
+// For endpoints called by a terminal before anyone signs in on it (e.g. the lock screen)
+const authenticateTerminal = async (req, res, next) => {
+  try {
+    req.terminal = await verifyTerminal(terminalCredentials(req.headers));
+    pool.execute('UPDATE terminals SET last_seen_at = NOW() WHERE id = ?', [req.terminal.id])
+      .catch(error => console.error('Terminal last seen error:', error));
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Terminal authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 const authorizeRoles = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -43,7 +129,39 @@ const authorizeRoles = (...roles) => {
   };
 };
 
+// Require every listed permission path, e.g. requirePermission('orderProcessing.cancel').
+// Effective permissions are the role defaults plus the user's overrides.
+const requirePermission = (...paths) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      if (!req.permissions) {
+        req.permissions = await permissionService.getEffectivePermissions(req.user);
+      }
+
+      const missing = paths.find(path => !getPermission(req.permissions, path));
+      if (missing) {
+        return res.status(403).json({ error: 'Insufficient permissions', permission: missing });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
+
 module.exports = {
+  AuthError,
+  verifyToken,
+  verifyTerminal,
+  terminalCredentials,
   authenticateToken,
-  authorizeRoles
-};
\ No newline at end of file
+  authenticateTerminal,
+  authorizeRoles,
+  requirePermission
+};
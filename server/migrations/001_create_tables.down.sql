@@ -0,0 +1,22 @@
+-- Revert the initial Restaurant POS schema
+
+SET FOREIGN_KEY_CHECKS = 0;
+
+DROP TABLE IF EXISTS system_settings;
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS smart_plugs;
+DROP TABLE IF EXISTS printer_category_mappings;
+DROP TABLE IF EXISTS printers;
+DROP TABLE IF EXISTS kot_items;
+DROP TABLE IF EXISTS kots;
+DROP TABLE IF EXISTS order_items;
+DROP TABLE IF EXISTS orders;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS reservations;
+DROP TABLE IF EXISTS restaurant_tables;
+DROP TABLE IF EXISTS menu_items;
+DROP TABLE IF EXISTS subcategories;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS users;
+
+SET FOREIGN_KEY_CHECKS = 1;
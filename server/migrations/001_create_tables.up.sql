@@ -0,0 +1,285 @@
+-- Restaurant POS Database Schema
+
+-- Users table (Staff, Admin, Customer)
+CREATE TABLE IF NOT EXISTS users (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    email VARCHAR(100) UNIQUE NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20),
+    role ENUM('Admin', 'Staff', 'Manager', 'User') DEFAULT 'User',
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Categories table
+CREATE TABLE IF NOT EXISTS categories (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    image_url VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Subcategories table
+CREATE TABLE IF NOT EXISTS subcategories (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    category_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+);
+
+-- Menu items table
+CREATE TABLE IF NOT EXISTS menu_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    subcategory_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    price DECIMAL(10,2) NOT NULL,
+    image_url VARCHAR(255),
+    is_available BOOLEAN DEFAULT TRUE,
+    preparation_time INT DEFAULT 15, -- in minutes
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (subcategory_id) REFERENCES subcategories(id) ON DELETE CASCADE
+);
+
+-- Tables management
+CREATE TABLE IF NOT EXISTS restaurant_tables (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    table_number VARCHAR(20) UNIQUE NOT NULL,
+    table_name VARCHAR(100),
+    table_type ENUM('Dining', 'Pool', 'Snooker', 'PlayStation', 'VIP') DEFAULT 'Dining',
+    capacity INT DEFAULT 4,
+    location VARCHAR(100),
+    status ENUM('Available', 'Occupied', 'Reserved', 'Maintenance') DEFAULT 'Available',
+    hourly_rate DECIMAL(10,2) DEFAULT 0.00,
+    smart_plug_id VARCHAR(50),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Reservations table
+CREATE TABLE IF NOT EXISTS reservations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT,
+    table_id INT NOT NULL,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20),
+    customer_email VARCHAR(100),
+    reservation_date DATE NOT NULL,
+    reservation_time TIME NOT NULL,
+    party_size INT DEFAULT 1,
+    duration_hours DECIMAL(3,1) DEFAULT 2.0,
+    status ENUM('Pending', 'Confirmed', 'Arrived', 'Completed', 'Cancelled', 'No Show') DEFAULT 'Pending',
+    special_requests TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE CASCADE
+);
+
+-- Sessions table (for gaming tables)
+CREATE TABLE IF NOT EXISTS sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id VARCHAR(50) UNIQUE NOT NULL,
+    table_id INT NOT NULL,
+    user_id INT,
+    customer_name VARCHAR(100),
+    start_time TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    end_time TIMESTAMP NULL,
+    duration_minutes INT DEFAULT 0,
+    hourly_rate DECIMAL(10,2) NOT NULL,
+    total_amount DECIMAL(10,2) DEFAULT 0.00,
+    status ENUM('Active', 'Paused', 'Completed', 'Cancelled') DEFAULT 'Active',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Orders table
+CREATE TABLE IF NOT EXISTS orders (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_number VARCHAR(50) UNIQUE NOT NULL,
+    table_id INT,
+    session_id INT,
+    user_id INT,
+    customer_name VARCHAR(100),
+    order_type ENUM('Dine-in', 'Takeaway', 'Delivery') DEFAULT 'Dine-in',
+    subtotal DECIMAL(10,2) DEFAULT 0.00,
+    tax_amount DECIMAL(10,2) DEFAULT 0.00,
+    discount_amount DECIMAL(10,2) DEFAULT 0.00,
+    total_amount DECIMAL(10,2) DEFAULT 0.00,
+    status ENUM('Pending', 'Confirmed', 'Preparing', 'Ready', 'Served', 'Completed', 'Cancelled') DEFAULT 'Pending',
+    payment_status ENUM('Unpaid', 'Paid', 'Partial', 'Refunded') DEFAULT 'Unpaid',
+    special_instructions TEXT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Order items table
+CREATE TABLE IF NOT EXISTS order_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    menu_item_id INT NOT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    unit_price DECIMAL(10,2) NOT NULL,
+    total_price DECIMAL(10,2) NOT NULL,
+    special_instructions TEXT,
+    status ENUM('Pending', 'Preparing', 'Ready', 'Served') DEFAULT 'Pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+);
+
+-- KOT (Kitchen Order Tickets) table
+CREATE TABLE IF NOT EXISTS kots (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    kot_number VARCHAR(50) UNIQUE NOT NULL,
+    order_id INT NOT NULL,
+    printer_id INT,
+    category_type ENUM('Food', 'Beverages', 'Mixed') DEFAULT 'Food',
+    status ENUM('Pending', 'Printed', 'Preparing', 'Ready', 'Served') DEFAULT 'Pending',
+    printed_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+);
+
+-- KOT items table
+CREATE TABLE IF NOT EXISTS kot_items (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    kot_id INT NOT NULL,
+    order_item_id INT NOT NULL,
+    menu_item_name VARCHAR(100) NOT NULL,
+    quantity INT NOT NULL,
+    special_instructions TEXT,
+    status ENUM('Pending', 'Preparing', 'Ready', 'Served') DEFAULT 'Pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (kot_id) REFERENCES kots(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE
+);
+
+-- Printers table
+CREATE TABLE IF NOT EXISTS printers (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    type ENUM('Kitchen', 'Bar', 'Receipt', 'General') DEFAULT 'Kitchen',
+    ip_address VARCHAR(45) NOT NULL,
+    port INT DEFAULT 9100,
+    paper_size ENUM('58mm', '80mm') DEFAULT '80mm',
+    is_active BOOLEAN DEFAULT TRUE,
+    is_online BOOLEAN DEFAULT FALSE,
+    last_test_print TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Printer category mappings
+CREATE TABLE IF NOT EXISTS printer_category_mappings (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    printer_id INT NOT NULL,
+    category_id INT NOT NULL,
+    subcategory_id INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (printer_id) REFERENCES printers(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    FOREIGN KEY (subcategory_id) REFERENCES subcategories(id) ON DELETE CASCADE
+);
+
+-- Smart plugs table
+CREATE TABLE IF NOT EXISTS smart_plugs (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    plug_id VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    ip_address VARCHAR(45),
+    mac_address VARCHAR(17),
+    table_id INT,
+    status ENUM('Online', 'Offline', 'Error') DEFAULT 'Offline',
+    power_state ENUM('On', 'Off') DEFAULT 'Off',
+    power_consumption DECIMAL(8,2) DEFAULT 0.00,
+    last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL
+);
+
+-- Payments table
+CREATE TABLE IF NOT EXISTS payments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    payment_id VARCHAR(50) UNIQUE NOT NULL,
+    order_id INT,
+    session_id INT,
+    amount DECIMAL(10,2) NOT NULL,
+    payment_method ENUM('Cash', 'Card', 'UPI', 'Digital Wallet') NOT NULL,
+    payment_status ENUM('Pending', 'Completed', 'Failed', 'Refunded') DEFAULT 'Pending',
+    transaction_reference VARCHAR(100),
+    processed_by INT,
+    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+    FOREIGN KEY (processed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- System settings table
+CREATE TABLE IF NOT EXISTS system_settings (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    setting_key VARCHAR(100) UNIQUE NOT NULL,
+    setting_value TEXT,
+    setting_type ENUM('string', 'number', 'boolean', 'json') DEFAULT 'string',
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Insert default admin user
+INSERT IGNORE INTO users (username, email, password, full_name, role) VALUES 
+('admin', 'admin@restaurant.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'System Administrator', 'Admin');
+
+-- Insert default categories
+INSERT IGNORE INTO categories (name, description) VALUES 
+('Food', 'Food items and meals'),
+('Drinks', 'Beverages and drinks'),
+('Games', 'Gaming services');
+
+-- Insert default subcategories
+INSERT IGNORE INTO subcategories (category_id, name) VALUES 
+(1, 'Pizza'),
+(1, 'Burgers'),
+(1, 'Main Courses'),
+(1, 'Salads'),
+(2, 'Hot Drinks'),
+(2, 'Cold Drinks'),
+(2, 'Alcoholic Beverages'),
+(3, 'Pool Tables'),
+(3, 'Video Games'),
+(3, 'Board Games');
+
+-- Insert default system settings
+INSERT IGNORE INTO system_settings (setting_key, setting_value, setting_type, description) VALUES 
+('tax_rate', '8.5', 'number', 'Tax rate percentage'),
+('service_charge', '2.50', 'number', 'Service charge amount'),
+('business_name', 'GameZone Restaurant', 'string', 'Business name for receipts'),
+('business_address', '123 Main Street, City, State', 'string', 'Business address'),
+('business_phone', '+1 (555) 123-4567', 'string', 'Business phone number'),
+('kot_auto_print', 'true', 'boolean', 'Auto print KOT when order is placed'),
+('receipt_footer', 'Thank you for visiting! Follow us @gamezonecenter', 'string', 'Receipt footer message');
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS session_pauses;
+
+DROP INDEX idx_sessions_table_status ON sessions;
+
+ALTER TABLE sessions
+    DROP FOREIGN KEY fk_sessions_started_by,
+    DROP FOREIGN KEY fk_sessions_ended_by,
+    DROP COLUMN booked_minutes,
+    DROP COLUMN paused_minutes,
+    DROP COLUMN started_by,
+    DROP COLUMN ended_by;
@@ -0,0 +1,26 @@
+-- Gaming-table sessions: pause tracking and prepaid/extended time
+
+ALTER TABLE sessions
+    ADD COLUMN booked_minutes INT NULL AFTER duration_minutes,
+    ADD COLUMN paused_minutes INT DEFAULT 0 AFTER booked_minutes,
+    ADD COLUMN started_by INT NULL AFTER status,
+    ADD COLUMN ended_by INT NULL AFTER started_by,
+    ADD CONSTRAINT fk_sessions_started_by FOREIGN KEY (started_by) REFERENCES users(id) ON DELETE SET NULL,
+    ADD CONSTRAINT fk_sessions_ended_by FOREIGN KEY (ended_by) REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_sessions_table_status ON sessions (status, table_id);
+
+-- One row per pause interval; resumed_at is NULL while the session is paused
+CREATE TABLE IF NOT EXISTS session_pauses (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    paused_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    resumed_at TIMESTAMP NULL,
+    reason VARCHAR(255),
+    paused_by INT,
+    resumed_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (paused_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (resumed_by) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,9 @@
+DELETE FROM system_settings WHERE setting_key = 'reservation_hold_minutes';
+
+ALTER TABLE reservations
+    DROP FOREIGN KEY fk_reservations_created_by,
+    DROP FOREIGN KEY fk_reservations_status_changed_by,
+    DROP COLUMN created_by,
+    DROP COLUMN status_changed_by;
+
+DROP INDEX idx_reservations_date_table ON reservations;
@@ -0,0 +1,12 @@
+-- Reservation lookups by table/date and the hold window setting
+
+CREATE INDEX idx_reservations_date_table ON reservations (reservation_date, table_id);
+
+ALTER TABLE reservations
+    ADD COLUMN created_by INT NULL AFTER special_requests,
+    ADD COLUMN status_changed_by INT NULL AFTER created_by,
+    ADD CONSTRAINT fk_reservations_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    ADD CONSTRAINT fk_reservations_status_changed_by FOREIGN KEY (status_changed_by) REFERENCES users(id) ON DELETE SET NULL;
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('reservation_hold_minutes', '15', 'number', 'Minutes before a reservation starts that its table is marked Reserved');
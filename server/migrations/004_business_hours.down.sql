@@ -0,0 +1,2 @@
+DELETE FROM system_settings
+WHERE setting_key IN ('business_hours', 'reservation_slot_minutes', 'session_projection_minutes');
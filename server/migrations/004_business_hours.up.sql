@@ -0,0 +1,6 @@
+-- Settings used by the table availability search
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('business_hours', '{"mon":{"open":"10:00","close":"23:00"},"tue":{"open":"10:00","close":"23:00"},"wed":{"open":"10:00","close":"23:00"},"thu":{"open":"10:00","close":"23:00"},"fri":{"open":"10:00","close":"23:59"},"sat":{"open":"10:00","close":"23:59"},"sun":{"open":"10:00","close":"22:00"}}', 'json', 'Opening hours per weekday; omit a day or set it to null when closed. A close time before the open time runs past midnight'),
+('reservation_slot_minutes', '30', 'number', 'Interval between bookable reservation start times'),
+('session_projection_minutes', '60', 'number', 'How long an open-ended gaming session is assumed to keep running when checking availability');
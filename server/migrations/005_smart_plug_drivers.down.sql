@@ -0,0 +1,10 @@
+DELETE FROM system_settings WHERE setting_key = 'smart_plug_poll_seconds';
+
+ALTER TABLE smart_plugs
+    DROP COLUMN driver,
+    DROP COLUMN port,
+    DROP COLUMN channel,
+    DROP COLUMN auth_username,
+    DROP COLUMN auth_password,
+    DROP COLUMN last_error,
+    DROP COLUMN is_active;
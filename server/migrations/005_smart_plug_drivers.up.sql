@@ -0,0 +1,13 @@
+-- Smart plug driver configuration
+
+ALTER TABLE smart_plugs
+    ADD COLUMN driver VARCHAR(30) NOT NULL DEFAULT 'simulator' AFTER name,
+    ADD COLUMN port INT NULL AFTER ip_address,
+    ADD COLUMN channel INT NOT NULL DEFAULT 0 AFTER port,
+    ADD COLUMN auth_username VARCHAR(50) NULL AFTER channel,
+    ADD COLUMN auth_password VARCHAR(100) NULL AFTER auth_username,
+    ADD COLUMN last_error VARCHAR(255) NULL AFTER power_consumption,
+    ADD COLUMN is_active BOOLEAN DEFAULT TRUE AFTER last_seen;
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('smart_plug_poll_seconds', '60', 'number', 'How often smart plug status and power readings are refreshed');
@@ -0,0 +1,5 @@
+DELETE FROM system_settings WHERE setting_key = 'smart_plug_off_on_pause';
+
+ALTER TABLE session_pauses DROP COLUMN power_cut;
+
+DROP TABLE IF EXISTS session_plug_events;
@@ -0,0 +1,20 @@
+-- Log of smart plug commands issued for gaming sessions
+
+CREATE TABLE IF NOT EXISTS session_plug_events (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    plug_id INT,
+    action ENUM('On', 'Off') NOT NULL,
+    trigger_event ENUM('start', 'pause', 'resume', 'stop', 'expired') NOT NULL,
+    success BOOLEAN NOT NULL,
+    error_message VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (plug_id) REFERENCES smart_plugs(id) ON DELETE SET NULL
+);
+
+ALTER TABLE session_pauses
+    ADD COLUMN power_cut BOOLEAN DEFAULT FALSE AFTER reason;
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('smart_plug_off_on_pause', 'false', 'boolean', 'Switch the table smart plug off while a session is paused');
@@ -0,0 +1,11 @@
+ALTER TABLE sessions
+    DROP FOREIGN KEY fk_sessions_closed_by,
+    DROP COLUMN payment_status,
+    DROP COLUMN closed_at,
+    DROP COLUMN closed_by;
+
+DROP INDEX idx_payments_processed_at ON payments;
+
+ALTER TABLE payments
+    DROP COLUMN amount_tendered,
+    DROP COLUMN change_given;
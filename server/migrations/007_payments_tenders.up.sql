@@ -0,0 +1,13 @@
+-- Split tender payments: cash change tracking and session settlement
+
+ALTER TABLE payments
+    ADD COLUMN amount_tendered DECIMAL(10,2) NULL AFTER amount,
+    ADD COLUMN change_given DECIMAL(10,2) DEFAULT 0.00 AFTER amount_tendered;
+
+CREATE INDEX idx_payments_processed_at ON payments (processed_at);
+
+ALTER TABLE sessions
+    ADD COLUMN payment_status ENUM('Unpaid', 'Partial', 'Paid', 'Refunded') DEFAULT 'Unpaid' AFTER status,
+    ADD COLUMN closed_at TIMESTAMP NULL AFTER end_time,
+    ADD COLUMN closed_by INT NULL AFTER ended_by,
+    ADD CONSTRAINT fk_sessions_closed_by FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL;
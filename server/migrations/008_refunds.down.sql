@@ -0,0 +1,9 @@
+ALTER TABLE orders
+    DROP FOREIGN KEY fk_orders_voided_by,
+    DROP COLUMN void_reason,
+    DROP COLUMN voided_by,
+    DROP COLUMN voided_at;
+
+ALTER TABLE payments DROP COLUMN refunded_amount;
+
+DROP TABLE IF EXISTS refunds;
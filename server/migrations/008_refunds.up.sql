@@ -0,0 +1,32 @@
+-- Refunds against completed payments and order voids
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    refund_id VARCHAR(50) UNIQUE NOT NULL,
+    payment_id INT NOT NULL,
+    order_id INT,
+    session_id INT,
+    amount DECIMAL(10,2) NOT NULL,
+    refund_method ENUM('Cash', 'Card', 'UPI', 'Digital Wallet') NOT NULL,
+    reason_code ENUM('Customer Complaint', 'Wrong Order', 'Overcharge', 'Service Issue', 'Duplicate Payment', 'Order Voided', 'Other') NOT NULL,
+    reason_note TEXT,
+    transaction_reference VARCHAR(100),
+    requested_by INT,
+    approved_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (payment_id) REFERENCES payments(id),
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_refunds_created_at (created_at)
+);
+
+ALTER TABLE payments
+    ADD COLUMN refunded_amount DECIMAL(10,2) DEFAULT 0.00 AFTER change_given;
+
+ALTER TABLE orders
+    ADD COLUMN void_reason VARCHAR(255) NULL AFTER special_instructions,
+    ADD COLUMN voided_by INT NULL AFTER void_reason,
+    ADD COLUMN voided_at TIMESTAMP NULL AFTER voided_by,
+    ADD CONSTRAINT fk_orders_voided_by FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,19 @@
+-- Permission model: editable role defaults plus per-user overrides.
+-- Both hold (partial) permission trees shaped like config/permissions.js; missing paths fall back to it.
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role ENUM('Admin', 'Staff', 'Manager', 'User') PRIMARY KEY,
+    permissions JSON NOT NULL,
+    updated_by INT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS user_permissions (
+    user_id INT PRIMARY KEY,
+    permissions JSON NOT NULL,
+    updated_by INT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,29 @@
+-- Login sessions (refresh token families) and the rotating refresh tokens issued within them.
+-- Access tokens carry the session's family_id; revoking the session rejects them immediately.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    family_id CHAR(36) UNIQUE NOT NULL,
+    user_id INT NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by INT NULL,
+    revoke_reason VARCHAR(50) NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_auth_sessions_user (user_id, revoked_at)
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    auth_session_id INT NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    FOREIGN KEY (auth_session_id) REFERENCES auth_sessions(id) ON DELETE CASCADE
+);
@@ -0,0 +1,19 @@
+ALTER TABLE payments
+    DROP FOREIGN KEY fk_payments_terminal,
+    DROP COLUMN terminal_id;
+
+ALTER TABLE orders
+    DROP FOREIGN KEY fk_orders_terminal,
+    DROP COLUMN terminal_id;
+
+ALTER TABLE auth_sessions
+    DROP FOREIGN KEY fk_auth_sessions_terminal,
+    DROP COLUMN terminal_id;
+
+DROP TABLE IF EXISTS terminals;
+
+ALTER TABLE users
+    DROP COLUMN avatar_url,
+    DROP COLUMN pin_hash,
+    DROP COLUMN pin_failed_attempts,
+    DROP COLUMN pin_locked_until;
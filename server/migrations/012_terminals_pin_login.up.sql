@@ -0,0 +1,36 @@
+-- Shared POS terminals and quick PIN sign-in for staff
+
+ALTER TABLE users
+    ADD COLUMN avatar_url VARCHAR(255) NULL AFTER phone,
+    ADD COLUMN pin_hash VARCHAR(255) NULL AFTER password,
+    ADD COLUMN pin_failed_attempts INT DEFAULT 0 AFTER pin_hash,
+    ADD COLUMN pin_locked_until TIMESTAMP NULL AFTER pin_failed_attempts;
+
+-- Registered devices; the device key is shown once and only its SHA-256 is stored
+CREATE TABLE IF NOT EXISTS terminals (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    terminal_id VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    location VARCHAR(100),
+    key_hash CHAR(64) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    registered_by INT NULL,
+    last_seen_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (registered_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- PIN sign-ins are login sessions bound to one terminal
+ALTER TABLE auth_sessions
+    ADD COLUMN terminal_id INT NULL AFTER user_id,
+    ADD CONSTRAINT fk_auth_sessions_terminal FOREIGN KEY (terminal_id) REFERENCES terminals(id) ON DELETE CASCADE;
+
+-- Where an order was taken or a payment processed
+ALTER TABLE orders
+    ADD COLUMN terminal_id INT NULL AFTER created_by,
+    ADD CONSTRAINT fk_orders_terminal FOREIGN KEY (terminal_id) REFERENCES terminals(id) ON DELETE SET NULL;
+
+ALTER TABLE payments
+    ADD COLUMN terminal_id INT NULL AFTER processed_by,
+    ADD CONSTRAINT fk_payments_terminal FOREIGN KEY (terminal_id) REFERENCES terminals(id) ON DELETE SET NULL;
@@ -0,0 +1,8 @@
+DELETE FROM system_settings WHERE setting_key IN ('login_lockout_threshold', 'login_lockout_minutes', 'login_max_delay_seconds');
+
+DROP TABLE IF EXISTS login_events;
+
+ALTER TABLE users
+    DROP COLUMN failed_login_count,
+    DROP COLUMN last_failed_login_at,
+    DROP COLUMN locked_until;
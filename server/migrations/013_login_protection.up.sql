@@ -0,0 +1,28 @@
+-- Per-account login throttling and a log of sign-in attempts
+
+ALTER TABLE users
+    ADD COLUMN failed_login_count INT DEFAULT 0 AFTER pin_locked_until,
+    ADD COLUMN last_failed_login_at TIMESTAMP NULL AFTER failed_login_count,
+    ADD COLUMN locked_until TIMESTAMP NULL AFTER last_failed_login_at;
+
+CREATE TABLE IF NOT EXISTS login_events (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NULL,
+    email VARCHAR(100),
+    method ENUM('password', 'pin') NOT NULL DEFAULT 'password',
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50) NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    terminal_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (terminal_id) REFERENCES terminals(id) ON DELETE SET NULL,
+    INDEX idx_login_events_created_at (created_at),
+    INDEX idx_login_events_user (user_id, created_at)
+);
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('login_lockout_threshold', '5', 'number', 'Failed password logins in a row before an account is locked'),
+('login_lockout_minutes', '15', 'number', 'Minutes an account stays locked after too many failed logins'),
+('login_max_delay_seconds', '30', 'number', 'Longest wait enforced between failed login attempts (the wait doubles after each failure)');
@@ -0,0 +1,13 @@
+DELETE FROM system_settings WHERE setting_key IN ('two_factor_required_roles', 'two_factor_issuer');
+
+DELETE FROM login_events WHERE method = 'two_factor';
+ALTER TABLE login_events
+    MODIFY COLUMN method ENUM('password', 'pin') NOT NULL DEFAULT 'password';
+
+DROP TABLE IF EXISTS two_factor_challenges;
+DROP TABLE IF EXISTS two_factor_recovery_codes;
+
+ALTER TABLE users
+    DROP COLUMN totp_last_step,
+    DROP COLUMN totp_enabled_at,
+    DROP COLUMN totp_secret;
@@ -0,0 +1,37 @@
+-- TOTP two-factor authentication (RFC 6238), recovery codes and pending second login steps
+
+ALTER TABLE users
+    ADD COLUMN totp_secret VARCHAR(64) NULL AFTER locked_until,
+    ADD COLUMN totp_enabled_at TIMESTAMP NULL AFTER totp_secret,
+    ADD COLUMN totp_last_step BIGINT NULL AFTER totp_enabled_at;
+
+-- Single-use recovery codes (only the SHA-256 of each code is stored)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_recovery_codes_user (user_id, used_at)
+);
+
+-- A password login waiting for its TOTP or recovery code
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    failed_attempts INT DEFAULT 0,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+ALTER TABLE login_events
+    MODIFY COLUMN method ENUM('password', 'pin', 'two_factor') NOT NULL DEFAULT 'password';
+
+INSERT IGNORE INTO system_settings (setting_key, setting_value, setting_type, description) VALUES
+('two_factor_required_roles', '[]', 'json', 'Roles that must sign in with a TOTP code, e.g. ["Admin","Manager"]'),
+('two_factor_issuer', 'Restaurant POS', 'string', 'Issuer name shown in authenticator apps');
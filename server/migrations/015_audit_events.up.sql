@@ -0,0 +1,27 @@
+-- Append-only audit trail of changes made through the API.
+-- No foreign keys: entries must outlive (and never be rewritten by) the rows they describe.
+
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NULL,
+    user_name VARCHAR(100),
+    user_role VARCHAR(20),
+    action VARCHAR(64) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(64) NULL,
+    before_data JSON NULL,
+    after_data JSON NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    terminal_id INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_audit_events_created_at (created_at),
+    INDEX idx_audit_events_user (user_id, created_at),
+    INDEX idx_audit_events_entity (entity_type, entity_id, created_at)
+);
+
+CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_events is append-only';
+
+CREATE TRIGGER audit_events_no_delete BEFORE DELETE ON audit_events
+FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_events is append-only';
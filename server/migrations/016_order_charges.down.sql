@@ -0,0 +1,9 @@
+UPDATE system_settings
+SET description = 'Service charge amount'
+WHERE setting_key = 'service_charge';
+
+ALTER TABLE orders
+    DROP COLUMN charges_amount;
+
+DROP TABLE IF EXISTS order_charges;
+DROP TABLE IF EXISTS charge_rules;
@@ -0,0 +1,49 @@
+-- Configurable service and packaging charges, stored as separate lines on each order
+
+CREATE TABLE IF NOT EXISTS charge_rules (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    charge_type ENUM('Service', 'Packaging') NOT NULL,
+    calculation ENUM('Fixed', 'Percentage') NOT NULL,
+    -- Amount per order for Fixed, percent of the item subtotal for Percentage
+    amount DECIMAL(10,2) NOT NULL,
+    -- JSON arrays of order types / table types the charge applies to; NULL means any
+    order_types JSON NULL,
+    table_types JSON NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    sort_order INT DEFAULT 0,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Charges keep their name and rate so later rule changes do not rewrite past bills
+CREATE TABLE IF NOT EXISTS order_charges (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    charge_rule_id INT NULL,
+    name VARCHAR(100) NOT NULL,
+    charge_type ENUM('Service', 'Packaging') NOT NULL,
+    calculation ENUM('Fixed', 'Percentage') NOT NULL,
+    rate DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (charge_rule_id) REFERENCES charge_rules(id) ON DELETE SET NULL,
+    INDEX idx_order_charges_order (order_id)
+);
+
+ALTER TABLE orders
+    ADD COLUMN charges_amount DECIMAL(10,2) DEFAULT 0.00 AFTER tax_amount;
+
+-- The fixed service charge from system settings becomes the first rule, for dine-in orders
+INSERT INTO charge_rules (name, charge_type, calculation, amount, order_types)
+SELECT 'Service Charge', 'Service', 'Fixed', CAST(setting_value AS DECIMAL(10,2)), JSON_ARRAY('Dine-in')
+FROM system_settings
+WHERE setting_key = 'service_charge' AND CAST(setting_value AS DECIMAL(10,2)) > 0
+  AND NOT EXISTS (SELECT 1 FROM charge_rules);
+
+UPDATE system_settings
+SET description = 'Service charge amount (superseded by charge_rules; see /api/charges)'
+WHERE setting_key = 'service_charge';
@@ -0,0 +1,25 @@
+UPDATE system_settings
+SET description = 'Tax rate percentage'
+WHERE setting_key = 'tax_rate';
+
+DROP TABLE IF EXISTS order_item_taxes;
+
+ALTER TABLE order_items
+    DROP FOREIGN KEY fk_order_items_tax_class,
+    DROP COLUMN tax_class_id,
+    DROP COLUMN tax_inclusive,
+    DROP COLUMN tax_rate,
+    DROP COLUMN taxable_amount,
+    DROP COLUMN tax_amount;
+
+ALTER TABLE menu_items
+    DROP FOREIGN KEY fk_menu_items_tax_class,
+    DROP COLUMN tax_class_id,
+    DROP COLUMN tax_inclusive;
+
+ALTER TABLE categories
+    DROP FOREIGN KEY fk_categories_tax_class,
+    DROP COLUMN tax_class_id;
+
+DROP TABLE IF EXISTS tax_class_components;
+DROP TABLE IF EXISTS tax_classes;
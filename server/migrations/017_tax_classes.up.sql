@@ -0,0 +1,72 @@
+-- Tax classes with one or more components (e.g. CGST + SGST), assigned to categories and menu items
+
+CREATE TABLE IF NOT EXISTS tax_classes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    -- Used for items whose category and item have no class of their own
+    is_default BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tax_class_components (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    tax_class_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    rate DECIMAL(6,3) NOT NULL,
+    sort_order INT DEFAULT 0,
+    FOREIGN KEY (tax_class_id) REFERENCES tax_classes(id) ON DELETE CASCADE
+);
+
+-- An item's own class wins over its category's
+ALTER TABLE categories
+    ADD COLUMN tax_class_id INT NULL AFTER image_url,
+    ADD CONSTRAINT fk_categories_tax_class FOREIGN KEY (tax_class_id) REFERENCES tax_classes(id) ON DELETE SET NULL;
+
+ALTER TABLE menu_items
+    ADD COLUMN tax_class_id INT NULL AFTER price,
+    ADD COLUMN tax_inclusive BOOLEAN DEFAULT FALSE AFTER tax_class_id,
+    ADD CONSTRAINT fk_menu_items_tax_class FOREIGN KEY (tax_class_id) REFERENCES tax_classes(id) ON DELETE SET NULL;
+
+-- Tax worked out per line when the order is placed; total_price stays the menu price times quantity
+ALTER TABLE order_items
+    ADD COLUMN tax_class_id INT NULL AFTER total_price,
+    ADD COLUMN tax_inclusive BOOLEAN DEFAULT FALSE AFTER tax_class_id,
+    ADD COLUMN tax_rate DECIMAL(6,3) DEFAULT 0.000 AFTER tax_inclusive,
+    ADD COLUMN taxable_amount DECIMAL(10,2) DEFAULT 0.00 AFTER tax_rate,
+    ADD COLUMN tax_amount DECIMAL(10,2) DEFAULT 0.00 AFTER taxable_amount,
+    ADD CONSTRAINT fk_order_items_tax_class FOREIGN KEY (tax_class_id) REFERENCES tax_classes(id) ON DELETE SET NULL;
+
+UPDATE order_items SET taxable_amount = total_price;
+
+-- Each line's tax split into its components, for the tax summary on receipts
+CREATE TABLE IF NOT EXISTS order_item_taxes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    order_item_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    rate DECIMAL(6,3) NOT NULL,
+    taxable_amount DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    INDEX idx_order_item_taxes_order (order_id)
+);
+
+-- The global tax rate becomes the default class
+INSERT INTO tax_classes (name, description, is_default)
+SELECT 'Standard', 'Default tax class', TRUE
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM tax_classes);
+
+INSERT INTO tax_class_components (tax_class_id, name, rate)
+SELECT tc.id, 'Tax', CAST(ss.setting_value AS DECIMAL(6,3))
+FROM tax_classes tc
+JOIN system_settings ss ON ss.setting_key = 'tax_rate'
+WHERE tc.name = 'Standard' AND CAST(ss.setting_value AS DECIMAL(6,3)) > 0
+  AND NOT EXISTS (SELECT 1 FROM tax_class_components);
+
+UPDATE system_settings
+SET description = 'Tax rate percentage (superseded by tax classes; see /api/taxes)'
+WHERE setting_key = 'tax_rate';
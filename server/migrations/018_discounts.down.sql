@@ -0,0 +1,6 @@
+ALTER TABLE order_items
+    DROP COLUMN discount_amount;
+
+DROP TABLE IF EXISTS order_discounts;
+DROP TABLE IF EXISTS members;
+DROP TABLE IF EXISTS discount_offers;
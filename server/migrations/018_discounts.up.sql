@@ -0,0 +1,66 @@
+-- Item, bill and offer discounts on orders, with the reason and who applied and approved them
+
+-- Preset discounts staff can pick at billing (offer level)
+CREATE TABLE IF NOT EXISTS discount_offers (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    calculation ENUM('Percentage', 'Fixed') NOT NULL,
+    value DECIMAL(10,2) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Regular customers with a standing discount percentage
+CREATE TABLE IF NOT EXISTS members (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20) NULL UNIQUE,
+    email VARCHAR(100) NULL,
+    discount_percent DECIMAL(5,2) NOT NULL DEFAULT 0.00,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS order_discounts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    -- Set for item-level discounts only
+    order_item_id INT NULL,
+    level ENUM('Item', 'Bill', 'Offer') NOT NULL,
+    calculation ENUM('Percentage', 'Fixed') NOT NULL,
+    value DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    offer_id INT NULL,
+    member_id INT NULL,
+    reason VARCHAR(255) NOT NULL,
+    applied_by INT NULL,
+    -- The supervisor who entered their PIN when the discount was over the applier's cap
+    approved_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (offer_id) REFERENCES discount_offers(id) ON DELETE SET NULL,
+    FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+    FOREIGN KEY (applied_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (approved_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_order_discounts_order (order_id)
+);
+
+-- Discount on each line (its own plus its share of bill discounts); tax is charged on what is left
+ALTER TABLE order_items
+    ADD COLUMN discount_amount DECIMAL(10,2) DEFAULT 0.00 AFTER taxable_amount;
+
+-- The presets shown on the billing screen
+INSERT INTO discount_offers (name, calculation, value)
+SELECT name, 'Percentage', value
+FROM (
+    SELECT 'Student Discount' as name, 5.00 as value
+    UNION ALL SELECT 'Member Discount', 10.00
+    UNION ALL SELECT 'VIP Discount', 15.00
+    UNION ALL SELECT 'Special Promotion', 20.00
+) presets
+WHERE NOT EXISTS (SELECT 1 FROM discount_offers);
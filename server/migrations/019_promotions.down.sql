@@ -0,0 +1,9 @@
+ALTER TABLE orders
+    DROP COLUMN promotion_amount;
+
+ALTER TABLE order_items
+    DROP COLUMN promotion_amount;
+
+DROP TABLE IF EXISTS order_promotions;
+DROP TABLE IF EXISTS promotion_targets;
+DROP TABLE IF EXISTS promotions;
@@ -0,0 +1,63 @@
+-- Automatic promotions (happy hours, buy-X-get-Y, combos) applied when an order is priced
+
+CREATE TABLE IF NOT EXISTS promotions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL,
+    promo_type ENUM('HappyHour', 'BuyXGetY', 'Combo') NOT NULL,
+    -- HappyHour: off each unit. BuyXGetY: off each "get" unit (100% = free)
+    discount_type ENUM('Percentage', 'Fixed') NULL,
+    discount_value DECIMAL(10,2) NULL,
+    buy_quantity INT NULL,
+    get_quantity INT NULL,
+    -- Combo: price of one full set of the combo's components
+    combo_price DECIMAL(10,2) NULL,
+    -- JSON array of days ("Mon" ... "Sun"); NULL means every day
+    days_of_week JSON NULL,
+    -- Daily window; an end before the start runs past midnight
+    start_time TIME NULL,
+    end_time TIME NULL,
+    valid_from DATE NULL,
+    valid_to DATE NULL,
+    -- Lower numbers are tried first; each unit ordered gets at most one promotion
+    priority INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- What a promotion applies to. For combos each row is one component with its quantity;
+-- happy hours and buy-X-get-Y without targets apply to the whole menu.
+CREATE TABLE IF NOT EXISTS promotion_targets (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    promotion_id INT NOT NULL,
+    target_type ENUM('Category', 'Subcategory', 'Item') NOT NULL,
+    target_id INT NOT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+    INDEX idx_promotion_targets_promotion (promotion_id)
+);
+
+-- Promotions applied to each order, for the receipt and the usage report
+CREATE TABLE IF NOT EXISTS order_promotions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    promotion_id INT NULL,
+    name VARCHAR(100) NOT NULL,
+    promo_type ENUM('HappyHour', 'BuyXGetY', 'Combo') NOT NULL,
+    times_applied INT NOT NULL DEFAULT 1,
+    amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE SET NULL,
+    INDEX idx_order_promotions_order (order_id),
+    INDEX idx_order_promotions_promotion (promotion_id)
+);
+
+-- Promotion savings on each line; tax and the order subtotal are worked out on the price after them
+ALTER TABLE order_items
+    ADD COLUMN promotion_amount DECIMAL(10,2) DEFAULT 0.00 AFTER total_price;
+
+ALTER TABLE orders
+    ADD COLUMN promotion_amount DECIMAL(10,2) DEFAULT 0.00 AFTER subtotal;
@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS order_item_modifiers;
+
+ALTER TABLE order_items
+    DROP FOREIGN KEY fk_order_items_variant,
+    DROP COLUMN variant_id,
+    DROP COLUMN variant_name;
+
+DROP TABLE IF EXISTS menu_item_modifier_groups;
+DROP TABLE IF EXISTS modifiers;
+DROP TABLE IF EXISTS modifier_groups;
+DROP TABLE IF EXISTS menu_item_variants;
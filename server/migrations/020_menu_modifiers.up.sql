@@ -0,0 +1,69 @@
+-- Menu item variants (sizes, crusts...), modifier groups and the choices made on each order line
+
+-- One row per variant of an item; the variant's price_delta is added to the item's price
+CREATE TABLE IF NOT EXISTS menu_item_variants (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    menu_item_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    price_delta DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    -- Used when an order does not pick a variant
+    is_default BOOLEAN DEFAULT FALSE,
+    sort_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    UNIQUE KEY uq_menu_item_variants_name (menu_item_id, name)
+);
+
+-- Reusable groups such as "Sides" or "Toppings"; an order line picks between min_select and max_select
+CREATE TABLE IF NOT EXISTS modifier_groups (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    min_select INT NOT NULL DEFAULT 0,
+    max_select INT NOT NULL DEFAULT 1,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS modifiers (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    modifier_group_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    -- Negative for removals that cost less, zero for "No Cheese"
+    price_delta DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    sort_order INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    FOREIGN KEY (modifier_group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE,
+    INDEX idx_modifiers_group (modifier_group_id)
+);
+
+-- Groups offered with each item
+CREATE TABLE IF NOT EXISTS menu_item_modifier_groups (
+    menu_item_id INT NOT NULL,
+    modifier_group_id INT NOT NULL,
+    sort_order INT DEFAULT 0,
+    PRIMARY KEY (menu_item_id, modifier_group_id),
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (modifier_group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE
+);
+
+-- The variant ordered; unit_price already includes its delta and the modifiers'
+ALTER TABLE order_items
+    ADD COLUMN variant_id INT NULL AFTER menu_item_id,
+    ADD COLUMN variant_name VARCHAR(50) NULL AFTER variant_id,
+    ADD CONSTRAINT fk_order_items_variant FOREIGN KEY (variant_id) REFERENCES menu_item_variants(id) ON DELETE SET NULL;
+
+-- Modifiers keep their name and price so later menu changes do not rewrite past orders
+CREATE TABLE IF NOT EXISTS order_item_modifiers (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    order_item_id INT NOT NULL,
+    modifier_id INT NULL,
+    group_name VARCHAR(100) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (modifier_id) REFERENCES modifiers(id) ON DELETE SET NULL,
+    INDEX idx_order_item_modifiers_item (order_item_id)
+);
@@ -0,0 +1,22 @@
+ALTER TABLE order_items
+    DROP FOREIGN KEY fk_order_items_menu_item;
+
+ALTER TABLE order_items
+    ADD FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    DROP COLUMN item_name,
+    DROP COLUMN menu_price;
+
+ALTER TABLE menu_items
+    DROP FOREIGN KEY fk_menu_items_archived_by,
+    DROP COLUMN archived_at,
+    DROP COLUMN archived_by;
+
+ALTER TABLE subcategories
+    DROP FOREIGN KEY fk_subcategories_archived_by,
+    DROP COLUMN archived_at,
+    DROP COLUMN archived_by;
+
+ALTER TABLE categories
+    DROP FOREIGN KEY fk_categories_archived_by,
+    DROP COLUMN archived_at,
+    DROP COLUMN archived_by;
@@ -0,0 +1,47 @@
+-- Archive menu items, subcategories and categories instead of deleting them, and keep the name and
+-- price each line was sold at so menu edits never rewrite past orders
+
+ALTER TABLE categories
+    ADD COLUMN archived_at TIMESTAMP NULL AFTER is_active,
+    ADD COLUMN archived_by INT NULL AFTER archived_at,
+    ADD CONSTRAINT fk_categories_archived_by FOREIGN KEY (archived_by) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE subcategories
+    ADD COLUMN archived_at TIMESTAMP NULL AFTER is_active,
+    ADD COLUMN archived_by INT NULL AFTER archived_at,
+    ADD CONSTRAINT fk_subcategories_archived_by FOREIGN KEY (archived_by) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE menu_items
+    ADD COLUMN archived_at TIMESTAMP NULL AFTER is_available,
+    ADD COLUMN archived_by INT NULL AFTER archived_at,
+    ADD CONSTRAINT fk_menu_items_archived_by FOREIGN KEY (archived_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- menu_price is the item's list price when sold; unit_price adds the variant and modifier deltas
+ALTER TABLE order_items
+    ADD COLUMN item_name VARCHAR(100) NULL AFTER menu_item_id,
+    ADD COLUMN menu_price DECIMAL(10,2) NULL AFTER quantity;
+
+-- Past lines take the current name (the best there is) and their own unit price
+UPDATE order_items oi
+JOIN menu_items mi ON oi.menu_item_id = mi.id
+SET oi.item_name = mi.name, oi.menu_price = oi.unit_price;
+
+ALTER TABLE order_items
+    MODIFY COLUMN item_name VARCHAR(100) NOT NULL,
+    MODIFY COLUMN menu_price DECIMAL(10,2) NOT NULL;
+
+-- Items that have been ordered can no longer be deleted, so history cannot vanish with them.
+-- The original foreign key was created without a name, so look it up.
+SET @fk_name = (
+    SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'order_items'
+      AND COLUMN_NAME = 'menu_item_id' AND REFERENCED_TABLE_NAME = 'menu_items'
+    LIMIT 1
+);
+SET @drop_fk = CONCAT('ALTER TABLE order_items DROP FOREIGN KEY ', @fk_name);
+PREPARE drop_fk FROM @drop_fk;
+EXECUTE drop_fk;
+DEALLOCATE PREPARE drop_fk;
+
+ALTER TABLE order_items
+    ADD CONSTRAINT fk_order_items_menu_item FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE RESTRICT;
@@ -0,0 +1,29 @@
+-- Price history per menu item, including changes scheduled for a later date
+
+CREATE TABLE IF NOT EXISTS menu_item_prices (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    menu_item_id INT NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    -- The price before this change, filled in when it is applied
+    previous_price DECIMAL(10,2) NULL,
+    effective_from DATETIME NOT NULL,
+    -- Scheduled changes become Applied once effective_from passes, unless Cancelled first
+    status ENUM('Scheduled', 'Applied', 'Cancelled') NOT NULL DEFAULT 'Scheduled',
+    reason VARCHAR(255) NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    applied_at TIMESTAMP NULL,
+    cancelled_by INT NULL,
+    cancelled_at TIMESTAMP NULL,
+    FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (cancelled_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_menu_item_prices_item (menu_item_id, effective_from),
+    INDEX idx_menu_item_prices_due (status, effective_from)
+);
+
+-- History starts with each item's current price, in effect since the item was created
+INSERT INTO menu_item_prices (menu_item_id, price, effective_from, status, reason, applied_at)
+SELECT mi.id, mi.price, mi.created_at, 'Applied', 'Initial price', mi.created_at
+FROM menu_items mi
+WHERE NOT EXISTS (SELECT 1 FROM menu_item_prices p WHERE p.menu_item_id = mi.id);
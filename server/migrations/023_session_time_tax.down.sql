@@ -0,0 +1,11 @@
+DROP TABLE IF EXISTS session_taxes;
+
+ALTER TABLE sessions
+    DROP FOREIGN KEY fk_sessions_tax_class,
+    DROP COLUMN tax_class_id,
+    DROP COLUMN tax_inclusive,
+    DROP COLUMN tax_rate,
+    DROP COLUMN taxable_amount,
+    DROP COLUMN tax_amount;
+
+DROP TABLE IF EXISTS table_type_tax_classes;
@@ -0,0 +1,35 @@
+-- Tax on gaming-table time: a tax class per table type, and the tax charged on each session
+
+-- Table types without a row here tax their time with the default class
+CREATE TABLE IF NOT EXISTS table_type_tax_classes (
+    table_type ENUM('Dining', 'Pool', 'Snooker', 'PlayStation', 'VIP') PRIMARY KEY,
+    tax_class_id INT NOT NULL,
+    -- Hourly rates that already include the tax
+    tax_inclusive BOOLEAN DEFAULT FALSE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_table_type_tax_classes_class FOREIGN KEY (tax_class_id) REFERENCES tax_classes(id) ON DELETE CASCADE
+);
+
+-- Tax worked out when the session stops; total_amount stays the time charged at the hourly rate
+ALTER TABLE sessions
+    ADD COLUMN tax_class_id INT NULL AFTER total_amount,
+    ADD COLUMN tax_inclusive BOOLEAN DEFAULT FALSE AFTER tax_class_id,
+    ADD COLUMN tax_rate DECIMAL(6,3) DEFAULT 0.000 AFTER tax_inclusive,
+    ADD COLUMN taxable_amount DECIMAL(10,2) DEFAULT 0.00 AFTER tax_rate,
+    ADD COLUMN tax_amount DECIMAL(10,2) DEFAULT 0.00 AFTER taxable_amount,
+    ADD CONSTRAINT fk_sessions_tax_class FOREIGN KEY (tax_class_id) REFERENCES tax_classes(id) ON DELETE SET NULL;
+
+-- Sessions that already stopped keep the untaxed amount they were billed
+UPDATE sessions SET taxable_amount = total_amount WHERE status IN ('Completed', 'Cancelled');
+
+-- Each session's time tax split into its components, like order_item_taxes
+CREATE TABLE IF NOT EXISTS session_taxes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    session_id INT NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    rate DECIMAL(6,3) NOT NULL,
+    taxable_amount DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    INDEX idx_session_taxes_session (session_id)
+);
@@ -1,47 +1,360 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { pool } = require('../config/database');
 
-const runMigrations = async () => {
+const MIGRATIONS_DIR = __dirname;
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+const LOCK_NAME = 'restaurant_pos_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+// Split a SQL script into individual statements.
+// Semicolons inside quoted strings, identifiers and comments are ignored.
+const splitStatements = (sql) => {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    // Line comments (-- and #)
+    if ((char === '-' && next === '-') || char === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      continue;
+    }
+
+    // Block comments
+    if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    // Quoted strings and identifiers
+    if (char === "'" || char === '"' || char === '`') {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === '\\' && char !== '`') {
+          j += 2;
+          continue;
+        }
+        if (sql[j] === char) {
+          if (sql[j + 1] === char) {
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        j++;
+      }
+      current += sql.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    if (char === ';') {
+      if (current.trim().length > 0) statements.push(current.trim());
+      current = '';
+      i++;
+      continue;
+    }
+
+    current += char;
+    i++;
+  }
+
+  if (current.trim().length > 0) statements.push(current.trim());
+  return statements;
+};
+
+const checksum = (contents) => crypto.createHash('sha256').update(contents).digest('hex');
+
+// Discover numbered migration files on disk, ordered by version
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, up: null, down: null });
+    }
+
+    const migration = migrations.get(version);
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has conflicting names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  return [...migrations.values()]
+    .sort((a, b) => a.version - b.version)
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version}_${migration.name} is missing its .up.sql file`);
+      }
+      const upSQL = fs.readFileSync(migration.up, 'utf8');
+      return { ...migration, checksum: checksum(upSQL) };
+    });
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INT DEFAULT 0,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (connection) => {
+  const [rows] = await connection.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return new Map(rows.map(row => [row.version, row]));
+};
+
+const acquireLock = async (connection) => {
+  const [rows] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+  if (rows[0].acquired !== 1) {
+    throw new Error('Another process is running migrations. Try again later.');
+  }
+};
+
+const releaseLock = async (connection) => {
+  await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+};
+
+// Run a callback on a dedicated connection while holding the migration lock
+const withMigrationConnection = async (callback) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await acquireLock(connection);
+    try {
+      await ensureMigrationsTable(connection);
+      return await callback(connection);
+    } finally {
+      await releaseLock(connection);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+// Applied migrations whose file changed after they ran cannot be trusted
+const verifyChecksums = (migrations, applied) => {
+  const mismatched = migrations.filter(migration => {
+    const row = applied.get(migration.version);
+    return row && row.checksum !== migration.checksum;
+  });
+
+  if (mismatched.length > 0) {
+    const names = mismatched.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Checksum mismatch for applied migration(s): ${names}. Applied migrations must not be edited; add a new migration instead.`);
+  }
+};
+
+// Execute one migration file inside a transaction.
+// Note: MySQL commits DDL statements implicitly, so only data changes are rolled back on failure.
+const executeMigration = async (connection, migration, direction) => {
+  const file = migration[direction];
+  const statements = splitStatements(fs.readFileSync(file, 'utf8'));
+  const startedAt = Date.now();
+
+  await connection.beginTransaction();
+
   try {
-    console.log('🚀 Starting database migrations...');
-    
-    // Read and execute migration file
-    const migrationPath = path.join(__dirname, '001_create_tables.sql');
-    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
-    
-    // Split by semicolon and filter out empty statements
-    const statements = migrationSQL
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0);
-    
-    const connection = await pool.getConnection();
-    
     for (const statement of statements) {
       try {
-        await connection.execute(statement);
-        console.log('✅ Executed statement successfully');
+        await connection.query(statement);
       } catch (error) {
-        console.error('❌ Error executing statement:', error.message);
-        console.log('Statement:', statement.substring(0, 100) + '...');
+        error.message = `${path.basename(file)}: ${error.message}\nStatement: ${statement.substring(0, 200)}`;
+        throw error;
       }
     }
-    
-    connection.release();
-    console.log('🎉 Database migrations completed successfully!');
-    
+
+    if (direction === 'up') {
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)',
+        [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+      );
+    } else {
+      await connection.query(
+        'DELETE FROM schema_migrations WHERE version = ?',
+        [migration.version]
+      );
+    }
+
+    await connection.commit();
   } catch (error) {
-    console.error('❌ Migration failed:', error);
-    process.exit(1);
+    await connection.rollback();
+    throw error;
   }
 };
 
-// Run migrations if this file is executed directly
-if (require.main === module) {
-  runMigrations().then(() => {
-    process.exit(0);
+// Apply all pending migrations in version order
+const migrateUp = async () => {
+  return withMigrationConnection(async (connection) => {
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(connection);
+    verifyChecksums(migrations, applied);
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying ${migration.version}_${migration.name}...`);
+      await executeMigration(connection, migration, 'up');
+      console.log(`✅ Applied ${migration.version}_${migration.name}`);
+    }
+
+    return pending.map(migration => `${migration.version}_${migration.name}`);
+  });
+};
+
+// Revert the last `steps` applied migrations, newest first
+const migrateDown = async (steps = 1) => {
+  return withMigrationConnection(async (connection) => {
+    const migrations = loadMigrations();
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const applied = await getAppliedMigrations(connection);
+
+    const toRevert = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    if (toRevert.length === 0) {
+      console.log('ℹ️  No applied migrations to revert');
+      return [];
+    }
+
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Migration ${version}_${applied.get(version).name} is applied but its files are missing`);
+      }
+      if (!migration.down) {
+        throw new Error(`Migration ${version}_${migration.name} has no .down.sql file and cannot be reverted`);
+      }
+
+      console.log(`⬇️  Reverting ${migration.version}_${migration.name}...`);
+      await executeMigration(connection, migration, 'down');
+      console.log(`✅ Reverted ${migration.version}_${migration.name}`);
+    }
+
+    return toRevert.map(version => `${version}_${byVersion.get(version).name}`);
   });
+};
+
+// List every known migration with its applied state
+const migrationStatus = async () => {
+  return withMigrationConnection(async (connection) => {
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(connection);
+
+    const status = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'modified',
+        applied_at: row ? row.applied_at : null,
+        reversible: Boolean(migration.down)
+      };
+    });
+
+    // Migrations recorded in the database whose files no longer exist
+    for (const [version, row] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        status.push({
+          version,
+          name: row.name,
+          status: 'missing',
+          applied_at: row.applied_at,
+          reversible: false
+        });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+};
+
+// Used by server.js on boot
+const runMigrations = async () => {
+  console.log('🚀 Starting database migrations...');
+  const appliedNow = await migrateUp();
+  console.log(`🎉 Database migrations completed (${appliedNow.length} applied)`);
+  return appliedNow;
+};
+
+const printStatus = (status) => {
+  if (status.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  for (const migration of status) {
+    const appliedAt = migration.applied_at ? new Date(migration.applied_at).toISOString() : '-';
+    console.log(
+      `${String(migration.version).padStart(3, '0')}_${migration.name}`.padEnd(40),
+      migration.status.padEnd(10),
+      appliedAt
+    );
+  }
+};
+
+// CLI: node migrations/runMigrations.js [status|up|down N]
+if (require.main === module) {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    switch (command) {
+      case 'status':
+        printStatus(await migrationStatus());
+        break;
+      case 'up':
+        await runMigrations();
+        break;
+      case 'down': {
+        const steps = arg === undefined ? 1 : parseInt(arg, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('Usage: migrate down <number of migrations to revert>');
+        }
+        await migrateDown(steps);
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}". Use: status | up | down N`);
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Migration failed:', error.message);
+      process.exit(1);
+    });
 }
 
-module.exports = { runMigrations };
\ No newline at end of file
+module.exports = {
+  runMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  splitStatements
+};
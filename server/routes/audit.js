@@ -0,0 +1,70 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('canViewAuditLog'));
+
+const filterValidators = [
+  query('user_id').optional().isInt(),
+  query('from_date').optional().isISO8601(),
+  query('to_date').optional().isISO8601()
+];
+
+const filtersFrom = (req) => ({
+  userId: req.query.user_id,
+  entityType: req.query.entity_type,
+  entityId: req.query.entity_id,
+  action: req.query.action,
+  fromDate: req.query.from_date,
+  toDate: req.query.to_date
+});
+
+// Audit entries, newest first
+router.get('/', [
+  ...filterValidators,
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { events, total } = await auditService.list({
+      ...filtersFrom(req),
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({ success: true, events, total });
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Same filters, every matching entry as a CSV download
+router.get('/export', filterValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const csv = await auditService.exportCsv(filtersFrom(req));
+    const date = new Date().toISOString().split('T')[0];
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-events-${date}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export audit events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
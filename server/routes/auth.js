@@ -1,14 +1,54 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateTerminal } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const { handleError } = require('../utils/errors');
 
 const router = express.Router();
 
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+// PIN guessing is also limited per account; this caps a single device
+const pinLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  message: { error: 'Too many PIN attempts, please wait a minute.' }
+});
+
+// Password guessing is limited per account in authService; this caps a single IP
+// working through many accounts
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 30,
+  message: { error: 'Too many login attempts from this address, please try again later.' }
+});
+
+// Short-lived access token plus a refresh token for a new login session
+const loginResponse = async (user, req) => {
+  const tokens = await authService.issueTokens(user, clientInfo(req));
+
+  return {
+    success: true,
+    token: tokens.token,
+    expires_in: tokens.expiresIn,
+    refresh_token: tokens.refreshToken,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      full_name: user.full_name,
+      role: user.role
+    }
+  };
+};
+
 // Login
-router.post('/login', [
+router.post('/login', loginLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 3 })
 ], async (req, res) => {
@@ -20,50 +60,295 @@ router.post('/login', [
 
     const { email, password, role } = req.body;
 
-    // Get user from database
-    const [users] = await pool.execute(
-      'SELECT * FROM users WHERE email = ? AND is_active = TRUE',
-      [email]
-    );
+    // Throttles and locks the account after repeated failures; every attempt is logged
+    const user = await authService.passwordLogin(email, password, { role, ...clientInfo(req) });
+
+    // With two-factor authentication the client continues at /login/2fa
+    const challenge = await twoFactorService.startLogin(user, clientInfo(req));
+    if (challenge) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: challenge.challengeToken,
+        expires_in: challenge.expiresIn,
+        enrollment: challenge.enrollment
+      });
+    }
 
-    if (users.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    res.json(await loginResponse(user, req));
+  } catch (error) {
+    handleError(res, error, 'Login');
+  }
+});
+
+// Second login step: a TOTP `code` (or a `recovery_code`) for the challenge from /login.
+// When the role requires 2FA and the user was enrolling, this also returns their recovery codes.
+router.post('/login/2fa', loginLimiter, [
+  body('challenge_token').isString().isLength({ min: 1 }),
+  body('code').optional().isString(),
+  body('recovery_code').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.body.code && !req.body.recovery_code) {
+      return res.status(400).json({ error: 'code or recovery_code is required' });
     }
 
-    const user = users[0];
+    const { user, recoveryCodes } = await twoFactorService.completeLogin(req.body.challenge_token, {
+      code: req.body.code,
+      recoveryCode: req.body.recovery_code,
+      ...clientInfo(req)
+    });
 
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    res.json({ ...(await loginResponse(user, req)), recovery_codes: recoveryCodes });
+  } catch (error) {
+    handleError(res, error, 'Two-factor login');
+  }
+});
+
+// Switch user on a shared terminal: pick a staff member on the lock screen and enter their PIN.
+// The token is short-lived, cannot be refreshed and only works from this terminal.
+router.post('/pin-login', pinLimiter, authenticateTerminal, [
+  body('user_id').isInt(),
+  body('pin').matches(/^\d{4,6}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check role if specified
-    if (role && user.role !== role) {
-      return res.status(401).json({ error: 'Invalid role for this user' });
+    const result = await authService.pinLogin(req.terminal, req.body.user_id, req.body.pin, clientInfo(req));
+
+    res.json({
+      success: true,
+      token: result.token,
+      expires_in: result.expiresIn,
+      terminal: req.terminal,
+      user: result.user
+    });
+  } catch (error) {
+    handleError(res, error, 'PIN login');
+  }
+});
+
+// Set or change your own PIN (confirmed with your password)
+router.put('/pin', authenticateToken, [
+  body('pin').isString(),
+  body('currentPassword').isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-    );
+    await authService.confirmPassword(req.user.id, req.body.currentPassword, clientInfo(req));
+
+    await authService.setPin(req.user.id, req.body.pin);
+    await auditService.record(req, { action: 'user.set_pin', entityType: 'user', entityId: req.user.id });
+
+    res.json({ success: true, message: 'PIN updated successfully' });
+  } catch (error) {
+    handleError(res, error, 'Set PIN');
+  }
+});
+
+// Your two-factor status
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+    res.json({ success: true, two_factor: status });
+  } catch (error) {
+    handleError(res, error, 'Get two-factor status');
+  }
+});
+
+// Start enrolment: returns the secret and an otpauth:// URI to show as a QR code
+router.post('/2fa/setup', authenticateToken, [
+  body('currentPassword').isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await authService.confirmPassword(req.user.id, req.body.currentPassword, clientInfo(req));
+
+    const provisioning = await twoFactorService.beginSetup(req.user.id);
+
+    res.json({ success: true, ...provisioning });
+  } catch (error) {
+    handleError(res, error, 'Two-factor setup');
+  }
+});
+
+// Finish enrolment with a code from the authenticator app; returns recovery codes once
+router.post('/2fa/enable', authenticateToken, [
+  body('code').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { recoveryCodes } = await twoFactorService.enable(req.user.id, req.body.code);
+    await auditService.record(req, { action: 'user.enable_two_factor', entityType: 'user', entityId: req.user.id });
+
+    res.json({ success: true, message: 'Two-factor authentication enabled', recovery_codes: recoveryCodes });
+  } catch (error) {
+    handleError(res, error, 'Enable two-factor');
+  }
+});
+
+// Turn two-factor off (password plus a code or recovery code)
+router.post('/2fa/disable', authenticateToken, [
+  body('currentPassword').isLength({ min: 1 }),
+  body('code').optional().isString(),
+  body('recovery_code').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await authService.confirmPassword(req.user.id, req.body.currentPassword, clientInfo(req));
+
+    await twoFactorService.disable(req.user.id, { code: req.body.code, recoveryCode: req.body.recovery_code });
+    await auditService.record(req, { action: 'user.disable_two_factor', entityType: 'user', entityId: req.user.id });
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    handleError(res, error, 'Disable two-factor');
+  }
+});
+
+// Replace your recovery codes (confirmed with a current code)
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code').isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, { code: req.body.code });
+    await auditService.record(req, { action: 'user.regenerate_recovery_codes', entityType: 'user', entityId: req.user.id });
+
+    res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (error) {
+    handleError(res, error, 'Regenerate recovery codes');
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', [
+  body('refresh_token').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await authService.refresh(req.body.refresh_token);
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        full_name: user.full_name,
-        role: user.role
-      }
+      token: tokens.token,
+      expires_in: tokens.expiresIn,
+      refresh_token: tokens.refreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'Refresh token');
+  }
+});
+
+// Logout: revoke this login session, or every session of the user with { all: true }
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.body && req.body.all === true) {
+      await authService.revokeAllForUser(req.user.id, { revokedBy: req.user.id, reason: 'logout' });
+    } else {
+      await authService.revokeByFamily(req.user.auth_session_id, { revokedBy: req.user.id });
+    }
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    handleError(res, error, 'Logout');
+  }
+});
+
+// The signed-in user's active login sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await authService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({ ...session, current: session.family_id === req.user.auth_session_id }))
+    });
+  } catch (error) {
+    handleError(res, error, 'Get login sessions');
+  }
+});
+
+// Sign out one of your own sessions (e.g. a lost tablet)
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    await authService.revokeSession(req.user.id, req.params.id, { revokedBy: req.user.id, reason: 'logout' });
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    handleError(res, error, 'Revoke login session');
+  }
+});
+
+// Request a password reset link (always answers the same way)
+router.post('/password-reset/request', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await authService.requestPasswordReset(req.body.email, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    handleError(res, error, 'Password reset request');
+  }
+});
+
+// Choose a new password with the token from the reset link
+router.post('/password-reset/confirm', [
+  body('token').isString().isLength({ min: 1 }),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = await authService.resetPassword(req.body.token, req.body.newPassword);
+    await auditService.record(req, { action: 'user.password_reset', entityType: 'user', entityId: userId });
+
+    res.json({ success: true, message: 'Password has been reset. Please sign in again.' });
+  } catch (error) {
+    handleError(res, error, 'Password reset');
   }
 });
 
@@ -73,7 +358,8 @@ router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('full_name').isLength({ min: 2 }).trim(),
-  body('role').isIn(['Admin', 'Staff', 'Manager', 'User'])
+  // Self-registration is for customers only; staff accounts are created through /api/users
+  body('role').optional().equals('User').withMessage('Only User accounts can self-register')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -81,7 +367,8 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { username, email, password, full_name, phone, role = 'User' } = req.body;
+    const { username, email, password, full_name, phone } = req.body;
+    const role = 'User';
 
     // Check if user already exists
     const [existingUsers] = await pool.execute(
@@ -99,9 +386,16 @@ router.post('/register', [
     // Insert new user
     const [result] = await pool.execute(
       'INSERT INTO users (username, email, password, full_name, phone, role) VALUES (?, ?, ?, ?, ?, ?)',
-      [username, email, hashedPassword, full_name, phone, role]
+      [username, email, hashedPassword, full_name, phone || null, role]
     );
 
+    await auditService.record(req, {
+      action: 'user.register',
+      entityType: 'user',
+      entityId: result.insertId,
+      after: { username, email, full_name, phone: phone || null, role }
+    });
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -117,7 +411,7 @@ router.post('/register', [
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const [users] = await pool.execute(
-      'SELECT id, username, email, full_name, phone, role, created_at FROM users WHERE id = ?',
+      'SELECT id, username, email, full_name, phone, avatar_url, role, (pin_hash IS NOT NULL) as has_pin, created_at FROM users WHERE id = ?',
       [req.user.id]
     );
 
@@ -135,7 +429,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // Update profile
 router.put('/profile', authenticateToken, [
   body('full_name').optional().isLength({ min: 2 }).trim(),
-  body('phone').optional().isMobilePhone()
+  body('phone').optional().isMobilePhone(),
+  body('avatar_url').optional().isURL()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -143,7 +438,7 @@ router.put('/profile', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { full_name, phone } = req.body;
+    const { full_name, phone, avatar_url } = req.body;
     const updates = {};
     const values = [];
 
@@ -155,6 +450,10 @@ router.put('/profile', authenticateToken, [
       updates.phone = phone;
       values.push(phone);
     }
+    if (avatar_url) {
+      updates.avatar_url = avatar_url;
+      values.push(avatar_url);
+    }
 
     if (values.length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
@@ -162,12 +461,25 @@ router.put('/profile', authenticateToken, [
 
     values.push(req.user.id);
 
+    const [before] = await pool.execute(
+      `SELECT ${Object.keys(updates).join(', ')} FROM users WHERE id = ?`,
+      [req.user.id]
+    );
+
     const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
     await pool.execute(
       `UPDATE users SET ${setClause} WHERE id = ?`,
       values
     );
 
+    await auditService.record(req, {
+      action: 'user.profile_update',
+      entityType: 'user',
+      entityId: req.user.id,
+      before: before[0],
+      after: updates
+    });
+
     res.json({ success: true, message: 'Profile updated successfully' });
   } catch (error) {
     console.error('Profile update error:', error);
@@ -188,21 +500,8 @@ router.put('/change-password', authenticateToken, [
 
     const { currentPassword, newPassword } = req.body;
 
-    // Get current user with password
-    const [users] = await pool.execute(
-      'SELECT password FROM users WHERE id = ?',
-      [req.user.id]
-    );
-
-    if (users.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
     // Verify current password
-    const isValidPassword = await bcrypt.compare(currentPassword, users[0].password);
-    if (!isValidPassword) {
-      return res.status(400).json({ error: 'Current password is incorrect' });
-    }
+    await authService.confirmPassword(req.user.id, currentPassword, clientInfo(req));
 
     // Hash new password
     const hashedNewPassword = await bcrypt.hash(newPassword, 10);
@@ -213,10 +512,18 @@ router.put('/change-password', authenticateToken, [
       [hashedNewPassword, req.user.id]
     );
 
+    // Sign out everywhere else
+    await authService.revokeAllForUser(req.user.id, {
+      exceptFamilyId: req.user.auth_session_id,
+      revokedBy: req.user.id,
+      reason: 'password_changed'
+    });
+
+    await auditService.record(req, { action: 'user.change_password', entityType: 'user', entityId: req.user.id });
+
     res.json({ success: true, message: 'Password changed successfully' });
   } catch (error) {
-    console.error('Password change error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'Password change');
   }
 });
 
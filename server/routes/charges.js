@@ -0,0 +1,114 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const chargeService = require('../services/chargeService');
+const tableService = require('../services/tableService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+// A missing or null list means the rule applies to every order / table type
+const ruleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 1 }).trim(),
+    field('charge_type').isIn(chargeService.CHARGE_TYPES),
+    field('calculation').isIn(chargeService.CALCULATIONS),
+    field('amount').isFloat({ min: 0 }).toFloat(),
+    body('order_types').optional({ nullable: true }).isArray({ min: 1 }),
+    body('order_types.*').isIn(chargeService.ORDER_TYPES),
+    body('table_types').optional({ nullable: true }).isArray({ min: 1 }),
+    body('table_types.*').isIn(tableService.TABLE_TYPES),
+    body('is_active').optional().isBoolean().toBoolean(),
+    body('sort_order').optional().isInt().toInt()
+  ];
+};
+
+// Get charge rules
+router.get('/', authenticateToken, requirePermission('orderProcessing.view'), [
+  query('include_inactive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const rules = await chargeService.list({ includeInactive: req.query.include_inactive });
+    res.json({ success: true, rules });
+  } catch (error) {
+    handleError(res, error, 'Get charge rules');
+  }
+});
+
+// Preview the charges an order would get, e.g. for the bill before it is placed
+router.get('/preview', authenticateToken, requirePermission('orderProcessing.view'), [
+  query('order_type').isIn(chargeService.ORDER_TYPES),
+  query('table_type').optional().isIn(tableService.TABLE_TYPES),
+  query('subtotal').isFloat({ min: 0 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const charges = await chargeService.calculate({
+      orderType: req.query.order_type,
+      tableType: req.query.table_type,
+      subtotal: req.query.subtotal
+    });
+
+    res.json({ success: true, charges, charges_amount: chargeService.total(charges) });
+  } catch (error) {
+    handleError(res, error, 'Preview charges');
+  }
+});
+
+// Create a charge rule
+router.post('/', authenticateToken, requirePermission('canChangePrices'), ruleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rule = await chargeService.create(req.body, { createdBy: req.user.id });
+
+    await auditService.record(req, { action: 'charge_rule.create', entityType: 'charge_rule', entityId: rule.id, after: rule });
+
+    res.status(201).json({ success: true, message: 'Charge rule created successfully', rule });
+  } catch (error) {
+    handleError(res, error, 'Create charge rule');
+  }
+});
+
+// Update a charge rule; orders already placed keep the charges they were given
+router.put('/:id', authenticateToken, requirePermission('canChangePrices'), ruleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await chargeService.getRule(req.params.id);
+    const rule = await chargeService.update(req.params.id, req.body);
+
+    await auditService.record(req, { action: 'charge_rule.update', entityType: 'charge_rule', entityId: rule.id, before, after: rule });
+
+    res.json({ success: true, message: 'Charge rule updated successfully', rule });
+  } catch (error) {
+    handleError(res, error, 'Update charge rule');
+  }
+});
+
+// Delete a charge rule
+router.delete('/:id', authenticateToken, requirePermission('canChangePrices'), async (req, res) => {
+  try {
+    const rule = await chargeService.remove(req.params.id);
+
+    await auditService.record(req, { action: 'charge_rule.delete', entityType: 'charge_rule', entityId: rule.id, before: rule });
+
+    res.json({ success: true, message: 'Charge rule deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Delete charge rule');
+  }
+});
+
+module.exports = router;
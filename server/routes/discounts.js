@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const discountService = require('../services/discountService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Get preset discount offers
+router.get('/offers', authenticateToken, requirePermission('orderProcessing.view'), [
+  query('include_inactive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const offers = await discountService.listOffers({ includeInactive: req.query.include_inactive });
+    res.json({ success: true, offers });
+  } catch (error) {
+    handleError(res, error, 'Get offers');
+  }
+});
+
+// Create an offer
+router.post('/offers', authenticateToken, requirePermission('canChangePrices'), [
+  body('name').isLength({ min: 1, max: 100 }).trim(),
+  body('calculation').isIn(discountService.CALCULATIONS),
+  body('value').isFloat({ gt: 0 }).toFloat(),
+  body('is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const offer = await discountService.createOffer(req.body, { createdBy: req.user.id });
+
+    await auditService.record(req, { action: 'discount_offer.create', entityType: 'discount_offer', entityId: offer.id, after: offer });
+
+    res.status(201).json({ success: true, message: 'Offer created successfully', offer });
+  } catch (error) {
+    handleError(res, error, 'Create offer');
+  }
+});
+
+// Update or (de)activate an offer
+router.put('/offers/:id', authenticateToken, requirePermission('canChangePrices'), [
+  body('name').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('calculation').optional().isIn(discountService.CALCULATIONS),
+  body('value').optional().isFloat({ gt: 0 }).toFloat(),
+  body('is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await discountService.getOffer(req.params.id);
+    const offer = await discountService.updateOffer(req.params.id, req.body);
+
+    await auditService.record(req, { action: 'discount_offer.update', entityType: 'discount_offer', entityId: offer.id, before, after: offer });
+
+    res.json({ success: true, message: 'Offer updated successfully', offer });
+  } catch (error) {
+    handleError(res, error, 'Update offer');
+  }
+});
+
+// Get members (search by name, phone or email)
+router.get('/members', authenticateToken, requirePermission('orderProcessing.view'), [
+  query('search').optional().trim(),
+  query('include_inactive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const members = await discountService.listMembers({
+      search: req.query.search,
+      includeInactive: req.query.include_inactive
+    });
+    res.json({ success: true, members });
+  } catch (error) {
+    handleError(res, error, 'Get members');
+  }
+});
+
+// Enrol a member with a standing discount
+router.post('/members', authenticateToken, requirePermission('canChangePrices'), [
+  body('name').isLength({ min: 1, max: 100 }).trim(),
+  body('phone').optional().trim().isLength({ max: 20 }),
+  body('email').optional({ checkFalsy: true }).isEmail().normalizeEmail(),
+  body('discount_percent').isFloat({ min: 0, max: 100 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const member = await discountService.createMember(req.body);
+
+    await auditService.record(req, { action: 'member.create', entityType: 'member', entityId: member.id, after: member });
+
+    res.status(201).json({ success: true, message: 'Member created successfully', member });
+  } catch (error) {
+    handleError(res, error, 'Create member');
+  }
+});
+
+// Update or (de)activate a member
+router.put('/members/:id', authenticateToken, requirePermission('canChangePrices'), [
+  body('name').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('phone').optional().trim().isLength({ max: 20 }),
+  body('email').optional({ checkFalsy: true }).isEmail().normalizeEmail(),
+  body('discount_percent').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+  body('is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await discountService.getMember(req.params.id);
+    const member = await discountService.updateMember(req.params.id, req.body);
+
+    await auditService.record(req, { action: 'member.update', entityType: 'member', entityId: member.id, before, after: member });
+
+    res.json({ success: true, message: 'Member updated successfully', member });
+  } catch (error) {
+    handleError(res, error, 'Update member');
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,29 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const printerService = require('../services/printerService');
+const socketService = require('../services/socketService');
+const auditService = require('../services/auditService');
+
+const { EVENTS } = socketService;
 
 const router = express.Router();
 
+// Minimal KOT details for real-time events
+const getKotSummary = async (kotId) => {
+  const [kots] = await pool.execute(`
+    SELECT k.id as kot_id, k.kot_number, k.order_id, k.status, o.table_id
+    FROM kots k
+    JOIN orders o ON k.order_id = o.id
+    WHERE k.id = ?
+  `, [kotId]);
+
+  return kots[0] || null;
+};
+
 // Get all KOTs
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('kotManagement.view'), async (req, res) => {
   try {
     const { status, category_type, date, limit = 50, offset = 0 } = req.query;
     
@@ -78,7 +94,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get single KOT
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('kotManagement.view'), async (req, res) => {
   try {
     const [kots] = await pool.execute(`
       SELECT 
@@ -131,7 +147,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Update KOT status
-router.put('/:id/status', authenticateToken, authorizeRoles('Admin', 'Staff', 'Manager'), [
+router.put('/:id/status', authenticateToken, requirePermission('kotManagement.status'), [
   body('status').isIn(['Pending', 'Printed', 'Preparing', 'Ready', 'Served'])
 ], async (req, res) => {
   try {
@@ -152,6 +168,8 @@ router.put('/:id/status', authenticateToken, authorizeRoles('Admin', 'Staff', 'M
     const values = Object.values(updateData);
     values.push(kotId);
 
+    const before = await auditService.snapshot('kots', kotId);
+
     await pool.execute(
       `UPDATE kots SET ${setClause} WHERE id = ?`,
       values
@@ -165,6 +183,21 @@ router.put('/:id/status', authenticateToken, authorizeRoles('Admin', 'Staff', 'M
       );
     }
 
+    if (before) {
+      await auditService.record(req, {
+        action: 'kot.status_change',
+        entityType: 'kot',
+        entityId: kotId,
+        before: { status: before.status },
+        after: { status }
+      });
+    }
+
+    const kot = await getKotSummary(kotId);
+    if (kot) {
+      socketService.emit(EVENTS.KOT_STATUS_CHANGED, kot, { tableId: kot.table_id });
+    }
+
     res.json({ success: true, message: 'KOT status updated successfully' });
   } catch (error) {
     console.error('Update KOT status error:', error);
@@ -173,7 +206,7 @@ router.put('/:id/status', authenticateToken, authorizeRoles('Admin', 'Staff', 'M
 });
 
 // Update KOT item status
-router.put('/:kotId/items/:itemId/status', authenticateToken, authorizeRoles('Admin', 'Staff', 'Manager'), [
+router.put('/:kotId/items/:itemId/status', authenticateToken, requirePermission('kotManagement.status'), [
   body('status').isIn(['Pending', 'Preparing', 'Ready', 'Served'])
 ], async (req, res) => {
   try {
@@ -185,12 +218,25 @@ router.put('/:kotId/items/:itemId/status', authenticateToken, authorizeRoles('Ad
     const { status } = req.body;
     const { kotId, itemId } = req.params;
 
-    await pool.execute(
+    const before = await auditService.snapshot('kot_items', itemId);
+
+    const [result] = await pool.execute(
       'UPDATE kot_items SET status = ? WHERE id = ? AND kot_id = ?',
       [status, itemId, kotId]
     );
 
+    if (result.affectedRows > 0) {
+      await auditService.record(req, {
+        action: 'kot_item.status_change',
+        entityType: 'kot_item',
+        entityId: itemId,
+        before: { kot_id: before.kot_id, menu_item_name: before.menu_item_name, status: before.status },
+        after: { status }
+      });
+    }
+
     // Check if all items are ready, then update KOT status
+    let kotReady = false;
     if (status === 'Ready') {
       const [pendingItems] = await pool.execute(
         'SELECT COUNT(*) as count FROM kot_items WHERE kot_id = ? AND status != "Ready"',
@@ -202,6 +248,20 @@ router.put('/:kotId/items/:itemId/status', authenticateToken, authorizeRoles('Ad
           'UPDATE kots SET status = "Ready", completed_at = NOW() WHERE id = ?',
           [kotId]
         );
+        kotReady = true;
+      }
+    }
+
+    const kot = await getKotSummary(kotId);
+    if (kot) {
+      socketService.emit(EVENTS.KOT_ITEM_STATUS_CHANGED, {
+        ...kot,
+        kot_item_id: parseInt(itemId),
+        item_status: status
+      }, { tableId: kot.table_id });
+
+      if (kotReady) {
+        socketService.emit(EVENTS.KOT_STATUS_CHANGED, kot, { tableId: kot.table_id });
       }
     }
 
@@ -213,10 +273,13 @@ router.put('/:kotId/items/:itemId/status', authenticateToken, authorizeRoles('Ad
 });
 
 // Print KOT
-router.post('/:id/print', authenticateToken, authorizeRoles('Admin', 'Staff', 'Manager'), async (req, res) => {
+router.post('/:id/print', authenticateToken, requirePermission('kotManagement.print'), async (req, res) => {
   try {
     const kotId = req.params.id;
     const result = await printerService.printKOT(kotId);
+
+    await auditService.record(req, { action: 'kot.print', entityType: 'kot', entityId: kotId });
+
     res.json(result);
   } catch (error) {
     console.error('Print KOT error:', error);
@@ -225,7 +288,7 @@ router.post('/:id/print', authenticateToken, authorizeRoles('Admin', 'Staff', 'M
 });
 
 // Get KOT statistics
-router.get('/stats/summary', authenticateToken, async (req, res) => {
+router.get('/stats/summary', authenticateToken, requirePermission('kotManagement.view'), async (req, res) => {
   try {
     const { date = new Date().toISOString().split('T')[0] } = req.query;
 
@@ -1,7 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { pool } = require('../config/database');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { pool, withTransaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const permissionService = require('../services/permissionService');
+const taxService = require('../services/taxService');
+const priceService = require('../services/priceService');
+const modifierService = require('../services/modifierService');
+const { handleError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -9,19 +15,19 @@ const router = express.Router();
 router.get('/categories', async (req, res) => {
   try {
     const [categories] = await pool.execute(`
-      SELECT * FROM categories WHERE is_active = TRUE ORDER BY name
+      SELECT * FROM categories WHERE is_active = TRUE AND archived_at IS NULL ORDER BY name
     `);
 
     for (let category of categories) {
       // Get subcategories
       const [subcategories] = await pool.execute(`
-        SELECT * FROM subcategories WHERE category_id = ? AND is_active = TRUE ORDER BY name
+        SELECT * FROM subcategories WHERE category_id = ? AND is_active = TRUE AND archived_at IS NULL ORDER BY name
       `, [category.id]);
 
       for (let subcategory of subcategories) {
         // Get menu items
         const [items] = await pool.execute(`
-          SELECT * FROM menu_items WHERE subcategory_id = ? AND is_available = TRUE ORDER BY name
+          SELECT * FROM menu_items WHERE subcategory_id = ? AND is_available = TRUE AND archived_at IS NULL ORDER BY name
         `, [subcategory.id]);
 
         subcategory.items = items;
@@ -37,9 +43,11 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// Get single category
+// Get single category; archived subcategories and items only with include_archived=true
 router.get('/categories/:id', async (req, res) => {
   try {
+    const archivedFilter = req.query.include_archived === 'true' ? '' : 'AND archived_at IS NULL';
+
     const [categories] = await pool.execute(
       'SELECT * FROM categories WHERE id = ?',
       [req.params.id]
@@ -53,12 +61,12 @@ router.get('/categories/:id', async (req, res) => {
 
     // Get subcategories with items
     const [subcategories] = await pool.execute(`
-      SELECT * FROM subcategories WHERE category_id = ? ORDER BY name
+      SELECT * FROM subcategories WHERE category_id = ? ${archivedFilter} ORDER BY name
     `, [category.id]);
 
     for (let subcategory of subcategories) {
       const [items] = await pool.execute(`
-        SELECT * FROM menu_items WHERE subcategory_id = ? ORDER BY name
+        SELECT * FROM menu_items WHERE subcategory_id = ? ${archivedFilter} ORDER BY name
       `, [subcategory.id]);
 
       subcategory.items = items;
@@ -74,9 +82,10 @@ router.get('/categories/:id', async (req, res) => {
 });
 
 // Add new category
-router.post('/categories', authenticateToken, authorizeRoles('Admin', 'Manager'), [
+router.post('/categories', authenticateToken, requirePermission('canAddItems'), [
   body('name').isLength({ min: 1 }).trim(),
-  body('description').optional().trim()
+  body('description').optional().trim(),
+  body('tax_class_id').optional({ nullable: true }).isInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -84,13 +93,24 @@ router.post('/categories', authenticateToken, authorizeRoles('Admin', 'Manager')
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, image_url } = req.body;
+    const { name, description, image_url, tax_class_id = null } = req.body;
+
+    if (tax_class_id && !(await taxService.exists(tax_class_id))) {
+      return res.status(400).json({ error: 'Tax class not found' });
+    }
 
     const [result] = await pool.execute(
-      'INSERT INTO categories (name, description, image_url) VALUES (?, ?, ?)',
-      [name, description, image_url]
+      'INSERT INTO categories (name, description, image_url, tax_class_id) VALUES (?, ?, ?, ?)',
+      [name, description, image_url, tax_class_id]
     );
 
+    await auditService.record(req, {
+      action: 'category.create',
+      entityType: 'category',
+      entityId: result.insertId,
+      after: await auditService.snapshot('categories', result.insertId)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Category created successfully',
@@ -102,8 +122,62 @@ router.post('/categories', authenticateToken, authorizeRoles('Admin', 'Manager')
   }
 });
 
+// Update category; a tax class set here applies to every item in it that has none of its own
+router.put('/categories/:id', authenticateToken, requirePermission('canAddItems'), [
+  body('name').optional().isLength({ min: 1 }).trim(),
+  body('description').optional().trim(),
+  body('tax_class_id').optional({ nullable: true }).isInt(),
+  body('is_active').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fields = ['name', 'description', 'image_url', 'tax_class_id', 'is_active']
+      .filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    if (req.body.tax_class_id !== undefined) {
+      if (!(await permissionService.hasPermission(req.user, 'canChangePrices'))) {
+        return res.status(403).json({ error: 'Insufficient permissions', permission: 'canChangePrices' });
+      }
+      if (req.body.tax_class_id && !(await taxService.exists(req.body.tax_class_id))) {
+        return res.status(400).json({ error: 'Tax class not found' });
+      }
+    }
+
+    const before = await auditService.snapshot('categories', req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    await pool.execute(
+      `UPDATE categories SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => req.body[field]), req.params.id]
+    );
+
+    await auditService.record(req, {
+      action: 'category.update',
+      entityType: 'category',
+      entityId: req.params.id,
+      before,
+      after: await auditService.snapshot('categories', req.params.id)
+    });
+
+    res.json({ success: true, message: 'Category updated successfully' });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Add new subcategory
-router.post('/subcategories', authenticateToken, authorizeRoles('Admin', 'Manager'), [
+router.post('/subcategories', authenticateToken, requirePermission('canAddItems'), [
   body('category_id').isInt(),
   body('name').isLength({ min: 1 }).trim(),
   body('description').optional().trim()
@@ -118,7 +192,7 @@ router.post('/subcategories', authenticateToken, authorizeRoles('Admin', 'Manage
 
     // Check if category exists
     const [categories] = await pool.execute(
-      'SELECT id FROM categories WHERE id = ?',
+      'SELECT id, archived_at FROM categories WHERE id = ?',
       [category_id]
     );
 
@@ -126,11 +200,22 @@ router.post('/subcategories', authenticateToken, authorizeRoles('Admin', 'Manage
       return res.status(400).json({ error: 'Category not found' });
     }
 
+    if (categories[0].archived_at) {
+      return res.status(400).json({ error: 'Category is archived' });
+    }
+
     const [result] = await pool.execute(
       'INSERT INTO subcategories (category_id, name, description) VALUES (?, ?, ?)',
       [category_id, name, description]
     );
 
+    await auditService.record(req, {
+      action: 'subcategory.create',
+      entityType: 'subcategory',
+      entityId: result.insertId,
+      after: await auditService.snapshot('subcategories', result.insertId)
+    });
+
     res.status(201).json({
       success: true,
       message: 'Subcategory created successfully',
@@ -143,12 +228,14 @@ router.post('/subcategories', authenticateToken, authorizeRoles('Admin', 'Manage
 });
 
 // Add new menu item
-router.post('/items', authenticateToken, authorizeRoles('Admin', 'Manager'), [
+router.post('/items', authenticateToken, requirePermission('canAddItems'), [
   body('subcategory_id').isInt(),
   body('name').isLength({ min: 1 }).trim(),
   body('price').isFloat({ min: 0 }),
   body('description').optional().trim(),
-  body('preparation_time').optional().isInt({ min: 1 })
+  body('preparation_time').optional().isInt({ min: 1 }),
+  body('tax_class_id').optional({ nullable: true }).isInt(),
+  body('tax_inclusive').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -162,12 +249,14 @@ router.post('/items', authenticateToken, authorizeRoles('Admin', 'Manager'), [
       description,
       price,
       image_url,
-      preparation_time = 15
+      preparation_time = 15,
+      tax_class_id = null,
+      tax_inclusive = false
     } = req.body;
 
     // Check if subcategory exists
     const [subcategories] = await pool.execute(
-      'SELECT id FROM subcategories WHERE id = ?',
+      'SELECT id, archived_at FROM subcategories WHERE id = ?',
       [subcategory_id]
     );
 
@@ -175,10 +264,31 @@ router.post('/items', authenticateToken, authorizeRoles('Admin', 'Manager'), [
       return res.status(400).json({ error: 'Subcategory not found' });
     }
 
-    const [result] = await pool.execute(`
-      INSERT INTO menu_items (subcategory_id, name, description, price, image_url, preparation_time)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `, [subcategory_id, name, description, price, image_url, preparation_time]);
+    if (subcategories[0].archived_at) {
+      return res.status(400).json({ error: 'Subcategory is archived' });
+    }
+
+    if (tax_class_id && !(await taxService.exists(tax_class_id))) {
+      return res.status(400).json({ error: 'Tax class not found' });
+    }
+
+    // The item and its first price history row are saved together, so past-price reports never miss it
+    const result = await withTransaction(async (connection) => {
+      const [inserted] = await connection.execute(`
+        INSERT INTO menu_items (subcategory_id, name, description, price, tax_class_id, tax_inclusive, image_url, preparation_time)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [subcategory_id, name, description, price, tax_class_id, tax_inclusive, image_url, preparation_time]);
+
+      await priceService.recordInitial(inserted.insertId, price, { createdBy: req.user.id }, connection);
+      return inserted;
+    });
+
+    await auditService.record(req, {
+      action: 'menu_item.create',
+      entityType: 'menu_item',
+      entityId: result.insertId,
+      after: await auditService.snapshot('menu_items', result.insertId)
+    });
 
     res.status(201).json({
       success: true,
@@ -186,18 +296,19 @@ router.post('/items', authenticateToken, authorizeRoles('Admin', 'Manager'), [
       item_id: result.insertId
     });
   } catch (error) {
-    console.error('Create menu item error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'Create menu item');
   }
 });
 
 // Update menu item
-router.put('/items/:id', authenticateToken, authorizeRoles('Admin', 'Manager'), [
+router.put('/items/:id', authenticateToken, requirePermission('canAddItems'), [
   body('name').optional().isLength({ min: 1 }).trim(),
   body('price').optional().isFloat({ min: 0 }),
   body('description').optional().trim(),
   body('preparation_time').optional().isInt({ min: 1 }),
-  body('is_available').optional().isBoolean()
+  body('is_available').optional().isBoolean(),
+  body('tax_class_id').optional({ nullable: true }).isInt(),
+  body('tax_inclusive').optional().isBoolean().toBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -212,7 +323,9 @@ router.put('/items/:id', authenticateToken, authorizeRoles('Admin', 'Manager'),
       price,
       image_url,
       preparation_time,
-      is_available
+      is_available,
+      tax_class_id,
+      tax_inclusive
     } = req.body;
 
     const updates = {};
@@ -227,8 +340,9 @@ router.put('/items/:id', authenticateToken, authorizeRoles('Admin', 'Manager'),
       values.push(description);
     }
     if (price !== undefined) {
-      updates.price = price;
-      values.push(price);
+      if (!(await permissionService.hasPermission(req.user, 'canChangePrices'))) {
+        return res.status(403).json({ error: 'Insufficient permissions', permission: 'canChangePrices' });
+      }
     }
     if (image_url !== undefined) {
       updates.image_url = image_url;
@@ -242,45 +356,223 @@ router.put('/items/:id', authenticateToken, authorizeRoles('Admin', 'Manager'),
       updates.is_available = is_available;
       values.push(is_available);
     }
+    // Tax settings change what the customer pays, like the price does
+    if (tax_class_id !== undefined || tax_inclusive !== undefined) {
+      if (!(await permissionService.hasPermission(req.user, 'canChangePrices'))) {
+        return res.status(403).json({ error: 'Insufficient permissions', permission: 'canChangePrices' });
+      }
+    }
+    if (tax_class_id !== undefined) {
+      if (tax_class_id && !(await taxService.exists(tax_class_id))) {
+        return res.status(400).json({ error: 'Tax class not found' });
+      }
+      updates.tax_class_id = tax_class_id;
+      values.push(tax_class_id);
+    }
+    if (tax_inclusive !== undefined) {
+      updates.tax_inclusive = tax_inclusive;
+      values.push(tax_inclusive);
+    }
 
-    if (values.length === 0) {
+    if (values.length === 0 && price === undefined) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
-    values.push(itemId);
-
-    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const [result] = await pool.execute(
-      `UPDATE menu_items SET ${setClause} WHERE id = ?`,
-      values
-    );
-
-    if (result.affectedRows === 0) {
+    const before = await auditService.snapshot('menu_items', itemId);
+    if (!before) {
       return res.status(404).json({ error: 'Menu item not found' });
     }
 
+    // The field edits and the price change are saved together or not at all
+    await withTransaction(async (connection) => {
+      if (values.length > 0) {
+        values.push(itemId);
+
+        const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+        await connection.execute(
+          `UPDATE menu_items SET ${setClause} WHERE id = ?`,
+          values
+        );
+      }
+
+      // A new price takes effect now and goes into the price history; /api/prices schedules later ones
+      if (price !== undefined && Number(price) !== Number(before.price)) {
+        await priceService.schedule(itemId, { price }, { createdBy: req.user.id }, connection);
+      }
+    });
+
+    const after = await auditService.snapshot('menu_items', itemId);
+    await auditService.record(req, {
+      action: Number(before.price) !== Number(after.price) ? 'menu_item.price_change' : 'menu_item.update',
+      entityType: 'menu_item',
+      entityId: itemId,
+      before,
+      after
+    });
+
     res.json({ success: true, message: 'Menu item updated successfully' });
   } catch (error) {
-    console.error('Update menu item error:', error);
+    handleError(res, error, 'Update menu item');
+  }
+});
+
+// Archived categories, subcategories and items are hidden from ordering but kept for order history
+// and reports, and can be restored. Restoring needs the parents restored first.
+const ARCHIVABLE = {
+  category: {
+    table: 'categories',
+    label: 'Category'
+  },
+  subcategory: {
+    table: 'subcategories',
+    label: 'Subcategory',
+    archivedParents: `
+      SELECT COUNT(*) as archived FROM subcategories sc
+      JOIN categories c ON sc.category_id = c.id
+      WHERE sc.id = ? AND c.archived_at IS NOT NULL
+    `,
+    parentMessage: 'Restore its category first'
+  },
+  menu_item: {
+    table: 'menu_items',
+    label: 'Menu item',
+    archivedParents: `
+      SELECT COUNT(*) as archived FROM menu_items mi
+      JOIN subcategories sc ON mi.subcategory_id = sc.id
+      JOIN categories c ON sc.category_id = c.id
+      WHERE mi.id = ? AND (sc.archived_at IS NOT NULL OR c.archived_at IS NOT NULL)
+    `,
+    parentMessage: 'Restore its subcategory and category first'
+  }
+};
+
+const setArchived = async (req, res, entityType, archive) => {
+  const { table, label, archivedParents, parentMessage } = ARCHIVABLE[entityType];
+
+  const before = await auditService.snapshot(table, req.params.id);
+  if (!before) {
+    return res.status(404).json({ error: `${label} not found` });
+  }
+  if (Boolean(before.archived_at) === archive) {
+    return res.status(409).json({ error: `${label} is ${archive ? 'already archived' : 'not archived'}` });
+  }
+
+  if (!archive && archivedParents) {
+    const [parents] = await pool.execute(archivedParents, [before.id]);
+    if (parents[0].archived > 0) {
+      return res.status(409).json({ error: parentMessage });
+    }
+  }
+
+  await pool.execute(
+    `UPDATE ${table} SET archived_at = ${archive ? 'CURRENT_TIMESTAMP' : 'NULL'}, archived_by = ? WHERE id = ?`,
+    [archive ? req.user.id : null, before.id]
+  );
+
+  await auditService.record(req, {
+    action: `${entityType}.${archive ? 'archive' : 'restore'}`,
+    entityType,
+    entityId: before.id,
+    before,
+    after: await auditService.snapshot(table, before.id)
+  });
+
+  res.json({ success: true, message: `${label} ${archive ? 'archived' : 'restored'} successfully` });
+};
+
+// Archive a category; its subcategories and items are hidden with it
+router.delete('/categories/:id', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
+  try {
+    await setArchived(req, res, 'category', true);
+  } catch (error) {
+    console.error('Archive category error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete menu item
-router.delete('/items/:id', authenticateToken, authorizeRoles('Admin'), async (req, res) => {
+// Restore an archived category
+router.post('/categories/:id/restore', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
   try {
-    const [result] = await pool.execute(
-      'DELETE FROM menu_items WHERE id = ?',
-      [req.params.id]
-    );
+    await setArchived(req, res, 'category', false);
+  } catch (error) {
+    console.error('Restore category error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Menu item not found' });
-    }
+// Archive a subcategory; its items are hidden with it
+router.delete('/subcategories/:id', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
+  try {
+    await setArchived(req, res, 'subcategory', true);
+  } catch (error) {
+    console.error('Archive subcategory error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore an archived subcategory
+router.post('/subcategories/:id/restore', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
+  try {
+    await setArchived(req, res, 'subcategory', false);
+  } catch (error) {
+    console.error('Restore subcategory error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Archive menu item; past orders keep it
+router.delete('/items/:id', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
+  try {
+    await setArchived(req, res, 'menu_item', true);
+  } catch (error) {
+    console.error('Archive menu item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore an archived menu item
+router.post('/items/:id/restore', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
+  try {
+    await setArchived(req, res, 'menu_item', false);
+  } catch (error) {
+    console.error('Restore menu item error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get everything archived, newest first, to choose what to restore
+router.get('/archived', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
+  try {
+    const [categories] = await pool.execute(`
+      SELECT c.*, u.full_name as archived_by_name
+      FROM categories c
+      LEFT JOIN users u ON c.archived_by = u.id
+      WHERE c.archived_at IS NOT NULL
+      ORDER BY c.archived_at DESC
+    `);
 
-    res.json({ success: true, message: 'Menu item deleted successfully' });
+    const [subcategories] = await pool.execute(`
+      SELECT sc.*, c.name as category_name, u.full_name as archived_by_name
+      FROM subcategories sc
+      JOIN categories c ON sc.category_id = c.id
+      LEFT JOIN users u ON sc.archived_by = u.id
+      WHERE sc.archived_at IS NOT NULL
+      ORDER BY sc.archived_at DESC
+    `);
+
+    const [items] = await pool.execute(`
+      SELECT mi.*, sc.name as subcategory_name, c.name as category_name, u.full_name as archived_by_name
+      FROM menu_items mi
+      JOIN subcategories sc ON mi.subcategory_id = sc.id
+      JOIN categories c ON sc.category_id = c.id
+      LEFT JOIN users u ON mi.archived_by = u.id
+      WHERE mi.archived_at IS NOT NULL
+      ORDER BY mi.archived_at DESC
+    `);
+
+    res.json({ success: true, categories, subcategories, items });
   } catch (error) {
-    console.error('Delete menu item error:', error);
+    console.error('Get archived menu error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -288,7 +580,7 @@ router.delete('/items/:id', authenticateToken, authorizeRoles('Admin'), async (r
 // Get all menu items (for ordering)
 router.get('/items', async (req, res) => {
   try {
-    const { category_id, subcategory_id, available_only = 'true' } = req.query;
+    const { category_id, subcategory_id, available_only = 'true', include_archived = 'false' } = req.query;
     
     let query = `
       SELECT 
@@ -306,6 +598,10 @@ router.get('/items', async (req, res) => {
     if (available_only === 'true') {
       query += ' AND mi.is_available = TRUE AND sc.is_active = TRUE AND c.is_active = TRUE';
     }
+
+    if (include_archived !== 'true') {
+      query += ' AND mi.archived_at IS NULL AND sc.archived_at IS NULL AND c.archived_at IS NULL';
+    }
     
     if (category_id) {
       query += ' AND c.id = ?';
@@ -321,6 +617,10 @@ router.get('/items', async (req, res) => {
     
     const [items] = await pool.execute(query, params);
     
+    // Variants and modifier groups to choose from when ordering
+    const options = await modifierService.getItemOptions(items.map(item => item.id));
+    items.forEach(item => Object.assign(item, options.get(item.id)));
+    
     res.json({ success: true, items });
   } catch (error) {
     console.error('Get menu items error:', error);
@@ -328,4 +628,177 @@ router.get('/items', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Price deltas change what the customer pays, like the price does
+const setsPriceDeltas = (entries) => (entries || []).some(entry => entry.price_delta !== undefined);
+
+const modifierGroupValidators = (optional) => [
+  (optional ? body('name').optional() : body('name')).isLength({ min: 1, max: 100 }).trim(),
+  body('min_select').optional().isInt({ min: 0 }).toInt(),
+  body('max_select').optional().isInt({ min: 1 }).toInt(),
+  body('is_active').optional().isBoolean().toBoolean(),
+  (optional ? body('modifiers').optional() : body('modifiers')).isArray({ min: 1 }),
+  body('modifiers.*.id').optional().isInt().toInt(),
+  body('modifiers.*.name').isLength({ min: 1, max: 100 }).trim(),
+  body('modifiers.*.price_delta').optional().isFloat().toFloat(),
+  body('modifiers.*.is_active').optional().isBoolean().toBoolean()
+];
+
+// Get modifier groups with their modifiers
+router.get('/modifier-groups', async (req, res) => {
+  try {
+    const groups = await modifierService.listGroups({ includeInactive: req.query.include_inactive === 'true' });
+    res.json({ success: true, groups });
+  } catch (error) {
+    console.error('Get modifier groups error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a modifier group, e.g. { name: "Crust", min_select: 1, max_select: 1,
+//   modifiers: [{ name: "Regular" }, { name: "Thin Crust" }, { name: "Stuffed Crust", price_delta: 2 }] }
+router.post('/modifier-groups', authenticateToken, requirePermission('canAddItems'), modifierGroupValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const group = await modifierService.createGroup(req.body);
+
+    await auditService.record(req, { action: 'modifier_group.create', entityType: 'modifier_group', entityId: group.id, after: group });
+
+    res.status(201).json({ success: true, message: 'Modifier group created successfully', group });
+  } catch (error) {
+    handleError(res, error, 'Create modifier group');
+  }
+});
+
+// Update a modifier group; `modifiers` replaces the existing ones (keep their `id` to update them in place)
+router.put('/modifier-groups/:id', authenticateToken, requirePermission('canAddItems'), modifierGroupValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (setsPriceDeltas(req.body.modifiers) && !(await permissionService.hasPermission(req.user, 'canChangePrices'))) {
+      return res.status(403).json({ error: 'Insufficient permissions', permission: 'canChangePrices' });
+    }
+
+    const before = await modifierService.getGroup(req.params.id);
+    const group = await modifierService.updateGroup(req.params.id, req.body);
+
+    await auditService.record(req, { action: 'modifier_group.update', entityType: 'modifier_group', entityId: group.id, before, after: group });
+
+    res.json({ success: true, message: 'Modifier group updated successfully', group });
+  } catch (error) {
+    handleError(res, error, 'Update modifier group');
+  }
+});
+
+// Delete a modifier group; past orders keep the modifiers they were sold with
+router.delete('/modifier-groups/:id', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
+  try {
+    const group = await modifierService.removeGroup(req.params.id);
+
+    await auditService.record(req, { action: 'modifier_group.delete', entityType: 'modifier_group', entityId: group.id, before: group });
+
+    res.json({ success: true, message: 'Modifier group deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Delete modifier group');
+  }
+});
+
+// Get an item's variants and modifier groups, including inactive ones
+router.get('/items/:id/options', async (req, res) => {
+  try {
+    const [items] = await pool.execute('SELECT id FROM menu_items WHERE id = ?', [req.params.id]);
+    if (items.length === 0) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    const options = await modifierService.getItemOptions([items[0].id], pool, { includeInactive: true });
+    res.json({ success: true, ...options.get(items[0].id) });
+  } catch (error) {
+    console.error('Get item options error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace an item's variants, e.g. sizes: [{ name: "Regular", is_default: true }, { name: "Large", price_delta: 3 }]
+router.put('/items/:id/variants', authenticateToken, requirePermission('canAddItems'), [
+  body('variants').isArray(),
+  body('variants.*.id').optional().isInt().toInt(),
+  body('variants.*.name').isLength({ min: 1, max: 50 }).trim(),
+  body('variants.*.price_delta').optional().isFloat().toFloat(),
+  body('variants.*.is_default').optional().isBoolean().toBoolean(),
+  body('variants.*.is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (setsPriceDeltas(req.body.variants) && !(await permissionService.hasPermission(req.user, 'canChangePrices'))) {
+      return res.status(403).json({ error: 'Insufficient permissions', permission: 'canChangePrices' });
+    }
+
+    const [items] = await pool.execute('SELECT id FROM menu_items WHERE id = ?', [req.params.id]);
+    if (items.length === 0) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    const options = await modifierService.getItemOptions([items[0].id], pool, { includeInactive: true });
+    const before = options.get(items[0].id).variants;
+    const variants = await modifierService.saveItemVariants(items[0].id, req.body.variants);
+
+    await auditService.record(req, {
+      action: 'menu_item.variants_update',
+      entityType: 'menu_item',
+      entityId: items[0].id,
+      before: { variants: before },
+      after: { variants }
+    });
+
+    res.json({ success: true, message: 'Variants updated successfully', variants });
+  } catch (error) {
+    handleError(res, error, 'Update variants');
+  }
+});
+
+// Choose which modifier groups are offered with an item, in display order
+router.put('/items/:id/modifier-groups', authenticateToken, requirePermission('canAddItems'), [
+  body('group_ids').isArray(),
+  body('group_ids.*').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [items] = await pool.execute('SELECT id FROM menu_items WHERE id = ?', [req.params.id]);
+    if (items.length === 0) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    const options = await modifierService.getItemOptions([items[0].id], pool, { includeInactive: true });
+    const before = options.get(items[0].id).modifier_groups;
+    const groups = await modifierService.setItemGroups(items[0].id, req.body.group_ids);
+
+    await auditService.record(req, {
+      action: 'menu_item.modifier_groups_update',
+      entityType: 'menu_item',
+      entityId: items[0].id,
+      before: { group_ids: before.map(group => group.id) },
+      after: { group_ids: groups.map(group => group.id) }
+    });
+
+    res.json({ success: true, message: 'Modifier groups updated successfully', modifier_groups: groups });
+  } catch (error) {
+    handleError(res, error, 'Update item modifier groups');
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,26 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const printerService = require('../services/printerService');
+const socketService = require('../services/socketService');
+const sessionService = require('../services/sessionService');
+const paymentService = require('../services/paymentService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const chargeService = require('../services/chargeService');
+const taxService = require('../services/taxService');
+const promotionService = require('../services/promotionService');
+const modifierService = require('../services/modifierService');
+const discountService = require('../services/discountService');
+const { handleError } = require('../utils/errors');
+
+const { EVENTS } = socketService;
 
 const router = express.Router();
 
 // Get all orders
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('orderProcessing.view'), async (req, res) => {
   try {
     const { status, table_id, date, limit = 50, offset = 0 } = req.query;
     
@@ -26,6 +39,12 @@ router.get('/', authenticateToken, async (req, res) => {
     `;
     
     const params = [];
+
+    // Customers only see their own orders
+    if (req.user.role === 'User') {
+      query += ' AND o.user_id = ?';
+      params.push(req.user.id);
+    }
     
     if (status) {
       query += ' AND o.status = ?';
@@ -52,14 +71,17 @@ router.get('/', authenticateToken, async (req, res) => {
       const [items] = await pool.execute(`
         SELECT 
           oi.*,
-          mi.name as item_name,
           mi.description
         FROM order_items oi
         JOIN menu_items mi ON oi.menu_item_id = mi.id
         WHERE oi.order_id = ?
       `, [order.id]);
       
-      order.items = items;
+      const modifiers = await modifierService.getOrderItemModifiers(items.map(item => item.id));
+      order.items = items.map(item => ({
+        ...item,
+        modifiers: modifiers.filter(modifier => modifier.order_item_id === item.id)
+      }));
     }
     
     res.json({ success: true, orders });
@@ -70,7 +92,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get single order
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('orderProcessing.view'), async (req, res) => {
   try {
     const [orders] = await pool.execute(`
       SELECT 
@@ -87,7 +109,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       WHERE o.id = ?
     `, [req.params.id]);
 
-    if (orders.length === 0) {
+    if (orders.length === 0 || (req.user.role === 'User' && orders[0].user_id !== req.user.id)) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
@@ -97,7 +119,6 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const [items] = await pool.execute(`
       SELECT 
         oi.*,
-        mi.name as item_name,
         mi.description,
         mi.preparation_time
       FROM order_items oi
@@ -106,7 +127,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
       ORDER BY oi.id
     `, [order.id]);
 
-    order.items = items;
+    const modifiers = await modifierService.getOrderItemModifiers(items.map(item => item.id));
+    order.items = items.map(item => ({
+      ...item,
+      modifiers: modifiers.filter(modifier => modifier.order_item_id === item.id)
+    }));
 
     // Get KOTs for this order
     const [kots] = await pool.execute(`
@@ -114,6 +139,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
     `, [order.id]);
 
     order.kots = kots;
+    order.promotions = await promotionService.getOrderPromotions(order.id);
+    order.charges = await chargeService.getOrderCharges(order.id);
+    order.taxes = await taxService.getTaxSummary(order.id);
+    order.discounts = await discountService.getOrderDiscounts(order.id);
 
     res.json({ success: true, order });
   } catch (error) {
@@ -123,13 +152,17 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new order
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, requirePermission('orderProcessing.create'), [
   body('table_id').optional().isInt(),
+  body('session_id').optional().isInt(),
   body('customer_name').optional().trim(),
   body('order_type').isIn(['Dine-in', 'Takeaway', 'Delivery']),
   body('items').isArray({ min: 1 }),
   body('items.*.menu_item_id').isInt(),
-  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.quantity').isInt({ min: 1, max: 999 }),
+  body('items.*.variant_id').optional({ nullable: true }).isInt(),
+  body('items.*.modifier_ids').optional().isArray(),
+  body('items.*.modifier_ids.*').isInt(),
   body('items.*.special_instructions').optional().trim()
 ], async (req, res) => {
   const connection = await pool.getConnection();
@@ -152,68 +185,152 @@ router.post('/', authenticateToken, [
       special_instructions
     } = req.body;
 
+    // Attach the order to a running session: the one given, or the table's current one
+    let orderTableId = table_id || null;
+    let orderSessionId = session_id || null;
+
+    if (orderSessionId) {
+      const [sessions] = await connection.execute(
+        'SELECT id, table_id, status FROM sessions WHERE id = ?',
+        [orderSessionId]
+      );
+
+      if (sessions.length === 0 || !sessionService.OPEN_STATUSES.includes(sessions[0].status)) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Session not found or not active' });
+      }
+
+      if (orderTableId && sessions[0].table_id !== parseInt(orderTableId)) {
+        await connection.rollback();
+        return res.status(400).json({ error: 'Session does not belong to this table' });
+      }
+
+      orderTableId = sessions[0].table_id;
+    } else if (orderTableId) {
+      const openSession = await sessionService.findOpenSessionForTable(orderTableId, connection);
+      if (openSession) {
+        orderSessionId = openSession.id;
+      }
+    }
+
     // Generate order number
     const orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 
-    // Calculate totals
-    let subtotal = 0;
+    // Price the cart; tax is worked out per line from each item's tax class
+    const taxClasses = await taxService.resolveForItems(items.map(item => item.menu_item_id), connection);
+    const itemOptions = await modifierService.getItemOptions(
+      [...new Set(items.map(item => parseInt(item.menu_item_id)))],
+      connection
+    );
     const orderItems = [];
 
     for (const item of items) {
-      const [menuItems] = await connection.execute(
-        'SELECT * FROM menu_items WHERE id = ? AND is_available = TRUE',
-        [item.menu_item_id]
-      );
+      // Archived items, or items in an archived subcategory or category, cannot be ordered
+      const [menuItems] = await connection.execute(`
+        SELECT mi.* FROM menu_items mi
+        JOIN subcategories sc ON mi.subcategory_id = sc.id
+        JOIN categories c ON sc.category_id = c.id
+        WHERE mi.id = ? AND mi.is_available = TRUE
+          AND mi.archived_at IS NULL AND sc.archived_at IS NULL AND c.archived_at IS NULL
+      `, [item.menu_item_id]);
 
       if (menuItems.length === 0) {
         await connection.rollback();
         return res.status(400).json({ error: `Menu item ${item.menu_item_id} not found or unavailable` });
       }
 
+      // The variant and modifiers chosen add their price deltas to the unit price
       const menuItem = menuItems[0];
-      const totalPrice = menuItem.price * item.quantity;
-      subtotal += totalPrice;
+      const selection = modifierService.resolveSelection(menuItem, itemOptions.get(menuItem.id), item);
+      const unitPrice = Math.max(0, Math.round(menuItem.price * 100) + Math.round(selection.price_delta * 100)) / 100;
 
       orderItems.push({
         menu_item_id: item.menu_item_id,
+        item_name: menuItem.name,
+        menu_price: menuItem.price,
+        name: selection.variant ? `${menuItem.name} (${selection.variant.name})` : menuItem.name,
+        subcategory_id: menuItem.subcategory_id,
+        variant: selection.variant,
+        modifiers: selection.modifiers,
         quantity: item.quantity,
-        unit_price: menuItem.price,
-        total_price: totalPrice,
-        special_instructions: item.special_instructions || null
+        unit_price: unitPrice,
+        total_price: (Math.round(unitPrice * 100) * item.quantity) / 100,
+        special_instructions: item.special_instructions || null,
+        tax_class: taxClasses.get(menuItem.id),
+        tax_inclusive: menuItem.tax_inclusive
       });
     }
 
-    // Get tax rate from settings
-    const [taxSettings] = await connection.execute(
-      'SELECT setting_value FROM system_settings WHERE setting_key = "tax_rate"'
-    );
-    const taxRate = taxSettings.length > 0 ? parseFloat(taxSettings[0].setting_value) : 8.5;
-    const taxAmount = (subtotal * taxRate) / 100;
-    const totalAmount = subtotal + taxAmount;
+    // Promotions running now come off each line before it is taxed
+    const { lineSavings, applied: promotions } = await promotionService.evaluate(orderItems, connection);
+    let subtotalCents = 0;
+    let taxCents = 0;
+    let promotionCents = 0;
+
+    orderItems.forEach((item, index) => {
+      item.promotion_amount = lineSavings[index];
+      item.tax = taxService.calculateLine(item.total_price - item.promotion_amount, {
+        taxClass: item.tax_class,
+        inclusive: item.tax_inclusive
+      });
+      subtotalCents += Math.round(item.tax.taxable_amount * 100);
+      taxCents += Math.round(item.tax.tax_amount * 100);
+      promotionCents += Math.round(item.promotion_amount * 100);
+    });
+
+    // Subtotal is the items after promotions and before tax (tax-inclusive prices net of their tax)
+    const subtotal = subtotalCents / 100;
+    const taxAmount = taxCents / 100;
+    const promotionAmount = promotionCents / 100;
+
+    // Service and packaging charges that apply to this order and table type
+    let tableType = null;
+    if (orderTableId) {
+      const [tables] = await connection.execute(
+        'SELECT table_type FROM restaurant_tables WHERE id = ?',
+        [orderTableId]
+      );
+      tableType = tables.length > 0 ? tables[0].table_type : null;
+    }
+
+    const charges = await chargeService.calculate({ orderType: order_type, tableType, subtotal }, connection);
+    const chargesAmount = chargeService.total(charges);
+    const totalAmount = (subtotalCents + taxCents + Math.round(chargesAmount * 100)) / 100;
 
     // Create order
     const [orderResult] = await connection.execute(`
       INSERT INTO orders (
         order_number, table_id, session_id, user_id, customer_name, order_type,
-        subtotal, tax_amount, total_amount, special_instructions, created_by
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        subtotal, promotion_amount, tax_amount, charges_amount, total_amount, special_instructions, created_by, terminal_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
-      orderNumber, table_id, session_id, req.user.id, customer_name, order_type,
-      subtotal, taxAmount, totalAmount, special_instructions, req.user.id
+      orderNumber, orderTableId, orderSessionId, req.user.id, customer_name, order_type,
+      subtotal, promotionAmount, taxAmount, chargesAmount, totalAmount, special_instructions, req.user.id, req.user.terminal_id || null
     ]);
 
     const orderId = orderResult.insertId;
 
+    await chargeService.saveOrderCharges(orderId, charges, connection);
+    await promotionService.saveOrderPromotions(orderId, promotions, connection);
+
     // Create order items
     for (const item of orderItems) {
-      await connection.execute(`
+      const [itemResult] = await connection.execute(`
         INSERT INTO order_items (
-          order_id, menu_item_id, quantity, unit_price, total_price, special_instructions
-        ) VALUES (?, ?, ?, ?, ?, ?)
+          order_id, menu_item_id, item_name, variant_id, variant_name, quantity, menu_price, unit_price, total_price,
+          promotion_amount, tax_class_id, tax_inclusive, tax_rate, taxable_amount, tax_amount, special_instructions
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
-        orderId, item.menu_item_id, item.quantity, 
-        item.unit_price, item.total_price, item.special_instructions
+        orderId, item.menu_item_id, item.item_name, item.variant ? item.variant.id : null, item.variant ? item.variant.name : null,
+        item.quantity, item.menu_price, 
+        item.unit_price, item.total_price, item.promotion_amount,
+        item.tax.tax_class_id, item.tax.tax_inclusive, item.tax.tax_rate, item.tax.taxable_amount, item.tax.tax_amount,
+        item.special_instructions
       ]);
+
+      await taxService.saveLineTaxes(orderId, itemResult.insertId, item.tax.components, connection);
+      await modifierService.saveOrderItemModifiers(itemResult.insertId, item.modifiers, connection);
+      item.id = itemResult.insertId;
     }
 
     // Create KOT
@@ -246,30 +363,50 @@ router.post('/', authenticateToken, [
 
     const kotId = kotResult.insertId;
 
-    // Create KOT items
-    const [createdOrderItems] = await connection.execute(
-      'SELECT * FROM order_items WHERE order_id = ?',
-      [orderId]
-    );
-
-    for (const orderItem of createdOrderItems) {
-      const [menuItem] = await connection.execute(
-        'SELECT name FROM menu_items WHERE id = ?',
-        [orderItem.menu_item_id]
-      );
-
+    // Create KOT items; the variant is part of the name the kitchen sees
+    for (const item of orderItems) {
       await connection.execute(`
         INSERT INTO kot_items (
           kot_id, order_item_id, menu_item_name, quantity, special_instructions
         ) VALUES (?, ?, ?, ?, ?)
       `, [
-        kotId, orderItem.id, menuItem[0].name, 
-        orderItem.quantity, orderItem.special_instructions
+        kotId, item.id, item.name,
+        item.quantity, item.special_instructions
       ]);
     }
 
     await connection.commit();
 
+    socketService.emit(EVENTS.ORDER_CREATED, {
+      order_id: orderId,
+      order_number: orderNumber,
+      table_id: orderTableId,
+      session_id: orderSessionId,
+      order_type,
+      total_amount: totalAmount,
+      created_by: req.user.id
+    }, { tableId: orderTableId, userId: req.user.id });
+
+    socketService.emit(EVENTS.KOT_CREATED, {
+      kot_id: kotId,
+      kot_number: kotNumber,
+      order_id: orderId,
+      table_id: orderTableId,
+      category_type: categoryType,
+      status: 'Pending'
+    }, { tableId: orderTableId });
+
+    const [auditItems] = await pool.execute(
+      'SELECT menu_item_id, item_name, variant_name, quantity, unit_price, total_price, promotion_amount, tax_rate, tax_amount FROM order_items WHERE order_id = ?',
+      [orderId]
+    );
+    await auditService.record(req, {
+      action: 'order.create',
+      entityType: 'order',
+      entityId: orderId,
+      after: { ...(await auditService.snapshot('orders', orderId)), items: auditItems, charges, promotions }
+    });
+
     // Auto-print KOT if enabled
     const [kotSettings] = await pool.execute(
       'SELECT setting_value FROM system_settings WHERE setting_key = "kot_auto_print"'
@@ -291,21 +428,23 @@ router.post('/', authenticateToken, [
         id: orderId,
         order_number: orderNumber,
         kot_number: kotNumber,
+        session_id: orderSessionId,
+        promotions,
+        charges,
         total_amount: totalAmount
       }
     });
 
   } catch (error) {
     await connection.rollback();
-    console.error('Create order error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    handleError(res, error, 'Create order');
   } finally {
     connection.release();
   }
 });
 
 // Update order status
-router.put('/:id/status', authenticateToken, authorizeRoles('Admin', 'Staff', 'Manager'), [
+router.put('/:id/status', authenticateToken, requirePermission('orderProcessing.modify'), [
   body('status').isIn(['Pending', 'Confirmed', 'Preparing', 'Ready', 'Served', 'Completed', 'Cancelled'])
 ], async (req, res) => {
   try {
@@ -317,11 +456,53 @@ router.put('/:id/status', authenticateToken, authorizeRoles('Admin', 'Staff', 'M
     const { status } = req.body;
     const orderId = req.params.id;
 
+    // Paid orders are cancelled through the void endpoint so the money is refunded and approved
+    if (status === 'Cancelled') {
+      if (!(await permissionService.hasPermission(req.user, 'orderProcessing.cancel'))) {
+        return res.status(403).json({ error: 'Insufficient permissions', permission: 'orderProcessing.cancel' });
+      }
+
+      const [paid] = await pool.execute(
+        'SELECT id FROM orders WHERE id = ? AND payment_status IN ("Paid", "Partial")',
+        [orderId]
+      );
+      if (paid.length > 0) {
+        return res.status(409).json({ error: 'Order has payments; void it with a reason instead' });
+      }
+    }
+
+    const before = await auditService.snapshot('orders', orderId);
+
     await pool.execute(
       'UPDATE orders SET status = ? WHERE id = ?',
       [status, orderId]
     );
 
+    if (before) {
+      await auditService.record(req, {
+        action: status === 'Cancelled' ? 'order.cancel' : 'order.status_change',
+        entityType: 'order',
+        entityId: orderId,
+        before: { status: before.status },
+        after: { status }
+      });
+    }
+
+    const [orders] = await pool.execute(
+      'SELECT id, order_number, table_id, user_id FROM orders WHERE id = ?',
+      [orderId]
+    );
+
+    if (orders.length > 0) {
+      const order = orders[0];
+      socketService.emit(EVENTS.ORDER_STATUS_CHANGED, {
+        order_id: order.id,
+        order_number: order.order_number,
+        table_id: order.table_id,
+        status
+      }, { tableId: order.table_id, userId: order.user_id });
+    }
+
     res.json({ success: true, message: 'Order status updated successfully' });
   } catch (error) {
     console.error('Update order status error:', error);
@@ -329,8 +510,148 @@ router.put('/:id/status', authenticateToken, authorizeRoles('Admin', 'Staff', 'M
   }
 });
 
+// Void (cancel) an order with a reason, refunding any payments taken against it
+router.post('/:id/void', authenticateToken, requirePermission('orderProcessing.cancel'), [
+  body('reason_code').isIn(paymentService.REFUND_REASONS),
+  body('reason_note').optional().trim().isLength({ max: 255 }),
+  body('refund_method').optional().isIn(paymentService.PAYMENT_METHODS),
+  body('approver_email').optional().isEmail(),
+  body('approver_password').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await auditService.snapshot('orders', req.params.id);
+
+    const result = await paymentService.voidOrder(req.params.id, {
+      reasonCode: req.body.reason_code,
+      reasonNote: req.body.reason_note,
+      refundMethod: req.body.refund_method,
+      user: req.user,
+      approval: {
+        approverEmail: req.body.approver_email,
+        approverPassword: req.body.approver_password,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    await auditService.record(req, {
+      action: 'order.void',
+      entityType: 'order',
+      entityId: req.params.id,
+      before,
+      after: {
+        ...(await auditService.snapshot('orders', req.params.id)),
+        refunds: result.refunds,
+        approved_by: result.approved_by
+      }
+    });
+
+    res.json({
+      success: true,
+      message: result.refunds.length > 0 ? 'Order voided and payments refunded' : 'Order voided',
+      refunds: result.refunds,
+      approved_by: result.approved_by,
+      bill: result.bill
+    });
+  } catch (error) {
+    handleError(res, error, 'Void order');
+  }
+});
+
+// Apply an item, bill or offer discount. Over the user's maxDiscount a manager approves with their PIN.
+router.post('/:id/discounts', authenticateToken, requirePermission('billingAccess.generate'), [
+  body('level').isIn(discountService.LEVELS),
+  body('order_item_id').if(body('level').equals('Item')).isInt(),
+  body('calculation').if(body('level').not().equals('Offer')).isIn(discountService.CALCULATIONS),
+  body('value').if(body('level').not().equals('Offer')).isFloat({ gt: 0 }).toFloat(),
+  body('reason').if(body('level').not().equals('Offer')).trim().isLength({ min: 1, max: 255 }),
+  body('reason').optional().trim().isLength({ max: 255 }),
+  body('offer_id').optional().isInt(),
+  body('member_id').optional().isInt(),
+  body('approver_id').optional().isInt(),
+  body('approver_pin').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { level, offer_id, member_id } = req.body;
+    if (level === 'Offer' && !offer_id === !member_id) {
+      return res.status(400).json({ error: 'Offer discounts need either offer_id or member_id' });
+    }
+    if (req.body.calculation === 'Percentage' && req.body.value > 100) {
+      return res.status(400).json({ error: 'A percentage discount cannot exceed 100%' });
+    }
+
+    const before = await auditService.snapshot('orders', req.params.id);
+
+    const result = await discountService.apply(req.params.id, req.body, {
+      user: req.user,
+      approverId: req.body.approver_id,
+      approverPin: req.body.approver_pin
+    });
+
+    await auditService.record(req, {
+      action: 'order.discount',
+      entityType: 'order',
+      entityId: req.params.id,
+      before,
+      after: { ...(await auditService.snapshot('orders', req.params.id)), discount: result.discount }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Discount applied',
+      discount: result.discount,
+      approved_by: result.approver,
+      totals: result.totals
+    });
+  } catch (error) {
+    handleError(res, error, 'Apply discount');
+  }
+});
+
+// Remove a discount from an unpaid order. Users without the discount's level permission need a supervisor's PIN.
+router.delete('/:id/discounts/:discountId', authenticateToken, requirePermission('billingAccess.generate'), [
+  body('approver_id').optional().isInt(),
+  body('approver_pin').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await auditService.snapshot('orders', req.params.id);
+    const result = await discountService.remove(req.params.id, req.params.discountId, {
+      user: req.user,
+      approverId: req.body.approver_id,
+      approverPin: req.body.approver_pin
+    });
+
+    await auditService.record(req, {
+      action: 'order.discount_remove',
+      entityType: 'order',
+      entityId: req.params.id,
+      before: { ...before, discount: result.discount },
+      after: { ...(await auditService.snapshot('orders', req.params.id)), approved_by: result.approver }
+    });
+
+    res.json({ success: true, message: 'Discount removed', approved_by: result.approver, totals: result.totals });
+  } catch (error) {
+    handleError(res, error, 'Remove discount');
+  }
+});
+
 // Print KOT
-router.post('/:id/print-kot', authenticateToken, authorizeRoles('Admin', 'Staff', 'Manager'), async (req, res) => {
+router.post('/:id/print-kot', authenticateToken, requirePermission('kotManagement.print'), async (req, res) => {
   try {
     const orderId = req.params.id;
 
@@ -345,6 +666,9 @@ router.post('/:id/print-kot', authenticateToken, authorizeRoles('Admin', 'Staff'
     }
 
     const result = await printerService.printKOT(kots[0].id);
+
+    await auditService.record(req, { action: 'kot.print', entityType: 'kot', entityId: kots[0].id, after: { order_id: Number(orderId) } });
+
     res.json(result);
   } catch (error) {
     console.error('Print KOT error:', error);
@@ -353,10 +677,14 @@ router.post('/:id/print-kot', authenticateToken, authorizeRoles('Admin', 'Staff'
 });
 
 // Print receipt
-router.post('/:id/print-receipt', authenticateToken, authorizeRoles('Admin', 'Staff', 'Manager'), async (req, res) => {
+router.post('/:id/print-receipt', authenticateToken, requirePermission('billingAccess.generate'), async (req, res) => {
   try {
     const orderId = req.params.id;
     const result = await printerService.printReceipt(orderId);
+
+    // Reprinted receipts matter in disputes
+    await auditService.record(req, { action: 'order.print_receipt', entityType: 'order', entityId: orderId });
+
     res.json(result);
   } catch (error) {
     console.error('Print receipt error:', error);
@@ -0,0 +1,270 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const paymentService = require('../services/paymentService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const { PAYMENT_METHODS, REFUND_REASONS } = paymentService;
+
+const router = express.Router();
+
+// Get all payments
+router.get('/', authenticateToken, requirePermission('billingAccess.payments'), async (req, res) => {
+  try {
+    const { date, payment_method, order_id, session_id, limit = 100, offset = 0 } = req.query;
+
+    let sql = `
+      SELECT 
+        p.*,
+        o.order_number,
+        s.session_id as session_code,
+        u.full_name as processed_by_name
+      FROM payments p
+      LEFT JOIN orders o ON p.order_id = o.id
+      LEFT JOIN sessions s ON p.session_id = s.id
+      LEFT JOIN users u ON p.processed_by = u.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+
+    if (date) {
+      sql += ' AND DATE(p.processed_at) = ?';
+      params.push(date);
+    }
+
+    if (payment_method) {
+      sql += ' AND p.payment_method = ?';
+      params.push(payment_method);
+    }
+
+    if (order_id) {
+      sql += ' AND p.order_id = ?';
+      params.push(order_id);
+    }
+
+    if (session_id) {
+      sql += ' AND p.session_id = ?';
+      params.push(session_id);
+    }
+
+    sql += ' ORDER BY p.processed_at DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [payments] = await pool.query(sql, params);
+
+    res.json({ success: true, payments });
+  } catch (error) {
+    handleError(res, error, 'Get payments');
+  }
+});
+
+// Daily takings by payment method
+router.get('/summary', authenticateToken, requirePermission('reportAccess.daily'), [
+  query('date').optional().isDate()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date = new Date().toISOString().split('T')[0] } = req.query;
+    const summary = await paymentService.getDailySummary(date);
+
+    res.json({ success: true, summary });
+  } catch (error) {
+    handleError(res, error, 'Get payment summary');
+  }
+});
+
+// Bill total, amount paid and balance for an order or session
+router.get('/bill', authenticateToken, requirePermission('billingAccess.generate'), [
+  query('order_id').optional().isInt(),
+  query('session_id').optional().isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bill = await paymentService.getBill({
+      orderId: req.query.order_id,
+      sessionId: req.query.session_id
+    });
+
+    res.json({ success: true, bill });
+  } catch (error) {
+    handleError(res, error, 'Get bill');
+  }
+});
+
+// Take one or more tenders against an order or session
+router.post('/', authenticateToken, requirePermission('billingAccess.payments'), [
+  body('order_id').optional().isInt(),
+  body('session_id').optional().isInt(),
+  body('tenders').isArray({ min: 1 }),
+  body('tenders.*.payment_method').isIn(PAYMENT_METHODS),
+  body('tenders.*.amount').isFloat({ gt: 0 }),
+  body('tenders.*.transaction_reference').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { order_id, session_id, tenders } = req.body;
+
+    if (Boolean(order_id) === Boolean(session_id)) {
+      return res.status(400).json({ error: 'Provide either order_id or session_id' });
+    }
+
+    const result = await paymentService.recordPayments({
+      orderId: order_id,
+      sessionId: session_id,
+      tenders,
+      processedBy: req.user.id,
+      terminalId: req.user.terminal_id
+    });
+
+    await auditService.record(req, {
+      action: 'payment.create',
+      entityType: order_id ? 'order' : 'session',
+      entityId: order_id || session_id,
+      after: { payment_ids: result.paymentIds, tenders, change: result.change, payment_status: result.bill.payment_status }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.bill.payment_status === 'Paid' ? 'Bill fully paid' : 'Partial payment recorded',
+      change: result.change,
+      payment_ids: result.paymentIds,
+      bill: result.bill
+    });
+  } catch (error) {
+    handleError(res, error, 'Record payment');
+  }
+});
+
+// Refunds issued, newest first
+router.get('/refunds', authenticateToken, requirePermission('billingAccess.reports'), [
+  query('date').optional().isDate(),
+  query('reason_code').optional().isIn(REFUND_REASONS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, reason_code, order_id, session_id, limit = 100, offset = 0 } = req.query;
+
+    let sql = `
+      SELECT 
+        r.*,
+        p.payment_id as payment_code,
+        p.payment_method,
+        o.order_number,
+        s.session_id as session_code,
+        requester.full_name as requested_by_name,
+        approver.full_name as approved_by_name
+      FROM refunds r
+      JOIN payments p ON r.payment_id = p.id
+      LEFT JOIN orders o ON r.order_id = o.id
+      LEFT JOIN sessions s ON r.session_id = s.id
+      LEFT JOIN users requester ON r.requested_by = requester.id
+      LEFT JOIN users approver ON r.approved_by = approver.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+
+    if (date) {
+      sql += ' AND DATE(r.created_at) = ?';
+      params.push(date);
+    }
+
+    if (reason_code) {
+      sql += ' AND r.reason_code = ?';
+      params.push(reason_code);
+    }
+
+    if (order_id) {
+      sql += ' AND r.order_id = ?';
+      params.push(order_id);
+    }
+
+    if (session_id) {
+      sql += ' AND r.session_id = ?';
+      params.push(session_id);
+    }
+
+    sql += ' ORDER BY r.created_at DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [refunds] = await pool.query(sql, params);
+
+    res.json({ success: true, refunds });
+  } catch (error) {
+    handleError(res, error, 'Get refunds');
+  }
+});
+
+// Refund part or all of a payment. Staff without refund rights need a supervisor's credentials.
+router.post('/:id/refund', authenticateToken, requirePermission('billingAccess.payments'), [
+  body('amount').optional().isFloat({ gt: 0 }),
+  body('reason_code').isIn(REFUND_REASONS),
+  body('reason_note').optional().trim().isLength({ max: 255 }),
+  body('refund_method').optional().isIn(PAYMENT_METHODS),
+  body('transaction_reference').optional().trim(),
+  body('approver_email').optional().isEmail(),
+  body('approver_password').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await auditService.snapshot('payments', req.params.id);
+
+    const result = await paymentService.refund(req.params.id, {
+      amount: req.body.amount,
+      refundMethod: req.body.refund_method,
+      reasonCode: req.body.reason_code,
+      reasonNote: req.body.reason_note,
+      reference: req.body.transaction_reference,
+      user: req.user,
+      approval: {
+        approverEmail: req.body.approver_email,
+        approverPassword: req.body.approver_password,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    await auditService.record(req, {
+      action: 'payment.refund',
+      entityType: 'payment',
+      entityId: req.params.id,
+      before,
+      after: { ...(await auditService.snapshot('payments', req.params.id)), refund: result.refund, approved_by: result.approved_by }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund recorded',
+      refund: result.refund,
+      approved_by: result.approved_by,
+      bill: result.bill
+    });
+  } catch (error) {
+    handleError(res, error, 'Refund payment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const socketService = require('../services/socketService');
+const { handleError } = require('../utils/errors');
+
+const { EVENTS } = socketService;
+
+const router = express.Router();
+
+// Effective permissions of the signed-in user (for hiding screens and buttons)
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const permissions = await permissionService.getEffectivePermissions(req.user);
+    res.json({ success: true, role: req.user.role, permissions });
+  } catch (error) {
+    handleError(res, error, 'Get own permissions');
+  }
+});
+
+// Defaults for every role
+router.get('/roles', authenticateToken, requirePermission('canManageStaff'), async (req, res) => {
+  try {
+    const roles = await permissionService.getRoleDefaults();
+    res.json({ success: true, roles });
+  } catch (error) {
+    handleError(res, error, 'Get role permissions');
+  }
+});
+
+// Change some of a role's defaults; paths not sent keep their value
+router.put('/roles/:role', authenticateToken, requirePermission('canManageStaff'), [
+  param('role').isIn(permissionService.ROLES),
+  body('permissions').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = (await permissionService.getRoleDefaults())[req.params.role];
+
+    const permissions = await permissionService.updateRole(req.params.role, req.body.permissions, {
+      updatedBy: req.user.id
+    });
+
+    await auditService.record(req, {
+      action: 'permissions.role_update',
+      entityType: 'role',
+      entityId: req.params.role,
+      before,
+      after: permissions
+    });
+
+    socketService.emit(EVENTS.PERMISSIONS_UPDATED, { role: req.params.role }, { roles: [req.params.role] });
+
+    res.json({ success: true, message: 'Role permissions updated', role: req.params.role, permissions });
+  } catch (error) {
+    handleError(res, error, 'Update role permissions');
+  }
+});
+
+// Role defaults, overrides and effective permissions of one user
+router.get('/users/:id', authenticateToken, requirePermission('canManageStaff'), async (req, res) => {
+  try {
+    const permissions = await permissionService.getUserPermissions(req.params.id);
+    res.json({ success: true, ...permissions });
+  } catch (error) {
+    handleError(res, error, 'Get user permissions');
+  }
+});
+
+// Replace a user's overrides (send {} to fall back to the role defaults)
+router.put('/users/:id', authenticateToken, requirePermission('canManageStaff'), [
+  body('permissions').isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await permissionService.getUserOverrides(parseInt(req.params.id));
+
+    const permissions = await permissionService.setUserOverrides(req.params.id, req.body.permissions, {
+      updatedBy: req.user.id
+    });
+
+    await auditService.record(req, {
+      action: 'permissions.user_update',
+      entityType: 'user',
+      entityId: permissions.user.id,
+      before,
+      after: permissions.overrides
+    });
+
+    socketService.emit(EVENTS.PERMISSIONS_UPDATED, { user_id: permissions.user.id }, {
+      roles: [],
+      userId: permissions.user.id
+    });
+
+    res.json({ success: true, message: 'User permissions updated', ...permissions });
+  } catch (error) {
+    handleError(res, error, 'Update user permissions');
+  }
+});
+
+// Remove all of a user's overrides
+router.delete('/users/:id', authenticateToken, requirePermission('canManageStaff'), async (req, res) => {
+  try {
+    const before = await permissionService.getUserOverrides(parseInt(req.params.id));
+
+    const permissions = await permissionService.setUserOverrides(req.params.id, {}, { updatedBy: req.user.id });
+
+    await auditService.record(req, {
+      action: 'permissions.user_reset',
+      entityType: 'user',
+      entityId: permissions.user.id,
+      before,
+      after: {}
+    });
+
+    socketService.emit(EVENTS.PERMISSIONS_UPDATED, { user_id: permissions.user.id }, {
+      roles: [],
+      userId: permissions.user.id
+    });
+
+    res.json({ success: true, message: 'User permissions reset to role defaults', ...permissions });
+  } catch (error) {
+    handleError(res, error, 'Reset user permissions');
+  }
+});
+
+module.exports = router;
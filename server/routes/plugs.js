@@ -0,0 +1,273 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const plugService = require('../services/plugService');
+const auditService = require('../services/auditService');
+const { listDrivers, getDriver } = require('../services/plugDrivers');
+const { handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Never send device credentials to clients
+const sanitizePlug = ({ auth_password, ...plug }) => ({ ...plug, has_auth: Boolean(plug.auth_username || auth_password) });
+
+const isKnownDriver = (value) => {
+  if (!getDriver(value)) {
+    throw new Error(`Unknown driver. Available: ${listDrivers().map(driver => driver.name).join(', ')}`);
+  }
+  return true;
+};
+
+// Get available drivers
+router.get('/drivers', authenticateToken, requirePermission('deviceManagement.view'), (req, res) => {
+  res.json({ success: true, drivers: listDrivers() });
+});
+
+// Get all smart plugs
+router.get('/', authenticateToken, requirePermission('deviceManagement.view'), async (req, res) => {
+  try {
+    const [plugs] = await pool.execute(`
+      SELECT 
+        sp.*,
+        rt.table_number,
+        rt.table_name
+      FROM smart_plugs sp
+      LEFT JOIN restaurant_tables rt ON sp.table_id = rt.id
+      ORDER BY sp.name
+    `);
+
+    res.json({ success: true, plugs: plugs.map(sanitizePlug) });
+  } catch (error) {
+    handleError(res, error, 'Get smart plugs');
+  }
+});
+
+// Get single smart plug
+router.get('/:id', authenticateToken, requirePermission('deviceManagement.view'), async (req, res) => {
+  try {
+    const plug = await plugService.getPlug(req.params.id);
+    res.json({ success: true, plug: sanitizePlug(plug) });
+  } catch (error) {
+    handleError(res, error, 'Get smart plug');
+  }
+});
+
+// Add new smart plug
+router.post('/', authenticateToken, requirePermission('deviceManagement.plugs'), [
+  body('plug_id').isLength({ min: 1, max: 50 }).trim(),
+  body('name').isLength({ min: 1 }).trim(),
+  body('driver').custom(isKnownDriver),
+  body('ip_address').optional({ nullable: true }).isIP(),
+  body('port').optional({ nullable: true }).isInt({ min: 1, max: 65535 }),
+  body('channel').optional().isInt({ min: 0 }),
+  body('mac_address').optional({ nullable: true }).isMACAddress(),
+  body('table_id').optional({ nullable: true }).isInt(),
+  body('auth_username').optional({ nullable: true }).trim(),
+  body('auth_password').optional({ nullable: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      plug_id,
+      name,
+      driver,
+      ip_address,
+      port,
+      channel = 0,
+      mac_address,
+      table_id,
+      auth_username,
+      auth_password
+    } = req.body;
+
+    if (driver !== 'simulator' && !ip_address) {
+      return res.status(400).json({ error: 'ip_address is required for network plugs' });
+    }
+
+    const [existing] = await pool.execute(
+      'SELECT id FROM smart_plugs WHERE plug_id = ?',
+      [plug_id]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({ error: 'Plug ID already exists' });
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(`
+        INSERT INTO smart_plugs (plug_id, name, driver, ip_address, port, channel, mac_address, auth_username, auth_password)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        plug_id, name, driver, ip_address || null, port || null, channel,
+        mac_address || null, auth_username || null, auth_password || null
+      ]);
+
+      if (table_id) {
+        await plugService.assignTable(result.insertId, table_id, connection);
+      }
+
+      await auditService.record(req, {
+        action: 'smart_plug.create',
+        entityType: 'smart_plug',
+        entityId: result.insertId,
+        after: { ...(await auditService.snapshot('smart_plugs', result.insertId, connection)), table_id: table_id || null }
+      }, connection);
+
+      await connection.commit();
+
+      res.status(201).json({
+        success: true,
+        message: 'Smart plug added successfully',
+        plug_id: result.insertId
+      });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    handleError(res, error, 'Add smart plug');
+  }
+});
+
+// Update smart plug
+router.put('/:id', authenticateToken, requirePermission('deviceManagement.plugs'), [
+  body('name').optional().isLength({ min: 1 }).trim(),
+  body('driver').optional().custom(isKnownDriver),
+  body('ip_address').optional({ nullable: true }).isIP(),
+  body('port').optional({ nullable: true }).isInt({ min: 1, max: 65535 }),
+  body('channel').optional().isInt({ min: 0 }),
+  body('mac_address').optional({ nullable: true }).isMACAddress(),
+  body('table_id').optional({ nullable: true }).isInt(),
+  body('auth_username').optional({ nullable: true }).trim(),
+  body('auth_password').optional({ nullable: true }),
+  body('is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plug = await plugService.getPlug(req.params.id);
+
+    const fields = ['name', 'driver', 'ip_address', 'port', 'channel', 'mac_address', 'auth_username', 'auth_password', 'is_active'];
+    const updates = {};
+    const values = [];
+
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+        values.push(req.body[field] === '' ? null : req.body[field]);
+      }
+    }
+
+    if (values.length === 0 && req.body.table_id === undefined) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      if (values.length > 0) {
+        values.push(plug.id);
+        const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+        await connection.execute(
+          `UPDATE smart_plugs SET ${setClause} WHERE id = ?`,
+          values
+        );
+      }
+
+      if (req.body.table_id !== undefined) {
+        await plugService.assignTable(plug.id, req.body.table_id, connection);
+      }
+
+      await auditService.record(req, {
+        action: 'smart_plug.update',
+        entityType: 'smart_plug',
+        entityId: plug.id,
+        before: plug,
+        after: {
+          ...(await auditService.snapshot('smart_plugs', plug.id, connection)),
+          ...(req.body.table_id !== undefined && { table_id: req.body.table_id })
+        }
+      }, connection);
+
+      await connection.commit();
+
+      res.json({ success: true, message: 'Smart plug updated successfully' });
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  } catch (error) {
+    handleError(res, error, 'Update smart plug');
+  }
+});
+
+// Delete smart plug
+router.delete('/:id', authenticateToken, requirePermission('deviceManagement.plugs'), async (req, res) => {
+  try {
+    const plug = await plugService.getPlug(req.params.id);
+
+    await pool.execute(
+      'UPDATE restaurant_tables SET smart_plug_id = NULL WHERE smart_plug_id = ?',
+      [plug.plug_id]
+    );
+    await pool.execute('DELETE FROM smart_plugs WHERE id = ?', [plug.id]);
+
+    await auditService.record(req, { action: 'smart_plug.delete', entityType: 'smart_plug', entityId: plug.id, before: plug });
+
+    res.json({ success: true, message: 'Smart plug deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Delete smart plug');
+  }
+});
+
+// Switch plug on
+router.post('/:id/on', authenticateToken, requirePermission('deviceManagement.control'), async (req, res) => {
+  try {
+    const plug = await plugService.turnOn(req.params.id);
+    await auditService.record(req, { action: 'smart_plug.on', entityType: 'smart_plug', entityId: plug.id });
+    res.json({ success: true, message: 'Smart plug switched on', plug: sanitizePlug(plug) });
+  } catch (error) {
+    handleError(res, error, 'Smart plug on');
+  }
+});
+
+// Switch plug off
+router.post('/:id/off', authenticateToken, requirePermission('deviceManagement.control'), async (req, res) => {
+  try {
+    const plug = await plugService.turnOff(req.params.id);
+    await auditService.record(req, { action: 'smart_plug.off', entityType: 'smart_plug', entityId: plug.id });
+    res.json({ success: true, message: 'Smart plug switched off', plug: sanitizePlug(plug) });
+  } catch (error) {
+    handleError(res, error, 'Smart plug off');
+  }
+});
+
+// Read live status and power from the device
+router.get('/:id/status', authenticateToken, requirePermission('deviceManagement.view'), async (req, res) => {
+  try {
+    const plug = await plugService.refreshStatus(req.params.id);
+    res.json({ success: true, plug: sanitizePlug(plug) });
+  } catch (error) {
+    handleError(res, error, 'Smart plug status');
+  }
+});
+
+module.exports = router;
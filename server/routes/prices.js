@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const priceService = require('../services/priceService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Wall-clock date with an optional time, on the database clock
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}( ([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?)?$/;
+
+const bulkValidators = [
+  body('category_id').if(body('subcategory_id').not().exists()).isInt().toInt(),
+  body('subcategory_id').optional().isInt().toInt(),
+  body('percent').isFloat({ min: -100, max: 1000 }).toFloat()
+];
+
+// Price history of an item, including scheduled and cancelled changes
+router.get('/items/:id', authenticateToken, requirePermission('canAddItems'), async (req, res) => {
+  try {
+    const { item, prices } = await priceService.history(req.params.id);
+    res.json({ success: true, item, prices });
+  } catch (error) {
+    handleError(res, error, 'Get price history');
+  }
+});
+
+// Change an item's price now, or schedule it with effective_from ("2026-11-01" or "2026-11-01 17:00")
+router.post('/items/:id', authenticateToken, requirePermission('canChangePrices'), [
+  body('price').isFloat({ min: 0 }).toFloat(),
+  body('effective_from').optional({ nullable: true }).matches(DATE_TIME),
+  body('reason').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const change = await priceService.schedule(req.params.id, {
+      price: req.body.price,
+      effectiveFrom: req.body.effective_from,
+      reason: req.body.reason
+    }, { createdBy: req.user.id });
+
+    await auditService.record(req, {
+      action: change.status === 'Applied' ? 'menu_item.price_change' : 'menu_item.price_schedule',
+      entityType: 'menu_item',
+      entityId: change.menu_item_id,
+      after: change
+    });
+
+    res.status(201).json({
+      success: true,
+      message: change.status === 'Applied' ? 'Price changed successfully' : 'Price change scheduled successfully',
+      change
+    });
+  } catch (error) {
+    handleError(res, error, 'Schedule price change');
+  }
+});
+
+// Cancel a scheduled price change
+router.delete('/:id', authenticateToken, requirePermission('canChangePrices'), async (req, res) => {
+  try {
+    const before = await priceService.getChange(req.params.id);
+    const change = await priceService.cancel(req.params.id, { cancelledBy: req.user.id });
+
+    await auditService.record(req, {
+      action: 'menu_item.price_schedule_cancel',
+      entityType: 'menu_item',
+      entityId: change.menu_item_id,
+      before,
+      after: change
+    });
+
+    res.json({ success: true, message: 'Price change cancelled successfully', change });
+  } catch (error) {
+    handleError(res, error, 'Cancel price change');
+  }
+});
+
+// Price each item had at a past date (end of the day unless a time is given)
+router.get('/on', authenticateToken, requirePermission('billingAccess.reports'), [
+  query('date').isDate(),
+  query('time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/),
+  query('menu_item_id').optional().isInt(),
+  query('subcategory_id').optional().isInt(),
+  query('category_id').optional().isInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const at = `${req.query.date} ${req.query.time || '23:59:59'}`;
+    const items = await priceService.pricesAt(at, {
+      menuItemId: req.query.menu_item_id,
+      subcategoryId: req.query.subcategory_id,
+      categoryId: req.query.category_id
+    });
+
+    res.json({ success: true, at, items });
+  } catch (error) {
+    handleError(res, error, 'Get prices on date');
+  }
+});
+
+// Preview a percentage change across a category or subcategory; nothing is saved
+router.post('/bulk/preview', authenticateToken, requirePermission('canChangePrices'), bulkValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const items = await priceService.bulkPreview({
+      categoryId: req.body.category_id,
+      subcategoryId: req.body.subcategory_id,
+      percent: req.body.percent
+    });
+
+    res.json({ success: true, percent: req.body.percent, items });
+  } catch (error) {
+    handleError(res, error, 'Preview bulk price change');
+  }
+});
+
+// Apply or schedule a percentage change across a category or subcategory
+router.post('/bulk', authenticateToken, requirePermission('canChangePrices'), [
+  ...bulkValidators,
+  body('effective_from').optional({ nullable: true }).matches(DATE_TIME),
+  body('reason').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const items = await priceService.bulkApply({
+      categoryId: req.body.category_id,
+      subcategoryId: req.body.subcategory_id,
+      percent: req.body.percent,
+      effectiveFrom: req.body.effective_from,
+      reason: req.body.reason
+    }, { createdBy: req.user.id });
+
+    await auditService.record(req, {
+      action: 'menu.bulk_price_change',
+      entityType: req.body.subcategory_id ? 'subcategory' : 'category',
+      entityId: req.body.subcategory_id || req.body.category_id,
+      after: { percent: req.body.percent, effective_from: req.body.effective_from || null, items }
+    });
+
+    const scheduled = items.some(item => item.status === 'Scheduled');
+    res.json({
+      success: true,
+      message: `${items.length} price changes ${scheduled ? 'scheduled' : 'applied'}`,
+      percent: req.body.percent,
+      items
+    });
+  } catch (error) {
+    handleError(res, error, 'Bulk price change');
+  }
+});
+
+module.exports = router;
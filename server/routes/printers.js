@@ -1,13 +1,26 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { pool } = require('../config/database');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const printerService = require('../services/printerService');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 
+// Printer row with its category mappings, for audit entries
+const printerSnapshot = async (printerId, db) => {
+  const printer = await auditService.snapshot('printers', printerId, db);
+  if (!printer) return null;
+
+  const [mappings] = await db.execute(
+    'SELECT category_id, subcategory_id FROM printer_category_mappings WHERE printer_id = ? ORDER BY id',
+    [printerId]
+  );
+  return { ...printer, category_mappings: mappings };
+};
+
 // Get all printers
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('deviceManagement.view'), async (req, res) => {
   try {
     const [printers] = await pool.execute(`
       SELECT 
@@ -28,7 +41,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get single printer
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('deviceManagement.view'), async (req, res) => {
   try {
     const [printers] = await pool.execute(
       'SELECT * FROM printers WHERE id = ?',
@@ -63,7 +76,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Add new printer
-router.post('/', authenticateToken, authorizeRoles('Admin', 'Manager'), [
+router.post('/', authenticateToken, requirePermission('deviceManagement.printers'), [
   body('name').isLength({ min: 1 }).trim(),
   body('type').isIn(['Kitchen', 'Bar', 'Receipt', 'General']),
   body('ip_address').isIP(),
@@ -106,6 +119,13 @@ router.post('/', authenticateToken, authorizeRoles('Admin', 'Manager'), [
         `, [printerId, mapping.category_id, mapping.subcategory_id || null]);
       }
 
+      await auditService.record(req, {
+        action: 'printer.create',
+        entityType: 'printer',
+        entityId: printerId,
+        after: await printerSnapshot(printerId, connection)
+      }, connection);
+
       await connection.commit();
 
       res.status(201).json({
@@ -126,7 +146,7 @@ router.post('/', authenticateToken, authorizeRoles('Admin', 'Manager'), [
 });
 
 // Update printer
-router.put('/:id', authenticateToken, authorizeRoles('Admin', 'Manager'), [
+router.put('/:id', authenticateToken, requirePermission('deviceManagement.printers'), [
   body('name').optional().isLength({ min: 1 }).trim(),
   body('type').optional().isIn(['Kitchen', 'Bar', 'Receipt', 'General']),
   body('ip_address').optional().isIP(),
@@ -156,6 +176,8 @@ router.put('/:id', authenticateToken, authorizeRoles('Admin', 'Manager'), [
     try {
       await connection.beginTransaction();
 
+      const before = await printerSnapshot(printerId, connection);
+
       // Update printer details
       const updates = {};
       const values = [];
@@ -211,6 +233,16 @@ router.put('/:id', authenticateToken, authorizeRoles('Admin', 'Manager'), [
         }
       }
 
+      if (before) {
+        await auditService.record(req, {
+          action: category_mappings !== undefined ? 'printer.remap' : 'printer.update',
+          entityType: 'printer',
+          entityId: printerId,
+          before,
+          after: await printerSnapshot(printerId, connection)
+        }, connection);
+      }
+
       await connection.commit();
 
       res.json({ success: true, message: 'Printer updated successfully' });
@@ -227,7 +259,7 @@ router.put('/:id', authenticateToken, authorizeRoles('Admin', 'Manager'), [
 });
 
 // Delete printer
-router.delete('/:id', authenticateToken, authorizeRoles('Admin'), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('deviceManagement.printers'), async (req, res) => {
   try {
     const printerId = req.params.id;
 
@@ -236,6 +268,8 @@ router.delete('/:id', authenticateToken, authorizeRoles('Admin'), async (req, re
     try {
       await connection.beginTransaction();
 
+      const before = await printerSnapshot(printerId, connection);
+
       // Delete category mappings first
       await connection.execute(
         'DELETE FROM printer_category_mappings WHERE printer_id = ?',
@@ -253,6 +287,8 @@ router.delete('/:id', authenticateToken, authorizeRoles('Admin'), async (req, re
         return res.status(404).json({ error: 'Printer not found' });
       }
 
+      await auditService.record(req, { action: 'printer.delete', entityType: 'printer', entityId: printerId, before }, connection);
+
       await connection.commit();
 
       res.json({ success: true, message: 'Printer deleted successfully' });
@@ -269,7 +305,7 @@ router.delete('/:id', authenticateToken, authorizeRoles('Admin'), async (req, re
 });
 
 // Test printer
-router.post('/:id/test', authenticateToken, authorizeRoles('Admin', 'Manager', 'Staff'), async (req, res) => {
+router.post('/:id/test', authenticateToken, requirePermission('kotManagement.print'), async (req, res) => {
   try {
     const printerId = req.params.id;
     const result = await printerService.testPrinter(printerId);
@@ -281,7 +317,7 @@ router.post('/:id/test', authenticateToken, authorizeRoles('Admin', 'Manager', '
 });
 
 // Check printer status
-router.get('/:id/status', authenticateToken, async (req, res) => {
+router.get('/:id/status', authenticateToken, requirePermission('deviceManagement.view'), async (req, res) => {
   try {
     const printerId = req.params.id;
     
@@ -302,18 +338,12 @@ router.get('/:id/status', authenticateToken, async (req, res) => {
       const isConnected = await printerInstance.isPrinterConnected();
       
       // Update status in database
-      await pool.execute(
-        'UPDATE printers SET is_online = ? WHERE id = ?',
-        [isConnected, printerId]
-      );
+      await printerService.updatePrinterStatus(printerId, isConnected);
 
       printer.is_online = isConnected;
       printer.status = isConnected ? 'Online' : 'Offline';
     } catch (error) {
-      await pool.execute(
-        'UPDATE printers SET is_online = FALSE WHERE id = ?',
-        [printerId]
-      );
+      await printerService.updatePrinterStatus(printerId, false);
       printer.is_online = false;
       printer.status = 'Offline';
       printer.error = error.message;
@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const promotionService = require('../services/promotionService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const promotionValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').isLength({ min: 1, max: 100 }).trim(),
+    field('promo_type').isIn(promotionService.PROMO_TYPES),
+    body('discount_type').optional({ nullable: true }).isIn(promotionService.DISCOUNT_TYPES),
+    body('discount_value').optional({ nullable: true }).isFloat({ gt: 0 }).toFloat(),
+    body('buy_quantity').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+    body('get_quantity').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+    body('combo_price').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    body('days_of_week').optional({ nullable: true }).isArray({ min: 1 }),
+    body('days_of_week.*').isIn(promotionService.DAYS),
+    body('start_time').optional({ nullable: true }).matches(TIME_OF_DAY),
+    body('end_time').optional({ nullable: true }).matches(TIME_OF_DAY),
+    body('valid_from').optional({ nullable: true }).isDate(),
+    body('valid_to').optional({ nullable: true }).isDate(),
+    body('priority').optional().isInt().toInt(),
+    body('is_active').optional().isBoolean().toBoolean(),
+    body('targets').optional().isArray(),
+    body('targets.*.target_type').isIn(promotionService.TARGET_TYPES),
+    body('targets.*.target_id').isInt().toInt(),
+    body('targets.*.quantity').optional().isInt({ min: 1, max: 99 }).toInt()
+  ];
+};
+
+const reportValidators = [
+  query('from_date').optional().isDate(),
+  query('to_date').optional().isDate()
+];
+
+// Get promotions with their targets
+router.get('/', authenticateToken, requirePermission('orderProcessing.view'), [
+  query('include_inactive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const promotions = await promotionService.list({ includeInactive: req.query.include_inactive });
+    res.json({ success: true, promotions });
+  } catch (error) {
+    handleError(res, error, 'Get promotions');
+  }
+});
+
+// What each promotion cost over a date range, with a daily breakdown
+router.get('/usage', authenticateToken, requirePermission('billingAccess.reports'), reportValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const usage = await promotionService.usageReport({
+      fromDate: req.query.from_date,
+      toDate: req.query.to_date
+    });
+    res.json({ success: true, usage });
+  } catch (error) {
+    handleError(res, error, 'Get promotion usage');
+  }
+});
+
+// Get promotion by ID
+router.get('/:id', authenticateToken, requirePermission('orderProcessing.view'), async (req, res) => {
+  try {
+    const promotion = await promotionService.getPromotion(req.params.id);
+    res.json({ success: true, promotion });
+  } catch (error) {
+    handleError(res, error, 'Get promotion');
+  }
+});
+
+// Usage report for one promotion
+router.get('/:id/usage', authenticateToken, requirePermission('billingAccess.reports'), reportValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = await promotionService.getPromotion(req.params.id);
+    const [usage] = await promotionService.usageReport({
+      promotionId: promotion.id,
+      fromDate: req.query.from_date,
+      toDate: req.query.to_date
+    });
+
+    res.json({
+      success: true,
+      promotion,
+      usage: usage || { promotion_id: promotion.id, orders: 0, times_applied: 0, total_cost: 0, daily: [] }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get promotion usage');
+  }
+});
+
+// Create a promotion, e.g. a happy hour:
+// { name: "Happy Hour", promo_type: "HappyHour", discount_type: "Percentage", discount_value: 20,
+//   start_time: "17:00", end_time: "19:00", targets: [{ target_type: "Category", target_id: 2 }] }
+router.post('/', authenticateToken, requirePermission('canChangePrices'), promotionValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = await promotionService.create(req.body, { createdBy: req.user.id });
+
+    await auditService.record(req, { action: 'promotion.create', entityType: 'promotion', entityId: promotion.id, after: promotion });
+
+    res.status(201).json({ success: true, message: 'Promotion created successfully', promotion });
+  } catch (error) {
+    handleError(res, error, 'Create promotion');
+  }
+});
+
+// Update or (de)activate a promotion; orders already placed keep their savings
+router.put('/:id', authenticateToken, requirePermission('canChangePrices'), promotionValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await promotionService.getPromotion(req.params.id);
+    const promotion = await promotionService.update(req.params.id, req.body);
+
+    await auditService.record(req, { action: 'promotion.update', entityType: 'promotion', entityId: promotion.id, before, after: promotion });
+
+    res.json({ success: true, message: 'Promotion updated successfully', promotion });
+  } catch (error) {
+    handleError(res, error, 'Update promotion');
+  }
+});
+
+// Delete a promotion that has never been applied
+router.delete('/:id', authenticateToken, requirePermission('canChangePrices'), async (req, res) => {
+  try {
+    const promotion = await promotionService.remove(req.params.id);
+
+    await auditService.record(req, { action: 'promotion.delete', entityType: 'promotion', entityId: promotion.id, before: promotion });
+
+    res.json({ success: true, message: 'Promotion deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Delete promotion');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const permissionService = require('../services/permissionService');
+const reservationService = require('../services/reservationService');
+const auditService = require('../services/auditService');
+const tableService = require('../services/tableService');
+const { ServiceError, handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Users who cannot manage reservations only see and act on their own
+const canManage = (req) => permissionService.hasPermission(req.user, 'reservations.manage');
+
+const loadAccessibleReservation = async (req) => {
+  const reservation = await reservationService.findReservation(req.params.id);
+
+  if (!(await canManage(req)) && reservation.user_id !== req.user.id) {
+    throw new ServiceError('Reservation not found', 404);
+  }
+
+  return reservation;
+};
+
+// Get all reservations
+router.get('/', authenticateToken, requirePermission('reservations.view'), async (req, res) => {
+  try {
+    const { status, table_id, date, from_date, to_date, limit = 100, offset = 0 } = req.query;
+
+    let query = `
+      SELECT 
+        r.*,
+        rt.table_number,
+        rt.table_name,
+        rt.table_type,
+        rt.capacity
+      FROM reservations r
+      JOIN restaurant_tables rt ON r.table_id = rt.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+
+    if (!(await canManage(req))) {
+      query += ' AND r.user_id = ?';
+      params.push(req.user.id);
+    }
+
+    if (status) {
+      query += ' AND r.status = ?';
+      params.push(status);
+    }
+
+    if (table_id) {
+      query += ' AND r.table_id = ?';
+      params.push(table_id);
+    }
+
+    if (date) {
+      query += ' AND r.reservation_date = ?';
+      params.push(date);
+    }
+
+    if (from_date) {
+      query += ' AND r.reservation_date >= ?';
+      params.push(from_date);
+    }
+
+    if (to_date) {
+      query += ' AND r.reservation_date <= ?';
+      params.push(to_date);
+    }
+
+    query += ' ORDER BY r.reservation_date, r.reservation_time LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [reservations] = await pool.query(query, params);
+
+    res.json({ success: true, reservations });
+  } catch (error) {
+    handleError(res, error, 'Get reservations');
+  }
+});
+
+// Free start times and tables for the booking wizard
+router.get('/availability', authenticateToken, requirePermission('reservations.view'), [
+  query('table_type').isIn(tableService.TABLE_TYPES),
+  query('date').isDate(),
+  query('party_size').optional().isInt({ min: 1 }).toInt(),
+  query('duration_hours').optional().isFloat({ min: 0.5, max: 12 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { table_type, date, party_size = 1, duration_hours = 2.0 } = req.query;
+
+    const availability = await reservationService.findAvailability({
+      tableType: table_type,
+      date,
+      partySize: party_size,
+      durationHours: duration_hours
+    });
+
+    res.json({ success: true, ...availability });
+  } catch (error) {
+    handleError(res, error, 'Get availability');
+  }
+});
+
+// Get single reservation
+router.get('/:id', authenticateToken, requirePermission('reservations.view'), async (req, res) => {
+  try {
+    const reservation = await loadAccessibleReservation(req);
+    res.json({ success: true, reservation });
+  } catch (error) {
+    handleError(res, error, 'Get reservation');
+  }
+});
+
+// Create reservation
+router.post('/', authenticateToken, requirePermission('reservations.create'), [
+  body('table_id').isInt(),
+  body('customer_name').optional().isLength({ min: 1 }).trim(),
+  body('customer_phone').optional().trim(),
+  body('customer_email').optional().isEmail().normalizeEmail(),
+  body('reservation_date').isDate(),
+  body('reservation_time').matches(TIME_PATTERN),
+  body('party_size').isInt({ min: 1 }).toInt(),
+  body('duration_hours').optional().isFloat({ min: 0.5, max: 12 }).toFloat(),
+  body('special_requests').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isStaff = await canManage(req);
+    const data = {
+      ...req.body,
+      duration_hours: req.body.duration_hours || 2.0,
+      // Customers book for themselves and need confirmation; staff bookings are confirmed
+      user_id: isStaff ? (req.body.user_id || null) : req.user.id,
+      customer_name: req.body.customer_name || (isStaff ? null : req.user.full_name),
+      customer_email: req.body.customer_email || (isStaff ? null : req.user.email),
+      status: isStaff ? 'Confirmed' : 'Pending'
+    };
+
+    if (!data.customer_name) {
+      return res.status(400).json({ error: 'customer_name is required' });
+    }
+
+    const reservation = await reservationService.create(data, { createdBy: req.user.id });
+
+    await auditService.record(req, {
+      action: 'reservation.create',
+      entityType: 'reservation',
+      entityId: reservation.id,
+      after: reservation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reservation created successfully',
+      reservation
+    });
+  } catch (error) {
+    handleError(res, error, 'Create reservation');
+  }
+});
+
+// Update reservation details
+router.put('/:id', authenticateToken, requirePermission('reservations.create'), [
+  body('table_id').optional().isInt().toInt(),
+  body('customer_name').optional().isLength({ min: 1 }).trim(),
+  body('customer_phone').optional().trim(),
+  body('customer_email').optional().isEmail().normalizeEmail(),
+  body('reservation_date').optional().isDate(),
+  body('reservation_time').optional().matches(TIME_PATTERN),
+  body('party_size').optional().isInt({ min: 1 }).toInt(),
+  body('duration_hours').optional().isFloat({ min: 0.5, max: 12 }).toFloat(),
+  body('special_requests').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await loadAccessibleReservation(req);
+
+    const reservation = await reservationService.update(req.params.id, req.body, { changedBy: req.user.id });
+
+    await auditService.record(req, {
+      action: 'reservation.update',
+      entityType: 'reservation',
+      entityId: reservation.id,
+      before,
+      after: reservation
+    });
+
+    res.json({ success: true, message: 'Reservation updated successfully', reservation });
+  } catch (error) {
+    handleError(res, error, 'Update reservation');
+  }
+});
+
+// Status actions
+const statusActions = [
+  { path: 'confirm', status: 'Confirmed', permission: 'reservations.manage' },
+  { path: 'arrive', status: 'Arrived', permission: 'reservations.manage' },
+  { path: 'complete', status: 'Completed', permission: 'reservations.manage' },
+  { path: 'no-show', status: 'No Show', permission: 'reservations.manage' },
+  { path: 'cancel', status: 'Cancelled', permission: 'reservations.create' }
+];
+
+for (const action of statusActions) {
+  router.post(`/:id/${action.path}`, authenticateToken, requirePermission(action.permission), async (req, res) => {
+    try {
+      const before = await loadAccessibleReservation(req);
+
+      const reservation = await reservationService.changeStatus(req.params.id, action.status, {
+        changedBy: req.user.id
+      });
+
+      await auditService.record(req, {
+        action: `reservation.${action.path}`,
+        entityType: 'reservation',
+        entityId: reservation.id,
+        before: { status: before.status },
+        after: { status: reservation.status }
+      });
+
+      res.json({ success: true, message: `Reservation ${action.status.toLowerCase()}`, reservation });
+    } catch (error) {
+      handleError(res, error, 'Update reservation status');
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const paymentService = require('../services/paymentService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+const sessionState = (session) => session && {
+  status: session.status,
+  booked_minutes: session.booked_minutes,
+  total_amount: session.total_amount,
+  closed_at: session.closed_at
+};
+
+// Audit a session change with its state before and after
+const auditSession = (req, action, before, session) => auditService.record(req, {
+  action: `session.${action}`,
+  entityType: 'session',
+  entityId: session.id,
+  before: sessionState(before),
+  after: sessionState(session)
+});
+
+// Get all sessions
+router.get('/', authenticateToken, requirePermission('sessionsManagement.view'), async (req, res) => {
+  try {
+    const { status, table_id, date, limit = 50, offset = 0 } = req.query;
+
+    let query = `
+      SELECT 
+        s.*,
+        rt.table_number,
+        rt.table_name,
+        rt.table_type
+      FROM sessions s
+      JOIN restaurant_tables rt ON s.table_id = rt.id
+      WHERE 1=1
+    `;
+
+    const params = [];
+
+    // Customers only see their own sessions
+    if (req.user.role === 'User') {
+      query += ' AND s.user_id = ?';
+      params.push(req.user.id);
+    }
+
+    if (status) {
+      query += ' AND s.status = ?';
+      params.push(status);
+    }
+
+    if (table_id) {
+      query += ' AND s.table_id = ?';
+      params.push(table_id);
+    }
+
+    if (date) {
+      query += ' AND DATE(s.start_time) = ?';
+      params.push(date);
+    }
+
+    query += ' ORDER BY s.start_time DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [sessions] = await pool.query(query, params);
+    const now = await sessionService.now();
+
+    // Live billing for running sessions
+    for (let session of sessions) {
+      const pauses = await sessionService.getPauses(session.id);
+      session.billing = sessionService.calculateBilling(session, pauses, now);
+    }
+
+    res.json({ success: true, sessions });
+  } catch (error) {
+    handleError(res, error, 'Get sessions');
+  }
+});
+
+// Get single session with pauses, billing and orders
+router.get('/:id', authenticateToken, requirePermission('sessionsManagement.view'), async (req, res) => {
+  try {
+    const session = await sessionService.getSession(req.params.id);
+
+    if (req.user.role === 'User' && session.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const [orders] = await pool.execute(`
+      SELECT id, order_number, status, payment_status, subtotal, tax_amount, discount_amount, total_amount, created_at
+      FROM orders
+      WHERE session_id = ?
+      ORDER BY created_at
+    `, [session.id]);
+
+    session.orders = orders;
+    session.orders_total = orders
+      .filter(order => order.status !== 'Cancelled')
+      .reduce((total, order) => total + parseFloat(order.total_amount), 0);
+
+    res.json({ success: true, session });
+  } catch (error) {
+    handleError(res, error, 'Get session');
+  }
+});
+
+// Start session
+router.post('/', authenticateToken, requirePermission('sessionsManagement.control'), [
+  body('table_id').isInt(),
+  body('user_id').optional({ nullable: true }).isInt(),
+  body('customer_name').optional().trim(),
+  body('booked_minutes').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { table_id, user_id, customer_name, booked_minutes } = req.body;
+
+    const session = await sessionService.start({
+      tableId: table_id,
+      userId: user_id || null,
+      customerName: customer_name || null,
+      bookedMinutes: booked_minutes || null,
+      startedBy: req.user.id
+    });
+
+    await auditSession(req, 'start', null, session);
+
+    res.status(201).json({ success: true, message: 'Session started successfully', session });
+  } catch (error) {
+    handleError(res, error, 'Start session');
+  }
+});
+
+// Pause session
+router.post('/:id/pause', authenticateToken, requirePermission('sessionsManagement.control'), [
+  body('reason').optional().trim(),
+  body('cut_power').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await auditService.snapshot('sessions', req.params.id);
+
+    const session = await sessionService.pause(req.params.id, {
+      pausedBy: req.user.id,
+      reason: req.body.reason || null,
+      cutPower: req.body.cut_power
+    });
+
+    await auditSession(req, 'pause', before, session);
+
+    res.json({ success: true, message: 'Session paused', session });
+  } catch (error) {
+    handleError(res, error, 'Pause session');
+  }
+});
+
+// Resume session
+router.post('/:id/resume', authenticateToken, requirePermission('sessionsManagement.control'), async (req, res) => {
+  try {
+    const before = await auditService.snapshot('sessions', req.params.id);
+    const session = await sessionService.resume(req.params.id, { resumedBy: req.user.id });
+    await auditSession(req, 'resume', before, session);
+    res.json({ success: true, message: 'Session resumed', session });
+  } catch (error) {
+    handleError(res, error, 'Resume session');
+  }
+});
+
+// Extend prepaid time
+router.post('/:id/extend', authenticateToken, requirePermission('sessionsManagement.control'), [
+  body('minutes').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await auditService.snapshot('sessions', req.params.id);
+    const session = await sessionService.extend(req.params.id, { minutes: req.body.minutes });
+    await auditSession(req, 'extend', before, session);
+    res.json({ success: true, message: 'Session extended', session });
+  } catch (error) {
+    handleError(res, error, 'Extend session');
+  }
+});
+
+// Stop session and calculate final amount
+router.post('/:id/stop', authenticateToken, requirePermission('sessionsManagement.control'), async (req, res) => {
+  try {
+    const before = await auditService.snapshot('sessions', req.params.id);
+    const session = await sessionService.stop(req.params.id, { endedBy: req.user.id });
+    await auditSession(req, 'stop', before, session);
+    res.json({ success: true, message: 'Session stopped', session });
+  } catch (error) {
+    handleError(res, error, 'Stop session');
+  }
+});
+
+// Close a stopped session once its bill is fully paid
+router.post('/:id/close', authenticateToken, requirePermission('billingAccess.payments'), async (req, res) => {
+  try {
+    const before = await auditService.snapshot('sessions', req.params.id);
+    const bill = await paymentService.closeSession(req.params.id, { closedBy: req.user.id });
+    await auditSession(req, 'close', before, await auditService.snapshot('sessions', req.params.id));
+    res.json({ success: true, message: 'Session closed', bill });
+  } catch (error) {
+    handleError(res, error, 'Close session');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,308 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const tableService = require('../services/tableService');
+const socketService = require('../services/socketService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const { EVENTS } = socketService;
+const { TABLE_TYPES, TABLE_STATUSES } = tableService;
+
+const router = express.Router();
+
+// Get all tables
+router.get('/', authenticateToken, requirePermission('tablesManagement.view'), [
+  query('table_type').optional().isIn(TABLE_TYPES),
+  query('status').optional().isIn(TABLE_STATUSES),
+  query('include_inactive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { table_type, status, location, include_inactive = 'false' } = req.query;
+
+    let sql = `
+      SELECT 
+        rt.*,
+        s.id as active_session_id,
+        s.session_id as active_session_code,
+        s.status as active_session_status,
+        s.start_time as active_session_start
+      FROM restaurant_tables rt
+      LEFT JOIN sessions s ON s.table_id = rt.id AND s.status IN ('Active', 'Paused')
+      WHERE 1=1
+    `;
+
+    const params = [];
+
+    if (include_inactive !== 'true') {
+      sql += ' AND rt.is_active = TRUE';
+    }
+
+    if (table_type) {
+      sql += ' AND rt.table_type = ?';
+      params.push(table_type);
+    }
+
+    if (status) {
+      sql += ' AND rt.status = ?';
+      params.push(status);
+    }
+
+    if (location) {
+      sql += ' AND rt.location = ?';
+      params.push(location);
+    }
+
+    sql += ' ORDER BY rt.table_type, rt.table_number';
+
+    const [tables] = await pool.execute(sql, params);
+
+    res.json({ success: true, tables });
+  } catch (error) {
+    console.error('Get tables error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get single table
+router.get('/:id', authenticateToken, requirePermission('tablesManagement.view'), async (req, res) => {
+  try {
+    const table = await tableService.getTable(req.params.id);
+
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    const blockers = await tableService.getBlockers(table.id);
+    table.active_session = blockers.active_sessions[0] || null;
+    table.upcoming_reservations = blockers.upcoming_reservations;
+
+    res.json({ success: true, table });
+  } catch (error) {
+    console.error('Get table error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add new table
+router.post('/', authenticateToken, requirePermission('tablesManagement.manage'), [
+  body('table_number').isLength({ min: 1, max: 20 }).trim(),
+  body('table_name').optional().trim(),
+  body('table_type').isIn(TABLE_TYPES),
+  body('capacity').optional().isInt({ min: 1 }),
+  body('location').optional().trim(),
+  body('hourly_rate').optional().isFloat({ min: 0 }),
+  body('smart_plug_id').optional({ nullable: true }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      table_number,
+      table_name,
+      table_type,
+      capacity = 4,
+      location,
+      hourly_rate = 0,
+      smart_plug_id
+    } = req.body;
+
+    const [existing] = await pool.execute(
+      'SELECT id FROM restaurant_tables WHERE table_number = ?',
+      [table_number]
+    );
+
+    if (existing.length > 0) {
+      return res.status(400).json({ error: 'Table number already exists' });
+    }
+
+    const [result] = await pool.execute(`
+      INSERT INTO restaurant_tables (table_number, table_name, table_type, capacity, location, hourly_rate, smart_plug_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [table_number, table_name || null, table_type, capacity, location || null, hourly_rate, smart_plug_id || null]);
+
+    await auditService.record(req, {
+      action: 'table.create',
+      entityType: 'table',
+      entityId: result.insertId,
+      after: await auditService.snapshot('restaurant_tables', result.insertId)
+    });
+
+    socketService.emit(EVENTS.TABLE_CREATED, { table_id: result.insertId, table_number, table_type });
+
+    res.status(201).json({
+      success: true,
+      message: 'Table created successfully',
+      table_id: result.insertId
+    });
+  } catch (error) {
+    console.error('Create table error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update table
+router.put('/:id', authenticateToken, requirePermission('tablesManagement.manage'), [
+  body('table_number').optional().isLength({ min: 1, max: 20 }).trim(),
+  body('table_name').optional().trim(),
+  body('table_type').optional().isIn(TABLE_TYPES),
+  body('capacity').optional().isInt({ min: 1 }),
+  body('location').optional().trim(),
+  body('hourly_rate').optional().isFloat({ min: 0 }),
+  body('smart_plug_id').optional({ nullable: true }).trim(),
+  body('is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tableId = req.params.id;
+    const table = await tableService.getTable(tableId);
+
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    const fields = ['table_number', 'table_name', 'table_type', 'capacity', 'location', 'hourly_rate', 'smart_plug_id', 'is_active'];
+    const updates = {};
+    const values = [];
+
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+        values.push(req.body[field] === '' ? null : req.body[field]);
+      }
+    }
+
+    if (values.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    if (updates.table_number !== undefined && updates.table_number !== table.table_number) {
+      const [existing] = await pool.execute(
+        'SELECT id FROM restaurant_tables WHERE table_number = ? AND id != ?',
+        [updates.table_number, tableId]
+      );
+      if (existing.length > 0) {
+        return res.status(400).json({ error: 'Table number already exists' });
+      }
+    }
+
+    // Deactivating goes through the same checks as DELETE
+    if (updates.is_active !== undefined && !updates.is_active && table.is_active) {
+      const blockers = await tableService.getBlockers(tableId);
+      if (blockers.active_sessions.length > 0 || blockers.upcoming_reservations.length > 0) {
+        return res.status(409).json({
+          error: 'Table has an active session or upcoming reservations',
+          ...blockers
+        });
+      }
+    }
+
+    values.push(tableId);
+
+    const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    await pool.execute(
+      `UPDATE restaurant_tables SET ${setClause} WHERE id = ?`,
+      values
+    );
+
+    await auditService.record(req, {
+      action: 'table.update',
+      entityType: 'table',
+      entityId: table.id,
+      before: table,
+      after: await auditService.snapshot('restaurant_tables', table.id)
+    });
+
+    socketService.emit(EVENTS.TABLE_UPDATED, { table_id: table.id, ...updates }, { tableId: table.id });
+
+    res.json({ success: true, message: 'Table updated successfully' });
+  } catch (error) {
+    console.error('Update table error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update table status
+router.put('/:id/status', authenticateToken, requirePermission('tablesManagement.status'), [
+  body('status').isIn(TABLE_STATUSES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const table = await tableService.setStatus(req.params.id, req.body.status);
+
+    await auditService.record(req, {
+      action: 'table.status_change',
+      entityType: 'table',
+      entityId: table.id,
+      before: { status: table.previous_status },
+      after: { status: table.status }
+    });
+
+    res.json({
+      success: true,
+      message: 'Table status updated successfully',
+      table: { id: table.id, previous_status: table.previous_status, status: table.status }
+    });
+  } catch (error) {
+    handleError(res, error, 'Update table status');
+  }
+});
+
+// Deactivate table (tables are kept for order and session history)
+router.delete('/:id', authenticateToken, requirePermission('tablesManagement.manage'), async (req, res) => {
+  try {
+    const tableId = req.params.id;
+    const table = await tableService.getTable(tableId);
+
+    if (!table) {
+      return res.status(404).json({ error: 'Table not found' });
+    }
+
+    const blockers = await tableService.getBlockers(tableId);
+    if (blockers.active_sessions.length > 0 || blockers.upcoming_reservations.length > 0) {
+      return res.status(409).json({
+        error: 'Table has an active session or upcoming reservations',
+        ...blockers
+      });
+    }
+
+    await pool.execute(
+      'UPDATE restaurant_tables SET is_active = FALSE WHERE id = ?',
+      [tableId]
+    );
+
+    await auditService.record(req, {
+      action: 'table.deactivate',
+      entityType: 'table',
+      entityId: table.id,
+      before: { is_active: table.is_active },
+      after: { is_active: false }
+    });
+
+    socketService.emit(EVENTS.TABLE_UPDATED, { table_id: table.id, is_active: false }, { tableId: table.id });
+
+    res.json({ success: true, message: 'Table deactivated successfully' });
+  } catch (error) {
+    console.error('Delete table error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const taxService = require('../services/taxService');
+const { TABLE_TYPES } = require('../services/tableService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+const componentValidators = (optional) => [
+  (optional ? body('components').optional() : body('components')).isArray({ min: 1 }),
+  body('components.*.name').isLength({ min: 1, max: 50 }).trim(),
+  body('components.*.rate').isFloat({ min: 0, max: 100 }).toFloat()
+];
+
+// Get tax classes with their components
+router.get('/', authenticateToken, requirePermission('orderProcessing.view'), async (req, res) => {
+  try {
+    const classes = await taxService.list();
+    res.json({ success: true, classes });
+  } catch (error) {
+    handleError(res, error, 'Get tax classes');
+  }
+});
+
+// Tax class charged on the time played at each table type
+router.get('/table-types', authenticateToken, requirePermission('orderProcessing.view'), async (req, res) => {
+  try {
+    const tableTypes = await taxService.listTableTypeClasses();
+    res.json({ success: true, table_types: tableTypes });
+  } catch (error) {
+    handleError(res, error, 'Get table type tax classes');
+  }
+});
+
+// Set the tax class for a table type's time, e.g. { tax_class_id: 3, tax_inclusive: false };
+// tax_class_id null puts it back on the default class. Stopped sessions keep the tax they were charged.
+router.put('/table-types/:tableType', authenticateToken, requirePermission('canChangePrices'), [
+  param('tableType').isIn(TABLE_TYPES),
+  body('tax_class_id').optional({ nullable: true }).isInt().toInt(),
+  body('tax_inclusive').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const classes = await taxService.listTableTypeClasses();
+    const before = classes.find(entry => entry.table_type === req.params.tableType);
+    const tableType = await taxService.setTableTypeClass(req.params.tableType, {
+      taxClassId: req.body.tax_class_id === undefined ? null : req.body.tax_class_id,
+      taxInclusive: req.body.tax_inclusive
+    });
+
+    await auditService.record(req, {
+      action: 'table_type.tax_class',
+      entityType: 'table_type',
+      entityId: req.params.tableType,
+      before,
+      after: tableType
+    });
+
+    res.json({ success: true, message: 'Table type tax class updated successfully', table_type: tableType });
+  } catch (error) {
+    handleError(res, error, 'Update table type tax class');
+  }
+});
+
+// Create a tax class, e.g. { name: "Food 5%", components: [{ name: "CGST", rate: 2.5 }, { name: "SGST", rate: 2.5 }] }
+router.post('/', authenticateToken, requirePermission('canChangePrices'), [
+  body('name').isLength({ min: 1, max: 100 }).trim(),
+  body('description').optional().trim(),
+  body('is_default').optional().isBoolean().toBoolean(),
+  ...componentValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const taxClass = await taxService.create(req.body);
+
+    await auditService.record(req, { action: 'tax_class.create', entityType: 'tax_class', entityId: taxClass.id, after: taxClass });
+
+    res.status(201).json({ success: true, message: 'Tax class created successfully', tax_class: taxClass });
+  } catch (error) {
+    handleError(res, error, 'Create tax class');
+  }
+});
+
+// Update a tax class; orders already placed keep the tax they were charged
+router.put('/:id', authenticateToken, requirePermission('canChangePrices'), [
+  body('name').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('description').optional().trim(),
+  body('is_default').optional().isBoolean().toBoolean(),
+  ...componentValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await taxService.getClass(req.params.id);
+    const taxClass = await taxService.update(req.params.id, req.body);
+
+    await auditService.record(req, { action: 'tax_class.update', entityType: 'tax_class', entityId: taxClass.id, before, after: taxClass });
+
+    res.json({ success: true, message: 'Tax class updated successfully', tax_class: taxClass });
+  } catch (error) {
+    handleError(res, error, 'Update tax class');
+  }
+});
+
+// Delete a tax class; its categories and items fall back to the default class
+router.delete('/:id', authenticateToken, requirePermission('canChangePrices'), async (req, res) => {
+  try {
+    const taxClass = await taxService.remove(req.params.id);
+
+    await auditService.record(req, { action: 'tax_class.delete', entityType: 'tax_class', entityId: taxClass.id, before: taxClass });
+
+    res.json({ success: true, message: 'Tax class deleted successfully' });
+  } catch (error) {
+    handleError(res, error, 'Delete tax class');
+  }
+});
+
+module.exports = router;
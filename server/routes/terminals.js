@@ -0,0 +1,108 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, authenticateTerminal, requirePermission } = require('../middleware/auth');
+const authService = require('../services/authService');
+const terminalService = require('../services/terminalService');
+const auditService = require('../services/auditService');
+const { handleError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Lock screen for a terminal: staff avatars to pick from before entering a PIN
+router.get('/lock-screen', authenticateTerminal, async (req, res) => {
+  try {
+    const users = await terminalService.getLockScreenUsers();
+    res.json({ success: true, terminal: req.terminal, users });
+  } catch (error) {
+    handleError(res, error, 'Get lock screen');
+  }
+});
+
+// Lock the terminal: sign out whoever is using it
+router.post('/lock', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.terminal_id) {
+      return res.status(400).json({ error: 'This login is not bound to a terminal' });
+    }
+
+    await authService.revokeTerminalSessions(req.user.terminal_id, { reason: 'locked', revokedBy: req.user.id });
+
+    res.json({ success: true, message: 'Terminal locked' });
+  } catch (error) {
+    handleError(res, error, 'Lock terminal');
+  }
+});
+
+// Get all terminals with who is signed in on each
+router.get('/', authenticateToken, requirePermission('deviceManagement.terminals'), async (req, res) => {
+  try {
+    const terminals = await terminalService.list();
+    res.json({ success: true, terminals });
+  } catch (error) {
+    handleError(res, error, 'Get terminals');
+  }
+});
+
+// Register a terminal; the device key is only returned here
+router.post('/', authenticateToken, requirePermission('deviceManagement.terminals'), [
+  body('name').isLength({ min: 1 }).trim(),
+  body('location').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { terminal, deviceKey } = await terminalService.register(req.body, { registeredBy: req.user.id });
+
+    await auditService.record(req, { action: 'terminal.register', entityType: 'terminal', entityId: terminal.id, after: terminal });
+
+    res.status(201).json({
+      success: true,
+      message: 'Terminal registered. Store the device key on the terminal; it is not shown again.',
+      terminal,
+      device_key: deviceKey
+    });
+  } catch (error) {
+    handleError(res, error, 'Register terminal');
+  }
+});
+
+// Rename, move or (de)activate a terminal
+router.put('/:id', authenticateToken, requirePermission('deviceManagement.terminals'), [
+  body('name').optional().isLength({ min: 1 }).trim(),
+  body('location').optional().trim(),
+  body('is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await terminalService.getTerminal(req.params.id);
+    const terminal = await terminalService.update(req.params.id, req.body);
+
+    await auditService.record(req, { action: 'terminal.update', entityType: 'terminal', entityId: terminal.id, before, after: terminal });
+
+    res.json({ success: true, message: 'Terminal updated successfully', terminal });
+  } catch (error) {
+    handleError(res, error, 'Update terminal');
+  }
+});
+
+// Replace the device key; the terminal must be set up again with the new one
+router.post('/:id/rotate-key', authenticateToken, requirePermission('deviceManagement.terminals'), async (req, res) => {
+  try {
+    const { terminal, deviceKey } = await terminalService.rotateKey(req.params.id, { revokedBy: req.user.id });
+
+    await auditService.record(req, { action: 'terminal.rotate_key', entityType: 'terminal', entityId: terminal.id });
+
+    res.json({ success: true, message: 'Device key replaced', terminal, device_key: deviceKey });
+  } catch (error) {
+    handleError(res, error, 'Rotate terminal key');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const authService = require('../services/authService');
+const twoFactorService = require('../services/twoFactorService');
+const userService = require('../services/userService');
+const { handleError } = require('../utils/errors');
+
+const { ROLES } = userService;
+
+const router = express.Router();
+
+const auditUser = (req, action, before, after) => auditService.record(req, {
+  action: `user.${action}`,
+  entityType: 'user',
+  entityId: (after || before).id,
+  before,
+  after
+});
+
+// Every endpoint here is for staff administrators
+router.use(authenticateToken, requirePermission('canManageStaff'));
+
+// List users
+router.get('/', [
+  query('role').optional().isIn(ROLES),
+  query('is_active').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role, is_active, search, limit, offset } = req.query;
+    const users = await userService.list({ role, isActive: is_active, search, limit, offset });
+
+    res.json({ success: true, users });
+  } catch (error) {
+    handleError(res, error, 'Get users');
+  }
+});
+
+// Login attempts (password, PIN and two-factor codes) for security review
+router.get('/login-events', [
+  query('user_id').optional().isInt(),
+  query('success').optional().isBoolean().toBoolean(),
+  query('method').optional().isIn(['password', 'pin', 'two_factor']),
+  query('from_date').optional().isISO8601(),
+  query('to_date').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user_id, email, success, method, ip, from_date, to_date, limit, offset } = req.query;
+    const events = await authService.listLoginEvents({
+      userId: user_id,
+      email,
+      success,
+      method,
+      ip,
+      fromDate: from_date,
+      toDate: to_date,
+      limit,
+      offset
+    });
+
+    res.json({ success: true, events });
+  } catch (error) {
+    handleError(res, error, 'Get login events');
+  }
+});
+
+// Roles that must use two-factor authentication
+router.get('/two-factor-policy', async (req, res) => {
+  try {
+    const roles = await twoFactorService.getRequiredRoles();
+    res.json({ success: true, required_roles: roles });
+  } catch (error) {
+    handleError(res, error, 'Get two-factor policy');
+  }
+});
+
+router.put('/two-factor-policy', [
+  body('required_roles').isArray(),
+  body('required_roles.*').isIn(ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await twoFactorService.getRequiredRoles();
+    const roles = await twoFactorService.setRequiredRoles(req.body.required_roles);
+
+    await auditService.record(req, {
+      action: 'two_factor.policy_update',
+      entityType: 'setting',
+      entityId: 'two_factor_required_roles',
+      before: { required_roles: before },
+      after: { required_roles: roles }
+    });
+    res.json({ success: true, message: 'Two-factor policy updated', required_roles: roles });
+  } catch (error) {
+    handleError(res, error, 'Update two-factor policy');
+  }
+});
+
+// Get single user
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await userService.getUser(req.params.id);
+    res.json({ success: true, user });
+  } catch (error) {
+    handleError(res, error, 'Get user');
+  }
+});
+
+// Create a staff member (or customer account)
+router.post('/', [
+  body('username').isLength({ min: 3 }).trim(),
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 6 }),
+  body('full_name').isLength({ min: 2 }).trim(),
+  body('phone').optional().trim(),
+  body('role').isIn(ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await userService.create(req.body, { actor: req.user });
+    await auditUser(req, 'create', null, user);
+
+    res.status(201).json({ success: true, message: 'User created successfully', user });
+  } catch (error) {
+    handleError(res, error, 'Create user');
+  }
+});
+
+// Edit details or change role
+router.put('/:id', [
+  body('username').optional().isLength({ min: 3 }).trim(),
+  body('email').optional().isEmail().normalizeEmail(),
+  body('full_name').optional().isLength({ min: 2 }).trim(),
+  body('phone').optional().trim(),
+  body('avatar_url').optional().isURL(),
+  body('role').optional().isIn(ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await userService.getUser(req.params.id);
+    const user = await userService.update(req.params.id, req.body, { actor: req.user });
+    await auditUser(req, 'update', before, user);
+
+    res.json({ success: true, message: 'User updated successfully', user });
+  } catch (error) {
+    handleError(res, error, 'Update user');
+  }
+});
+
+// Change role only
+router.put('/:id/role', [
+  body('role').isIn(ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await userService.getUser(req.params.id);
+    const user = await userService.update(req.params.id, { role: req.body.role }, { actor: req.user });
+    await auditUser(req, 'role_change', { id: before.id, role: before.role }, { id: user.id, role: user.role });
+
+    res.json({ success: true, message: `Role changed to ${user.role}`, user });
+  } catch (error) {
+    handleError(res, error, 'Change user role');
+  }
+});
+
+router.post('/:id/deactivate', async (req, res) => {
+  try {
+    const user = await userService.setActive(req.params.id, false, { actor: req.user });
+    await auditUser(req, 'deactivate', null, { id: user.id, is_active: user.is_active });
+    res.json({ success: true, message: 'User deactivated', user });
+  } catch (error) {
+    handleError(res, error, 'Deactivate user');
+  }
+});
+
+router.post('/:id/reactivate', async (req, res) => {
+  try {
+    const user = await userService.setActive(req.params.id, true, { actor: req.user });
+    await auditUser(req, 'reactivate', null, { id: user.id, is_active: user.is_active });
+    res.json({ success: true, message: 'User reactivated', user });
+  } catch (error) {
+    handleError(res, error, 'Reactivate user');
+  }
+});
+
+// Reset a password; without new_password a temporary one is generated and returned once
+router.post('/:id/reset-password', [
+  body('new_password').optional().isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await userService.resetPassword(req.params.id, {
+      password: req.body.new_password,
+      actor: req.user
+    });
+
+    await auditUser(req, 'reset_password', null, { id: parseInt(req.params.id), temporary: Boolean(result.temporaryPassword) });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully',
+      temporary_password: result.temporaryPassword || undefined
+    });
+  } catch (error) {
+    handleError(res, error, 'Reset user password');
+  }
+});
+
+// Remove a user's PIN and clear a PIN lockout
+router.delete('/:id/pin', async (req, res) => {
+  try {
+    const user = await userService.clearPin(req.params.id, { actor: req.user });
+    await auditUser(req, 'clear_pin', null, { id: user.id });
+    res.json({ success: true, message: 'PIN removed', user });
+  } catch (error) {
+    handleError(res, error, 'Clear user PIN');
+  }
+});
+
+// Clear a failed-login or PIN lockout
+router.post('/:id/unlock', async (req, res) => {
+  try {
+    const user = await userService.unlock(req.params.id, { actor: req.user });
+    await auditUser(req, 'unlock', null, { id: user.id });
+    res.json({ success: true, message: 'Account unlocked', user });
+  } catch (error) {
+    handleError(res, error, 'Unlock user');
+  }
+});
+
+// Remove a user's authenticator and recovery codes
+router.delete('/:id/two-factor', async (req, res) => {
+  try {
+    const user = await userService.resetTwoFactor(req.params.id, { actor: req.user });
+    await auditUser(req, 'reset_two_factor', null, { id: user.id });
+    res.json({ success: true, message: 'Two-factor authentication reset', user });
+  } catch (error) {
+    handleError(res, error, 'Reset user two-factor');
+  }
+});
+
+// Login sessions of a user (add include_revoked=true for history)
+router.get('/:id/sessions', async (req, res) => {
+  try {
+    const user = await userService.getUser(req.params.id);
+    const sessions = await authService.listSessions(user.id, {
+      includeRevoked: req.query.include_revoked === 'true'
+    });
+
+    res.json({ success: true, sessions });
+  } catch (error) {
+    handleError(res, error, 'Get user login sessions');
+  }
+});
+
+// Revoke one login session
+router.delete('/:id/sessions/:sessionId', async (req, res) => {
+  try {
+    await authService.revokeSession(req.params.id, req.params.sessionId, { revokedBy: req.user.id });
+    await auditUser(req, 'revoke_session', null, { id: parseInt(req.params.id), session_id: parseInt(req.params.sessionId) });
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    handleError(res, error, 'Revoke user login session');
+  }
+});
+
+// Revoke every login session of a user
+router.delete('/:id/sessions', async (req, res) => {
+  try {
+    const user = await userService.getUser(req.params.id);
+    const revoked = (await authService.revokeAllForUser(user.id, { revokedBy: req.user.id })).length;
+    await auditUser(req, 'revoke_all_sessions', null, { id: user.id, revoked });
+
+    res.json({ success: true, message: `${revoked} session(s) revoked`, revoked });
+  } catch (error) {
+    handleError(res, error, 'Revoke user login sessions');
+  }
+});
+
+module.exports = router;
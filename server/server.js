@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -6,6 +7,12 @@ require('dotenv').config();
 
 const { testConnection } = require('./config/database');
 const { runMigrations } = require('./migrations/runMigrations');
+const socketService = require('./services/socketService');
+const reservationService = require('./services/reservationService');
+const plugService = require('./services/plugService');
+const sessionService = require('./services/sessionService');
+const priceService = require('./services/priceService');
+const permissionService = require('./services/permissionService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -13,28 +20,45 @@ const orderRoutes = require('./routes/orders');
 const kotRoutes = require('./routes/kots');
 const printerRoutes = require('./routes/printers');
 const menuRoutes = require('./routes/menu');
+const tableRoutes = require('./routes/tables');
+const sessionRoutes = require('./routes/sessions');
+const reservationRoutes = require('./routes/reservations');
+const plugRoutes = require('./routes/plugs');
+const paymentRoutes = require('./routes/payments');
+const permissionRoutes = require('./routes/permissions');
+const userRoutes = require('./routes/users');
+const terminalRoutes = require('./routes/terminals');
+const auditRoutes = require('./routes/audit');
+const chargeRoutes = require('./routes/charges');
+const taxRoutes = require('./routes/taxes');
+const discountRoutes = require('./routes/discounts');
+const promotionRoutes = require('./routes/promotions');
+const priceRoutes = require('./routes/prices');
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
 
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
+// Rate limiting. Shared tablets poll and sync often, so the default is generous;
+// logins and PINs have their own stricter limits in routes/auth.js
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX) || 1000, // requests per IP per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
 
-// CORS configuration
-app.use(cors({
+// CORS configuration (shared with socket.io)
+const corsOptions = {
   origin: process.env.NODE_ENV === 'production' 
     ? ['http://localhost:5173', 'http://localhost:3000'] // Add your frontend URLs
     : true,
   credentials: true
-}));
+};
+app.use(cors(corsOptions));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -49,6 +73,20 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/kots', kotRoutes);
 app.use('/api/printers', printerRoutes);
 app.use('/api/menu', menuRoutes);
+app.use('/api/tables', tableRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/plugs', plugRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/terminals', terminalRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/charges', chargeRoutes);
+app.use('/api/taxes', taxRoutes);
+app.use('/api/discounts', discountRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/prices', priceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -93,11 +131,30 @@ const startServer = async () => {
     // Run database migrations
     console.log('📦 Running database migrations...');
     await runMigrations();
+
+    // Store built-in role permissions the first time they are needed
+    await permissionService.seedRoleDefaults();
     
+    // Real-time events
+    socketService.init(server, corsOptions);
+
+    // Mark tables Reserved as booking windows open
+    reservationService.startScheduler();
+
+    // Keep smart plug status and power readings fresh
+    await plugService.startPolling();
+
+    // Pause prepaid sessions and switch off their tables when time runs out
+    sessionService.startExpiryMonitor();
+
+    // Apply scheduled menu price changes as they fall due
+    priceService.startScheduler();
+
     // Start server
-    app.listen(PORT, () => {
+    server.listen(PORT, () => {
       console.log(`✅ Server running on port ${PORT}`);
       console.log(`🌐 API URL: http://localhost:${PORT}/api`);
+      console.log(`🔌 Socket.IO: ws://localhost:${PORT}`);
       console.log(`🏥 Health Check: http://localhost:${PORT}/api/health`);
       console.log('📋 Available endpoints:');
       console.log('   - POST /api/auth/login');
@@ -106,6 +163,20 @@ const startServer = async () => {
       console.log('   - POST /api/orders');
       console.log('   - GET  /api/kots');
       console.log('   - GET  /api/printers');
+      console.log('   - GET  /api/tables');
+      console.log('   - POST /api/sessions');
+      console.log('   - POST /api/reservations');
+      console.log('   - GET  /api/plugs');
+      console.log('   - POST /api/payments');
+      console.log('   - GET  /api/permissions/me');
+      console.log('   - GET  /api/users');
+      console.log('   - GET  /api/terminals/lock-screen');
+      console.log('   - GET  /api/audit');
+      console.log('   - GET  /api/charges');
+      console.log('   - GET  /api/taxes');
+      console.log('   - GET  /api/discounts/offers');
+      console.log('   - GET  /api/promotions');
+      console.log('   - GET  /api/prices/on');
       console.log('');
       console.log('🎉 Restaurant POS Backend is ready!');
     });
@@ -0,0 +1,131 @@
+const { pool } = require('../config/database');
+
+// Never copied into audit entries
+const REDACTED_FIELDS = ['password', 'pin_hash', 'key_hash', 'totp_secret', 'token_hash', 'auth_password'];
+
+const CSV_COLUMNS = [
+  'id', 'created_at', 'user_id', 'user_name', 'user_role', 'action', 'entity_type', 'entity_id',
+  'before_data', 'after_data', 'ip_address', 'terminal_id'
+];
+
+const sanitize = (data) => {
+  if (data === undefined || data === null) return null;
+  if (Array.isArray(data)) return data.map(sanitize);
+  if (typeof data !== 'object' || data instanceof Date) return data;
+
+  return Object.fromEntries(
+    Object.entries(data)
+      .filter(([key]) => !REDACTED_FIELDS.includes(key))
+      .map(([key, value]) => [key, sanitize(value)])
+  );
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheets from evaluating cells as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+  // Current row of `table` for before/after snapshots; table names are passed by the routes, never user input
+  async snapshot(table, id, db = pool) {
+    const [rows] = await db.execute(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Append an entry for a change made by the request's user. A failed audit write is logged
+  // but does not undo or fail the change itself.
+  async record(req, { action, entityType, entityId = null, before = null, after = null }, db = pool) {
+    const user = req.user || {};
+
+    try {
+      await db.execute(`
+        INSERT INTO audit_events
+          (user_id, user_name, user_role, action, entity_type, entity_id, before_data, after_data, ip_address, user_agent, terminal_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        user.id || null,
+        user.full_name || user.email || null,
+        user.role || null,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        before ? JSON.stringify(sanitize(before)) : null,
+        after ? JSON.stringify(sanitize(after)) : null,
+        req.ip || null,
+        (req.get('user-agent') || '').substring(0, 255) || null,
+        user.terminal_id || null
+      ]);
+    } catch (error) {
+      console.error('Audit event error:', error);
+    }
+  }
+
+  buildFilters({ userId, entityType, entityId, action, fromDate, toDate }) {
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (userId) {
+      where += ' AND user_id = ?';
+      params.push(userId);
+    }
+
+    if (entityType) {
+      where += ' AND entity_type = ?';
+      params.push(entityType);
+    }
+
+    if (entityId) {
+      where += ' AND entity_id = ?';
+      params.push(String(entityId));
+    }
+
+    if (action) {
+      where += ' AND action = ?';
+      params.push(action);
+    }
+
+    if (fromDate) {
+      where += ' AND DATE(created_at) >= ?';
+      params.push(fromDate);
+    }
+
+    if (toDate) {
+      where += ' AND DATE(created_at) <= ?';
+      params.push(toDate);
+    }
+
+    return { where, params };
+  }
+
+  async list(filters = {}) {
+    const { limit = 100, offset = 0 } = filters;
+    const { where, params } = this.buildFilters(filters);
+
+    const [events] = await pool.query(
+      `SELECT * FROM audit_events ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, parseInt(limit), parseInt(offset)]
+    );
+    const [count] = await pool.query(`SELECT COUNT(*) as total FROM audit_events ${where}`, params);
+
+    return { events, total: count[0].total };
+  }
+
+  // All matching entries, oldest first, as CSV
+  async exportCsv(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const [events] = await pool.query(
+      `SELECT ${CSV_COLUMNS.join(', ')} FROM audit_events ${where} ORDER BY created_at, id`,
+      params
+    );
+
+    const lines = events.map(event => CSV_COLUMNS.map(column => csvValue(event[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,661 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const { getSetting } = require('../utils/settings');
+const socketService = require('./socketService');
+const { sendMail } = require('./mailTransports');
+
+const ACCESS_TOKEN_EXPIRES_IN = () => process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const TERMINAL_TOKEN_EXPIRES_IN = () => process.env.TERMINAL_TOKEN_EXPIRES_IN || '30m';
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 5;
+const PIN_PATTERN = /^\d{4,6}$/;
+const STAFF_ROLES = ['Admin', 'Staff', 'Manager'];
+const PASSWORD_RESET_TTL_MINUTES = () => parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// Ignore repeated reset requests for the same account within this window
+const PASSWORD_RESET_COOLDOWN_SECONDS = 60;
+
+// Refresh and password reset tokens are random and only their SHA-256 is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+class AuthService {
+  signAccessToken(user, familyId, extraClaims = {}, expiresIn = ACCESS_TOKEN_EXPIRES_IN()) {
+    const token = jwt.sign(
+      { userId: user.id, email: user.email, role: user.role, sid: familyId, ...extraClaims },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+    const { exp } = jwt.decode(token);
+    return { token, expiresIn: exp - Math.floor(Date.now() / 1000) };
+  }
+
+  async createRefreshToken(authSessionId, db) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = addDays(new Date(), REFRESH_TOKEN_TTL_DAYS());
+
+    await db.execute(
+      'INSERT INTO refresh_tokens (auth_session_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [authSessionId, hashToken(refreshToken), expiresAt]
+    );
+    await db.execute(
+      'UPDATE auth_sessions SET expires_at = ?, last_used_at = NOW() WHERE id = ?',
+      [expiresAt, authSessionId]
+    );
+
+    return refreshToken;
+  }
+
+  // Start a login session: a new token family with its first refresh token
+  async issueTokens(user, { ip, userAgent } = {}) {
+    return withTransaction(async (connection) => {
+      const familyId = crypto.randomUUID();
+
+      const [result] = await connection.execute(`
+        INSERT INTO auth_sessions (family_id, user_id, ip_address, user_agent, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [familyId, user.id, ip || null, (userAgent || '').substring(0, 255) || null, addDays(new Date(), REFRESH_TOKEN_TTL_DAYS())]);
+
+      const refreshToken = await this.createRefreshToken(result.insertId, connection);
+      const access = this.signAccessToken(user, familyId);
+
+      return { token: access.token, expiresIn: access.expiresIn, refreshToken, sessionId: result.insertId };
+    });
+  }
+
+  async logLoginEvent({ userId = null, email = null, method = 'password', success, reason = null, ip, userAgent, terminalId = null }) {
+    try {
+      await pool.execute(`
+        INSERT INTO login_events (user_id, email, method, success, failure_reason, ip_address, user_agent, terminal_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [userId, email, method, success, reason, ip || null, (userAgent || '').substring(0, 255) || null, terminalId]);
+    } catch (error) {
+      // Never fail a login because the log could not be written
+      console.error('Login event error:', error);
+    }
+  }
+
+  async getLoginPolicy() {
+    return {
+      threshold: await getSetting('login_lockout_threshold', 5),
+      lockoutMinutes: await getSetting('login_lockout_minutes', 15),
+      maxDelaySeconds: await getSetting('login_max_delay_seconds', 30)
+    };
+  }
+
+  // Seconds until this account may try a password again: a lockout, or a wait that doubles
+  // with each consecutive failure (1s, 2s, 4s, ...)
+  loginWaitSeconds(user, policy, now = new Date()) {
+    if (user.locked_until && new Date(user.locked_until) > now) {
+      return { locked: true, seconds: Math.ceil((new Date(user.locked_until) - now) / 1000) };
+    }
+
+    if (user.failed_login_count > 0 && user.last_failed_login_at) {
+      const delay = Math.min(2 ** (user.failed_login_count - 1), policy.maxDelaySeconds);
+      const allowedAt = new Date(user.last_failed_login_at).getTime() + delay * 1000;
+      if (allowedAt > now.getTime()) {
+        return { locked: false, seconds: Math.ceil((allowedAt - now.getTime()) / 1000) };
+      }
+    }
+
+    return { locked: false, seconds: 0 };
+  }
+
+  // Count a failed password and lock the account once the threshold is reached. The count and
+  // the lock are worked out in one statement from the stored values; MySQL applies the
+  // assignments left to right, so locked_until still sees the old count.
+  async recordLoginFailure(user, policy, db = pool) {
+    await db.execute(`
+      UPDATE users
+      SET locked_until = IF(failed_login_count + 1 >= ?, NOW() + INTERVAL ? MINUTE, locked_until),
+          failed_login_count = IF(failed_login_count + 1 >= ?, 0, failed_login_count + 1),
+          last_failed_login_at = NOW()
+      WHERE id = ?
+    `, [policy.threshold, policy.lockoutMinutes, policy.threshold, user.id]);
+
+    const [rows] = await db.execute(
+      'SELECT locked_until IS NOT NULL AND locked_until > NOW() as locked FROM users WHERE id = ?',
+      [user.id]
+    );
+    return Boolean(rows[0] && rows[0].locked);
+  }
+
+  // Check `password` against the account whose `column` ('email' or 'id') is `value`. The account row
+  // stays locked while the password is checked, so parallel guesses are taken one at a time and each
+  // sees the failures recorded before it.
+  async checkPassword(column, value, password, policy, { role } = {}) {
+    return withTransaction(async (connection) => {
+      const [users] = await connection.execute(`SELECT * FROM users WHERE ${column} = ? FOR UPDATE`, [value]);
+      const user = users[0];
+
+      if (!user || !user.is_active) {
+        return { user, reason: user ? 'inactive' : 'unknown_user' };
+      }
+
+      const wait = this.loginWaitSeconds(user, policy);
+      if (wait.seconds > 0) {
+        return { user, reason: wait.locked ? 'locked' : 'throttled', wait };
+      }
+
+      if (!(await bcrypt.compare(password, user.password))) {
+        const lockedOut = await this.recordLoginFailure(user, policy, connection);
+        return { user, reason: lockedOut ? 'locked_out' : 'invalid_password' };
+      }
+
+      if (role && user.role !== role) {
+        return { user, reason: 'wrong_role' };
+      }
+
+      // With 2FA enabled the count is cleared once the code is right too, so signing in again with
+      // the password does not reset the guesses made at the code
+      if (!user.totp_enabled_at && (user.failed_login_count > 0 || user.locked_until)) {
+        await connection.execute(
+          'UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+          [user.id]
+        );
+      }
+      return { user };
+    });
+  }
+
+  throwIfLocked(reason, wait, policy) {
+    if (reason === 'locked' || reason === 'locked_out') {
+      throw new ServiceError('Account temporarily locked after too many failed logins', 423, {
+        retry_after: wait ? wait.seconds : policy.lockoutMinutes * 60
+      });
+    }
+    if (reason === 'throttled') {
+      throw new ServiceError('Too many failed logins. Please wait before trying again.', 429, { retry_after: wait.seconds });
+    }
+  }
+
+  // Check an email/password pair, applying per-account throttling and lockout.
+  // Every attempt is written to login_events.
+  async passwordLogin(email, password, { role, ip, userAgent } = {}) {
+    const event = { email, ip, userAgent, method: 'password' };
+    const policy = await this.getLoginPolicy();
+    const { user, reason, wait } = await this.checkPassword('email', email, password, policy, { role });
+
+    await this.logLoginEvent({ ...event, userId: user ? user.id : null, success: !reason, reason: reason || null });
+
+    this.throwIfLocked(reason, wait, policy);
+    if (reason === 'wrong_role') {
+      throw new ServiceError('Invalid role for this user', 401);
+    }
+    if (reason) {
+      throw new ServiceError('Invalid credentials', 401);
+    }
+
+    return user;
+  }
+
+  // Confirm a signed-in user's current password before a sensitive change. Wrong passwords count
+  // towards the same throttling and lockout as /login and are written to login_events.
+  async confirmPassword(userId, password, { ip, userAgent } = {}) {
+    const policy = await this.getLoginPolicy();
+    const { user, reason, wait } = await this.checkPassword('id', userId, password, policy);
+
+    if (reason) {
+      await this.logLoginEvent({ userId, email: user ? user.email : null, success: false, reason, ip, userAgent });
+    }
+
+    this.throwIfLocked(reason, wait, policy);
+    if (reason) {
+      throw new ServiceError('Current password is incorrect', 400);
+    }
+  }
+
+  // Clear password and PIN lockouts
+  async unlockAccount(userId) {
+    await pool.execute(`
+      UPDATE users
+      SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL,
+          pin_failed_attempts = 0, pin_locked_until = NULL
+      WHERE id = ?
+    `, [userId]);
+  }
+
+  async listLoginEvents({ userId, email, success, method, ip, fromDate, toDate, limit = 100, offset = 0 } = {}) {
+    let sql = `
+      SELECT
+        le.*,
+        u.full_name,
+        t.name as terminal_name
+      FROM login_events le
+      LEFT JOIN users u ON le.user_id = u.id
+      LEFT JOIN terminals t ON le.terminal_id = t.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (userId) {
+      sql += ' AND le.user_id = ?';
+      params.push(userId);
+    }
+
+    if (email) {
+      sql += ' AND le.email = ?';
+      params.push(email);
+    }
+
+    if (success !== undefined) {
+      sql += ' AND le.success = ?';
+      params.push(success);
+    }
+
+    if (method) {
+      sql += ' AND le.method = ?';
+      params.push(method);
+    }
+
+    if (ip) {
+      sql += ' AND le.ip_address = ?';
+      params.push(ip);
+    }
+
+    if (fromDate) {
+      sql += ' AND DATE(le.created_at) >= ?';
+      params.push(fromDate);
+    }
+
+    if (toDate) {
+      sql += ' AND DATE(le.created_at) <= ?';
+      params.push(toDate);
+    }
+
+    sql += ' ORDER BY le.created_at DESC, le.id DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [events] = await pool.query(sql, params);
+    return events;
+  }
+
+  // PINs are 4-6 digits and may not be a single repeated digit or a simple run like 1234
+  validatePin(pin) {
+    if (!PIN_PATTERN.test(pin)) {
+      throw new ServiceError('PIN must be 4 to 6 digits', 400);
+    }
+
+    const digits = [...pin].map(Number);
+    const steps = new Set(digits.slice(1).map((digit, index) => digit - digits[index]));
+    if (steps.size === 1 && [0, 1, -1].includes([...steps][0])) {
+      throw new ServiceError('PIN is too easy to guess', 400);
+    }
+  }
+
+  async setPin(userId, pin) {
+    this.validatePin(pin);
+    await pool.execute(
+      'UPDATE users SET pin_hash = ?, pin_failed_attempts = 0, pin_locked_until = NULL WHERE id = ?',
+      [await bcrypt.hash(pin, 10), userId]
+    );
+  }
+
+  async clearPin(userId) {
+    await pool.execute(
+      'UPDATE users SET pin_hash = NULL, pin_failed_attempts = 0, pin_locked_until = NULL WHERE id = ?',
+      [userId]
+    );
+  }
+
+  // Check a staff member's PIN. Wrong PINs count towards the lockout whatever the PIN is
+  // used for; failures are written to login_events only when an `event` is given.
+  async verifyPin(userId, pin, { event = null } = {}) {
+    // The row stays locked while the PIN is checked, so parallel guesses are taken one at a
+    // time and each sees the attempts counted before it
+    const { user, reason, retryAfter, attempts } = await withTransaction(async (connection) => {
+      const [users] = await connection.execute(`
+        SELECT id, email, full_name, role, is_active, pin_hash, pin_failed_attempts, pin_locked_until
+        FROM users
+        WHERE id = ?
+        FOR UPDATE
+      `, [userId]);
+      const user = users[0];
+
+      if (!user || !user.is_active || !user.pin_hash || !STAFF_ROLES.includes(user.role)) {
+        return { user, reason: 'pin_unavailable' };
+      }
+
+      if (user.pin_locked_until && new Date(user.pin_locked_until) > new Date()) {
+        return { user, reason: 'locked', retryAfter: Math.ceil((new Date(user.pin_locked_until) - new Date()) / 1000) };
+      }
+
+      if (!(await bcrypt.compare(String(pin), user.pin_hash))) {
+        const attempts = user.pin_failed_attempts + 1;
+
+        if (attempts >= PIN_MAX_ATTEMPTS) {
+          await connection.execute(
+            'UPDATE users SET pin_failed_attempts = 0, pin_locked_until = NOW() + INTERVAL ? MINUTE WHERE id = ?',
+            [PIN_LOCK_MINUTES, user.id]
+          );
+          return { user, reason: 'locked_out', retryAfter: PIN_LOCK_MINUTES * 60 };
+        }
+
+        await connection.execute('UPDATE users SET pin_failed_attempts = ? WHERE id = ?', [attempts, user.id]);
+        return { user, reason: 'invalid_pin', attempts };
+      }
+
+      if (user.pin_failed_attempts > 0 || user.pin_locked_until) {
+        await connection.execute(
+          'UPDATE users SET pin_failed_attempts = 0, pin_locked_until = NULL WHERE id = ?',
+          [user.id]
+        );
+      }
+      return { user };
+    });
+
+    if (!reason) {
+      return user;
+    }
+
+    if (event) {
+      await this.logLoginEvent({
+        ...event,
+        userId: user ? user.id : null,
+        email: user ? user.email : null,
+        success: false,
+        reason
+      });
+    }
+
+    if (reason === 'pin_unavailable') {
+      throw new ServiceError('PIN sign-in is not available for this user', 401);
+    }
+    if (reason === 'invalid_pin') {
+      throw new ServiceError('Invalid PIN', 401, { attempts_remaining: PIN_MAX_ATTEMPTS - attempts });
+    }
+    throw new ServiceError('Too many wrong PINs. Try again later.', 429, { retry_after: retryAfter });
+  }
+
+  // Sign a staff member in on a terminal with their PIN. The token is short-lived, has no
+  // refresh token and only works with the terminal's credentials. Whoever was signed in
+  // on the terminal before is signed out.
+  // Roles that must use two-factor authentication cannot sign in with a PIN alone.
+  async pinLogin(terminal, userId, pin, { ip, userAgent } = {}) {
+    const user = await this.verifyPin(userId, pin, {
+      event: { method: 'pin', ip, userAgent, terminalId: terminal.id }
+    });
+    const event = { userId: user.id, email: user.email, method: 'pin', ip, userAgent, terminalId: terminal.id };
+
+    // Required here rather than at the top: twoFactorService depends on this module
+    const twoFactorService = require('./twoFactorService');
+    if (await twoFactorService.isRequiredFor(user.role)) {
+      await this.logLoginEvent({ ...event, success: false, reason: 'two_factor_required' });
+      throw new ServiceError('Your role must sign in with a password and an authentication code', 403, {
+        two_factor_required: true
+      });
+    }
+
+    const result = await withTransaction(async (connection) => {
+      const previous = await this.revokeTerminalSessions(terminal.id, { reason: 'user_switched', db: connection });
+
+      const familyId = crypto.randomUUID();
+      const access = this.signAccessToken(user, familyId, { tid: terminal.terminal_id }, TERMINAL_TOKEN_EXPIRES_IN());
+
+      await connection.execute(`
+        INSERT INTO auth_sessions (family_id, user_id, terminal_id, ip_address, user_agent, last_used_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, NOW(), NOW() + INTERVAL ? SECOND)
+      `, [familyId, user.id, terminal.id, ip || null, (userAgent || '').substring(0, 255) || null, access.expiresIn]);
+
+      return { token: access.token, expiresIn: access.expiresIn, previous };
+    });
+
+    this.disconnect(result.previous);
+    await this.logLoginEvent({ ...event, success: true });
+
+    return {
+      token: result.token,
+      expiresIn: result.expiresIn,
+      user: { id: user.id, email: user.email, full_name: user.full_name, role: user.role }
+    };
+  }
+
+  // Sign out whoever is signed in on a terminal; returns the revoked family ids
+  async revokeTerminalSessions(terminalId, { reason = 'locked', revokedBy = null, db = pool } = {}) {
+    const [sessions] = await db.execute(
+      'SELECT id, family_id FROM auth_sessions WHERE terminal_id = ? AND revoked_at IS NULL',
+      [terminalId]
+    );
+
+    for (const session of sessions) {
+      await this.revokeSessionRow(db, session.id, { revokedBy, reason });
+    }
+
+    if (db === pool) {
+      this.disconnect(sessions.map(session => session.family_id));
+    }
+    return sessions.map(session => session.family_id);
+  }
+
+  // Exchange a refresh token for a new access/refresh pair. A refresh token can be used once;
+  // presenting one again means it leaked, so the whole family is revoked.
+  async refresh(refreshToken) {
+    const result = await withTransaction(async (connection) => {
+      const [tokens] = await connection.execute(`
+        SELECT
+          rt.*,
+          s.family_id,
+          s.user_id,
+          s.revoked_at
+        FROM refresh_tokens rt
+        JOIN auth_sessions s ON rt.auth_session_id = s.id
+        WHERE rt.token_hash = ?
+        FOR UPDATE
+      `, [hashToken(refreshToken)]);
+
+      if (tokens.length === 0) {
+        throw new ServiceError('Invalid refresh token', 401);
+      }
+
+      const stored = tokens[0];
+
+      if (stored.revoked_at) {
+        throw new ServiceError('Session has been revoked', 401);
+      }
+
+      if (stored.used_at) {
+        await this.revokeSessionRow(connection, stored.auth_session_id, { reason: 'token_reuse' });
+        return { reused: stored };
+      }
+
+      if (new Date(stored.expires_at) <= new Date()) {
+        throw new ServiceError('Refresh token expired', 401);
+      }
+
+      const [users] = await connection.execute(
+        'SELECT id, email, role, is_active FROM users WHERE id = ?',
+        [stored.user_id]
+      );
+
+      if (users.length === 0 || !users[0].is_active) {
+        await this.revokeSessionRow(connection, stored.auth_session_id, { reason: 'user_inactive' });
+        return { inactive: stored };
+      }
+
+      await connection.execute('UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?', [stored.id]);
+      const newRefreshToken = await this.createRefreshToken(stored.auth_session_id, connection);
+      const access = this.signAccessToken(users[0], stored.family_id);
+
+      return { token: access.token, expiresIn: access.expiresIn, refreshToken: newRefreshToken };
+    });
+
+    // Revocations above must be committed before failing the request
+    if (result.reused) {
+      this.disconnect([result.reused.family_id]);
+      throw new ServiceError('Refresh token already used; session revoked', 401);
+    }
+    if (result.inactive) {
+      throw new ServiceError('Invalid or inactive user', 401);
+    }
+
+    return result;
+  }
+
+  async revokeSessionRow(db, authSessionId, { revokedBy = null, reason }) {
+    await db.execute(`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `, [revokedBy, reason, authSessionId]);
+  }
+
+  async listSessions(userId, { includeRevoked = false } = {}) {
+    const [sessions] = await pool.execute(`
+      SELECT id, family_id, ip_address, user_agent, created_at, last_used_at, expires_at,
+             revoked_at, revoked_by, revoke_reason
+      FROM auth_sessions
+      WHERE user_id = ?${includeRevoked ? '' : ' AND revoked_at IS NULL AND expires_at > NOW()'}
+      ORDER BY COALESCE(last_used_at, created_at) DESC
+    `, [userId]);
+    return sessions;
+  }
+
+  // Revoke one session of a user (by id) and drop its sockets
+  async revokeSession(userId, authSessionId, { revokedBy = null, reason = 'revoked' } = {}) {
+    const [sessions] = await pool.execute(
+      'SELECT id, family_id, revoked_at FROM auth_sessions WHERE id = ? AND user_id = ?',
+      [authSessionId, userId]
+    );
+
+    if (sessions.length === 0) {
+      throw new ServiceError('Session not found', 404);
+    }
+
+    await this.revokeSessionRow(pool, sessions[0].id, { revokedBy, reason });
+    this.disconnect([sessions[0].family_id]);
+    return sessions[0];
+  }
+
+  async revokeByFamily(familyId, { revokedBy = null, reason = 'logout' } = {}) {
+    await pool.execute(`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+      WHERE family_id = ? AND revoked_at IS NULL
+    `, [revokedBy, reason, familyId]);
+    this.disconnect([familyId]);
+  }
+
+  // Revoke every open session of a user, optionally keeping the caller's own. Returns the revoked
+  // family ids. Inside a transaction (`db` is not the pool) their sockets are left connected: the
+  // caller disconnects them once the transaction has committed.
+  async revokeAllForUser(userId, { exceptFamilyId = null, revokedBy = null, reason = 'revoked', db = pool } = {}) {
+    const [sessions] = await db.execute(
+      'SELECT id, family_id FROM auth_sessions WHERE user_id = ? AND revoked_at IS NULL AND family_id <> ?',
+      [userId, exceptFamilyId || '']
+    );
+
+    if (sessions.length > 0) {
+      await db.execute(`
+        UPDATE auth_sessions
+        SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+        WHERE id IN (${sessions.map(() => '?').join(', ')})
+      `, [revokedBy, reason, ...sessions.map(session => session.id)]);
+    }
+
+    const familyIds = sessions.map(session => session.family_id);
+    if (db === pool) {
+      this.disconnect(familyIds);
+    }
+    return familyIds;
+  }
+
+  // Email a single-use reset link. Unknown or inactive emails are ignored silently
+  // so the endpoint cannot be used to discover accounts.
+  async requestPasswordReset(email, { ip } = {}) {
+    const [users] = await pool.execute(
+      'SELECT id, email, full_name FROM users WHERE email = ? AND is_active = TRUE',
+      [email]
+    );
+
+    if (users.length === 0) return;
+    const user = users[0];
+
+    const [recent] = await pool.execute(`
+      SELECT id FROM password_reset_tokens
+      WHERE user_id = ? AND created_at > NOW() - INTERVAL ? SECOND
+    `, [user.id, PASSWORD_RESET_COOLDOWN_SECONDS]);
+
+    if (recent.length > 0) return;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const ttlMinutes = PASSWORD_RESET_TTL_MINUTES();
+
+    // Only the newest link works
+    await pool.execute(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+    await pool.execute(`
+      INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+      VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE)
+    `, [user.id, hashToken(token), ip || null, ttlMinutes]);
+
+    const appUrl = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+    const link = `${appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hi ${user.full_name},`,
+          '',
+          'We received a request to reset your password. Open this link to choose a new one:',
+          link,
+          '',
+          `The link works once and expires in ${ttlMinutes} minutes.`,
+          'If you did not ask for this, you can ignore this email.'
+        ].join('\n')
+      });
+    } catch (error) {
+      // The response is the same either way; the failure is only logged
+      console.error('Password reset mail error:', error);
+    }
+  }
+
+  // Set a new password with a reset token and sign the user out everywhere
+  async resetPassword(token, newPassword) {
+    const { userId, familyIds } = await withTransaction(async (connection) => {
+      const [tokens] = await connection.execute(`
+        SELECT prt.*, u.is_active
+        FROM password_reset_tokens prt
+        JOIN users u ON prt.user_id = u.id
+        WHERE prt.token_hash = ?
+        FOR UPDATE
+      `, [hashToken(token)]);
+
+      const stored = tokens[0];
+      if (!stored || stored.used_at || new Date(stored.expires_at) <= new Date() || !stored.is_active) {
+        throw new ServiceError('Reset link is invalid or has expired', 400);
+      }
+
+      await connection.execute(
+        'UPDATE users SET password = ? WHERE id = ?',
+        [await bcrypt.hash(newPassword, 10), stored.user_id]
+      );
+      await connection.execute(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [stored.user_id]
+      );
+      const familyIds = await this.revokeAllForUser(stored.user_id, { reason: 'password_reset', db: connection });
+
+      return { userId: stored.user_id, familyIds };
+    });
+
+    this.disconnect(familyIds);
+    return { userId };
+  }
+
+  disconnect(familyIds) {
+    socketService.disconnectAuthSessions(familyIds);
+  }
+}
+
+const authService = new AuthService();
+authService.hashToken = hashToken;
+
+module.exports = authService;
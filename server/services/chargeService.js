@@ -0,0 +1,164 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+
+const CHARGE_TYPES = ['Service', 'Packaging'];
+const CALCULATIONS = ['Fixed', 'Percentage'];
+const ORDER_TYPES = ['Dine-in', 'Takeaway', 'Delivery'];
+
+// Money is summed in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// mysql2 usually parses JSON columns already; older servers return strings
+const parseList = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const toRule = (row) => ({
+  ...row,
+  amount: parseFloat(row.amount),
+  order_types: parseList(row.order_types),
+  table_types: parseList(row.table_types)
+});
+
+class ChargeService {
+  async list({ includeInactive = false } = {}, db = pool) {
+    const [rules] = await db.execute(`
+      SELECT * FROM charge_rules
+      ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+      ORDER BY sort_order, id
+    `);
+    return rules.map(toRule);
+  }
+
+  async getRule(ruleId, db = pool) {
+    const [rules] = await db.execute('SELECT * FROM charge_rules WHERE id = ?', [ruleId]);
+
+    if (rules.length === 0) {
+      throw new ServiceError('Charge rule not found', 404);
+    }
+    return toRule(rules[0]);
+  }
+
+  assertValid({ calculation, amount }) {
+    if (calculation === 'Percentage' && amount > 100) {
+      throw new ServiceError('A percentage charge cannot exceed 100%', 400);
+    }
+  }
+
+  async create(data, { createdBy }) {
+    this.assertValid(data);
+
+    const [result] = await pool.execute(`
+      INSERT INTO charge_rules (name, charge_type, calculation, amount, order_types, table_types, is_active, sort_order, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.name,
+      data.charge_type,
+      data.calculation,
+      data.amount,
+      data.order_types ? JSON.stringify(data.order_types) : null,
+      data.table_types ? JSON.stringify(data.table_types) : null,
+      data.is_active !== undefined ? data.is_active : true,
+      data.sort_order || 0,
+      createdBy
+    ]);
+
+    return this.getRule(result.insertId);
+  }
+
+  async update(ruleId, changes) {
+    const rule = await this.getRule(ruleId);
+    this.assertValid({ ...rule, ...changes });
+
+    const fields = ['name', 'charge_type', 'calculation', 'amount', 'order_types', 'table_types', 'is_active', 'sort_order']
+      .filter(field => changes[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new ServiceError('No valid fields to update', 400);
+    }
+
+    const values = fields.map(field => {
+      if (field === 'order_types' || field === 'table_types') {
+        return changes[field] ? JSON.stringify(changes[field]) : null;
+      }
+      return changes[field];
+    });
+
+    await pool.execute(
+      `UPDATE charge_rules SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...values, rule.id]
+    );
+
+    return this.getRule(rule.id);
+  }
+
+  // Past orders keep their charge lines; only the link to the rule is cleared
+  async remove(ruleId) {
+    const rule = await this.getRule(ruleId);
+    await pool.execute('DELETE FROM charge_rules WHERE id = ?', [rule.id]);
+    return rule;
+  }
+
+  appliesTo(rule, { orderType, tableType }) {
+    if (rule.order_types && !rule.order_types.includes(orderType)) return false;
+    if (rule.table_types && !rule.table_types.includes(tableType)) return false;
+    return true;
+  }
+
+  // Charge lines for an order: fixed amounts, or a percentage of the item subtotal
+  async calculate({ orderType, tableType = null, subtotal }, db = pool) {
+    const rules = await this.list({}, db);
+    const subtotalCents = toCents(subtotal);
+
+    return rules
+      .filter(rule => this.appliesTo(rule, { orderType, tableType }))
+      .map(rule => {
+        const cents = rule.calculation === 'Percentage'
+          ? Math.round(subtotalCents * rule.amount / 100)
+          : toCents(rule.amount);
+
+        return {
+          charge_rule_id: rule.id,
+          name: rule.name,
+          charge_type: rule.charge_type,
+          calculation: rule.calculation,
+          rate: rule.amount,
+          amount: fromCents(cents)
+        };
+      })
+      .filter(charge => charge.amount > 0);
+  }
+
+  total(charges) {
+    return fromCents(charges.reduce((sum, charge) => sum + toCents(charge.amount), 0));
+  }
+
+  async saveOrderCharges(orderId, charges, db = pool) {
+    for (const charge of charges) {
+      await db.execute(`
+        INSERT INTO order_charges (order_id, charge_rule_id, name, charge_type, calculation, rate, amount)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [orderId, charge.charge_rule_id, charge.name, charge.charge_type, charge.calculation, charge.rate, charge.amount]);
+    }
+  }
+
+  async getOrderCharges(orderIds, db = pool) {
+    const ids = [].concat(orderIds);
+    if (ids.length === 0) return [];
+
+    const [charges] = await db.execute(
+      `SELECT * FROM order_charges WHERE order_id IN (${ids.map(() => '?').join(', ')}) ORDER BY order_id, id`,
+      ids
+    );
+    return charges;
+  }
+}
+
+const chargeService = new ChargeService();
+chargeService.CHARGE_TYPES = CHARGE_TYPES;
+chargeService.CALCULATIONS = CALCULATIONS;
+chargeService.ORDER_TYPES = ORDER_TYPES;
+
+module.exports = chargeService;
@@ -0,0 +1,431 @@
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const authService = require('./authService');
+const permissionService = require('./permissionService');
+const taxService = require('./taxService');
+const socketService = require('./socketService');
+
+const { EVENTS } = socketService;
+
+const LEVELS = ['Item', 'Bill', 'Offer'];
+const CALCULATIONS = ['Percentage', 'Fixed'];
+
+// Permission that allows each discount level
+const LEVEL_PERMISSIONS = {
+  Item: 'specialPermissions.discounts.item',
+  Bill: 'specialPermissions.discounts.bill',
+  Offer: 'specialPermissions.discounts.offers'
+};
+const MAX_DISCOUNT_PERMISSION = 'specialPermissions.discounts.maxDiscount';
+
+// Money is summed in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+class DiscountService {
+  // Offers
+
+  async listOffers({ includeInactive = false } = {}) {
+    const [offers] = await pool.execute(
+      `SELECT * FROM discount_offers ${includeInactive ? '' : 'WHERE is_active = TRUE'} ORDER BY name`
+    );
+    return offers;
+  }
+
+  async getOffer(offerId, db = pool) {
+    const [offers] = await db.execute('SELECT * FROM discount_offers WHERE id = ?', [offerId]);
+
+    if (offers.length === 0) {
+      throw new ServiceError('Offer not found', 404);
+    }
+    return offers[0];
+  }
+
+  async createOffer({ name, calculation, value, is_active = true }, { createdBy }) {
+    if (calculation === 'Percentage' && value > 100) {
+      throw new ServiceError('A percentage discount cannot exceed 100%', 400);
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO discount_offers (name, calculation, value, is_active, created_by) VALUES (?, ?, ?, ?, ?)',
+      [name, calculation, value, is_active, createdBy]
+    );
+    return this.getOffer(result.insertId);
+  }
+
+  async updateOffer(offerId, changes) {
+    const offer = await this.getOffer(offerId);
+    const fields = ['name', 'calculation', 'value', 'is_active'].filter(field => changes[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new ServiceError('No valid fields to update', 400);
+    }
+
+    const merged = { ...offer, ...changes };
+    if (merged.calculation === 'Percentage' && merged.value > 100) {
+      throw new ServiceError('A percentage discount cannot exceed 100%', 400);
+    }
+
+    await pool.execute(
+      `UPDATE discount_offers SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => changes[field]), offer.id]
+    );
+    return this.getOffer(offer.id);
+  }
+
+  // Members
+
+  async listMembers({ search, includeInactive = false } = {}) {
+    let query = 'SELECT * FROM members WHERE 1=1';
+    const params = [];
+
+    if (!includeInactive) {
+      query += ' AND is_active = TRUE';
+    }
+
+    if (search) {
+      query += ' AND (name LIKE ? OR phone LIKE ? OR email LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    const [members] = await pool.execute(`${query} ORDER BY name`, params);
+    return members;
+  }
+
+  async getMember(memberId, db = pool) {
+    const [members] = await db.execute('SELECT * FROM members WHERE id = ?', [memberId]);
+
+    if (members.length === 0) {
+      throw new ServiceError('Member not found', 404);
+    }
+    return members[0];
+  }
+
+  async assertPhoneAvailable(phone, exceptId = null) {
+    if (!phone) return;
+
+    const [existing] = await pool.execute(
+      'SELECT id FROM members WHERE phone = ? AND id != ?',
+      [phone, exceptId || 0]
+    );
+    if (existing.length > 0) {
+      throw new ServiceError('A member with this phone number already exists', 409);
+    }
+  }
+
+  async createMember({ name, phone, email, discount_percent = 0 }) {
+    await this.assertPhoneAvailable(phone);
+
+    const [result] = await pool.execute(
+      'INSERT INTO members (name, phone, email, discount_percent) VALUES (?, ?, ?, ?)',
+      [name, phone || null, email || null, discount_percent]
+    );
+    return this.getMember(result.insertId);
+  }
+
+  async updateMember(memberId, changes) {
+    const member = await this.getMember(memberId);
+    const fields = ['name', 'phone', 'email', 'discount_percent', 'is_active'].filter(field => changes[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new ServiceError('No valid fields to update', 400);
+    }
+
+    if (changes.phone !== undefined) {
+      await this.assertPhoneAvailable(changes.phone, member.id);
+    }
+
+    await pool.execute(
+      `UPDATE members SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => changes[field] === '' ? null : changes[field]), member.id]
+    );
+    return this.getMember(member.id);
+  }
+
+  // Order discounts
+
+  async getOrderDiscounts(orderIds, db = pool) {
+    const ids = [].concat(orderIds);
+    if (ids.length === 0) return [];
+
+    const [discounts] = await db.execute(`
+      SELECT od.*, applier.full_name as applied_by_name, approver.full_name as approved_by_name
+      FROM order_discounts od
+      LEFT JOIN users applier ON od.applied_by = applier.id
+      LEFT JOIN users approver ON od.approved_by = approver.id
+      WHERE od.order_id IN (${ids.map(() => '?').join(', ')})
+      ORDER BY od.order_id, od.id
+    `, ids);
+    return discounts;
+  }
+
+  // Discounts can only change while nothing has been paid, so bills and payments stay consistent
+  async lockOrder(orderId, db) {
+    const [orders] = await db.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+
+    if (orders.length === 0) {
+      throw new ServiceError('Order not found', 404);
+    }
+
+    const order = orders[0];
+    if (order.status === 'Cancelled') {
+      throw new ServiceError('Cannot discount a cancelled order', 409);
+    }
+    if (order.payment_status !== 'Unpaid') {
+      throw new ServiceError('Discounts cannot be changed once payment has been taken', 409);
+    }
+    return order;
+  }
+
+  // The discount's type, amount and reason from the request, an offer or a member
+  async describe(data, db) {
+    if (data.level !== 'Offer') {
+      return { calculation: data.calculation, value: data.value, reason: data.reason };
+    }
+
+    if (data.member_id) {
+      const member = await this.getMember(data.member_id, db);
+      if (!member.is_active) {
+        throw new ServiceError('Member is not active', 400);
+      }
+      return {
+        calculation: 'Percentage',
+        value: parseFloat(member.discount_percent),
+        reason: data.reason || `Member discount: ${member.name}`
+      };
+    }
+
+    const offer = await this.getOffer(data.offer_id, db);
+    if (!offer.is_active) {
+      throw new ServiceError('Offer is not active', 400);
+    }
+    return {
+      calculation: offer.calculation,
+      value: parseFloat(offer.value),
+      reason: data.reason || offer.name
+    };
+  }
+
+  // Who authorises the discount: the user when it is within their cap, otherwise a supervisor
+  // whose own permissions cover it and who confirms with their PIN
+  async resolveApprover(user, level, percent, { approverId, approverPin } = {}) {
+    const permission = LEVEL_PERMISSIONS[level];
+    const withinLimit = async (candidate) => (
+      await permissionService.hasPermission(candidate, permission) &&
+      percent <= (parseFloat(await permissionService.getPermissionValue(candidate, MAX_DISCOUNT_PERMISSION)) || 0)
+    );
+
+    if (await withinLimit(user)) {
+      return null;
+    }
+
+    if (!approverId || !approverPin) {
+      throw new ServiceError('Manager approval required', 403, {
+        permission,
+        max_discount: parseFloat(await permissionService.getPermissionValue(user, MAX_DISCOUNT_PERMISSION)) || 0,
+        discount_percent: percent
+      });
+    }
+
+    const approver = await authService.verifyPin(approverId, approverPin);
+
+    if (!(await withinLimit(approver))) {
+      throw new ServiceError('Approver is not allowed to authorise this discount', 403, { permission, discount_percent: percent });
+    }
+
+    return { id: approver.id, full_name: approver.full_name, role: approver.role };
+  }
+
+  // Spread bill-level discounts over the lines, then re-work each line's tax on what is left
+  // and the order totals
+  async recalculate(orderId, db) {
+    const [orders] = await db.execute('SELECT * FROM orders WHERE id = ?', [orderId]);
+    const order = orders[0];
+
+    const [lines] = await db.execute(
+      'SELECT id, total_price, promotion_amount, tax_class_id, tax_inclusive, taxable_amount FROM order_items WHERE order_id = ? ORDER BY id',
+      [orderId]
+    );
+    const [discounts] = await db.execute('SELECT order_item_id, amount FROM order_discounts WHERE order_id = ?', [orderId]);
+    const [lineTaxes] = await db.execute('SELECT * FROM order_item_taxes WHERE order_id = ? ORDER BY id', [orderId]);
+
+    const itemDiscountCents = (lineId) => discounts
+      .filter(discount => discount.order_item_id === lineId)
+      .reduce((total, discount) => total + toCents(discount.amount), 0);
+    const billDiscountCents = discounts
+      .filter(discount => !discount.order_item_id)
+      .reduce((total, discount) => total + toCents(discount.amount), 0);
+
+    // Bill discounts are shared by what is left on each line after its own discounts
+    const remaining = lines.map(line => toCents(line.taxable_amount) - itemDiscountCents(line.id));
+    const remainingTotal = remaining.reduce((total, cents) => total + cents, 0);
+    let unallocated = billDiscountCents;
+
+    let discountCents = 0;
+    let taxCents = 0;
+
+    for (const [index, line] of lines.entries()) {
+      const share = index === lines.length - 1
+        ? unallocated
+        : (remainingTotal === 0 ? 0 : Math.round(billDiscountCents * remaining[index] / remainingTotal));
+      unallocated -= share;
+
+      const lineDiscountCents = itemDiscountCents(line.id) + share;
+      const rows = lineTaxes.filter(tax => tax.order_item_id === line.id);
+      // The line as ordered: its price after promotions, taxed in full
+      const original = taxService.calculateLine(fromCents(toCents(line.total_price) - toCents(line.promotion_amount)), {
+        taxClass: { id: line.tax_class_id, components: rows.map(row => ({ name: row.name, rate: parseFloat(row.rate) })) },
+        inclusive: line.tax_inclusive
+      });
+      const tax = taxService.applyDiscount(original, fromCents(lineDiscountCents));
+
+      await db.execute(
+        'UPDATE order_items SET discount_amount = ?, tax_amount = ? WHERE id = ?',
+        [fromCents(lineDiscountCents), tax.tax_amount, line.id]
+      );
+      for (const [rowIndex, row] of rows.entries()) {
+        await db.execute(
+          'UPDATE order_item_taxes SET taxable_amount = ?, amount = ? WHERE id = ?',
+          [tax.components[rowIndex].taxable_amount, tax.components[rowIndex].amount, row.id]
+        );
+      }
+
+      discountCents += lineDiscountCents;
+      taxCents += toCents(tax.tax_amount);
+    }
+
+    const totalCents = toCents(order.subtotal) - discountCents + taxCents + toCents(order.charges_amount);
+
+    await db.execute(
+      'UPDATE orders SET discount_amount = ?, tax_amount = ?, total_amount = ? WHERE id = ?',
+      [fromCents(discountCents), fromCents(taxCents), fromCents(totalCents), orderId]
+    );
+
+    return {
+      subtotal: parseFloat(order.subtotal),
+      discount_amount: fromCents(discountCents),
+      tax_amount: fromCents(taxCents),
+      charges_amount: parseFloat(order.charges_amount),
+      total_amount: fromCents(totalCents)
+    };
+  }
+
+  // Apply an item, bill or offer discount. The cap is checked against everything discounted on the
+  // same line (item level) or the whole order (bill and offer level), so discounts cannot be stacked
+  // past it.
+  async apply(orderId, data, { user, approverId, approverPin }) {
+    const result = await withTransaction(async (connection) => {
+      const order = await this.lockOrder(orderId, connection);
+      const { calculation, value, reason } = await this.describe(data, connection);
+
+      let scopeCents;
+      let discountedCents;
+      let availableCents;
+
+      if (data.level === 'Item') {
+        const [lines] = await connection.execute(
+          'SELECT id, taxable_amount, discount_amount FROM order_items WHERE id = ? AND order_id = ?',
+          [data.order_item_id, order.id]
+        );
+        if (lines.length === 0) {
+          throw new ServiceError('Order item not found', 404);
+        }
+
+        const [existing] = await connection.execute(
+          'SELECT COALESCE(SUM(amount), 0) as amount FROM order_discounts WHERE order_item_id = ?',
+          [lines[0].id]
+        );
+        scopeCents = toCents(lines[0].taxable_amount);
+        discountedCents = toCents(existing[0].amount);
+        // The line's discount_amount also holds its share of bill discounts, which stays on the order
+        availableCents = scopeCents - toCents(lines[0].discount_amount);
+      } else {
+        scopeCents = toCents(order.subtotal);
+        discountedCents = toCents(order.discount_amount);
+        availableCents = scopeCents - discountedCents;
+      }
+
+      const remainingCents = scopeCents - discountedCents;
+      const amountCents = calculation === 'Percentage'
+        ? Math.round(remainingCents * value / 100)
+        : toCents(value);
+
+      if (amountCents <= 0) {
+        throw new ServiceError('Discount amount must be greater than zero', 400);
+      }
+      if (amountCents > availableCents) {
+        throw new ServiceError('Discount is larger than the amount it applies to', 400, { available: fromCents(Math.max(0, availableCents)) });
+      }
+
+      const percent = Math.round((discountedCents + amountCents) / scopeCents * 10000) / 100;
+      const approver = await this.resolveApprover(user, data.level, percent, { approverId, approverPin });
+
+      const [inserted] = await connection.execute(`
+        INSERT INTO order_discounts
+          (order_id, order_item_id, level, calculation, value, amount, offer_id, member_id, reason, applied_by, approved_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        order.id,
+        data.level === 'Item' ? data.order_item_id : null,
+        data.level,
+        calculation,
+        value,
+        fromCents(amountCents),
+        data.level === 'Offer' && !data.member_id ? data.offer_id : null,
+        data.level === 'Offer' ? data.member_id || null : null,
+        reason.substring(0, 255),
+        user.id,
+        approver ? approver.id : null
+      ]);
+
+      const totals = await this.recalculate(order.id, connection);
+      const [discounts] = await connection.execute('SELECT * FROM order_discounts WHERE id = ?', [inserted.insertId]);
+
+      return { order, discount: discounts[0], totals, approver };
+    });
+
+    this.emitChange(result.order, result.totals);
+    return result;
+  }
+
+  // Taking a discount off needs the same level permission as giving it, or a supervisor's PIN
+  async remove(orderId, discountId, { user, approverId, approverPin }) {
+    const result = await withTransaction(async (connection) => {
+      const order = await this.lockOrder(orderId, connection);
+
+      const [discounts] = await connection.execute(
+        'SELECT * FROM order_discounts WHERE id = ? AND order_id = ?',
+        [discountId, order.id]
+      );
+      if (discounts.length === 0) {
+        throw new ServiceError('Discount not found', 404);
+      }
+
+      const approver = await this.resolveApprover(user, discounts[0].level, 0, { approverId, approverPin });
+
+      await connection.execute('DELETE FROM order_discounts WHERE id = ?', [discounts[0].id]);
+      const totals = await this.recalculate(order.id, connection);
+
+      return { order, discount: discounts[0], totals, approver };
+    });
+
+    this.emitChange(result.order, result.totals);
+    return result;
+  }
+
+  emitChange(order, totals) {
+    socketService.emit(EVENTS.ORDER_DISCOUNT_CHANGED, {
+      order_id: order.id,
+      order_number: order.order_number,
+      table_id: order.table_id,
+      session_id: order.session_id,
+      ...totals
+    }, { tableId: order.table_id, userId: order.user_id });
+  }
+}
+
+const discountService = new DiscountService();
+discountService.LEVELS = LEVELS;
+discountService.CALCULATIONS = CALCULATIONS;
+
+module.exports = discountService;
@@ -0,0 +1,10 @@
+// Prints messages to the server log; handy while developing
+module.exports = {
+  name: 'console',
+  label: 'Server console',
+
+  async send({ to, subject, text }) {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+    return { id: null, location: 'console' };
+  }
+};
@@ -0,0 +1,30 @@
+const outbox = require('./outboxTransport');
+const consoleTransport = require('./consoleTransport');
+
+// Every transport implements send({ from, to, subject, text }) and resolves to { id, location }.
+// MAIL_TRANSPORT picks one by name; register others (e.g. SMTP) with registerTransport.
+const transports = new Map();
+
+const registerTransport = (transport) => {
+  if (typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${transport.name}" is missing send()`);
+  }
+  transports.set(transport.name, transport);
+};
+
+const getTransport = (name = process.env.MAIL_TRANSPORT || 'outbox') => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+};
+
+const sendMail = (message) => getTransport().send({
+  from: process.env.MAIL_FROM || 'Restaurant POS <no-reply@localhost>',
+  ...message
+});
+
+[outbox, consoleTransport].forEach(registerTransport);
+
+module.exports = { registerTransport, getTransport, sendMail };
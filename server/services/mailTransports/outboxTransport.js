@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as an .eml file so mail works on an offline install.
+// Open the files with any mail client, or read them as plain text.
+const outboxDir = () => path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox'));
+
+const formatMessage = ({ from, to, subject, text }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  text,
+  ''
+].join('\r\n');
+
+module.exports = {
+  name: 'outbox',
+  label: 'Local outbox directory',
+
+  async send(message) {
+    const dir = outboxDir();
+    await fs.mkdir(dir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(dir, `${timestamp}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(file, formatMessage(message), 'utf8');
+
+    return { id: path.basename(file), location: file };
+  }
+};
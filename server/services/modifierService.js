@@ -0,0 +1,332 @@
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+
+// Money is summed in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+class ModifierService {
+  // Modifier groups with their modifiers
+  async listGroups({ includeInactive = false, groupIds = null } = {}, db = pool) {
+    if (groupIds && groupIds.length === 0) return [];
+
+    const filters = [];
+    if (!includeInactive) filters.push('is_active = TRUE');
+    if (groupIds) filters.push(`id IN (${placeholders(groupIds)})`);
+
+    const [groups] = await db.execute(
+      `SELECT * FROM modifier_groups ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''} ORDER BY name`,
+      groupIds || []
+    );
+    if (groups.length === 0) return [];
+
+    const [modifiers] = await db.execute(`
+      SELECT * FROM modifiers
+      WHERE modifier_group_id IN (${placeholders(groups)})
+      ${includeInactive ? '' : 'AND is_active = TRUE'}
+      ORDER BY sort_order, id
+    `, groups.map(group => group.id));
+
+    return groups.map(group => ({
+      ...group,
+      modifiers: modifiers
+        .filter(modifier => modifier.modifier_group_id === group.id)
+        .map(modifier => ({ ...modifier, price_delta: parseFloat(modifier.price_delta) }))
+    }));
+  }
+
+  async getGroup(groupId, db = pool) {
+    const [group] = await this.listGroups({ includeInactive: true, groupIds: [parseInt(groupId)] }, db);
+
+    if (!group) {
+      throw new ServiceError('Modifier group not found', 404);
+    }
+    return group;
+  }
+
+  assertSelectionRange(minSelect, maxSelect, modifierCount) {
+    if (maxSelect < 1 || minSelect > maxSelect) {
+      throw new ServiceError('min_select must not exceed max_select, and max_select must be at least 1', 400);
+    }
+    if (minSelect > modifierCount) {
+      throw new ServiceError('min_select is more than the group has modifiers', 400);
+    }
+  }
+
+  // Modifiers with an `id` are updated, the rest added; ones left out are removed.
+  // Past orders keep the names and prices they were sold at.
+  async saveModifiers(groupId, modifiers, db) {
+    const [existing] = await db.execute('SELECT id FROM modifiers WHERE modifier_group_id = ?', [groupId]);
+    const existingIds = existing.map(modifier => modifier.id);
+
+    const keptIds = modifiers.filter(modifier => modifier.id).map(modifier => modifier.id);
+    const unknown = keptIds.find(id => !existingIds.includes(id));
+    if (unknown) {
+      throw new ServiceError(`Modifier ${unknown} does not belong to this group`, 400);
+    }
+
+    const removedIds = existingIds.filter(id => !keptIds.includes(id));
+    if (removedIds.length > 0) {
+      await db.execute(`DELETE FROM modifiers WHERE id IN (${placeholders(removedIds)})`, removedIds);
+    }
+
+    for (const [index, modifier] of modifiers.entries()) {
+      const values = [modifier.name, modifier.price_delta || 0, index, modifier.is_active !== false];
+      if (modifier.id) {
+        await db.execute(
+          'UPDATE modifiers SET name = ?, price_delta = ?, sort_order = ?, is_active = ? WHERE id = ?',
+          [...values, modifier.id]
+        );
+      } else {
+        await db.execute(
+          'INSERT INTO modifiers (name, price_delta, sort_order, is_active, modifier_group_id) VALUES (?, ?, ?, ?, ?)',
+          [...values, groupId]
+        );
+      }
+    }
+  }
+
+  async createGroup({ name, min_select = 0, max_select = 1, modifiers }) {
+    this.assertSelectionRange(min_select, max_select, modifiers.length);
+
+    return withTransaction(async (connection) => {
+      const [existing] = await connection.execute('SELECT id FROM modifier_groups WHERE name = ?', [name]);
+      if (existing.length > 0) {
+        throw new ServiceError('A modifier group with this name already exists', 409);
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO modifier_groups (name, min_select, max_select) VALUES (?, ?, ?)',
+        [name, min_select, max_select]
+      );
+
+      await this.saveModifiers(result.insertId, modifiers, connection);
+      return this.getGroup(result.insertId, connection);
+    });
+  }
+
+  async updateGroup(groupId, { name, min_select, max_select, is_active, modifiers }) {
+    return withTransaction(async (connection) => {
+      const group = await this.getGroup(groupId, connection);
+
+      if (name !== undefined && name !== group.name) {
+        const [existing] = await connection.execute(
+          'SELECT id FROM modifier_groups WHERE name = ? AND id != ?',
+          [name, group.id]
+        );
+        if (existing.length > 0) {
+          throw new ServiceError('A modifier group with this name already exists', 409);
+        }
+      }
+
+      const minSelect = min_select !== undefined ? min_select : group.min_select;
+      const maxSelect = max_select !== undefined ? max_select : group.max_select;
+      const activeCount = modifiers
+        ? modifiers.filter(modifier => modifier.is_active !== false).length
+        : group.modifiers.filter(modifier => modifier.is_active).length;
+      this.assertSelectionRange(minSelect, maxSelect, activeCount);
+
+      await connection.execute(
+        'UPDATE modifier_groups SET name = ?, min_select = ?, max_select = ?, is_active = ? WHERE id = ?',
+        [
+          name !== undefined ? name : group.name,
+          minSelect,
+          maxSelect,
+          is_active !== undefined ? is_active : group.is_active,
+          group.id
+        ]
+      );
+
+      if (modifiers) {
+        await this.saveModifiers(group.id, modifiers, connection);
+      }
+
+      return this.getGroup(group.id, connection);
+    });
+  }
+
+  // Items offering the group stop offering it
+  async removeGroup(groupId) {
+    const group = await this.getGroup(groupId);
+    await pool.execute('DELETE FROM modifier_groups WHERE id = ?', [group.id]);
+    return group;
+  }
+
+  // Variants and modifier groups offered with each menu item, keyed by item id
+  async getItemOptions(menuItemIds, db = pool, { includeInactive = false } = {}) {
+    const options = new Map(menuItemIds.map(id => [id, { variants: [], modifier_groups: [] }]));
+    if (menuItemIds.length === 0) return options;
+
+    const [variants] = await db.execute(`
+      SELECT * FROM menu_item_variants
+      WHERE menu_item_id IN (${placeholders(menuItemIds)})
+      ${includeInactive ? '' : 'AND is_active = TRUE'}
+      ORDER BY sort_order, id
+    `, menuItemIds);
+
+    const [links] = await db.execute(`
+      SELECT menu_item_id, modifier_group_id FROM menu_item_modifier_groups
+      WHERE menu_item_id IN (${placeholders(menuItemIds)})
+      ORDER BY sort_order
+    `, menuItemIds);
+
+    const groupIds = [...new Set(links.map(link => link.modifier_group_id))];
+    const groups = await this.listGroups({ includeInactive, groupIds }, db);
+
+    for (const variant of variants) {
+      options.get(variant.menu_item_id).variants.push({ ...variant, price_delta: parseFloat(variant.price_delta) });
+    }
+    for (const link of links) {
+      const group = groups.find(candidate => candidate.id === link.modifier_group_id);
+      if (group) options.get(link.menu_item_id).modifier_groups.push(group);
+    }
+    return options;
+  }
+
+  // Replace an item's variants the same way as a group's modifiers; at most one is the default
+  async saveItemVariants(menuItemId, variants) {
+    if (variants.filter(variant => variant.is_default).length > 1) {
+      throw new ServiceError('Only one variant can be the default', 400);
+    }
+    const names = variants.map(variant => variant.name.toLowerCase());
+    if (new Set(names).size !== names.length) {
+      throw new ServiceError('Variant names must be unique', 400);
+    }
+
+    return withTransaction(async (connection) => {
+      const [existing] = await connection.execute('SELECT id FROM menu_item_variants WHERE menu_item_id = ?', [menuItemId]);
+      const existingIds = existing.map(variant => variant.id);
+
+      const keptIds = variants.filter(variant => variant.id).map(variant => variant.id);
+      const unknown = keptIds.find(id => !existingIds.includes(id));
+      if (unknown) {
+        throw new ServiceError(`Variant ${unknown} does not belong to this item`, 400);
+      }
+
+      const removedIds = existingIds.filter(id => !keptIds.includes(id));
+      if (removedIds.length > 0) {
+        await connection.execute(`DELETE FROM menu_item_variants WHERE id IN (${placeholders(removedIds)})`, removedIds);
+      }
+
+      // Clear names first so renames that swap two variants do not trip the unique key
+      if (keptIds.length > 0) {
+        await connection.execute(
+          `UPDATE menu_item_variants SET name = CONCAT('~', id) WHERE id IN (${placeholders(keptIds)})`,
+          keptIds
+        );
+      }
+
+      for (const [index, variant] of variants.entries()) {
+        const values = [variant.name, variant.price_delta || 0, Boolean(variant.is_default), index, variant.is_active !== false];
+        if (variant.id) {
+          await connection.execute(
+            'UPDATE menu_item_variants SET name = ?, price_delta = ?, is_default = ?, sort_order = ?, is_active = ? WHERE id = ?',
+            [...values, variant.id]
+          );
+        } else {
+          await connection.execute(
+            'INSERT INTO menu_item_variants (name, price_delta, is_default, sort_order, is_active, menu_item_id) VALUES (?, ?, ?, ?, ?, ?)',
+            [...values, menuItemId]
+          );
+        }
+      }
+
+      const options = await this.getItemOptions([menuItemId], connection, { includeInactive: true });
+      return options.get(menuItemId).variants;
+    });
+  }
+
+  async setItemGroups(menuItemId, groupIds) {
+    return withTransaction(async (connection) => {
+      const groups = await this.listGroups({ includeInactive: true, groupIds }, connection);
+      if (groups.length !== new Set(groupIds).size) {
+        throw new ServiceError('Modifier group not found', 400);
+      }
+
+      await connection.execute('DELETE FROM menu_item_modifier_groups WHERE menu_item_id = ?', [menuItemId]);
+      for (const [index, groupId] of [...new Set(groupIds)].entries()) {
+        await connection.execute(
+          'INSERT INTO menu_item_modifier_groups (menu_item_id, modifier_group_id, sort_order) VALUES (?, ?, ?)',
+          [menuItemId, groupId, index]
+        );
+      }
+
+      const options = await this.getItemOptions([menuItemId], connection, { includeInactive: true });
+      return options.get(menuItemId).modifier_groups;
+    });
+  }
+
+  // Check a variant and modifier choice against what the item offers. Returns the variant, the
+  // modifiers to store on the order line and how much they add to the unit price.
+  resolveSelection(menuItem, options, { variant_id, modifier_ids = [] }) {
+    let variant = null;
+    if (variant_id) {
+      variant = options.variants.find(candidate => candidate.id === parseInt(variant_id));
+      if (!variant) {
+        throw new ServiceError(`Variant ${variant_id} is not available for ${menuItem.name}`, 400);
+      }
+    } else if (options.variants.length > 0) {
+      variant = options.variants.find(candidate => candidate.is_default) || null;
+      if (!variant) {
+        throw new ServiceError(`Choose a variant for ${menuItem.name}`, 400, {
+          menu_item_id: menuItem.id,
+          variants: options.variants.map(({ id, name }) => ({ id, name }))
+        });
+      }
+    }
+
+    const ids = modifier_ids.map(id => parseInt(id));
+    const modifiers = [];
+
+    for (const group of options.modifier_groups) {
+      const chosen = group.modifiers.filter(modifier => ids.includes(modifier.id));
+      if (chosen.length < group.min_select || chosen.length > group.max_select) {
+        throw new ServiceError(
+          `${group.name} for ${menuItem.name}: choose between ${group.min_select} and ${group.max_select}`,
+          400,
+          { menu_item_id: menuItem.id, modifier_group_id: group.id }
+        );
+      }
+      modifiers.push(...chosen.map(modifier => ({
+        modifier_id: modifier.id,
+        group_name: group.name,
+        name: modifier.name,
+        price_delta: modifier.price_delta
+      })));
+    }
+
+    const unknown = ids.find(id => !modifiers.some(modifier => modifier.modifier_id === id));
+    if (unknown) {
+      throw new ServiceError(`Modifier ${unknown} is not available for ${menuItem.name}`, 400);
+    }
+
+    const deltaCents = (variant ? toCents(variant.price_delta) : 0)
+      + modifiers.reduce((total, modifier) => total + toCents(modifier.price_delta), 0);
+
+    return { variant, modifiers, price_delta: fromCents(deltaCents) };
+  }
+
+  async saveOrderItemModifiers(orderItemId, modifiers, db = pool) {
+    for (const modifier of modifiers) {
+      await db.execute(`
+        INSERT INTO order_item_modifiers (order_item_id, modifier_id, group_name, name, price_delta)
+        VALUES (?, ?, ?, ?, ?)
+      `, [orderItemId, modifier.modifier_id, modifier.group_name, modifier.name, modifier.price_delta]);
+    }
+  }
+
+  async getOrderItemModifiers(orderItemIds, db = pool) {
+    const ids = [].concat(orderItemIds);
+    if (ids.length === 0) return [];
+
+    const [modifiers] = await db.execute(
+      `SELECT * FROM order_item_modifiers WHERE order_item_id IN (${placeholders(ids)}) ORDER BY order_item_id, id`,
+      ids
+    );
+    return modifiers;
+  }
+}
+
+module.exports = new ModifierService();
@@ -0,0 +1,594 @@
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const sessionService = require('./sessionService');
+const permissionService = require('./permissionService');
+const authService = require('./authService');
+const socketService = require('./socketService');
+const chargeService = require('./chargeService');
+const taxService = require('./taxService');
+const discountService = require('./discountService');
+const promotionService = require('./promotionService');
+
+const { EVENTS } = socketService;
+
+const PAYMENT_METHODS = ['Cash', 'Card', 'UPI', 'Digital Wallet'];
+const REFUND_REASONS = ['Customer Complaint', 'Wrong Order', 'Overcharge', 'Service Issue', 'Duplicate Payment', 'Order Voided', 'Other'];
+
+// Payments that count towards a bill (refunded ones net out through refunded_amount)
+const SETTLED_STATUSES_SQL = 'payment_status IN ("Completed", "Refunded")';
+
+// Money is summed in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const paymentStatusFor = (paidCents, totalCents, refundedCents = 0) => {
+  if (paidCents <= 0) return refundedCents > 0 ? 'Refunded' : 'Unpaid';
+  if (paidCents < totalCents) return 'Partial';
+  return 'Paid';
+};
+
+class PaymentService {
+  summarise(bill, totalCents, payments) {
+    const refundedCents = payments.reduce((total, payment) => total + toCents(payment.refunded_amount), 0);
+    const paidCents = payments.reduce((total, payment) => total + toCents(payment.amount), 0) - refundedCents;
+
+    return {
+      ...bill,
+      total: fromCents(totalCents),
+      paid: fromCents(paidCents),
+      refunded: fromCents(refundedCents),
+      balance: fromCents(Math.max(0, totalCents - paidCents)),
+      payment_status: paymentStatusFor(paidCents, totalCents, refundedCents),
+      payments
+    };
+  }
+
+  async getOrderBill(orderId, db = pool, { forUpdate = false } = {}) {
+    const [orders] = await db.execute(
+      `SELECT * FROM orders WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [orderId]
+    );
+
+    if (orders.length === 0) {
+      throw new ServiceError('Order not found', 404);
+    }
+
+    const order = orders[0];
+
+    const [payments] = await db.execute(
+      `SELECT * FROM payments WHERE order_id = ? AND ${SETTLED_STATUSES_SQL} ORDER BY processed_at, id`,
+      [order.id]
+    );
+
+    // Promotions, charges, taxes and discounts are already part of total_amount; they are listed so the bill can show them
+    const promotions = await promotionService.getOrderPromotions(order.id, db);
+    const charges = await chargeService.getOrderCharges(order.id, db);
+    const taxes = await taxService.getTaxSummary(order.id, db);
+    const discounts = await discountService.getOrderDiscounts(order.id, db);
+
+    return this.summarise({
+      type: 'order',
+      order_id: order.id,
+      session_id: order.session_id,
+      order,
+      promotions,
+      charges,
+      taxes,
+      discounts
+    }, toCents(order.total_amount), payments);
+  }
+
+  // A session bill covers the table time plus every order placed during the session
+  async getSessionBill(sessionId, db = pool, { forUpdate = false } = {}) {
+    const session = await sessionService.findSession(sessionId, db, { forUpdate });
+
+    // Time tax is stored when the session stops; while it runs it is worked out on the time so far
+    const open = sessionService.OPEN_STATUSES.includes(session.status);
+    const pauses = await sessionService.getPauses(session.id, db);
+    const timeBilling = sessionService.calculateBilling(session, pauses, await sessionService.now(db));
+    let timeAmount = parseFloat(session.total_amount);
+    let timeTax;
+    if (open) {
+      timeAmount = timeBilling.amount;
+      timeTax = await taxService.calculateSessionTime(session.table_id, timeAmount, db);
+    } else {
+      timeTax = await taxService.getSessionTax(session, db);
+    }
+    const timeCents = toCents(timeAmount) + (timeTax.tax_inclusive ? 0 : toCents(timeTax.tax_amount));
+
+    const [orders] = await db.execute(
+      'SELECT id, order_number, status, payment_status, subtotal, promotion_amount, discount_amount, charges_amount, total_amount FROM orders WHERE session_id = ? AND status != "Cancelled"',
+      [session.id]
+    );
+
+    const orderIds = orders.map(order => order.id);
+    const [payments] = await db.execute(`
+      SELECT * FROM payments
+      WHERE ${SETTLED_STATUSES_SQL}
+        AND (session_id = ?${orderIds.length ? ` OR order_id IN (${orderIds.map(() => '?').join(', ')})` : ''})
+      ORDER BY processed_at, id
+    `, [session.id, ...orderIds]);
+
+    const totalCents = timeCents + orders.reduce((total, order) => total + toCents(order.total_amount), 0);
+    const promotions = await promotionService.getOrderPromotions(orderIds, db);
+    const charges = await chargeService.getOrderCharges(orderIds, db);
+    const taxes = await taxService.getTaxSummary(orderIds, db, {
+      sessionIds: open ? [] : [session.id],
+      pending: open ? timeTax.components : []
+    });
+    const discounts = await discountService.getOrderDiscounts(orderIds, db);
+
+    return this.summarise({
+      type: 'session',
+      session_id: session.id,
+      session,
+      time_amount: timeAmount,
+      time_billing: timeBilling,
+      time_tax: timeTax,
+      time_total: fromCents(timeCents),
+      orders,
+      promotions,
+      charges,
+      taxes,
+      discounts
+    }, totalCents, payments);
+  }
+
+  async getBill({ orderId, sessionId }, db = pool, options = {}) {
+    if (sessionId) return this.getSessionBill(sessionId, db, options);
+    if (orderId) return this.getOrderBill(orderId, db, options);
+    throw new ServiceError('order_id or session_id is required');
+  }
+
+  // Write the derived payment_status back to the order/session
+  async refreshPaymentStatus(bill, db) {
+    if (bill.type === 'order') {
+      await db.execute(
+        'UPDATE orders SET payment_status = ? WHERE id = ?',
+        [bill.payment_status, bill.order_id]
+      );
+
+      // Paying an order that belongs to a session changes the session balance too
+      if (bill.session_id) {
+        const sessionBill = await this.getSessionBill(bill.session_id, db);
+        await db.execute(
+          'UPDATE sessions SET payment_status = ? WHERE id = ?',
+          [sessionBill.payment_status, bill.session_id]
+        );
+      }
+      return;
+    }
+
+    await db.execute(
+      'UPDATE sessions SET payment_status = ? WHERE id = ?',
+      [bill.payment_status, bill.session_id]
+    );
+
+    // Settling (or fully refunding) the session applies to every order placed during it
+    if (['Paid', 'Refunded'].includes(bill.payment_status) && bill.orders.length > 0) {
+      await db.execute(
+        `UPDATE orders SET payment_status = ? WHERE id IN (${bill.orders.map(() => '?').join(', ')})`,
+        [bill.payment_status, ...bill.orders.map(order => order.id)]
+      );
+    }
+  }
+
+  // Apply several tenders to one bill.
+  // Card/UPI/wallet amounts must fit within the balance; cash may exceed it and the excess is returned as change.
+  allocateTenders(tenders, balanceCents) {
+    const nonCash = tenders.filter(tender => tender.payment_method !== 'Cash');
+    const cash = tenders.filter(tender => tender.payment_method === 'Cash');
+
+    const nonCashCents = nonCash.reduce((total, tender) => total + toCents(tender.amount), 0);
+    if (nonCashCents > balanceCents) {
+      throw new ServiceError('Non-cash tenders exceed the outstanding balance', 400);
+    }
+
+    let remainingCents = balanceCents - nonCashCents;
+    const allocations = nonCash.map(tender => ({
+      ...tender,
+      appliedCents: toCents(tender.amount),
+      tenderedCents: null,
+      changeCents: 0
+    }));
+
+    for (const tender of cash) {
+      const tenderedCents = toCents(tender.amount);
+      const appliedCents = Math.min(tenderedCents, remainingCents);
+      remainingCents -= appliedCents;
+
+      allocations.push({
+        ...tender,
+        appliedCents,
+        tenderedCents,
+        changeCents: tenderedCents - appliedCents
+      });
+    }
+
+    return allocations.filter(allocation => allocation.appliedCents > 0);
+  }
+
+  async recordPayments({ orderId, sessionId, tenders, processedBy, terminalId = null }) {
+    if (!tenders || tenders.length === 0) {
+      throw new ServiceError('At least one tender is required');
+    }
+
+    for (const tender of tenders) {
+      if (!PAYMENT_METHODS.includes(tender.payment_method)) {
+        throw new ServiceError(`Invalid payment method: ${tender.payment_method}`);
+      }
+      if (!(toCents(tender.amount) > 0)) {
+        throw new ServiceError('Tender amounts must be greater than zero');
+      }
+    }
+
+    const result = await withTransaction(async (connection) => {
+      const bill = await this.getBill({ orderId, sessionId }, connection, { forUpdate: true });
+
+      if (bill.type === 'order' && bill.order.status === 'Cancelled') {
+        throw new ServiceError('Cannot take payment for a cancelled order', 409);
+      }
+      if (bill.type === 'session' && bill.session.status === 'Cancelled') {
+        throw new ServiceError('Cannot take payment for a cancelled session', 409);
+      }
+
+      const balanceCents = toCents(bill.balance);
+      if (balanceCents <= 0) {
+        throw new ServiceError('Bill is already fully paid', 409);
+      }
+
+      const allocations = this.allocateTenders(tenders, balanceCents);
+      const paymentIds = [];
+
+      for (const allocation of allocations) {
+        const paymentCode = `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+        const [inserted] = await connection.execute(`
+          INSERT INTO payments (
+            payment_id, order_id, session_id, amount, amount_tendered, change_given,
+            payment_method, payment_status, transaction_reference, processed_by, terminal_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, 'Completed', ?, ?, ?)
+        `, [
+          paymentCode,
+          bill.type === 'order' ? bill.order_id : null,
+          bill.type === 'session' ? bill.session_id : null,
+          fromCents(allocation.appliedCents),
+          allocation.tenderedCents !== null ? fromCents(allocation.tenderedCents) : null,
+          fromCents(allocation.changeCents),
+          allocation.payment_method,
+          allocation.transaction_reference || null,
+          processedBy,
+          terminalId
+        ]);
+
+        paymentIds.push(inserted.insertId);
+      }
+
+      const updatedBill = await this.getBill({ orderId, sessionId }, connection);
+      await this.refreshPaymentStatus(updatedBill, connection);
+
+      const changeCents = allocations.reduce((total, allocation) => total + allocation.changeCents, 0);
+
+      return { bill: updatedBill, paymentIds, change: fromCents(changeCents) };
+    });
+
+    socketService.emit(EVENTS.PAYMENT_RECORDED, {
+      order_id: result.bill.type === 'order' ? result.bill.order_id : null,
+      session_id: result.bill.session_id || null,
+      payment_ids: result.paymentIds,
+      paid: result.bill.paid,
+      balance: result.bill.balance,
+      payment_status: result.bill.payment_status
+    });
+
+    return result;
+  }
+
+  // Close a stopped session once its bill is settled
+  async closeSession(sessionId, { closedBy }) {
+    const bill = await withTransaction(async (connection) => {
+      const bill = await this.getSessionBill(sessionId, connection, { forUpdate: true });
+      const { session } = bill;
+
+      if (session.closed_at) {
+        throw new ServiceError('Session is already closed', 409);
+      }
+
+      if (sessionService.OPEN_STATUSES.includes(session.status)) {
+        throw new ServiceError('Stop the session before closing it', 409);
+      }
+
+      if (toCents(bill.balance) > 0) {
+        throw new ServiceError(`Outstanding balance of ${bill.balance.toFixed(2)} must be paid before closing`, 409, {
+          balance: bill.balance
+        });
+      }
+
+      await connection.execute(
+        'UPDATE sessions SET closed_at = NOW(), closed_by = ? WHERE id = ?',
+        [closedBy, session.id]
+      );
+
+      // Orders served during the session are finished once the bill is closed
+      await connection.execute(
+        'UPDATE orders SET status = "Completed" WHERE session_id = ? AND status NOT IN ("Cancelled", "Completed")',
+        [session.id]
+      );
+
+      await this.refreshPaymentStatus(bill, connection);
+
+      return bill;
+    });
+
+    socketService.emit(EVENTS.SESSION_CLOSED, {
+      session_id: bill.session_id,
+      table_id: bill.session.table_id,
+      total: bill.total
+    }, { tableId: bill.session.table_id });
+
+    return this.getSessionBill(sessionId);
+  }
+
+  // The user who authorises a permission-gated action: the requester when their role allows it,
+  // otherwise a supervisor who confirms with their own credentials. The supervisor's password goes
+  // through the login throttle and lockout and is written to login_events.
+  async resolveApprover(user, permission, { approverEmail, approverPassword, ip, userAgent } = {}) {
+    if (await permissionService.hasPermission(user, permission)) {
+      return user;
+    }
+
+    if (!approverEmail || !approverPassword) {
+      throw new ServiceError('Supervisor approval required', 403, { permission });
+    }
+
+    let approver;
+    try {
+      approver = await authService.passwordLogin(approverEmail, approverPassword, { ip, userAgent });
+    } catch (error) {
+      // The requester is signed in; a wrong approver password is refused, not a 401. Lockouts keep their status.
+      if (error instanceof ServiceError && error.status === 401) {
+        throw new ServiceError('Invalid approver credentials', 403);
+      }
+      throw error;
+    }
+
+    if (!(await permissionService.hasPermission(approver, permission))) {
+      throw new ServiceError('Approver is not allowed to authorise this action', 403, { permission });
+    }
+
+    return { id: approver.id, full_name: approver.full_name, role: approver.role };
+  }
+
+  // Refund part or all of a payment. Must run inside a transaction.
+  async refundPayment(connection, payment, { amountCents, refundMethod, reasonCode, reasonNote, reference, requestedBy, approvedBy }) {
+    const availableCents = toCents(payment.amount) - toCents(payment.refunded_amount);
+
+    if (availableCents <= 0) {
+      throw new ServiceError(`Payment ${payment.payment_id} is already fully refunded`, 409);
+    }
+
+    const refundCents = amountCents === undefined ? availableCents : amountCents;
+    if (refundCents <= 0 || refundCents > availableCents) {
+      throw new ServiceError(`Refund amount must be between 0.01 and ${fromCents(availableCents).toFixed(2)}`, 400);
+    }
+
+    const refundCode = `REF-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+    const [result] = await connection.execute(`
+      INSERT INTO refunds (
+        refund_id, payment_id, order_id, session_id, amount, refund_method,
+        reason_code, reason_note, transaction_reference, requested_by, approved_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      refundCode, payment.id, payment.order_id, payment.session_id, fromCents(refundCents),
+      refundMethod || payment.payment_method, reasonCode, reasonNote || null, reference || null,
+      requestedBy, approvedBy
+    ]);
+
+    const fullyRefunded = refundCents === availableCents;
+    await connection.execute(
+      'UPDATE payments SET refunded_amount = refunded_amount + ?, payment_status = ? WHERE id = ?',
+      [fromCents(refundCents), fullyRefunded ? 'Refunded' : payment.payment_status, payment.id]
+    );
+
+    return { id: result.insertId, refund_id: refundCode, amount: fromCents(refundCents) };
+  }
+
+  async refund(paymentId, { amount, refundMethod, reasonCode, reasonNote, reference, user, approval }) {
+    const approver = await this.resolveApprover(user, 'specialPermissions.voidOrders.afterPayment', approval);
+
+    const result = await withTransaction(async (connection) => {
+      const [payments] = await connection.execute(
+        'SELECT * FROM payments WHERE id = ? FOR UPDATE',
+        [paymentId]
+      );
+
+      if (payments.length === 0) {
+        throw new ServiceError('Payment not found', 404);
+      }
+
+      const payment = payments[0];
+      if (!['Completed', 'Refunded'].includes(payment.payment_status)) {
+        throw new ServiceError(`Cannot refund a ${payment.payment_status.toLowerCase()} payment`, 409);
+      }
+
+      const refund = await this.refundPayment(connection, payment, {
+        amountCents: amount !== undefined ? toCents(amount) : undefined,
+        refundMethod,
+        reasonCode,
+        reasonNote,
+        reference,
+        requestedBy: user.id,
+        approvedBy: approver.id
+      });
+
+      const bill = await this.getBill({ orderId: payment.order_id, sessionId: payment.session_id }, connection);
+      await this.refreshPaymentStatus(bill, connection);
+
+      return { refund, bill };
+    });
+
+    this.notifyRefund(result.bill, [result.refund]);
+    return { ...result, approved_by: approver.id };
+  }
+
+  // What an order's session would have been overpaid by once the order is taken off it,
+  // paid at session level rather than against the order
+  sessionShareCents(sessionBill, orderBill) {
+    const sessionPaidCents = toCents(sessionBill.paid) - toCents(orderBill.paid);
+    const remainingCents = toCents(sessionBill.total) - toCents(orderBill.order.total_amount);
+    return Math.max(0, sessionPaidCents - remainingCents);
+  }
+
+  // Cancel an order with a reason. Paid orders are refunded in full, which needs
+  // voidOrders.afterPayment; unpaid orders need voidOrders.fullOrder. For an order in a session,
+  // whatever the session was paid beyond its remaining total is refunded from the session's payments.
+  async voidOrder(orderId, { reasonCode, reasonNote, refundMethod, user, approval }) {
+    const preview = await this.getOrderBill(orderId);
+
+    if (preview.order.status === 'Cancelled') {
+      throw new ServiceError('Order is already cancelled', 409);
+    }
+
+    let paidCents = toCents(preview.paid);
+    if (preview.session_id) {
+      paidCents += this.sessionShareCents(await this.getSessionBill(preview.session_id), preview);
+    }
+
+    const permission = paidCents > 0
+      ? 'specialPermissions.voidOrders.afterPayment'
+      : 'specialPermissions.voidOrders.fullOrder';
+    const approver = await this.resolveApprover(user, permission, approval);
+
+    const result = await withTransaction(async (connection) => {
+      if (preview.session_id) {
+        await sessionService.findSession(preview.session_id, connection, { forUpdate: true });
+      }
+
+      const bill = await this.getOrderBill(orderId, connection, { forUpdate: true });
+      const refunds = [];
+      const refundOptions = {
+        refundMethod,
+        reasonCode: 'Order Voided',
+        reasonNote: reasonNote || reasonCode,
+        requestedBy: user.id,
+        approvedBy: approver.id
+      };
+
+      for (const payment of bill.payments) {
+        if (toCents(payment.amount) - toCents(payment.refunded_amount) <= 0) continue;
+        refunds.push(await this.refundPayment(connection, payment, refundOptions));
+      }
+
+      await connection.execute(`
+        UPDATE orders
+        SET status = 'Cancelled', void_reason = ?, voided_by = ?, voided_at = NOW()
+        WHERE id = ?
+      `, [[reasonCode, reasonNote].filter(Boolean).join(': ').substring(0, 255), approver.id, bill.order_id]);
+
+      if (bill.session_id) {
+        // With the order off the bill, refund what the session is now overpaid, newest payment first
+        const sessionBill = await this.getSessionBill(bill.session_id, connection);
+        let overpaidCents = toCents(sessionBill.paid) - toCents(sessionBill.total);
+        const sessionPayments = sessionBill.payments.filter(payment => !payment.order_id).reverse();
+
+        for (const payment of sessionPayments) {
+          if (overpaidCents <= 0) break;
+
+          const amountCents = Math.min(overpaidCents, toCents(payment.amount) - toCents(payment.refunded_amount));
+          if (amountCents <= 0) continue;
+
+          refunds.push(await this.refundPayment(connection, payment, { ...refundOptions, amountCents }));
+          overpaidCents -= amountCents;
+        }
+      }
+
+      // Payment taken between the permission check and now
+      if (refunds.length > 0 && permission !== 'specialPermissions.voidOrders.afterPayment') {
+        throw new ServiceError('The order was paid while it was being voided; try again', 409);
+      }
+
+      const updatedBill = await this.getOrderBill(orderId, connection);
+      await this.refreshPaymentStatus(updatedBill, connection);
+
+      return { refunds, bill: updatedBill };
+    });
+
+    if (result.refunds.length > 0) {
+      this.notifyRefund(result.bill, result.refunds);
+    }
+
+    socketService.emit(EVENTS.ORDER_STATUS_CHANGED, {
+      order_id: result.bill.order_id,
+      order_number: result.bill.order.order_number,
+      table_id: result.bill.order.table_id,
+      status: 'Cancelled'
+    }, { tableId: result.bill.order.table_id, userId: result.bill.order.user_id });
+
+    return { ...result, approved_by: approver.id };
+  }
+
+  notifyRefund(bill, refunds) {
+    socketService.emit(EVENTS.PAYMENT_REFUNDED, {
+      order_id: bill.type === 'order' ? bill.order_id : null,
+      session_id: bill.session_id || null,
+      refund_ids: refunds.map(refund => refund.id),
+      amount: fromCents(refunds.reduce((total, refund) => total + toCents(refund.amount), 0)),
+      payment_status: bill.payment_status
+    });
+  }
+
+  // Takings per payment method for a day, net of refunds issued that day
+  async getDailySummary(date) {
+    const [byMethod] = await pool.execute(`
+      SELECT 
+        payment_method,
+        COUNT(*) as count,
+        SUM(amount) as total,
+        SUM(change_given) as change_given
+      FROM payments
+      WHERE DATE(processed_at) = ? AND ${SETTLED_STATUSES_SQL}
+      GROUP BY payment_method
+    `, [date]);
+
+    const [refundsByMethod] = await pool.execute(`
+      SELECT 
+        refund_method,
+        COUNT(*) as count,
+        SUM(amount) as total
+      FROM refunds
+      WHERE DATE(created_at) = ?
+      GROUP BY refund_method
+    `, [date]);
+
+    const grossCents = byMethod.reduce((total, row) => total + toCents(row.total), 0);
+    const refundCents = refundsByMethod.reduce((total, row) => total + toCents(row.total), 0);
+
+    const net = PAYMENT_METHODS.map(method => {
+      const taken = byMethod.find(row => row.payment_method === method);
+      const refunded = refundsByMethod.find(row => row.refund_method === method);
+      return {
+        payment_method: method,
+        net: fromCents(toCents(taken && taken.total) - toCents(refunded && refunded.total))
+      };
+    });
+
+    return {
+      date,
+      by_method: byMethod,
+      refunds_by_method: refundsByMethod,
+      net_by_method: net,
+      gross: fromCents(grossCents),
+      refunds: fromCents(refundCents),
+      total: fromCents(grossCents - refundCents)
+    };
+  }
+}
+
+const paymentService = new PaymentService();
+paymentService.PAYMENT_METHODS = PAYMENT_METHODS;
+paymentService.REFUND_REASONS = REFUND_REASONS;
+paymentService.toCents = toCents;
+paymentService.fromCents = fromCents;
+
+module.exports = paymentService;
@@ -0,0 +1,139 @@
+const { pool } = require('../config/database');
+const {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermission,
+  mergePermissions,
+  validatePermissions
+} = require('../config/permissions');
+const { ServiceError } = require('../utils/errors');
+
+// mysql2 returns JSON columns parsed, but older servers store them as text
+const parseTree = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || {};
+
+const assertValid = (permissions) => {
+  const errors = validatePermissions(permissions);
+  if (errors.length > 0) {
+    throw new ServiceError('Invalid permissions', 400, { details: errors });
+  }
+};
+
+class PermissionService {
+  constructor() {
+    // Single process: caches are dropped whenever an admin edits permissions
+    this.roleCache = null;
+    this.userCache = new Map();
+  }
+
+  // Store the built-in defaults for roles that have never been edited
+  async seedRoleDefaults() {
+    for (const role of ROLES) {
+      await pool.execute(
+        'INSERT IGNORE INTO role_permissions (role, permissions) VALUES (?, ?)',
+        [role, JSON.stringify(ROLE_PERMISSIONS[role])]
+      );
+    }
+    this.roleCache = null;
+  }
+
+  // Effective defaults per role; permissions added to config/permissions.js later fill the gaps
+  async getRoleDefaults() {
+    if (!this.roleCache) {
+      const [rows] = await pool.execute('SELECT role, permissions FROM role_permissions');
+
+      this.roleCache = Object.fromEntries(ROLES.map(role => {
+        const row = rows.find(candidate => candidate.role === role);
+        return [role, mergePermissions(ROLE_PERMISSIONS[role], row ? parseTree(row.permissions) : {})];
+      }));
+    }
+    return this.roleCache;
+  }
+
+  async getUserOverrides(userId) {
+    if (!this.userCache.has(userId)) {
+      const [rows] = await pool.execute(
+        'SELECT permissions FROM user_permissions WHERE user_id = ?',
+        [userId]
+      );
+      this.userCache.set(userId, rows.length > 0 ? parseTree(rows[0].permissions) : {});
+    }
+    return this.userCache.get(userId);
+  }
+
+  async getEffectivePermissions(user) {
+    const roleDefaults = await this.getRoleDefaults();
+    const overrides = await this.getUserOverrides(user.id);
+    return mergePermissions(roleDefaults[user.role] || {}, overrides);
+  }
+
+  async getPermissionValue(user, path) {
+    return getPermission(await this.getEffectivePermissions(user), path);
+  }
+
+  async hasPermission(user, path) {
+    return Boolean(await this.getPermissionValue(user, path));
+  }
+
+  // Merge changes into a role's stored defaults
+  async updateRole(role, permissions, { updatedBy }) {
+    if (!ROLES.includes(role)) {
+      throw new ServiceError('Role not found', 404);
+    }
+    assertValid(permissions);
+
+    const roleDefaults = await this.getRoleDefaults();
+    const updated = mergePermissions(roleDefaults[role], permissions);
+
+    await pool.execute(`
+      INSERT INTO role_permissions (role, permissions, updated_by) VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE permissions = VALUES(permissions), updated_by = VALUES(updated_by)
+    `, [role, JSON.stringify(updated), updatedBy]);
+
+    this.roleCache = null;
+    return updated;
+  }
+
+  async getUserPermissions(userId) {
+    const [users] = await pool.execute(
+      'SELECT id, username, full_name, role FROM users WHERE id = ?',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      throw new ServiceError('User not found', 404);
+    }
+
+    const user = users[0];
+    const roleDefaults = await this.getRoleDefaults();
+
+    return {
+      user,
+      role_defaults: roleDefaults[user.role] || {},
+      overrides: await this.getUserOverrides(user.id),
+      effective: await this.getEffectivePermissions(user)
+    };
+  }
+
+  // Replace a user's overrides; an empty tree removes them
+  async setUserOverrides(userId, permissions, { updatedBy }) {
+    assertValid(permissions);
+    const { user } = await this.getUserPermissions(userId);
+
+    if (Object.keys(permissions).length === 0) {
+      await pool.execute('DELETE FROM user_permissions WHERE user_id = ?', [user.id]);
+    } else {
+      await pool.execute(`
+        INSERT INTO user_permissions (user_id, permissions, updated_by) VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE permissions = VALUES(permissions), updated_by = VALUES(updated_by)
+      `, [user.id, JSON.stringify(permissions), updatedBy]);
+    }
+
+    this.userCache.delete(user.id);
+    return this.getUserPermissions(user.id);
+  }
+}
+
+const permissionService = new PermissionService();
+permissionService.ROLES = ROLES;
+
+module.exports = permissionService;
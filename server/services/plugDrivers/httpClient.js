@@ -0,0 +1,44 @@
+const http = require('http');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// GET a JSON document from a plug on the local network
+const getJson = (url, { timeout = DEFAULT_TIMEOUT_MS, username, password } = {}) => {
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    if (username) {
+      headers.Authorization = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+    }
+
+    const request = http.get(url, { headers, timeout }, (response) => {
+      let raw = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { raw += chunk; });
+      response.on('end', () => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          return reject(new Error(`Device responded with HTTP ${response.statusCode}`));
+        }
+        try {
+          resolve(JSON.parse(raw));
+        } catch {
+          reject(new Error('Device returned invalid JSON'));
+        }
+      });
+    });
+
+    request.on('timeout', () => {
+      request.destroy(new Error(`Device did not respond within ${timeout}ms`));
+    });
+    request.on('error', reject);
+  });
+};
+
+// Base URL for a plug record
+const baseUrl = (plug) => {
+  if (!plug.ip_address) {
+    throw new Error('Plug has no IP address configured');
+  }
+  return `http://${plug.ip_address}${plug.port ? `:${plug.port}` : ''}`;
+};
+
+module.exports = { getJson, baseUrl };
@@ -0,0 +1,25 @@
+const tasmota = require('./tasmotaDriver');
+const { shelly, shellyGen2 } = require('./shellyDriver');
+const simulator = require('./simulatorDriver');
+
+// Every driver implements: turnOn(plug), turnOff(plug), getStatus(plug), getPower(plug).
+// turnOn/turnOff resolve to { power_state }, getStatus to { power_state, power_consumption },
+// getPower to watts (or null when the device has no meter). Failures reject with an Error.
+const drivers = new Map();
+
+const registerDriver = (driver) => {
+  for (const method of ['turnOn', 'turnOff', 'getStatus', 'getPower']) {
+    if (typeof driver[method] !== 'function') {
+      throw new Error(`Plug driver "${driver.name}" is missing ${method}()`);
+    }
+  }
+  drivers.set(driver.name, driver);
+};
+
+const getDriver = (name) => drivers.get(name) || null;
+
+const listDrivers = () => [...drivers.values()].map(driver => ({ name: driver.name, label: driver.label }));
+
+[tasmota, shelly, shellyGen2, simulator].forEach(registerDriver);
+
+module.exports = { registerDriver, getDriver, listDrivers };
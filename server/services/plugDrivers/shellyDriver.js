@@ -0,0 +1,68 @@
+const { getJson, baseUrl } = require('./httpClient');
+
+const auth = (plug) => ({ username: plug.auth_username, password: plug.auth_password });
+
+// Shelly Gen1 devices (Shelly Plug, Plug S, 1PM): /relay/<n> and /meter/<n>
+const shelly = {
+  name: 'shelly',
+  label: 'Shelly Gen1 (HTTP)',
+
+  async turnOn(plug) {
+    const response = await getJson(`${baseUrl(plug)}/relay/${plug.channel}?turn=on`, auth(plug));
+    return { power_state: response.ison ? 'On' : 'Off' };
+  },
+
+  async turnOff(plug) {
+    const response = await getJson(`${baseUrl(plug)}/relay/${plug.channel}?turn=off`, auth(plug));
+    return { power_state: response.ison ? 'On' : 'Off' };
+  },
+
+  async getStatus(plug) {
+    const relay = await getJson(`${baseUrl(plug)}/relay/${plug.channel}`, auth(plug));
+    return {
+      power_state: relay.ison ? 'On' : 'Off',
+      power_consumption: await this.getPower(plug)
+    };
+  },
+
+  async getPower(plug) {
+    try {
+      const meter = await getJson(`${baseUrl(plug)}/meter/${plug.channel}`, auth(plug));
+      return meter.power ?? null;
+    } catch {
+      // Relays without a power meter have no /meter endpoint
+      return null;
+    }
+  }
+};
+
+// Shelly Gen2+ devices (Plus / Pro series): RPC over HTTP
+const shellyGen2 = {
+  name: 'shelly-gen2',
+  label: 'Shelly Plus/Pro (RPC)',
+
+  async turnOn(plug) {
+    await getJson(`${baseUrl(plug)}/rpc/Switch.Set?id=${plug.channel}&on=true`, auth(plug));
+    return { power_state: 'On' };
+  },
+
+  async turnOff(plug) {
+    await getJson(`${baseUrl(plug)}/rpc/Switch.Set?id=${plug.channel}&on=false`, auth(plug));
+    return { power_state: 'Off' };
+  },
+
+  async getStatus(plug) {
+    const status = await getJson(`${baseUrl(plug)}/rpc/Switch.GetStatus?id=${plug.channel}`, auth(plug));
+    return {
+      power_state: status.output ? 'On' : 'Off',
+      power_consumption: status.apower ?? null
+    };
+  },
+
+  async getPower(plug) {
+    const status = await getJson(`${baseUrl(plug)}/rpc/Switch.GetStatus?id=${plug.channel}`, auth(plug));
+    return status.apower ?? null;
+  }
+};
+
+module.exports = { shelly, shellyGen2 };
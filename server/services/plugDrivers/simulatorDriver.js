@@ -0,0 +1,68 @@
+// In-process plug simulator for development and testing without hardware.
+// State lives in memory and resets when the server restarts.
+const DEFAULT_LOAD_WATTS = 60;
+
+const devices = new Map();
+
+const getDevice = (plug) => {
+  if (!devices.has(plug.plug_id)) {
+    devices.set(plug.plug_id, { on: plug.power_state === 'On', online: true, loadWatts: DEFAULT_LOAD_WATTS });
+  }
+  return devices.get(plug.plug_id);
+};
+
+const ensureOnline = (device) => {
+  if (!device.online) {
+    throw new Error('Simulated plug is offline');
+  }
+};
+
+// Small fluctuation so readings look like a real meter
+const readPower = (device) => {
+  if (!device.on) return 0;
+  const jitter = (Math.random() - 0.5) * device.loadWatts * 0.1;
+  return Math.round((device.loadWatts + jitter) * 100) / 100;
+};
+
+module.exports = {
+  name: 'simulator',
+  label: 'Simulator (no hardware)',
+
+  async turnOn(plug) {
+    const device = getDevice(plug);
+    ensureOnline(device);
+    device.on = true;
+    return { power_state: 'On' };
+  },
+
+  async turnOff(plug) {
+    const device = getDevice(plug);
+    ensureOnline(device);
+    device.on = false;
+    return { power_state: 'Off' };
+  },
+
+  async getStatus(plug) {
+    const device = getDevice(plug);
+    ensureOnline(device);
+    return { power_state: device.on ? 'On' : 'Off', power_consumption: readPower(device) };
+  },
+
+  async getPower(plug) {
+    const device = getDevice(plug);
+    ensureOnline(device);
+    return readPower(device);
+  },
+
+  // Test hooks: take a simulated plug offline or change its load
+  configure(plugId, { online, loadWatts } = {}) {
+    const device = getDevice({ plug_id: plugId });
+    if (online !== undefined) device.online = online;
+    if (loadWatts !== undefined) device.loadWatts = loadWatts;
+    return { ...device };
+  },
+
+  reset() {
+    devices.clear();
+  }
+};
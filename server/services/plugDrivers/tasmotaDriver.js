@@ -0,0 +1,50 @@
+const { getJson, baseUrl } = require('./httpClient');
+
+// Tasmota firmware, via its HTTP command API (/cm?cmnd=...)
+const command = (plug, cmnd) => {
+  const params = new URLSearchParams({ cmnd });
+  if (plug.auth_username) {
+    params.set('user', plug.auth_username);
+    params.set('password', plug.auth_password || '');
+  }
+  return getJson(`${baseUrl(plug)}/cm?${params.toString()}`);
+};
+
+// Multi-relay devices report POWER1, POWER2, ...; single relays report POWER
+const powerKey = (plug) => (plug.channel > 0 ? `POWER${plug.channel}` : 'POWER');
+
+const parsePowerState = (plug, response) => {
+  const value = response[powerKey(plug)] ?? response.POWER;
+  if (value === undefined) {
+    throw new Error('Unexpected Tasmota response');
+  }
+  return value === 'ON' ? 'On' : 'Off';
+};
+
+module.exports = {
+  name: 'tasmota',
+  label: 'Tasmota (HTTP)',
+
+  async turnOn(plug) {
+    return { power_state: parsePowerState(plug, await command(plug, `${powerKey(plug)} On`)) };
+  },
+
+  async turnOff(plug) {
+    return { power_state: parsePowerState(plug, await command(plug, `${powerKey(plug)} Off`)) };
+  },
+
+  async getStatus(plug) {
+    const power_state = parsePowerState(plug, await command(plug, powerKey(plug)));
+    const power_consumption = await this.getPower(plug);
+    return { power_state, power_consumption };
+  },
+
+  // Plugs without energy monitoring return null
+  async getPower(plug) {
+    const response = await command(plug, 'Status 8');
+    const energy = response.StatusSNS && response.StatusSNS.ENERGY;
+    if (!energy || energy.Power === undefined) return null;
+    // Multi-channel plugs report one reading per relay; channels are 1-based like POWER<n>
+    return Array.isArray(energy.Power) ? energy.Power[Math.max(0, (plug.channel || 1) - 1)] : energy.Power;
+  }
+};
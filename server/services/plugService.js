@@ -0,0 +1,194 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const { getSetting } = require('../utils/settings');
+const { getDriver } = require('./plugDrivers');
+const socketService = require('./socketService');
+
+const { EVENTS } = socketService;
+
+const DEFAULT_POLL_SECONDS = 60;
+
+class PlugService {
+  constructor() {
+    this.pollTimer = null;
+  }
+
+  async getPlug(plugId, db = pool) {
+    const [plugs] = await db.execute(
+      'SELECT * FROM smart_plugs WHERE id = ?',
+      [plugId]
+    );
+
+    if (plugs.length === 0) {
+      throw new ServiceError('Smart plug not found', 404);
+    }
+
+    return plugs[0];
+  }
+
+  // The plug wired to a table, by either side of the mapping
+  async getPlugForTable(table, db = pool) {
+    const [plugs] = await db.execute(`
+      SELECT * FROM smart_plugs
+      WHERE is_active = TRUE AND (table_id = ? OR plug_id = ?)
+      ORDER BY table_id = ? DESC
+      LIMIT 1
+    `, [table.id, table.smart_plug_id || null, table.id]);
+
+    return plugs[0] || null;
+  }
+
+  driverFor(plug) {
+    const driver = getDriver(plug.driver);
+    if (!driver) {
+      throw new ServiceError(`Unknown smart plug driver: ${plug.driver}`, 400);
+    }
+    return driver;
+  }
+
+  // Persist a successful device response
+  async recordSuccess(plug, state) {
+    const powerState = state.power_state || plug.power_state;
+    const consumption = state.power_consumption !== undefined && state.power_consumption !== null
+      ? state.power_consumption
+      : (powerState === 'Off' ? 0 : plug.power_consumption);
+
+    await pool.execute(`
+      UPDATE smart_plugs
+      SET status = 'Online', power_state = ?, power_consumption = ?, last_error = NULL, last_seen = NOW()
+      WHERE id = ?
+    `, [powerState, consumption, plug.id]);
+
+    const updated = { ...plug, status: 'Online', power_state: powerState, power_consumption: consumption, last_error: null };
+
+    if (plug.status !== 'Online') {
+      this.notify(EVENTS.PLUG_ONLINE, updated);
+    }
+    if (plug.power_state !== powerState) {
+      this.notify(EVENTS.PLUG_STATE_CHANGED, updated);
+    }
+
+    return updated;
+  }
+
+  // Persist a failed device call. Network failures mark the plug Offline.
+  async recordFailure(plug, error) {
+    const status = /timeout|respond|ECONNREFUSED|EHOSTUNREACH|ENETUNREACH|ETIMEDOUT|offline/i.test(error.message)
+      ? 'Offline'
+      : 'Error';
+
+    await pool.execute(
+      'UPDATE smart_plugs SET status = ?, last_error = ? WHERE id = ?',
+      [status, error.message.substring(0, 255), plug.id]
+    );
+
+    if (plug.status !== status) {
+      this.notify(status === 'Offline' ? EVENTS.PLUG_OFFLINE : EVENTS.PLUG_ERROR, { ...plug, status, last_error: error.message });
+    }
+  }
+
+  async runCommand(plugId, command) {
+    const plug = await this.getPlug(plugId);
+
+    if (!plug.is_active) {
+      throw new ServiceError('Smart plug is inactive', 409);
+    }
+
+    const driver = this.driverFor(plug);
+
+    try {
+      const state = await driver[command](plug);
+      return await this.recordSuccess(plug, state);
+    } catch (error) {
+      if (error instanceof ServiceError) throw error;
+      await this.recordFailure(plug, error);
+      throw new ServiceError(`Smart plug ${plug.name}: ${error.message}`, 502);
+    }
+  }
+
+  async turnOn(plugId) {
+    return this.runCommand(plugId, 'turnOn');
+  }
+
+  async turnOff(plugId) {
+    return this.runCommand(plugId, 'turnOff');
+  }
+
+  async refreshStatus(plugId) {
+    return this.runCommand(plugId, 'getStatus');
+  }
+
+  notify(event, plug) {
+    socketService.emit(event, {
+      plug_id: plug.id,
+      plug_code: plug.plug_id,
+      name: plug.name,
+      table_id: plug.table_id,
+      status: plug.status,
+      power_state: plug.power_state,
+      power_consumption: plug.power_consumption !== null ? parseFloat(plug.power_consumption) : null,
+      error: plug.last_error || undefined
+    }, { tableId: plug.table_id });
+  }
+
+  // Refresh every active plug; failures are recorded per plug
+  async pollAll() {
+    const [plugs] = await pool.execute('SELECT id FROM smart_plugs WHERE is_active = TRUE');
+
+    for (const plug of plugs) {
+      try {
+        await this.refreshStatus(plug.id);
+      } catch (error) {
+        if (!(error instanceof ServiceError)) {
+          console.error(`Smart plug poll failed for plug ${plug.id}:`, error);
+        }
+      }
+    }
+  }
+
+  async startPolling() {
+    if (this.pollTimer) return;
+
+    const seconds = await getSetting('smart_plug_poll_seconds', DEFAULT_POLL_SECONDS);
+
+    this.pollTimer = setInterval(() => {
+      this.pollAll().catch(error => {
+        console.error('Smart plug polling error:', error);
+      });
+    }, seconds * 1000);
+    this.pollTimer.unref();
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  // Point a plug at a table (or none) and keep restaurant_tables.smart_plug_id in sync
+  async assignTable(plugId, tableId, db = pool) {
+    const plug = await this.getPlug(plugId, db);
+
+    await db.execute(
+      'UPDATE restaurant_tables SET smart_plug_id = NULL WHERE smart_plug_id = ?',
+      [plug.plug_id]
+    );
+
+    if (tableId) {
+      await db.execute(
+        'UPDATE smart_plugs SET table_id = NULL WHERE table_id = ? AND id != ?',
+        [tableId, plug.id]
+      );
+      await db.execute(
+        'UPDATE restaurant_tables SET smart_plug_id = ? WHERE id = ?',
+        [plug.plug_id, tableId]
+      );
+    }
+
+    await db.execute(
+      'UPDATE smart_plugs SET table_id = ? WHERE id = ?',
+      [tableId || null, plug.id]
+    );
+  }
+}
+
+module.exports = new PlugService();
@@ -0,0 +1,237 @@
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+
+const APPLY_INTERVAL_MS = 60 * 1000;
+
+// Money is summed in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+class PriceService {
+  async findItem(menuItemId, db = pool, { forUpdate = false } = {}) {
+    const [items] = await db.execute(
+      `SELECT id, name, price, archived_at FROM menu_items WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [menuItemId]
+    );
+
+    if (items.length === 0) {
+      throw new ServiceError('Menu item not found', 404);
+    }
+    return items[0];
+  }
+
+  // Every price the item has had or is scheduled to have, newest first
+  async history(menuItemId, db = pool) {
+    const item = await this.findItem(menuItemId, db);
+
+    const [prices] = await db.execute(`
+      SELECT p.*, creator.full_name as created_by_name, canceller.full_name as cancelled_by_name
+      FROM menu_item_prices p
+      LEFT JOIN users creator ON p.created_by = creator.id
+      LEFT JOIN users canceller ON p.cancelled_by = canceller.id
+      WHERE p.menu_item_id = ?
+      ORDER BY p.effective_from DESC, p.id DESC
+    `, [item.id]);
+
+    return { item, prices };
+  }
+
+  async getChange(priceId, db = pool) {
+    const [prices] = await db.execute('SELECT * FROM menu_item_prices WHERE id = ?', [priceId]);
+
+    if (prices.length === 0) {
+      throw new ServiceError('Price change not found', 404);
+    }
+    return prices[0];
+  }
+
+  // The price a new item starts with
+  async recordInitial(menuItemId, price, { createdBy }, db = pool) {
+    await db.execute(`
+      INSERT INTO menu_item_prices (menu_item_id, price, effective_from, status, reason, created_by, applied_at)
+      VALUES (?, ?, NOW(), 'Applied', 'Initial price', ?, NOW())
+    `, [menuItemId, price, createdBy]);
+  }
+
+  // Schedule a price change; without `effectiveFrom`, or with one already passed, it applies now.
+  // History is never back-dated, so what was charged in the past stays as reported.
+  async schedule(menuItemId, { price, effectiveFrom = null, reason = null }, { createdBy }, db = null) {
+    const run = async (connection) => {
+      const item = await this.findItem(menuItemId, connection, { forUpdate: true });
+
+      const [result] = await connection.execute(`
+        INSERT INTO menu_item_prices (menu_item_id, price, effective_from, reason, created_by)
+        VALUES (?, ?, GREATEST(COALESCE(?, NOW()), NOW()), ?, ?)
+      `, [item.id, price, effectiveFrom, reason, createdBy]);
+
+      await this.applyDue(connection, item.id);
+      return this.getChange(result.insertId, connection);
+    };
+
+    return db ? run(db) : withTransaction(run);
+  }
+
+  async cancel(priceId, { cancelledBy }) {
+    return withTransaction(async (connection) => {
+      const [prices] = await connection.execute('SELECT * FROM menu_item_prices WHERE id = ? FOR UPDATE', [priceId]);
+
+      if (prices.length === 0) {
+        throw new ServiceError('Price change not found', 404);
+      }
+      if (prices[0].status !== 'Scheduled') {
+        throw new ServiceError(`Only scheduled changes can be cancelled; this one is ${prices[0].status}`, 409);
+      }
+
+      await connection.execute(
+        'UPDATE menu_item_prices SET status = "Cancelled", cancelled_by = ?, cancelled_at = NOW() WHERE id = ?',
+        [cancelledBy, prices[0].id]
+      );
+      return this.getChange(prices[0].id, connection);
+    });
+  }
+
+  // Apply scheduled changes whose time has come, oldest first, to one item or all of them
+  async applyDue(db, menuItemId = null) {
+    const [due] = await db.execute(`
+      SELECT * FROM menu_item_prices
+      WHERE status = 'Scheduled' AND effective_from <= NOW()${menuItemId ? ' AND menu_item_id = ?' : ''}
+      ORDER BY effective_from, id
+      FOR UPDATE
+    `, menuItemId ? [menuItemId] : []);
+
+    for (const change of due) {
+      const item = await this.findItem(change.menu_item_id, db, { forUpdate: true });
+
+      await db.execute('UPDATE menu_items SET price = ? WHERE id = ?', [change.price, item.id]);
+      await db.execute(
+        'UPDATE menu_item_prices SET status = "Applied", previous_price = ?, applied_at = NOW() WHERE id = ?',
+        [item.price, change.id]
+      );
+    }
+    return due.length;
+  }
+
+  // Price of each item at `at` ('YYYY-MM-DD HH:MM:SS'), optionally for one item, subcategory or category.
+  // Items created after `at` are left out.
+  async pricesAt(at, { menuItemId, subcategoryId, categoryId } = {}) {
+    let where = 'WHERE p.id IS NOT NULL';
+    const params = [at];
+
+    if (menuItemId) {
+      where += ' AND mi.id = ?';
+      params.push(menuItemId);
+    }
+
+    if (subcategoryId) {
+      where += ' AND sc.id = ?';
+      params.push(subcategoryId);
+    }
+
+    if (categoryId) {
+      where += ' AND c.id = ?';
+      params.push(categoryId);
+    }
+
+    const [items] = await pool.execute(`
+      SELECT
+        mi.id as menu_item_id,
+        mi.name,
+        sc.name as subcategory_name,
+        c.name as category_name,
+        p.price,
+        p.effective_from,
+        p.id as price_id,
+        mi.price as current_price
+      FROM menu_items mi
+      JOIN subcategories sc ON mi.subcategory_id = sc.id
+      JOIN categories c ON sc.category_id = c.id
+      LEFT JOIN menu_item_prices p ON p.id = (
+        SELECT latest.id FROM menu_item_prices latest
+        WHERE latest.menu_item_id = mi.id AND latest.status = 'Applied' AND latest.effective_from <= ?
+        ORDER BY latest.effective_from DESC, latest.id DESC
+        LIMIT 1
+      )
+      ${where}
+      ORDER BY c.name, sc.name, mi.name
+    `, params);
+
+    return items;
+  }
+
+  // Unarchived items in a category or subcategory with their price after a percentage change.
+  // Prices never go below zero.
+  async bulkChanges({ categoryId, subcategoryId, percent }, db = pool, { forUpdate = false } = {}) {
+    const [items] = await db.execute(`
+      SELECT mi.id, mi.name, mi.price, sc.name as subcategory_name
+      FROM menu_items mi
+      JOIN subcategories sc ON mi.subcategory_id = sc.id
+      WHERE ${subcategoryId ? 'sc.id = ?' : 'sc.category_id = ?'}
+        AND mi.archived_at IS NULL AND sc.archived_at IS NULL
+      ORDER BY sc.name, mi.name
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [subcategoryId || categoryId]);
+
+    if (items.length === 0) {
+      throw new ServiceError('No menu items to update', 404);
+    }
+
+    return items.map(item => {
+      const newCents = Math.max(0, Math.round(toCents(item.price) * (100 + percent) / 100));
+      return {
+        menu_item_id: item.id,
+        name: item.name,
+        subcategory_name: item.subcategory_name,
+        current_price: parseFloat(item.price),
+        new_price: fromCents(newCents),
+        difference: fromCents(newCents - toCents(item.price))
+      };
+    });
+  }
+
+  async bulkPreview(scope) {
+    const changes = await this.bulkChanges(scope);
+    return changes.filter(change => change.difference !== 0);
+  }
+
+  // Commit a bulk change worked out again from the locked rows, so it matches what is saved
+  async bulkApply({ categoryId, subcategoryId, percent, effectiveFrom = null, reason = null }, { createdBy }) {
+    return withTransaction(async (connection) => {
+      const changes = await this.bulkChanges({ categoryId, subcategoryId, percent }, connection, { forUpdate: true });
+      const changed = changes.filter(change => change.difference !== 0);
+
+      const description = reason || `Bulk ${percent > 0 ? '+' : ''}${percent}%`;
+      for (const change of changed) {
+        const scheduled = await this.schedule(
+          change.menu_item_id,
+          { price: change.new_price, effectiveFrom, reason: description },
+          { createdBy },
+          connection
+        );
+        change.price_id = scheduled.id;
+        change.status = scheduled.status;
+        change.effective_from = scheduled.effective_from;
+      }
+
+      return changed;
+    });
+  }
+
+  // Periodically apply scheduled price changes as they fall due
+  startScheduler() {
+    if (this.applyTimer) return;
+
+    this.applyTimer = setInterval(() => {
+      withTransaction(connection => this.applyDue(connection)).catch(error => {
+        console.error('Price scheduler error:', error);
+      });
+    }, APPLY_INTERVAL_MS);
+    this.applyTimer.unref();
+  }
+
+  stopScheduler() {
+    clearInterval(this.applyTimer);
+    this.applyTimer = null;
+  }
+}
+
+module.exports = new PriceService();
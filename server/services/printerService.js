@@ -1,6 +1,11 @@
 const { ThermalPrinter, PrinterTypes, CharacterSet, BreakLine } = require('node-thermal-printer');
 const { pool } = require('../config/database');
 const moment = require('moment');
+const socketService = require('./socketService');
+const taxService = require('./taxService');
+const modifierService = require('./modifierService');
+
+const { EVENTS } = socketService;
 
 class PrinterService {
   constructor() {
@@ -41,6 +46,32 @@ class PrinterService {
     }
   }
 
+  // Persist printer connectivity and broadcast when it changes
+  async updatePrinterStatus(printerId, isOnline) {
+    const [printers] = await pool.execute(
+      'SELECT id, name, type, is_online FROM printers WHERE id = ?',
+      [printerId]
+    );
+
+    if (printers.length === 0) {
+      return;
+    }
+
+    await pool.execute(
+      'UPDATE printers SET is_online = ? WHERE id = ?',
+      [isOnline, printerId]
+    );
+
+    const printer = printers[0];
+    if (Boolean(printer.is_online) !== Boolean(isOnline)) {
+      socketService.emit(isOnline ? EVENTS.PRINTER_ONLINE : EVENTS.PRINTER_OFFLINE, {
+        printer_id: printer.id,
+        name: printer.name,
+        type: printer.type
+      });
+    }
+  }
+
   // Test printer connection
   async testPrinter(printerId) {
     try {
@@ -65,9 +96,10 @@ class PrinterService {
         
         // Update last test print time
         await pool.execute(
-          'UPDATE printers SET last_test_print = NOW(), is_online = TRUE WHERE id = ?',
+          'UPDATE printers SET last_test_print = NOW() WHERE id = ?',
           [printerId]
         );
+        await this.updatePrinterStatus(printerId, true);
         
         return { success: true, message: 'Test print successful' };
       } else {
@@ -75,10 +107,7 @@ class PrinterService {
       }
     } catch (error) {
       // Update printer status to offline
-      await pool.execute(
-        'UPDATE printers SET is_online = FALSE WHERE id = ?',
-        [printerId]
-      );
+      await this.updatePrinterStatus(printerId, false);
       
       throw new Error(`Test print failed: ${error.message}`);
     }
@@ -124,6 +153,9 @@ class PrinterService {
         ORDER BY ki.id
       `, [kotId]);
 
+      // Get the modifiers chosen on each item
+      const itemModifiers = await modifierService.getOrderItemModifiers(kotItems.map(item => item.order_item_id));
+
       // Find appropriate printer based on category
       const [printers] = await pool.execute(`
         SELECT p.* FROM printers p
@@ -204,6 +236,12 @@ class PrinterService {
         printer.bold(false);
         printer.setTextSize(0, 0);
         printer.println(`   Qty: ${item.quantity}`);
+
+        itemModifiers
+          .filter(modifier => modifier.order_item_id === item.order_item_id)
+          .forEach(modifier => {
+            printer.println(`   + ${modifier.name}`);
+          });
         
         if (item.special_instructions) {
           printer.println(`   Note: ${item.special_instructions}`);
@@ -243,16 +281,27 @@ class PrinterService {
         
         // Update KOT status
         await pool.execute(
-          'UPDATE kots SET status = "Printed", printed_at = NOW() WHERE id = ?',
-          [kotId]
+          'UPDATE kots SET status = "Printed", printed_at = NOW(), printer_id = ? WHERE id = ?',
+          [printerId, kotId]
         );
+
+        socketService.emit(EVENTS.KOT_PRINTED, {
+          kot_id: kot.id,
+          kot_number: kot.kot_number,
+          order_id: kot.order_id,
+          table_id: kot.table_id,
+          printer_id: printerId,
+          status: 'Printed'
+        }, { tableId: kot.table_id });
         
         return { success: true, message: 'KOT printed successfully', printerId };
       } else {
+        await this.updatePrinterStatus(printerId, false);
         throw new Error('Printer not connected');
       }
     } catch (error) {
       console.error('KOT printing failed:', error);
+      socketService.emit(EVENTS.KOT_PRINT_FAILED, { kot_id: kotId, error: error.message });
       throw error;
     }
   }
@@ -270,7 +319,9 @@ class PrinterService {
           s.start_time,
           s.end_time,
           s.duration_minutes,
-          s.hourly_rate
+          s.hourly_rate,
+          s.total_amount as session_amount,
+          s.tax_inclusive as session_tax_inclusive
         FROM orders o
         LEFT JOIN restaurant_tables rt ON o.table_id = rt.id
         LEFT JOIN sessions s ON o.session_id = s.id
@@ -285,15 +336,41 @@ class PrinterService {
 
       // Get order items
       const [orderItems] = await pool.execute(`
-        SELECT 
-          oi.*,
-          mi.name as item_name
+        SELECT oi.*
         FROM order_items oi
-        JOIN menu_items mi ON oi.menu_item_id = mi.id
         WHERE oi.order_id = ?
         ORDER BY oi.id
       `, [orderId]);
 
+      // Get service and packaging charges
+      const [orderCharges] = await pool.execute(
+        'SELECT name, amount FROM order_charges WHERE order_id = ? ORDER BY id',
+        [orderId]
+      );
+
+      // Get the modifiers chosen on each item
+      const itemModifiers = await modifierService.getOrderItemModifiers(orderItems.map(item => item.id));
+
+      // Get promotions applied when the order was priced
+      const [orderPromotions] = await pool.execute(
+        'SELECT name, times_applied, amount FROM order_promotions WHERE order_id = ? ORDER BY id',
+        [orderId]
+      );
+
+      // Get discount reasons
+      const [orderDiscounts] = await pool.execute(
+        'SELECT reason, amount FROM order_discounts WHERE order_id = ? ORDER BY id',
+        [orderId]
+      );
+
+      // Get tax per component for the summary block
+      const taxSummary = await taxService.getTaxSummary(orderId);
+
+      // Get the tax stored on the session's time once it has stopped
+      const sessionTaxes = order.session_id && order.end_time
+        ? await taxService.getTaxSummary([], pool, { sessionIds: [order.session_id] })
+        : [];
+
       // Get receipt printer
       const [printers] = await pool.execute(
         'SELECT * FROM printers WHERE type = "Receipt" AND is_active = TRUE AND is_online = TRUE LIMIT 1'
@@ -359,6 +436,12 @@ class PrinterService {
         }
         printer.println(`Duration: ${order.duration_minutes} minutes`);
         printer.println(`Rate: $${order.hourly_rate}/hour`);
+        if (order.end_time) {
+          printer.println(`Time: $${order.session_amount}${order.session_tax_inclusive ? ' (incl. tax)' : ''}`);
+          sessionTaxes.forEach(tax => {
+            printer.println(`${`  ${tax.name} ${tax.rate}%:`.padEnd(17)}$${tax.amount.toFixed(2)}`);
+          });
+        }
         printer.println("");
       }
 
@@ -370,18 +453,45 @@ class PrinterService {
         printer.bold(false);
         
         orderItems.forEach(item => {
-          printer.println(`${item.item_name}`);
+          printer.println(item.variant_name ? `${item.item_name} (${item.variant_name})` : `${item.item_name}`);
+          itemModifiers
+            .filter(modifier => modifier.order_item_id === item.id)
+            .forEach(modifier => {
+              const delta = parseFloat(modifier.price_delta);
+              printer.println(`  + ${modifier.name}${delta !== 0 ? ` ${delta > 0 ? '+' : '-'}$${Math.abs(delta).toFixed(2)}` : ''}`);
+            });
           printer.println(`  ${item.quantity} x $${item.unit_price} = $${item.total_price}`);
         });
         printer.println("");
       }
 
+      // Promotions, already taken off the subtotal
+      if (orderPromotions.length > 0) {
+        printer.println("=".repeat(32));
+        printer.bold(true);
+        printer.println("PROMOTIONS:");
+        printer.bold(false);
+
+        orderPromotions.forEach(promotion => {
+          const times = promotion.times_applied > 1 ? ` x${promotion.times_applied}` : '';
+          printer.println(`${promotion.name}${times}`);
+          printer.println(`  -$${promotion.amount}`);
+        });
+        printer.println("");
+      }
+
       // Totals
       printer.println("=".repeat(32));
       printer.println(`Subtotal:        $${order.subtotal}`);
+      orderCharges.forEach(charge => {
+        printer.println(`${`${charge.name}:`.padEnd(17)}$${charge.amount}`);
+      });
       printer.println(`Tax:             $${order.tax_amount}`);
       if (order.discount_amount > 0) {
         printer.println(`Discount:       -$${order.discount_amount}`);
+        orderDiscounts.forEach(discount => {
+          printer.println(`  ${discount.reason}`.substring(0, 32));
+        });
       }
       printer.bold(true);
       printer.println(`TOTAL:           $${order.total_amount}`);
@@ -389,6 +499,18 @@ class PrinterService {
       printer.println("=".repeat(32));
       printer.println("");
 
+      // Tax summary
+      if (taxSummary.length > 0) {
+        printer.bold(true);
+        printer.println("TAX SUMMARY:");
+        printer.bold(false);
+        taxSummary.forEach(tax => {
+          printer.println(`${`${tax.name} ${tax.rate}%:`.padEnd(17)}$${tax.amount.toFixed(2)}`);
+          printer.println(`  on $${tax.taxable_amount.toFixed(2)}`);
+        });
+        printer.println("");
+      }
+
       printer.alignCenter();
       if (businessSettings.receipt_footer) {
         printer.println(businessSettings.receipt_footer);
@@ -402,6 +524,7 @@ class PrinterService {
         await printer.execute();
         return { success: true, message: 'Receipt printed successfully' };
       } else {
+        await this.updatePrinterStatus(printers[0].id, false);
         throw new Error('Receipt printer not connected');
       }
     } catch (error) {
@@ -0,0 +1,444 @@
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+
+const PROMO_TYPES = ['HappyHour', 'BuyXGetY', 'Combo'];
+const DISCOUNT_TYPES = ['Percentage', 'Fixed'];
+const TARGET_TYPES = ['Category', 'Subcategory', 'Item'];
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const FIELDS = [
+  'name', 'promo_type', 'discount_type', 'discount_value', 'buy_quantity', 'get_quantity', 'combo_price',
+  'days_of_week', 'start_time', 'end_time', 'valid_from', 'valid_to', 'priority', 'is_active'
+];
+
+// Money is summed in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// mysql2 usually parses JSON columns already; older servers return strings
+const parseList = (value) => {
+  if (value === null || value === undefined) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const matches = (target, lot) => {
+  if (target.target_type === 'Item') return lot.menu_item_id === target.target_id;
+  if (target.target_type === 'Subcategory') return lot.subcategory_id === target.target_id;
+  return lot.category_id === target.target_id;
+};
+
+const unitSaving = (promotion, priceCents) => (promotion.discount_type === 'Percentage'
+  ? Math.round(priceCents * parseFloat(promotion.discount_value) / 100)
+  : Math.min(priceCents, toCents(promotion.discount_value)));
+
+// Dearest first; equal prices keep cart order
+const byPriceDesc = (lots) => [...lots].sort((a, b) => b.price - a.price);
+
+// Share `totalCents` over the units of one set in proportion to their price, `times` over;
+// the last unit takes the rounding. `units` lists the lot of each unit in the set.
+const shareOver = (units, totalCents, times) => {
+  const priceCents = units.reduce((total, lot) => total + lot.price, 0);
+  let remaining = totalCents;
+
+  units.forEach((lot, index) => {
+    const share = index === units.length - 1
+      ? remaining
+      : Math.round(totalCents * lot.price / priceCents);
+    lot.saving += share * times;
+    remaining -= share;
+  });
+};
+
+class PromotionService {
+  async list({ includeInactive = false } = {}, db = pool) {
+    const [promotions] = await db.execute(`
+      SELECT * FROM promotions
+      ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+      ORDER BY priority, id
+    `);
+    if (promotions.length === 0) return [];
+
+    const [targets] = await db.execute(`
+      SELECT promotion_id, target_type, target_id, quantity FROM promotion_targets
+      WHERE promotion_id IN (${promotions.map(() => '?').join(', ')})
+      ORDER BY id
+    `, promotions.map(promotion => promotion.id));
+
+    return promotions.map(promotion => ({
+      ...promotion,
+      days_of_week: parseList(promotion.days_of_week),
+      targets: targets
+        .filter(target => target.promotion_id === promotion.id)
+        .map(({ target_type, target_id, quantity }) => ({ target_type, target_id, quantity }))
+    }));
+  }
+
+  async getPromotion(promotionId, db = pool) {
+    const promotions = await this.list({ includeInactive: true }, db);
+    const promotion = promotions.find(candidate => candidate.id === parseInt(promotionId));
+
+    if (!promotion) {
+      throw new ServiceError('Promotion not found', 404);
+    }
+    return promotion;
+  }
+
+  // The settings each type needs, checked on the promotion as it will be saved
+  assertValid(promotion) {
+    const { promo_type, discount_type, discount_value, targets } = promotion;
+
+    if (promo_type === 'Combo') {
+      if (promotion.combo_price === undefined || promotion.combo_price === null) {
+        throw new ServiceError('A combo needs a combo_price', 400);
+      }
+      const units = (targets || []).reduce((total, target) => total + (target.quantity || 1), 0);
+      if (units < 2) {
+        throw new ServiceError('A combo needs at least two items', 400);
+      }
+      return;
+    }
+
+    if (!discount_type || discount_value === undefined || discount_value === null) {
+      throw new ServiceError('discount_type and discount_value are required', 400);
+    }
+    if (discount_type === 'Percentage' && discount_value > 100) {
+      throw new ServiceError('A percentage discount cannot exceed 100%', 400);
+    }
+    if (promo_type === 'BuyXGetY' && (!promotion.buy_quantity || !promotion.get_quantity)) {
+      throw new ServiceError('buy_quantity and get_quantity are required', 400);
+    }
+  }
+
+  async saveTargets(promotionId, targets, db) {
+    await db.execute('DELETE FROM promotion_targets WHERE promotion_id = ?', [promotionId]);
+    for (const target of targets) {
+      await db.execute(
+        'INSERT INTO promotion_targets (promotion_id, target_type, target_id, quantity) VALUES (?, ?, ?, ?)',
+        [promotionId, target.target_type, target.target_id, target.quantity || 1]
+      );
+    }
+  }
+
+  columnValue(field, value) {
+    if (field === 'days_of_week') return value ? JSON.stringify(value) : null;
+    return value === undefined ? null : value;
+  }
+
+  async create(data, { createdBy }) {
+    this.assertValid(data);
+
+    return withTransaction(async (connection) => {
+      const fields = FIELDS.filter(field => data[field] !== undefined);
+      const [result] = await connection.execute(
+        `INSERT INTO promotions (${fields.join(', ')}, created_by) VALUES (${fields.map(() => '?').join(', ')}, ?)`,
+        [...fields.map(field => this.columnValue(field, data[field])), createdBy]
+      );
+
+      await this.saveTargets(result.insertId, data.targets || [], connection);
+      return this.getPromotion(result.insertId, connection);
+    });
+  }
+
+  // `targets`, when given, replaces the existing ones. Orders already placed keep their savings.
+  async update(promotionId, changes) {
+    return withTransaction(async (connection) => {
+      const promotion = await this.getPromotion(promotionId, connection);
+      this.assertValid({ ...promotion, ...changes });
+
+      const fields = FIELDS.filter(field => changes[field] !== undefined);
+      if (fields.length === 0 && !changes.targets) {
+        throw new ServiceError('No valid fields to update', 400);
+      }
+
+      if (fields.length > 0) {
+        await connection.execute(
+          `UPDATE promotions SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+          [...fields.map(field => this.columnValue(field, changes[field])), promotion.id]
+        );
+      }
+      if (changes.targets) {
+        await this.saveTargets(promotion.id, changes.targets, connection);
+      }
+
+      return this.getPromotion(promotion.id, connection);
+    });
+  }
+
+  // Promotions that were used stay for the usage report; deactivate them instead
+  async remove(promotionId) {
+    const promotion = await this.getPromotion(promotionId);
+
+    const [usage] = await pool.execute('SELECT COUNT(*) as uses FROM order_promotions WHERE promotion_id = ?', [promotion.id]);
+    if (usage[0].uses > 0) {
+      throw new ServiceError('This promotion has been used; deactivate it instead', 409);
+    }
+
+    await pool.execute('DELETE FROM promotions WHERE id = ?', [promotion.id]);
+    return promotion;
+  }
+
+  // Day, date and time of day on the database clock
+  async clock(db = pool) {
+    const [rows] = await db.query(`
+      SELECT DATE_FORMAT(NOW(), '%a') as day, DATE_FORMAT(NOW(), '%Y-%m-%d') as date, DATE_FORMAT(NOW(), '%H:%i:%s') as time
+    `);
+    return rows[0];
+  }
+
+  isRunning(promotion, { day, date, time }) {
+    const dateOnly = (value) => (value instanceof Date
+      ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+      : value);
+
+    if (promotion.valid_from && date < dateOnly(promotion.valid_from)) return false;
+    if (promotion.valid_to && date > dateOnly(promotion.valid_to)) return false;
+    if (promotion.days_of_week && !promotion.days_of_week.includes(day)) return false;
+
+    const { start_time: start, end_time: end } = promotion;
+    if (!start || !end) return true;
+    return start <= end
+      ? time >= start && time < end
+      : time >= start || time < end;
+  }
+
+  // Promotions work on lots: one per cart line, with `available` counting the units no promotion
+  // has taken yet, so a promotion can take some units of a line and not others.
+  applyHappyHour(promotion, lots) {
+    let timesApplied = 0;
+    let totalCents = 0;
+
+    for (const lot of lots) {
+      if (lot.available === 0 || !this.inScope(promotion, lot)) continue;
+
+      const saving = unitSaving(promotion, lot.price);
+      if (saving <= 0) continue;
+
+      lot.saving += saving * lot.available;
+      timesApplied += lot.available;
+      totalCents += saving * lot.available;
+      lot.available = 0;
+    }
+
+    return { timesApplied, savingCents: totalCents };
+  }
+
+  // Dearest units first, so the customer pays for the dearer items and gets the cheaper ones.
+  // Lined up dearest first, the last get_quantity units of every buy + get group are discounted.
+  applyBuyXGetY(promotion, lots) {
+    const eligible = byPriceDesc(lots.filter(lot => lot.available > 0 && this.inScope(promotion, lot)));
+
+    const groupSize = promotion.buy_quantity + promotion.get_quantity;
+    const units = eligible.reduce((total, lot) => total + lot.available, 0);
+    const groups = Math.floor(units / groupSize);
+    const claimed = groups * groupSize;
+
+    // How many of the first `count` units in the line-up are discounted ones
+    const discountedBefore = (count) => Math.floor(count / groupSize) * promotion.get_quantity
+      + Math.max(0, (count % groupSize) - promotion.buy_quantity);
+
+    let position = 0;
+    let totalCents = 0;
+    for (const lot of eligible) {
+      if (position >= claimed) break;
+
+      const taken = Math.min(lot.available, claimed - position);
+      const discounted = discountedBefore(position + taken) - discountedBefore(position);
+      const saving = unitSaving(promotion, lot.price) * discounted;
+
+      lot.saving += saving;
+      lot.available -= taken;
+      totalCents += saving;
+      position += taken;
+    }
+
+    return { timesApplied: groups, savingCents: totalCents };
+  }
+
+  // Fill every component from the dearest matching units; each full set costs combo_price.
+  // Identical sets are priced together, as many as the units they draw on allow.
+  applyCombo(promotion, lots) {
+    const comboCents = toCents(promotion.combo_price);
+    const required = promotion.targets.reduce((total, target) => total + target.quantity, 0);
+    let timesApplied = 0;
+    let totalCents = 0;
+
+    for (;;) {
+      const picked = [];
+      const takenFrom = new Map();
+
+      for (const target of promotion.targets) {
+        let needed = target.quantity;
+        for (const lot of byPriceDesc(lots.filter(lot => matches(target, lot)))) {
+          const free = lot.available - (takenFrom.get(lot) || 0);
+          const take = Math.min(free, needed);
+          if (take <= 0) continue;
+
+          takenFrom.set(lot, (takenFrom.get(lot) || 0) + take);
+          for (let unit = 0; unit < take; unit++) picked.push(lot);
+          needed -= take;
+          if (needed === 0) break;
+        }
+        if (needed > 0) break;
+      }
+
+      const priceCents = picked.reduce((total, lot) => total + lot.price, 0);
+      if (picked.length < required || priceCents <= comboCents) break;
+
+      const sets = Math.min(...[...takenFrom].map(([lot, taken]) => Math.floor(lot.available / taken)));
+      takenFrom.forEach((taken, lot) => { lot.available -= taken * sets; });
+      shareOver(picked, priceCents - comboCents, sets);
+      timesApplied += sets;
+      totalCents += (priceCents - comboCents) * sets;
+    }
+
+    return { timesApplied, savingCents: totalCents };
+  }
+
+  inScope(promotion, lot) {
+    return promotion.targets.length === 0 || promotion.targets.some(target => matches(target, lot));
+  }
+
+  // Work out the promotions running now for a cart of { menu_item_id, subcategory_id, quantity,
+  // unit_price } lines. Returns the saving on each line (same order) and the promotions applied.
+  async evaluate(lines, db = pool) {
+    const promotions = await this.list({}, db);
+    if (promotions.length === 0 || lines.length === 0) {
+      return { lineSavings: lines.map(() => 0), applied: [] };
+    }
+
+    const clock = await this.clock(db);
+    const running = promotions.filter(promotion => this.isRunning(promotion, clock));
+
+    const subcategoryIds = [...new Set(lines.map(line => line.subcategory_id))];
+    const [subcategories] = await db.execute(
+      `SELECT id, category_id FROM subcategories WHERE id IN (${subcategoryIds.map(() => '?').join(', ')})`,
+      subcategoryIds
+    );
+    const categoryOf = new Map(subcategories.map(subcategory => [subcategory.id, subcategory.category_id]));
+
+    const lots = lines.map(line => ({
+      menu_item_id: line.menu_item_id,
+      subcategory_id: line.subcategory_id,
+      category_id: categoryOf.get(line.subcategory_id),
+      price: toCents(line.unit_price),
+      available: line.quantity,
+      saving: 0
+    }));
+
+    const applied = [];
+    for (const promotion of running) {
+      const apply = {
+        HappyHour: this.applyHappyHour,
+        BuyXGetY: this.applyBuyXGetY,
+        Combo: this.applyCombo
+      }[promotion.promo_type];
+
+      const { timesApplied, savingCents } = apply.call(this, promotion, lots);
+      if (timesApplied > 0 && savingCents > 0) {
+        applied.push({
+          promotion_id: promotion.id,
+          name: promotion.name,
+          promo_type: promotion.promo_type,
+          times_applied: timesApplied,
+          amount: fromCents(savingCents)
+        });
+      }
+    }
+
+    const lineSavings = lots.map(lot => fromCents(lot.saving));
+
+    return { lineSavings, applied };
+  }
+
+  async saveOrderPromotions(orderId, applied, db = pool) {
+    for (const promotion of applied) {
+      await db.execute(`
+        INSERT INTO order_promotions (order_id, promotion_id, name, promo_type, times_applied, amount)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [orderId, promotion.promotion_id, promotion.name, promotion.promo_type, promotion.times_applied, promotion.amount]);
+    }
+  }
+
+  async getOrderPromotions(orderIds, db = pool) {
+    const ids = [].concat(orderIds);
+    if (ids.length === 0) return [];
+
+    const [promotions] = await db.execute(
+      `SELECT * FROM order_promotions WHERE order_id IN (${ids.map(() => '?').join(', ')}) ORDER BY order_id, id`,
+      ids
+    );
+    return promotions;
+  }
+
+  // Orders, times applied and what each promotion cost, excluding cancelled orders
+  async usageReport({ promotionId, fromDate, toDate } = {}) {
+    let where = 'WHERE o.status != "Cancelled"';
+    const params = [];
+
+    if (promotionId) {
+      where += ' AND op.promotion_id = ?';
+      params.push(promotionId);
+    }
+
+    if (fromDate) {
+      where += ' AND DATE(o.created_at) >= ?';
+      params.push(fromDate);
+    }
+
+    if (toDate) {
+      where += ' AND DATE(o.created_at) <= ?';
+      params.push(toDate);
+    }
+
+    const [summary] = await pool.execute(`
+      SELECT
+        op.promotion_id,
+        MAX(op.name) as name,
+        MAX(op.promo_type) as promo_type,
+        COUNT(DISTINCT op.order_id) as orders,
+        SUM(op.times_applied) as times_applied,
+        SUM(op.amount) as total_cost
+      FROM order_promotions op
+      JOIN orders o ON op.order_id = o.id
+      ${where}
+      GROUP BY op.promotion_id
+      ORDER BY total_cost DESC
+    `, params);
+
+    const [daily] = await pool.execute(`
+      SELECT
+        op.promotion_id,
+        DATE_FORMAT(o.created_at, '%Y-%m-%d') as date,
+        COUNT(DISTINCT op.order_id) as orders,
+        SUM(op.times_applied) as times_applied,
+        SUM(op.amount) as total_cost
+      FROM order_promotions op
+      JOIN orders o ON op.order_id = o.id
+      ${where}
+      GROUP BY op.promotion_id, DATE_FORMAT(o.created_at, '%Y-%m-%d')
+      ORDER BY date
+    `, params);
+
+    return summary.map(row => ({
+      ...row,
+      times_applied: Number(row.times_applied),
+      total_cost: parseFloat(row.total_cost),
+      daily: daily
+        .filter(day => day.promotion_id === row.promotion_id)
+        .map(({ date, orders, times_applied, total_cost }) => ({
+          date,
+          orders,
+          times_applied: Number(times_applied),
+          total_cost: parseFloat(total_cost)
+        }))
+    }));
+  }
+}
+
+const promotionService = new PromotionService();
+promotionService.PROMO_TYPES = PROMO_TYPES;
+promotionService.DISCOUNT_TYPES = DISCOUNT_TYPES;
+promotionService.TARGET_TYPES = TARGET_TYPES;
+promotionService.DAYS = DAYS;
+
+module.exports = promotionService;
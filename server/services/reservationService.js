@@ -0,0 +1,470 @@
+const moment = require('moment');
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const { getSetting } = require('../utils/settings');
+const tableService = require('./tableService');
+const sessionService = require('./sessionService');
+const socketService = require('./socketService');
+
+const { EVENTS } = socketService;
+
+// Reservations in these states hold their table slot
+const HOLDING_STATUSES = ['Pending', 'Confirmed', 'Arrived'];
+
+// Allowed status transitions (from -> to)
+const STATUS_TRANSITIONS = {
+  Pending: ['Confirmed', 'Arrived', 'Cancelled', 'No Show'],
+  Confirmed: ['Arrived', 'Cancelled', 'No Show'],
+  Arrived: ['Completed'],
+  Completed: [],
+  Cancelled: [],
+  'No Show': []
+};
+
+const DEFAULT_HOLD_MINUTES = 15;
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_SESSION_PROJECTION_MINUTES = 60;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+const DATETIME_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// SQL expressions for a reservation's window
+const START_SQL = 'TIMESTAMP(r.reservation_date, r.reservation_time)';
+const END_SQL = `${START_SQL} + INTERVAL ROUND(r.duration_hours * 60) MINUTE`;
+
+class ReservationService {
+  constructor() {
+    this.syncTimer = null;
+  }
+
+  // Start and end of a booking as moments
+  getWindow(reservationDate, reservationTime, durationHours) {
+    const date = moment(reservationDate).format('YYYY-MM-DD');
+    const start = moment(`${date} ${reservationTime}`, 'YYYY-MM-DD HH:mm:ss');
+    const end = start.clone().add(Math.round(parseFloat(durationHours) * 60), 'minutes');
+    return { start, end };
+  }
+
+  async getHoldMinutes(db = pool) {
+    return getSetting('reservation_hold_minutes', DEFAULT_HOLD_MINUTES, db);
+  }
+
+  // Opening window for a date, or null when closed.
+  // A close time at or before the open time means the venue closes after midnight.
+  async getBusinessHours(date, db = pool) {
+    const hours = await getSetting('business_hours', null, db);
+    const day = moment(date, 'YYYY-MM-DD');
+
+    // No configured hours means always open, up to and including midnight
+    if (!hours) {
+      return { open: day.clone().startOf('day'), close: day.clone().add(1, 'day').startOf('day') };
+    }
+
+    const dayHours = hours[WEEKDAYS[day.day()]];
+    if (!dayHours || !dayHours.open || !dayHours.close) {
+      return null;
+    }
+
+    const open = moment(`${day.format('YYYY-MM-DD')} ${dayHours.open}`, 'YYYY-MM-DD HH:mm');
+    const close = moment(`${day.format('YYYY-MM-DD')} ${dayHours.close}`, 'YYYY-MM-DD HH:mm');
+    if (!close.isAfter(open)) {
+      close.add(1, 'day');
+    }
+
+    return { open, close };
+  }
+
+  // Opening windows that cover part of a date: the previous day's when it runs past midnight,
+  // then the date's own
+  async getOpenWindows(date, db = pool) {
+    const day = moment(date, 'YYYY-MM-DD');
+    const previous = await this.getBusinessHours(day.clone().subtract(1, 'day').format('YYYY-MM-DD'), db);
+    const own = await this.getBusinessHours(day.format('YYYY-MM-DD'), db);
+
+    return [previous, own].filter(hours => hours && hours.close.isAfter(day));
+  }
+
+  // When each running session on the given tables is expected to finish.
+  // Prepaid sessions end when their booked time runs out; open-ended ones are
+  // assumed to run for `session_projection_minutes` from now.
+  async getSessionProjections(tableIds, db = pool) {
+    const projections = new Map();
+    if (tableIds.length === 0) return projections;
+
+    const [sessions] = await db.execute(`
+      SELECT * FROM sessions
+      WHERE status IN ('Active', 'Paused') AND table_id IN (${tableIds.map(() => '?').join(', ')})
+    `, tableIds);
+
+    if (sessions.length === 0) return projections;
+
+    const projectionMinutes = await getSetting('session_projection_minutes', DEFAULT_SESSION_PROJECTION_MINUTES, db);
+    const now = await sessionService.now(db);
+
+    for (const session of sessions) {
+      const pauses = await sessionService.getPauses(session.id, db);
+      const billing = sessionService.calculateBilling(session, pauses, now);
+      const remaining = billing.remaining_minutes !== null ? billing.remaining_minutes : projectionMinutes;
+      projections.set(session.table_id, moment(now).add(remaining, 'minutes'));
+    }
+
+    return projections;
+  }
+
+  async findReservation(reservationId, db = pool, { forUpdate = false } = {}) {
+    const [reservations] = await db.execute(
+      `SELECT * FROM reservations WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [reservationId]
+    );
+
+    if (reservations.length === 0) {
+      throw new ServiceError('Reservation not found', 404);
+    }
+
+    return reservations[0];
+  }
+
+  // Reservations on a table whose window overlaps [start, end)
+  async findConflicts(tableId, start, end, { excludeId = null, db = pool } = {}) {
+    const [conflicts] = await db.execute(`
+      SELECT r.id, r.customer_name, r.reservation_date, r.reservation_time, r.duration_hours, r.status
+      FROM reservations r
+      WHERE r.table_id = ?
+        AND r.status IN (${HOLDING_STATUSES.map(() => '?').join(', ')})
+        AND r.id != ?
+        AND ${START_SQL} < ?
+        AND ${END_SQL} > ?
+    `, [
+      tableId, ...HOLDING_STATUSES, excludeId || 0,
+      end.format(DATETIME_FORMAT), start.format(DATETIME_FORMAT)
+    ]);
+
+    return conflicts;
+  }
+
+  // Validate a booking against the table and existing reservations.
+  // Must run inside a transaction that has locked the table row.
+  async validateBooking(db, { tableId, reservationDate, reservationTime, durationHours, partySize, excludeId = null }) {
+    const [tables] = await db.execute(
+      'SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE',
+      [tableId]
+    );
+
+    if (tables.length === 0 || !tables[0].is_active) {
+      throw new ServiceError('Table not found or inactive', 404);
+    }
+
+    const table = tables[0];
+
+    if (table.status === 'Maintenance') {
+      throw new ServiceError('Table is under maintenance', 409);
+    }
+
+    if (partySize > table.capacity) {
+      throw new ServiceError(`Party size ${partySize} exceeds table capacity of ${table.capacity}`, 400);
+    }
+
+    const { start, end } = this.getWindow(reservationDate, reservationTime, durationHours);
+
+    if (!start.isValid()) {
+      throw new ServiceError('Invalid reservation date or time', 400);
+    }
+
+    if (start.isBefore(moment())) {
+      throw new ServiceError('Reservation time is in the past', 400);
+    }
+
+    const windows = await this.getOpenWindows(start.format('YYYY-MM-DD'), db);
+    if (!windows.some(hours => !start.isBefore(hours.open) && !end.isAfter(hours.close))) {
+      throw new ServiceError('Reservation is outside business hours', 400);
+    }
+
+    const projections = await this.getSessionProjections([table.id], db);
+    if (projections.has(table.id) && projections.get(table.id).isAfter(start)) {
+      throw new ServiceError('Table has a session expected to run past this time', 409);
+    }
+
+    const conflicts = await this.findConflicts(table.id, start, end, { excludeId, db });
+    if (conflicts.length > 0) {
+      throw new ServiceError('Table is already booked for this time', 409, { conflicts });
+    }
+
+    return { table, start, end };
+  }
+
+  // Bookable start times for a table type on a date, with the tables free at each time. Start times
+  // after midnight in the previous day's late opening are offered on this date.
+  async findAvailability({ tableType, date, partySize, durationHours }) {
+    const hours = await this.getBusinessHours(date);
+    const windows = await this.getOpenWindows(date);
+    const businessHours = hours && { open: hours.open.format('HH:mm'), close: hours.close.format('HH:mm') };
+
+    if (windows.length === 0) {
+      return { date, business_hours: businessHours, slots: [], tables: [] };
+    }
+
+    const [tables] = await pool.execute(`
+      SELECT id, table_number, table_name, table_type, capacity, location, hourly_rate, status
+      FROM restaurant_tables
+      WHERE is_active = TRUE AND status != 'Maintenance' AND table_type = ? AND capacity >= ?
+      ORDER BY capacity, table_number
+    `, [tableType, partySize]);
+
+    const result = {
+      date,
+      business_hours: businessHours,
+      slots: [],
+      tables
+    };
+
+    if (tables.length === 0) return result;
+
+    const tableIds = tables.map(table => table.id);
+    const durationMinutes = Math.round(durationHours * 60);
+    const slotMinutes = await getSetting('reservation_slot_minutes', DEFAULT_SLOT_MINUTES);
+
+    const [reservations] = await pool.execute(`
+      SELECT r.table_id, r.reservation_date, r.reservation_time, r.duration_hours
+      FROM reservations r
+      WHERE r.table_id IN (${tableIds.map(() => '?').join(', ')})
+        AND r.status IN (${HOLDING_STATUSES.map(() => '?').join(', ')})
+        AND ${START_SQL} < ?
+        AND ${END_SQL} > ?
+    `, [
+      ...tableIds, ...HOLDING_STATUSES,
+      windows[windows.length - 1].close.format(DATETIME_FORMAT), windows[0].open.format(DATETIME_FORMAT)
+    ]);
+
+    const bookedWindows = reservations.map(reservation => ({
+      table_id: reservation.table_id,
+      ...this.getWindow(reservation.reservation_date, reservation.reservation_time, reservation.duration_hours)
+    }));
+
+    const projections = await this.getSessionProjections(tableIds);
+    const now = moment();
+
+    const dayStart = moment(date, 'YYYY-MM-DD');
+    const dayEnd = dayStart.clone().add(1, 'day');
+
+    for (const opening of windows) {
+      const lastStart = opening.close.clone().subtract(durationMinutes, 'minutes');
+      for (let start = opening.open.clone(); !start.isAfter(lastStart); start.add(slotMinutes, 'minutes')) {
+        if (start.isBefore(now) || start.isBefore(dayStart) || !start.isBefore(dayEnd)) continue;
+
+        const end = start.clone().add(durationMinutes, 'minutes');
+
+        const freeTables = tables.filter(table => {
+          const sessionEnd = projections.get(table.id);
+          if (sessionEnd && sessionEnd.isAfter(start)) return false;
+
+          return !bookedWindows.some(window =>
+            window.table_id === table.id && window.start.isBefore(end) && window.end.isAfter(start)
+          );
+        });
+
+        if (freeTables.length > 0) {
+          result.slots.push({
+            time: start.format('HH:mm'),
+            start: start.format(DATETIME_FORMAT),
+            end: end.format(DATETIME_FORMAT),
+            available_table_ids: freeTables.map(table => table.id)
+          });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  notify(event, reservation) {
+    socketService.emit(event, {
+      reservation_id: reservation.id,
+      table_id: reservation.table_id,
+      reservation_date: moment(reservation.reservation_date).format('YYYY-MM-DD'),
+      reservation_time: reservation.reservation_time,
+      party_size: reservation.party_size,
+      status: reservation.status
+    }, { tableId: reservation.table_id, userId: reservation.user_id });
+  }
+
+  async create(data, { createdBy }) {
+    const reservation = await withTransaction(async (connection) => {
+      await this.validateBooking(connection, {
+        tableId: data.table_id,
+        reservationDate: data.reservation_date,
+        reservationTime: data.reservation_time,
+        durationHours: data.duration_hours,
+        partySize: data.party_size
+      });
+
+      const [result] = await connection.execute(`
+        INSERT INTO reservations (
+          user_id, table_id, customer_name, customer_phone, customer_email,
+          reservation_date, reservation_time, party_size, duration_hours,
+          status, special_requests, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        data.user_id || null, data.table_id, data.customer_name, data.customer_phone || null,
+        data.customer_email || null, data.reservation_date, data.reservation_time,
+        data.party_size, data.duration_hours, data.status || 'Pending',
+        data.special_requests || null, createdBy
+      ]);
+
+      return this.findReservation(result.insertId, connection);
+    });
+
+    this.notify(EVENTS.RESERVATION_CREATED, reservation);
+    await this.syncTableStatus(reservation.table_id);
+
+    return reservation;
+  }
+
+  // Change table, time, duration or party size of an open reservation
+  async update(reservationId, changes, { changedBy }) {
+    const { reservation, previousTableId } = await withTransaction(async (connection) => {
+      const current = await this.findReservation(reservationId, connection, { forUpdate: true });
+
+      if (!['Pending', 'Confirmed'].includes(current.status)) {
+        throw new ServiceError(`Cannot edit a reservation that is ${current.status}`, 409);
+      }
+
+      const merged = {
+        table_id: changes.table_id ?? current.table_id,
+        reservation_date: changes.reservation_date ?? moment(current.reservation_date).format('YYYY-MM-DD'),
+        reservation_time: changes.reservation_time ?? current.reservation_time,
+        duration_hours: changes.duration_hours ?? current.duration_hours,
+        party_size: changes.party_size ?? current.party_size
+      };
+
+      await this.validateBooking(connection, {
+        tableId: merged.table_id,
+        reservationDate: merged.reservation_date,
+        reservationTime: merged.reservation_time,
+        durationHours: merged.duration_hours,
+        partySize: merged.party_size,
+        excludeId: current.id
+      });
+
+      const fields = {
+        ...merged,
+        customer_name: changes.customer_name ?? current.customer_name,
+        customer_phone: changes.customer_phone ?? current.customer_phone,
+        customer_email: changes.customer_email ?? current.customer_email,
+        special_requests: changes.special_requests ?? current.special_requests,
+        status_changed_by: changedBy
+      };
+
+      const setClause = Object.keys(fields).map(key => `${key} = ?`).join(', ');
+      await connection.execute(
+        `UPDATE reservations SET ${setClause} WHERE id = ?`,
+        [...Object.values(fields), current.id]
+      );
+
+      return {
+        reservation: await this.findReservation(current.id, connection),
+        previousTableId: current.table_id
+      };
+    });
+
+    this.notify(EVENTS.RESERVATION_UPDATED, reservation);
+    await this.syncTableStatus(reservation.table_id);
+    if (previousTableId !== reservation.table_id) {
+      await this.syncTableStatus(previousTableId);
+    }
+
+    return reservation;
+  }
+
+  async changeStatus(reservationId, status, { changedBy }) {
+    const { reservation, table } = await withTransaction(async (connection) => {
+      const current = await this.findReservation(reservationId, connection, { forUpdate: true });
+
+      if (!STATUS_TRANSITIONS[current.status].includes(status)) {
+        throw new ServiceError(`Cannot change reservation from ${current.status} to ${status}`, 409);
+      }
+
+      await connection.execute(
+        'UPDATE reservations SET status = ?, status_changed_by = ? WHERE id = ?',
+        [status, changedBy, current.id]
+      );
+
+      // Dining guests occupy the table on arrival and release it when done.
+      // Gaming tables are occupied by starting a session instead.
+      let table = null;
+      const tableRow = await tableService.getTable(current.table_id, connection);
+      if (tableRow && tableRow.table_type === 'Dining') {
+        if (status === 'Arrived' && tableRow.status !== 'Occupied') {
+          table = await tableService.setStatus(tableRow.id, 'Occupied', { db: connection });
+        } else if (status === 'Completed' && tableRow.status === 'Occupied') {
+          table = await tableService.setStatus(tableRow.id, 'Available', { db: connection });
+        }
+      }
+
+      return { reservation: { ...current, status }, table };
+    });
+
+    if (table) tableService.notifyStatusChange(table);
+    this.notify(EVENTS.RESERVATION_STATUS_CHANGED, reservation);
+    await this.syncTableStatus(reservation.table_id);
+
+    return reservation;
+  }
+
+  // Mark a table Reserved while a booking window is open (from the hold lead time
+  // until the booking ends) and release it again once no window is open.
+  // Occupied and Maintenance tables are left alone.
+  async syncTableStatus(tableId) {
+    const holdMinutes = await this.getHoldMinutes();
+
+    const [tables] = await pool.execute(`
+      SELECT 
+        rt.id,
+        rt.status,
+        EXISTS (
+          SELECT 1 FROM reservations r
+          WHERE r.table_id = rt.id
+            AND r.status IN ('Pending', 'Confirmed')
+            AND ${START_SQL} - INTERVAL ? MINUTE <= NOW()
+            AND ${END_SQL} > NOW()
+        ) as window_open
+      FROM restaurant_tables rt
+      WHERE rt.is_active = TRUE${tableId ? ' AND rt.id = ?' : ''}
+    `, tableId ? [holdMinutes, tableId] : [holdMinutes]);
+
+    for (const table of tables) {
+      try {
+        if (table.window_open && table.status === 'Available') {
+          await tableService.setStatus(table.id, 'Reserved');
+        } else if (!table.window_open && table.status === 'Reserved') {
+          await tableService.setStatus(table.id, 'Available');
+        }
+      } catch (error) {
+        console.error(`Reservation table sync failed for table ${table.id}:`, error.message);
+      }
+    }
+  }
+
+  // Periodically apply booking windows to table statuses
+  startScheduler() {
+    if (this.syncTimer) return;
+
+    this.syncTimer = setInterval(() => {
+      this.syncTableStatus().catch(error => {
+        console.error('Reservation scheduler error:', error);
+      });
+    }, SYNC_INTERVAL_MS);
+    this.syncTimer.unref();
+  }
+
+  stopScheduler() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+  }
+}
+
+const reservationService = new ReservationService();
+reservationService.HOLDING_STATUSES = HOLDING_STATUSES;
+reservationService.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = reservationService;
@@ -0,0 +1,396 @@
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const { getSetting } = require('../utils/settings');
+const tableService = require('./tableService');
+const plugService = require('./plugService');
+const socketService = require('./socketService');
+const taxService = require('./taxService');
+
+const { EVENTS } = socketService;
+
+const OPEN_STATUSES = ['Active', 'Paused'];
+const EXPIRY_CHECK_INTERVAL_MS = 30 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+class SessionService {
+  constructor() {
+    this.expiryTimer = null;
+  }
+
+  // Database clock, so all interval maths uses a single time source
+  async now(db = pool) {
+    const [rows] = await db.query('SELECT NOW() AS now');
+    return rows[0].now;
+  }
+
+  // Billable time is the elapsed time minus every pause interval.
+  // An open pause (resumed_at NULL) counts up to `now`.
+  calculateBilling(session, pauses, now) {
+    const end = session.end_time ? new Date(session.end_time) : now;
+    const elapsedMs = Math.max(0, end - new Date(session.start_time));
+
+    const pausedMs = pauses.reduce((total, pause) => {
+      const pauseEnd = pause.resumed_at ? new Date(pause.resumed_at) : end;
+      return total + Math.max(0, pauseEnd - new Date(pause.paused_at));
+    }, 0);
+
+    const billableMs = Math.max(0, elapsedMs - pausedMs);
+    const billableMinutes = Math.ceil(billableMs / 60000);
+    const amount = roundMoney((parseFloat(session.hourly_rate) * billableMinutes) / 60);
+
+    const remainingMinutes = session.booked_minutes
+      ? Math.max(0, session.booked_minutes - Math.floor(billableMs / 60000))
+      : null;
+
+    return {
+      elapsed_minutes: Math.floor(elapsedMs / 60000),
+      paused_minutes: Math.floor(pausedMs / 60000),
+      billable_minutes: billableMinutes,
+      billable_seconds: Math.floor(billableMs / 1000),
+      hourly_rate: parseFloat(session.hourly_rate),
+      amount,
+      booked_minutes: session.booked_minutes,
+      remaining_minutes: remainingMinutes
+    };
+  }
+
+  async getPauses(sessionId, db = pool) {
+    const [pauses] = await db.execute(
+      'SELECT * FROM session_pauses WHERE session_id = ? ORDER BY paused_at',
+      [sessionId]
+    );
+    return pauses;
+  }
+
+  // Load a session row, optionally locking it for the current transaction
+  async findSession(sessionId, db = pool, { forUpdate = false } = {}) {
+    const [sessions] = await db.execute(
+      `SELECT * FROM sessions WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [sessionId]
+    );
+
+    if (sessions.length === 0) {
+      throw new ServiceError('Session not found', 404);
+    }
+
+    return sessions[0];
+  }
+
+  async findOpenSessionForTable(tableId, db = pool) {
+    const [sessions] = await db.execute(
+      'SELECT * FROM sessions WHERE table_id = ? AND status IN (?, ?) ORDER BY start_time DESC LIMIT 1',
+      [tableId, ...OPEN_STATUSES]
+    );
+    return sessions[0] || null;
+  }
+
+  // Session with pauses, plug commands and live billing
+  async getSession(sessionId, db = pool) {
+    const session = await this.findSession(sessionId, db);
+    const pauses = await this.getPauses(session.id, db);
+    const now = await this.now(db);
+
+    const [plugEvents] = await db.execute(
+      'SELECT * FROM session_plug_events WHERE session_id = ? ORDER BY created_at, id',
+      [session.id]
+    );
+
+    return {
+      ...session,
+      pauses,
+      plug_events: plugEvents,
+      billing: this.calculateBilling(session, pauses, now)
+    };
+  }
+
+  // Switch the table's smart plug and log the outcome against the session.
+  // Plug failures never block the session action; they are logged and returned.
+  async controlPlug(session, action, trigger) {
+    const table = await tableService.getTable(session.table_id);
+    const plug = table && await plugService.getPlugForTable(table);
+
+    if (!plug) {
+      return null;
+    }
+
+    let errorMessage = null;
+    try {
+      if (action === 'On') {
+        await plugService.turnOn(plug.id);
+      } else {
+        await plugService.turnOff(plug.id);
+      }
+    } catch (error) {
+      errorMessage = error.message;
+      console.error(`Smart plug ${action} failed for session ${session.session_id}:`, error.message);
+    }
+
+    await pool.execute(`
+      INSERT INTO session_plug_events (session_id, plug_id, action, trigger_event, success, error_message)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [session.id, plug.id, action, trigger, errorMessage === null, errorMessage && errorMessage.substring(0, 255)]);
+
+    return { plug_id: plug.id, action, trigger, success: errorMessage === null, error: errorMessage };
+  }
+
+  notify(event, session, extra = {}) {
+    socketService.emit(event, {
+      session_id: session.id,
+      session_code: session.session_id,
+      table_id: session.table_id,
+      status: session.status,
+      ...extra
+    }, { tableId: session.table_id, userId: session.user_id });
+  }
+
+  // Start a session on a table, snapshotting its hourly rate
+  async start({ tableId, userId = null, customerName = null, bookedMinutes = null, startedBy }) {
+    const { session, table } = await withTransaction(async (connection) => {
+      const [tables] = await connection.execute(
+        'SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE',
+        [tableId]
+      );
+
+      if (tables.length === 0 || !tables[0].is_active) {
+        throw new ServiceError('Table not found or inactive', 404);
+      }
+
+      const table = tables[0];
+
+      if (await this.findOpenSessionForTable(table.id, connection)) {
+        throw new ServiceError('Table already has an active session', 409);
+      }
+
+      const updatedTable = await tableService.setStatus(table.id, 'Occupied', { db: connection });
+
+      const sessionCode = `SES-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+      const now = await this.now(connection);
+
+      const [result] = await connection.execute(`
+        INSERT INTO sessions (
+          session_id, table_id, user_id, customer_name, start_time,
+          hourly_rate, booked_minutes, status, started_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, 'Active', ?)
+      `, [
+        sessionCode, table.id, userId, customerName, now,
+        table.hourly_rate, bookedMinutes, startedBy
+      ]);
+
+      const session = await this.findSession(result.insertId, connection);
+      return { session, table: updatedTable };
+    });
+
+    tableService.notifyStatusChange(table);
+    this.notify(EVENTS.SESSION_STARTED, session, { hourly_rate: parseFloat(session.hourly_rate) });
+
+    const plugCommand = await this.controlPlug(session, 'On', 'start');
+
+    return { ...await this.getSession(session.id), plug_command: plugCommand };
+  }
+
+  // `cutPower` overrides the smart_plug_off_on_pause setting
+  async pause(sessionId, { pausedBy, reason = null, cutPower, trigger = 'pause' }) {
+    if (cutPower === undefined) {
+      cutPower = await getSetting('smart_plug_off_on_pause', false);
+    }
+
+    const session = await withTransaction(async (connection) => {
+      const session = await this.findSession(sessionId, connection, { forUpdate: true });
+
+      if (session.status !== 'Active') {
+        throw new ServiceError(`Cannot pause a session that is ${session.status}`, 409);
+      }
+
+      const now = await this.now(connection);
+
+      await connection.execute(
+        'INSERT INTO session_pauses (session_id, paused_at, reason, power_cut, paused_by) VALUES (?, ?, ?, ?, ?)',
+        [session.id, now, reason, Boolean(cutPower), pausedBy]
+      );
+
+      await connection.execute(
+        'UPDATE sessions SET status = "Paused" WHERE id = ?',
+        [session.id]
+      );
+
+      return { ...session, status: 'Paused' };
+    });
+
+    this.notify(trigger === 'expired' ? EVENTS.SESSION_EXPIRED : EVENTS.SESSION_PAUSED, session, { reason });
+
+    const plugCommand = cutPower ? await this.controlPlug(session, 'Off', trigger) : null;
+
+    return { ...await this.getSession(session.id), plug_command: plugCommand };
+  }
+
+  async resume(sessionId, { resumedBy }) {
+    const { session, powerCut } = await withTransaction(async (connection) => {
+      const session = await this.findSession(sessionId, connection, { forUpdate: true });
+
+      if (session.status !== 'Paused') {
+        throw new ServiceError(`Cannot resume a session that is ${session.status}`, 409);
+      }
+
+      const pauses = await this.getPauses(session.id, connection);
+      const billing = this.calculateBilling(session, pauses, await this.now(connection));
+      if (billing.remaining_minutes === 0) {
+        throw new ServiceError('Prepaid time is used up. Extend the session before resuming.', 409);
+      }
+
+      const openPause = pauses.find(pause => !pause.resumed_at);
+
+      await this.closeOpenPause(session.id, resumedBy, connection);
+
+      await connection.execute(
+        'UPDATE sessions SET status = "Active" WHERE id = ?',
+        [session.id]
+      );
+
+      return { session: { ...session, status: 'Active' }, powerCut: Boolean(openPause && openPause.power_cut) };
+    });
+
+    this.notify(EVENTS.SESSION_RESUMED, session);
+
+    const plugCommand = powerCut ? await this.controlPlug(session, 'On', 'resume') : null;
+
+    return { ...await this.getSession(session.id), plug_command: plugCommand };
+  }
+
+  // Add prepaid minutes to a session
+  async extend(sessionId, { minutes }) {
+    const session = await withTransaction(async (connection) => {
+      const session = await this.findSession(sessionId, connection, { forUpdate: true });
+
+      if (!OPEN_STATUSES.includes(session.status)) {
+        throw new ServiceError(`Cannot extend a session that is ${session.status}`, 409);
+      }
+
+      // Open-ended sessions start counting booked time from what has been used so far
+      let bookedMinutes = session.booked_minutes;
+      if (bookedMinutes === null) {
+        const pauses = await this.getPauses(session.id, connection);
+        const now = await this.now(connection);
+        bookedMinutes = this.calculateBilling(session, pauses, now).billable_minutes;
+      }
+
+      bookedMinutes += minutes;
+
+      await connection.execute(
+        'UPDATE sessions SET booked_minutes = ? WHERE id = ?',
+        [bookedMinutes, session.id]
+      );
+
+      return { ...session, booked_minutes: bookedMinutes };
+    });
+
+    this.notify(EVENTS.SESSION_EXTENDED, session, {
+      booked_minutes: session.booked_minutes,
+      added_minutes: minutes
+    });
+    return this.getSession(session.id);
+  }
+
+  // End the session, freeze billing and release the table
+  async stop(sessionId, { endedBy }) {
+    const { session, table } = await withTransaction(async (connection) => {
+      const session = await this.findSession(sessionId, connection, { forUpdate: true });
+
+      if (!OPEN_STATUSES.includes(session.status)) {
+        throw new ServiceError(`Cannot stop a session that is ${session.status}`, 409);
+      }
+
+      const now = await this.now(connection);
+
+      if (session.status === 'Paused') {
+        await this.closeOpenPause(session.id, endedBy, connection, now);
+      }
+
+      const pauses = await this.getPauses(session.id, connection);
+      const billing = this.calculateBilling({ ...session, end_time: now }, pauses, now);
+
+      await connection.execute(`
+        UPDATE sessions
+        SET status = 'Completed', end_time = ?, duration_minutes = ?, paused_minutes = ?,
+            total_amount = ?, ended_by = ?
+        WHERE id = ?
+      `, [now, billing.billable_minutes, billing.paused_minutes, billing.amount, endedBy, session.id]);
+
+      const timeTax = await taxService.calculateSessionTime(session.table_id, billing.amount, connection);
+      await taxService.saveSessionTax(session.id, timeTax, connection);
+
+      const table = await tableService.setStatus(session.table_id, 'Available', { db: connection });
+
+      return {
+        session: { ...session, status: 'Completed', end_time: now, total_amount: billing.amount },
+        table
+      };
+    });
+
+    tableService.notifyStatusChange(table);
+    this.notify(EVENTS.SESSION_STOPPED, session, { total_amount: session.total_amount });
+
+    const plugCommand = await this.controlPlug(session, 'Off', 'stop');
+
+    return { ...await this.getSession(session.id), plug_command: plugCommand };
+  }
+
+  // Pause prepaid sessions whose booked time has run out and switch their table off
+  async expireSessions() {
+    const [sessions] = await pool.execute(
+      'SELECT * FROM sessions WHERE status = "Active" AND booked_minutes IS NOT NULL'
+    );
+
+    if (sessions.length === 0) return;
+
+    const now = await this.now();
+
+    for (const session of sessions) {
+      const pauses = await this.getPauses(session.id);
+      if (this.calculateBilling(session, pauses, now).remaining_minutes > 0) continue;
+
+      try {
+        await this.pause(session.id, {
+          pausedBy: null,
+          reason: 'Prepaid time expired',
+          cutPower: true,
+          trigger: 'expired'
+        });
+      } catch (error) {
+        // Already paused or stopped by staff in the meantime
+        if (!(error instanceof ServiceError)) {
+          console.error(`Session expiry failed for session ${session.session_id}:`, error);
+        }
+      }
+    }
+  }
+
+  startExpiryMonitor() {
+    if (this.expiryTimer) return;
+
+    this.expiryTimer = setInterval(() => {
+      this.expireSessions().catch(error => {
+        console.error('Session expiry monitor error:', error);
+      });
+    }, EXPIRY_CHECK_INTERVAL_MS);
+    this.expiryTimer.unref();
+  }
+
+  stopExpiryMonitor() {
+    clearInterval(this.expiryTimer);
+    this.expiryTimer = null;
+  }
+
+  async closeOpenPause(sessionId, resumedBy, db, at = null) {
+    const now = at || await this.now(db);
+    await db.execute(
+      'UPDATE session_pauses SET resumed_at = ?, resumed_by = ? WHERE session_id = ? AND resumed_at IS NULL',
+      [now, resumedBy, sessionId]
+    );
+  }
+}
+
+const sessionService = new SessionService();
+sessionService.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = sessionService;
@@ -0,0 +1,121 @@
+const { Server } = require('socket.io');
+const { verifyToken, terminalCredentials } = require('../middleware/auth');
+
+const STAFF_ROLES = ['Admin', 'Manager', 'Staff'];
+
+// Event types emitted to clients
+const EVENTS = {
+  ORDER_CREATED: 'order.created',
+  ORDER_STATUS_CHANGED: 'order.status_changed',
+  ORDER_DISCOUNT_CHANGED: 'order.discount_changed',
+  KOT_CREATED: 'kot.created',
+  KOT_STATUS_CHANGED: 'kot.status_changed',
+  KOT_ITEM_STATUS_CHANGED: 'kot.item_status_changed',
+  KOT_PRINTED: 'kot.printed',
+  KOT_PRINT_FAILED: 'kot.print_failed',
+  PRINTER_ONLINE: 'printer.online',
+  PRINTER_OFFLINE: 'printer.offline',
+  TABLE_CREATED: 'table.created',
+  TABLE_UPDATED: 'table.updated',
+  TABLE_STATUS_CHANGED: 'table.status_changed',
+  SESSION_STARTED: 'session.started',
+  SESSION_PAUSED: 'session.paused',
+  SESSION_RESUMED: 'session.resumed',
+  SESSION_EXTENDED: 'session.extended',
+  SESSION_STOPPED: 'session.stopped',
+  SESSION_EXPIRED: 'session.expired',
+  SESSION_CLOSED: 'session.closed',
+  RESERVATION_CREATED: 'reservation.created',
+  RESERVATION_UPDATED: 'reservation.updated',
+  RESERVATION_STATUS_CHANGED: 'reservation.status_changed',
+  PLUG_STATE_CHANGED: 'plug.state_changed',
+  PLUG_ONLINE: 'plug.online',
+  PLUG_OFFLINE: 'plug.offline',
+  PLUG_ERROR: 'plug.error',
+  PAYMENT_RECORDED: 'payment.recorded',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  PERMISSIONS_UPDATED: 'permissions.updated'
+};
+
+const roleRoom = (role) => `role:${role}`;
+const tableRoom = (tableId) => `table:${tableId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  // Attach socket.io to the HTTP server
+  init(httpServer, corsOptions) {
+    this.io = new Server(httpServer, { cors: corsOptions });
+
+    // Authenticate the handshake with the same JWT check as the REST API
+    this.io.use(async (socket, next) => {
+      try {
+        const authHeader = socket.handshake.headers['authorization'];
+        const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+        const terminal = socket.handshake.auth?.terminal || terminalCredentials(socket.handshake.headers);
+        socket.user = await verifyToken(token, terminal);
+        next();
+      } catch (error) {
+        next(new Error(error.message || 'Authentication failed'));
+      }
+    });
+
+    this.io.on('connection', (socket) => {
+      const { user } = socket;
+
+      socket.join(roleRoom(user.role));
+      socket.join(userRoom(user.id));
+
+      // Staff can follow individual tables (e.g. a table-side tablet)
+      socket.on('table.join', (tableId, ack) => {
+        if (!STAFF_ROLES.includes(user.role)) {
+          return typeof ack === 'function' && ack({ success: false, error: 'Insufficient permissions' });
+        }
+        socket.join(tableRoom(tableId));
+        if (typeof ack === 'function') ack({ success: true });
+      });
+
+      socket.on('table.leave', (tableId, ack) => {
+        socket.leave(tableRoom(tableId));
+        if (typeof ack === 'function') ack({ success: true });
+      });
+    });
+
+    return this.io;
+  }
+
+  // Close the sockets opened with tokens from revoked login sessions
+  disconnectAuthSessions(familyIds) {
+    if (!this.io || familyIds.length === 0) return;
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (familyIds.includes(socket.user.auth_session_id)) {
+        socket.disconnect(true);
+      }
+    }
+  }
+
+  // Emit a typed event to staff roles plus any table/user rooms it concerns.
+  // A no-op when sockets are not initialised (e.g. CLI scripts).
+  emit(event, data, { roles = STAFF_ROLES, tableId, userId } = {}) {
+    if (!this.io) return;
+
+    const rooms = roles.map(roleRoom);
+    if (tableId) rooms.push(tableRoom(tableId));
+    if (userId) rooms.push(userRoom(userId));
+
+    this.io.to(rooms).emit(event, {
+      type: event,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+const socketService = new SocketService();
+socketService.EVENTS = EVENTS;
+
+module.exports = socketService;
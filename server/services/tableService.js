@@ -0,0 +1,110 @@
+const { pool } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const socketService = require('./socketService');
+
+const { EVENTS } = socketService;
+
+const TABLE_TYPES = ['Dining', 'Pool', 'Snooker', 'PlayStation', 'VIP'];
+const TABLE_STATUSES = ['Available', 'Occupied', 'Reserved', 'Maintenance'];
+
+// Allowed status transitions (from -> to)
+const STATUS_TRANSITIONS = {
+  Available: ['Occupied', 'Reserved', 'Maintenance'],
+  Occupied: ['Available', 'Maintenance'],
+  Reserved: ['Available', 'Occupied', 'Maintenance'],
+  Maintenance: ['Available']
+};
+
+class TableService {
+  canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  async getTable(tableId, db = pool) {
+    const [tables] = await db.execute(
+      'SELECT * FROM restaurant_tables WHERE id = ?',
+      [tableId]
+    );
+    return tables[0] || null;
+  }
+
+  // Active sessions and upcoming reservations that prevent removing a table
+  async getBlockers(tableId, db = pool) {
+    const [sessions] = await db.execute(`
+      SELECT id, session_id, status, start_time
+      FROM sessions
+      WHERE table_id = ? AND status IN ('Active', 'Paused')
+    `, [tableId]);
+
+    const [reservations] = await db.execute(`
+      SELECT id, customer_name, reservation_date, reservation_time, duration_hours, status
+      FROM reservations
+      WHERE table_id = ?
+        AND status IN ('Pending', 'Confirmed', 'Arrived')
+        AND TIMESTAMP(reservation_date, reservation_time) + INTERVAL (duration_hours * 60) MINUTE > NOW()
+      ORDER BY reservation_date, reservation_time
+    `, [tableId]);
+
+    return { active_sessions: sessions, upcoming_reservations: reservations };
+  }
+
+  // Validate and apply a status change, then broadcast it
+  async setStatus(tableId, status, { db = pool, force = false, notify = db === pool } = {}) {
+    if (!TABLE_STATUSES.includes(status)) {
+      throw new ServiceError(`Invalid table status: ${status}`);
+    }
+
+    const table = await this.getTable(tableId, db);
+    if (!table) {
+      throw new ServiceError('Table not found', 404);
+    }
+
+    if (table.status === status) {
+      return { ...table, previous_status: table.status };
+    }
+
+    if (!force && !this.canTransition(table.status, status)) {
+      throw new ServiceError(`Cannot change table status from ${table.status} to ${status}`, 409);
+    }
+
+    // A table with a running session can only be released by ending the session
+    if (!force && table.status === 'Occupied') {
+      const { active_sessions } = await this.getBlockers(tableId, db);
+      if (active_sessions.length > 0) {
+        throw new ServiceError('Table has an active session. Stop the session first.', 409);
+      }
+    }
+
+    await db.execute(
+      'UPDATE restaurant_tables SET status = ? WHERE id = ?',
+      [status, tableId]
+    );
+
+    const updated = { ...table, status, previous_status: table.status };
+
+    // Inside a caller's transaction the caller notifies after commit
+    if (notify) {
+      this.notifyStatusChange(updated);
+    }
+
+    return updated;
+  }
+
+  notifyStatusChange(table) {
+    if (table.previous_status === table.status) return;
+
+    socketService.emit(EVENTS.TABLE_STATUS_CHANGED, {
+      table_id: table.id,
+      table_number: table.table_number,
+      previous_status: table.previous_status,
+      status: table.status
+    }, { tableId: table.id });
+  }
+}
+
+const tableService = new TableService();
+tableService.TABLE_TYPES = TABLE_TYPES;
+tableService.TABLE_STATUSES = TABLE_STATUSES;
+tableService.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = tableService;
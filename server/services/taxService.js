@@ -0,0 +1,367 @@
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const { TABLE_TYPES } = require('./tableService');
+
+// Money is summed in integer cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+class TaxService {
+  // Classes with their components and combined rate
+  async list(db = pool, classIds = null) {
+    if (classIds && classIds.length === 0) return [];
+
+    const filter = classIds ? `WHERE id IN (${classIds.map(() => '?').join(', ')})` : '';
+    const [classes] = await db.execute(`SELECT * FROM tax_classes ${filter} ORDER BY name`, classIds || []);
+    if (classes.length === 0) return [];
+
+    const [components] = await db.execute(`
+      SELECT tax_class_id, name, rate FROM tax_class_components
+      WHERE tax_class_id IN (${classes.map(() => '?').join(', ')})
+      ORDER BY sort_order, id
+    `, classes.map(taxClass => taxClass.id));
+
+    return classes.map(taxClass => {
+      const own = components
+        .filter(component => component.tax_class_id === taxClass.id)
+        .map(component => ({ name: component.name, rate: parseFloat(component.rate) }));
+
+      return {
+        ...taxClass,
+        is_default: Boolean(taxClass.is_default),
+        components: own,
+        rate: own.reduce((total, component) => total + component.rate, 0)
+      };
+    });
+  }
+
+  async getClass(classId, db = pool) {
+    const [taxClass] = await this.list(db, [parseInt(classId)]);
+
+    if (!taxClass) {
+      throw new ServiceError('Tax class not found', 404);
+    }
+    return taxClass;
+  }
+
+  async exists(classId, db = pool) {
+    const [classes] = await db.execute('SELECT id FROM tax_classes WHERE id = ?', [classId]);
+    return classes.length > 0;
+  }
+
+  async saveComponents(classId, components, db) {
+    await db.execute('DELETE FROM tax_class_components WHERE tax_class_id = ?', [classId]);
+    for (const [index, component] of components.entries()) {
+      await db.execute(
+        'INSERT INTO tax_class_components (tax_class_id, name, rate, sort_order) VALUES (?, ?, ?, ?)',
+        [classId, component.name, component.rate, index]
+      );
+    }
+  }
+
+  // Only one class is the default at a time
+  async makeDefault(classId, db) {
+    await db.execute('UPDATE tax_classes SET is_default = (id = ?)', [classId]);
+  }
+
+  async create({ name, description, components, is_default = false }) {
+    return withTransaction(async (connection) => {
+      const [existing] = await connection.execute('SELECT id FROM tax_classes WHERE name = ?', [name]);
+      if (existing.length > 0) {
+        throw new ServiceError('A tax class with this name already exists', 409);
+      }
+
+      const [result] = await connection.execute(
+        'INSERT INTO tax_classes (name, description) VALUES (?, ?)',
+        [name, description || null]
+      );
+
+      await this.saveComponents(result.insertId, components, connection);
+      if (is_default) {
+        await this.makeDefault(result.insertId, connection);
+      }
+
+      return this.getClass(result.insertId, connection);
+    });
+  }
+
+  // `components`, when given, replaces the existing ones. Placed orders keep the tax they were charged.
+  async update(classId, { name, description, components, is_default }) {
+    return withTransaction(async (connection) => {
+      const taxClass = await this.getClass(classId, connection);
+
+      if (name !== undefined && name !== taxClass.name) {
+        const [existing] = await connection.execute(
+          'SELECT id FROM tax_classes WHERE name = ? AND id != ?',
+          [name, taxClass.id]
+        );
+        if (existing.length > 0) {
+          throw new ServiceError('A tax class with this name already exists', 409);
+        }
+      }
+
+      if (is_default === false && taxClass.is_default) {
+        throw new ServiceError('Make another class the default instead', 400);
+      }
+
+      await connection.execute(
+        'UPDATE tax_classes SET name = ?, description = ? WHERE id = ?',
+        [
+          name !== undefined ? name : taxClass.name,
+          description !== undefined ? description : taxClass.description,
+          taxClass.id
+        ]
+      );
+
+      if (components) {
+        await this.saveComponents(taxClass.id, components, connection);
+      }
+      if (is_default) {
+        await this.makeDefault(taxClass.id, connection);
+      }
+
+      return this.getClass(taxClass.id, connection);
+    });
+  }
+
+  // Categories and items using the class fall back to the default
+  async remove(classId) {
+    const taxClass = await this.getClass(classId);
+
+    if (taxClass.is_default) {
+      throw new ServiceError('The default tax class cannot be deleted', 400);
+    }
+
+    await pool.execute('DELETE FROM tax_classes WHERE id = ?', [taxClass.id]);
+    return taxClass;
+  }
+
+  // Tax class for each menu item: the item's own, else its category's, else the default
+  async resolveForItems(menuItemIds, db = pool) {
+    const resolved = new Map();
+    if (menuItemIds.length === 0) return resolved;
+
+    const [items] = await db.execute(`
+      SELECT mi.id, COALESCE(mi.tax_class_id, c.tax_class_id,
+        (SELECT id FROM tax_classes WHERE is_default = TRUE LIMIT 1)) as tax_class_id
+      FROM menu_items mi
+      JOIN subcategories sc ON mi.subcategory_id = sc.id
+      JOIN categories c ON sc.category_id = c.id
+      WHERE mi.id IN (${menuItemIds.map(() => '?').join(', ')})
+    `, menuItemIds);
+
+    const classIds = [...new Set(items.map(item => item.tax_class_id).filter(Boolean))];
+    const classes = await this.list(db, classIds);
+
+    for (const item of items) {
+      resolved.set(item.id, classes.find(taxClass => taxClass.id === item.tax_class_id) || null);
+    }
+    return resolved;
+  }
+
+  // Tax class for the time on each table type, and whether the hourly rate includes it.
+  // Types without their own class use the default.
+  async listTableTypeClasses(db = pool) {
+    const [rows] = await db.execute('SELECT table_type, tax_class_id, tax_inclusive FROM table_type_tax_classes');
+    const classes = await this.list(db);
+    const defaultClass = classes.find(taxClass => taxClass.is_default) || null;
+
+    return TABLE_TYPES.map(tableType => {
+      const row = rows.find(candidate => candidate.table_type === tableType);
+      return {
+        table_type: tableType,
+        uses_default: !row,
+        tax_inclusive: Boolean(row && row.tax_inclusive),
+        tax_class: row ? classes.find(taxClass => taxClass.id === row.tax_class_id) || null : defaultClass
+      };
+    });
+  }
+
+  // A null `taxClassId` puts the table type back on the default class
+  async setTableTypeClass(tableType, { taxClassId, taxInclusive = false }) {
+    if (taxClassId === null) {
+      await pool.execute('DELETE FROM table_type_tax_classes WHERE table_type = ?', [tableType]);
+    } else {
+      const taxClass = await this.getClass(taxClassId);
+      await pool.execute(`
+        INSERT INTO table_type_tax_classes (table_type, tax_class_id, tax_inclusive) VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE tax_class_id = VALUES(tax_class_id), tax_inclusive = VALUES(tax_inclusive)
+      `, [tableType, taxClass.id, Boolean(taxInclusive)]);
+    }
+
+    const classes = await this.listTableTypeClasses();
+    return classes.find(entry => entry.table_type === tableType);
+  }
+
+  // Tax on the time played at a table, using its table type's class
+  async calculateSessionTime(tableId, amount, db = pool) {
+    const [rows] = await db.execute(`
+      SELECT
+        COALESCE(ttc.tax_class_id, (SELECT id FROM tax_classes WHERE is_default = TRUE LIMIT 1)) as tax_class_id,
+        COALESCE(ttc.tax_inclusive, FALSE) as tax_inclusive
+      FROM restaurant_tables rt
+      LEFT JOIN table_type_tax_classes ttc ON ttc.table_type = rt.table_type
+      WHERE rt.id = ?
+    `, [tableId]);
+
+    const row = rows[0];
+    const [taxClass] = row && row.tax_class_id ? await this.list(db, [row.tax_class_id]) : [];
+    return this.calculateLine(amount, { taxClass: taxClass || null, inclusive: Boolean(row && row.tax_inclusive) });
+  }
+
+  // Store a stopped session's time tax on the session, with the split per component in session_taxes
+  async saveSessionTax(sessionId, tax, db = pool) {
+    await db.execute(`
+      UPDATE sessions SET tax_class_id = ?, tax_inclusive = ?, tax_rate = ?, taxable_amount = ?, tax_amount = ?
+      WHERE id = ?
+    `, [tax.tax_class_id, tax.tax_inclusive, tax.tax_rate, tax.taxable_amount, tax.tax_amount, sessionId]);
+
+    await db.execute('DELETE FROM session_taxes WHERE session_id = ?', [sessionId]);
+    for (const component of tax.components) {
+      await db.execute(`
+        INSERT INTO session_taxes (session_id, name, rate, taxable_amount, amount)
+        VALUES (?, ?, ?, ?, ?)
+      `, [sessionId, component.name, component.rate, component.taxable_amount, component.amount]);
+    }
+  }
+
+  // A stopped session's time tax as stored, in the shape calculateLine returns
+  async getSessionTax(session, db = pool) {
+    const [rows] = await db.execute(
+      'SELECT name, rate, taxable_amount, amount FROM session_taxes WHERE session_id = ? ORDER BY id',
+      [session.id]
+    );
+
+    return {
+      tax_class_id: session.tax_class_id,
+      tax_inclusive: Boolean(session.tax_inclusive),
+      tax_rate: parseFloat(session.tax_rate),
+      taxable_amount: parseFloat(session.taxable_amount),
+      tax_amount: parseFloat(session.tax_amount),
+      components: rows.map(row => ({
+        name: row.name,
+        rate: parseFloat(row.rate),
+        taxable_amount: parseFloat(row.taxable_amount),
+        amount: parseFloat(row.amount)
+      }))
+    };
+  }
+
+  // Tax on one order line. For tax-inclusive items the tax is taken out of `amount`; otherwise it is
+  // added on top. Each component is rounded to the cent and the components always add up to the tax.
+  calculateLine(amount, { taxClass, inclusive = false }) {
+    const components = taxClass ? taxClass.components : [];
+    const rate = components.reduce((total, component) => total + component.rate, 0);
+    const lineCents = toCents(amount);
+
+    const taxCents = inclusive
+      ? Math.round(lineCents * rate / (100 + rate))
+      : components.reduce((total, component) => total + Math.round(lineCents * component.rate / 100), 0);
+    const taxableCents = inclusive ? lineCents - taxCents : lineCents;
+
+    let remainingCents = taxCents;
+    const lines = components.map((component, index) => {
+      const cents = index === components.length - 1
+        ? remainingCents
+        : Math.round(taxableCents * component.rate / 100);
+      remainingCents -= cents;
+
+      return {
+        name: component.name,
+        rate: component.rate,
+        taxable_amount: fromCents(taxableCents),
+        amount: fromCents(cents)
+      };
+    });
+
+    return {
+      tax_class_id: taxClass ? taxClass.id : null,
+      tax_inclusive: Boolean(inclusive),
+      tax_rate: rate,
+      taxable_amount: fromCents(taxableCents),
+      tax_amount: fromCents(taxCents),
+      components: lines
+    };
+  }
+
+  // A line's tax after `discount` is taken off its taxable amount: each component shrinks in
+  // proportion, so with no discount the line is taxed exactly as when it was ordered
+  applyDiscount(lineTax, discount) {
+    const taxableCents = toCents(lineTax.taxable_amount);
+    const netCents = Math.max(0, taxableCents - toCents(discount));
+    const scale = (amount) => (taxableCents === 0 ? 0 : Math.round(toCents(amount) * netCents / taxableCents));
+
+    const components = lineTax.components.map(component => ({
+      ...component,
+      taxable_amount: fromCents(netCents),
+      amount: fromCents(scale(component.amount))
+    }));
+
+    return {
+      ...lineTax,
+      taxable_amount: fromCents(netCents),
+      tax_amount: fromCents(components.reduce((total, component) => total + toCents(component.amount), 0)),
+      components
+    };
+  }
+
+  async saveLineTaxes(orderId, orderItemId, components, db = pool) {
+    for (const component of components) {
+      await db.execute(`
+        INSERT INTO order_item_taxes (order_id, order_item_id, name, rate, taxable_amount, amount)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [orderId, orderItemId, component.name, component.rate, component.taxable_amount, component.amount]);
+    }
+  }
+
+  // Tax per component and rate across one or more orders, plus the time tax stored on `sessionIds`
+  // and `pending` component lines not stored yet (a session still running)
+  async getTaxSummary(orderIds, db = pool, { sessionIds = [], pending = [] } = {}) {
+    const ids = [].concat(orderIds);
+    const sources = [];
+    const params = [];
+
+    if (ids.length > 0) {
+      sources.push(`SELECT name, rate, taxable_amount, amount FROM order_item_taxes WHERE order_id IN (${ids.map(() => '?').join(', ')})`);
+      params.push(...ids);
+    }
+    if (sessionIds.length > 0) {
+      sources.push(`SELECT name, rate, taxable_amount, amount FROM session_taxes WHERE session_id IN (${sessionIds.map(() => '?').join(', ')})`);
+      params.push(...sessionIds);
+    }
+
+    const rows = [];
+    if (sources.length > 0) {
+      const [stored] = await db.execute(`
+        SELECT name, rate, SUM(taxable_amount) as taxable_amount, SUM(amount) as amount
+        FROM (${sources.join(' UNION ALL ')}) taxes
+        GROUP BY name, rate
+      `, params);
+      rows.push(...stored);
+    }
+    rows.push(...pending);
+
+    const summary = [];
+    for (const row of rows) {
+      const rate = parseFloat(row.rate);
+      let entry = summary.find(candidate => candidate.name === row.name && candidate.rate === rate);
+      if (!entry) {
+        entry = { name: row.name, rate, taxableCents: 0, amountCents: 0 };
+        summary.push(entry);
+      }
+      entry.taxableCents += toCents(row.taxable_amount);
+      entry.amountCents += toCents(row.amount);
+    }
+
+    return summary
+      .sort((a, b) => a.name.localeCompare(b.name) || a.rate - b.rate)
+      .map(entry => ({
+        name: entry.name,
+        rate: entry.rate,
+        taxable_amount: fromCents(entry.taxableCents),
+        amount: fromCents(entry.amountCents)
+      }));
+  }
+}
+
+module.exports = new TaxService();
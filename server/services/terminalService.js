@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const authService = require('./authService');
+
+const PUBLIC_COLUMNS = 'id, terminal_id, name, location, is_active, registered_by, last_seen_at, created_at, updated_at';
+
+// Device keys are random; like refresh tokens only their SHA-256 is kept
+const newDeviceKey = () => crypto.randomBytes(32).toString('base64url');
+
+const initials = (name) => name
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part[0].toUpperCase())
+  .join('');
+
+class TerminalService {
+  async getTerminal(id) {
+    const [terminals] = await pool.execute(`SELECT ${PUBLIC_COLUMNS} FROM terminals WHERE id = ?`, [id]);
+
+    if (terminals.length === 0) {
+      throw new ServiceError('Terminal not found', 404);
+    }
+    return terminals[0];
+  }
+
+  async list() {
+    const [terminals] = await pool.execute(`
+      SELECT
+        t.id, t.terminal_id, t.name, t.location, t.is_active, t.last_seen_at, t.created_at,
+        u.full_name as signed_in_user
+      FROM terminals t
+      LEFT JOIN auth_sessions s ON s.terminal_id = t.id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+      LEFT JOIN users u ON s.user_id = u.id
+      ORDER BY t.name
+    `);
+    return terminals;
+  }
+
+  // Returns the device key once; the terminal stores it and sends it with X-Terminal-Key
+  async register({ name, location }, { registeredBy }) {
+    const terminalId = `TERM-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const deviceKey = newDeviceKey();
+
+    const [result] = await pool.execute(`
+      INSERT INTO terminals (terminal_id, name, location, key_hash, registered_by)
+      VALUES (?, ?, ?, ?, ?)
+    `, [terminalId, name, location || null, authService.hashToken(deviceKey), registeredBy]);
+
+    return { terminal: await this.getTerminal(result.insertId), deviceKey };
+  }
+
+  async update(id, { name, location, is_active }) {
+    const terminal = await this.getTerminal(id);
+
+    const changes = { name, location, is_active };
+    const fields = Object.keys(changes).filter(field => changes[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new ServiceError('No valid fields to update', 400);
+    }
+
+    await pool.execute(
+      `UPDATE terminals SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(field => changes[field]), terminal.id]
+    );
+
+    if (is_active === false) {
+      await authService.revokeTerminalSessions(terminal.id, { reason: 'terminal_deactivated' });
+    }
+
+    return this.getTerminal(terminal.id);
+  }
+
+  // Issue a new device key (e.g. after a tablet is lost); the old one stops working
+  async rotateKey(id, { revokedBy }) {
+    const terminal = await this.getTerminal(id);
+    const deviceKey = newDeviceKey();
+
+    await pool.execute('UPDATE terminals SET key_hash = ? WHERE id = ?', [authService.hashToken(deviceKey), terminal.id]);
+    await authService.revokeTerminalSessions(terminal.id, { reason: 'terminal_key_rotated', revokedBy });
+
+    return { terminal, deviceKey };
+  }
+
+  // Staff who can sign in with a PIN, for the terminal's lock screen
+  async getLockScreenUsers() {
+    const [users] = await pool.execute(`
+      SELECT id, full_name, role, avatar_url, pin_locked_until
+      FROM users
+      WHERE is_active = TRUE AND pin_hash IS NOT NULL AND role IN ('Admin', 'Manager', 'Staff')
+      ORDER BY full_name
+    `);
+
+    return users.map(user => ({
+      id: user.id,
+      full_name: user.full_name,
+      initials: initials(user.full_name),
+      role: user.role,
+      avatar_url: user.avatar_url,
+      pin_locked: Boolean(user.pin_locked_until && new Date(user.pin_locked_until) > new Date())
+    }));
+  }
+}
+
+module.exports = new TerminalService();
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const { getSetting, setSetting } = require('../utils/settings');
+const totp = require('../utils/totp');
+const authService = require('./authService');
+
+const { hashToken } = authService;
+
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const ROLES = ['Admin', 'Manager', 'Staff', 'User'];
+
+// Recovery codes look like "7F3K-Q9XD"; they are compared without the dash and case-insensitively
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const newRecoveryCode = () => {
+  const raw = totp.base32Encode(crypto.randomBytes(5));
+  return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+};
+
+class TwoFactorService {
+  async getRequiredRoles() {
+    const roles = await getSetting('two_factor_required_roles', []);
+    return Array.isArray(roles) ? roles : [];
+  }
+
+  async setRequiredRoles(roles) {
+    const unique = ROLES.filter(role => roles.includes(role));
+    await setSetting('two_factor_required_roles', unique);
+    return unique;
+  }
+
+  async isRequiredFor(role) {
+    return (await this.getRequiredRoles()).includes(role);
+  }
+
+  async getUser(userId, db = pool) {
+    const [users] = await db.execute(
+      'SELECT id, email, full_name, role, is_active, password, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ?',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      throw new ServiceError('User not found', 404);
+    }
+    return users[0];
+  }
+
+  async getStatus(userId) {
+    const user = await this.getUser(userId);
+    const [codes] = await pool.execute(
+      'SELECT COUNT(*) as remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+
+    return {
+      enabled: Boolean(user.totp_enabled_at),
+      enabled_at: user.totp_enabled_at,
+      required: await this.isRequiredFor(user.role),
+      recovery_codes_remaining: user.totp_enabled_at ? codes[0].remaining : 0
+    };
+  }
+
+  async provisioning(user) {
+    const issuer = await getSetting('two_factor_issuer', 'Restaurant POS');
+    return {
+      secret: user.totp_secret,
+      otpauth_url: totp.provisioningUri({ secret: user.totp_secret, accountName: user.email, issuer })
+    };
+  }
+
+  // Create (or reuse) a pending secret; 2FA is only switched on once a code from it is confirmed
+  async beginSetup(userId) {
+    const user = await this.getUser(userId);
+
+    if (user.totp_enabled_at) {
+      throw new ServiceError('Two-factor authentication is already enabled', 409);
+    }
+
+    if (!user.totp_secret) {
+      user.totp_secret = totp.generateSecret();
+      await pool.execute('UPDATE users SET totp_secret = ? WHERE id = ?', [user.totp_secret, user.id]);
+    }
+
+    return this.provisioning(user);
+  }
+
+  // Accept a TOTP code once: a code (time step) that was already used is rejected
+  async consumeCode(user, code, db = pool) {
+    if (!user.totp_secret) return false;
+
+    const step = totp.verifyCode(user.totp_secret, code);
+    if (step === null) return false;
+
+    const [result] = await db.execute(
+      'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+      [step, user.id, step]
+    );
+    return result.affectedRows === 1;
+  }
+
+  async consumeRecoveryCode(userId, code, db = pool) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return false;
+
+    const [result] = await db.execute(
+      'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [userId, hashToken(normalized)]
+    );
+    return result.affectedRows === 1;
+  }
+
+  // Replace all recovery codes; the plain codes are returned once
+  async createRecoveryCodes(userId, db = pool) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+
+    await db.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+      await db.execute(
+        'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, hashToken(normalizeRecoveryCode(code))]
+      );
+    }
+
+    return codes;
+  }
+
+  // Confirm the pending secret with a code from the authenticator app
+  async enable(userId, code) {
+    return withTransaction(async (connection) => {
+      const [users] = await connection.execute(
+        'SELECT id, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ? FOR UPDATE',
+        [userId]
+      );
+      const user = users[0];
+
+      if (!user || !user.totp_secret) {
+        throw new ServiceError('Start two-factor setup first', 400);
+      }
+
+      if (user.totp_enabled_at) {
+        throw new ServiceError('Two-factor authentication is already enabled', 409);
+      }
+
+      if (!(await this.consumeCode(user, code, connection))) {
+        throw new ServiceError('Invalid authentication code', 400);
+      }
+
+      await connection.execute('UPDATE users SET totp_enabled_at = NOW() WHERE id = ?', [user.id]);
+      return { recoveryCodes: await this.createRecoveryCodes(user.id, connection) };
+    });
+  }
+
+  async assertCode(user, { code, recoveryCode }) {
+    const valid = recoveryCode
+      ? await this.consumeRecoveryCode(user.id, recoveryCode)
+      : await this.consumeCode(user, code);
+
+    if (!valid) {
+      throw new ServiceError('Invalid authentication code', 400);
+    }
+  }
+
+  // Turn 2FA off for yourself; not allowed while your role requires it
+  async disable(userId, { code, recoveryCode }) {
+    const user = await this.getUser(userId);
+
+    if (!user.totp_enabled_at) {
+      throw new ServiceError('Two-factor authentication is not enabled', 400);
+    }
+
+    if (await this.isRequiredFor(user.role)) {
+      throw new ServiceError(`Two-factor authentication is required for ${user.role} accounts`, 403);
+    }
+
+    await this.assertCode(user, { code, recoveryCode });
+    await this.reset(user.id);
+  }
+
+  async regenerateRecoveryCodes(userId, { code }) {
+    const user = await this.getUser(userId);
+
+    if (!user.totp_enabled_at) {
+      throw new ServiceError('Two-factor authentication is not enabled', 400);
+    }
+
+    await this.assertCode(user, { code });
+    return this.createRecoveryCodes(user.id);
+  }
+
+  // Remove the secret and recovery codes (e.g. a lost phone); a required role enrols again at next login
+  async reset(userId, db = pool) {
+    await db.execute(
+      'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+      [userId]
+    );
+    await db.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await db.execute('UPDATE two_factor_challenges SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL', [userId]);
+  }
+
+  // After a correct password: returns a challenge when the login needs a second step, otherwise null.
+  // Users whose role requires 2FA but who have not enrolled get the provisioning data to enrol now.
+  async startLogin(user, { ip } = {}) {
+    const required = await this.isRequiredFor(user.role);
+    if (!user.totp_enabled_at && !required) return null;
+
+    let enrollment;
+    if (!user.totp_enabled_at) {
+      enrollment = await this.beginSetup(user.id);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await pool.execute(
+      'UPDATE two_factor_challenges SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+      [user.id]
+    );
+    await pool.execute(`
+      INSERT INTO two_factor_challenges (user_id, token_hash, ip_address, expires_at)
+      VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE)
+    `, [user.id, hashToken(token), ip || null, CHALLENGE_TTL_MINUTES]);
+
+    return { challengeToken: token, expiresIn: CHALLENGE_TTL_MINUTES * 60, enrollment };
+  }
+
+  // Second login step. Returns the user, plus fresh recovery codes when this step completed enrolment.
+  // Wrong codes count towards the challenge's attempts and the account's password lockout, so asking
+  // for a new challenge does not buy more guesses.
+  async completeLogin(challengeToken, { code, recoveryCode, ip, userAgent }) {
+    const policy = await authService.getLoginPolicy();
+
+    // The challenge and account rows stay locked while the code is checked, so parallel guesses
+    // are taken one at a time and each sees the attempts counted before it
+    const { user, reason, wait, attempts, recoveryCodes } = await withTransaction(async (connection) => {
+      const [challenges] = await connection.execute(`
+        SELECT id, user_id, failed_attempts
+        FROM two_factor_challenges
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+        FOR UPDATE
+      `, [hashToken(challengeToken)]);
+
+      if (challenges.length === 0) {
+        return { reason: 'expired' };
+      }
+
+      const challenge = challenges[0];
+      const [users] = await connection.execute('SELECT * FROM users WHERE id = ? FOR UPDATE', [challenge.user_id]);
+      const user = users[0];
+
+      if (!user || !user.is_active) {
+        return { reason: 'expired' };
+      }
+
+      const wait = authService.loginWaitSeconds(user, policy);
+      if (wait.seconds > 0) {
+        return { user, reason: wait.locked ? 'locked' : 'throttled', wait };
+      }
+
+      const enrolling = !user.totp_enabled_at;
+      const valid = recoveryCode && !enrolling
+        ? await this.consumeRecoveryCode(user.id, recoveryCode, connection)
+        : await this.consumeCode(user, code, connection);
+
+      if (!valid) {
+        // failed_attempts is already incremented when used_at is worked out
+        await connection.execute(`
+          UPDATE two_factor_challenges
+          SET failed_attempts = failed_attempts + 1,
+              used_at = IF(failed_attempts >= ?, NOW(), used_at)
+          WHERE id = ?
+        `, [CHALLENGE_MAX_ATTEMPTS, challenge.id]);
+
+        const lockedOut = await authService.recordLoginFailure(user, policy, connection);
+        return {
+          user,
+          reason: lockedOut ? 'locked_out' : recoveryCode ? 'invalid_recovery_code' : 'invalid_code',
+          attempts: challenge.failed_attempts + 1
+        };
+      }
+
+      const [used] = await connection.execute(
+        'UPDATE two_factor_challenges SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+        [challenge.id]
+      );
+      if (used.affectedRows !== 1) {
+        return { reason: 'expired' };
+      }
+
+      // passwordLogin leaves the failure count alone for 2FA accounts; the login is complete now
+      if (user.failed_login_count > 0 || user.locked_until) {
+        await connection.execute(
+          'UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+          [user.id]
+        );
+      }
+
+      if (enrolling) {
+        await connection.execute('UPDATE users SET totp_enabled_at = NOW() WHERE id = ?', [user.id]);
+        return { user, recoveryCodes: await this.createRecoveryCodes(user.id, connection) };
+      }
+      return { user };
+    });
+
+    if (reason === 'expired') {
+      throw new ServiceError('Sign-in has expired, please log in again', 401);
+    }
+
+    await authService.logLoginEvent({
+      userId: user.id,
+      email: user.email,
+      method: 'two_factor',
+      ip,
+      userAgent,
+      success: !reason,
+      reason: reason || null
+    });
+
+    if (reason === 'locked' || reason === 'locked_out') {
+      throw new ServiceError('Account temporarily locked after too many failed logins', 423, {
+        retry_after: wait ? wait.seconds : policy.lockoutMinutes * 60
+      });
+    }
+    if (reason === 'throttled') {
+      throw new ServiceError('Too many failed logins. Please wait before trying again.', 429, { retry_after: wait.seconds });
+    }
+    if (reason) {
+      if (attempts >= CHALLENGE_MAX_ATTEMPTS) {
+        throw new ServiceError('Too many invalid codes, please log in again', 401);
+      }
+      throw new ServiceError('Invalid authentication code', 401, { attempts_remaining: CHALLENGE_MAX_ATTEMPTS - attempts });
+    }
+
+    return { user, recoveryCodes };
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+twoFactorService.ROLES = ROLES;
+
+module.exports = twoFactorService;
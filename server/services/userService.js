@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool, withTransaction } = require('../config/database');
+const { ServiceError } = require('../utils/errors');
+const authService = require('./authService');
+const twoFactorService = require('./twoFactorService');
+
+const ROLES = ['Admin', 'Staff', 'Manager', 'User'];
+const STAFF_ROLES = ['Admin', 'Staff', 'Manager'];
+const PUBLIC_COLUMNS = `id, username, email, full_name, phone, avatar_url, role, is_active,
+  (pin_hash IS NOT NULL) as has_pin, pin_locked_until, failed_login_count, locked_until,
+  (totp_enabled_at IS NOT NULL) as two_factor_enabled, created_at, updated_at`;
+
+class UserService {
+  async hashPassword(password) {
+    return bcrypt.hash(password, 10);
+  }
+
+  async getUser(userId, db = pool, { forUpdate = false } = {}) {
+    const [users] = await db.execute(
+      `SELECT ${PUBLIC_COLUMNS} FROM users WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [userId]
+    );
+
+    if (users.length === 0) {
+      throw new ServiceError('User not found', 404);
+    }
+    return users[0];
+  }
+
+  async list({ role, isActive, search, limit = 100, offset = 0 } = {}) {
+    let sql = `SELECT ${PUBLIC_COLUMNS} FROM users WHERE 1=1`;
+    const params = [];
+
+    if (role) {
+      sql += ' AND role = ?';
+      params.push(role);
+    }
+
+    if (isActive !== undefined) {
+      sql += ' AND is_active = ?';
+      params.push(isActive);
+    }
+
+    if (search) {
+      sql += ' AND (username LIKE ? OR email LIKE ? OR full_name LIKE ? OR phone LIKE ?)';
+      params.push(...Array(4).fill(`%${search}%`));
+    }
+
+    sql += ' ORDER BY full_name LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [users] = await pool.query(sql, params);
+    return users;
+  }
+
+  async assertUnique({ username, email }, excludeId = null, db = pool) {
+    const [existing] = await db.execute(
+      'SELECT id, username, email FROM users WHERE (email = ? OR username = ?) AND id <> ?',
+      [email || '', username || '', excludeId || 0]
+    );
+
+    if (existing.length > 0) {
+      const field = email && existing.some(user => user.email === email) ? 'email' : 'username';
+      throw new ServiceError(`A user with this ${field} already exists`, 409, { field });
+    }
+  }
+
+  // Only admins may create admins or change an admin's account
+  assertCanManage(actor, { currentRole, newRole }) {
+    if (actor.role !== 'Admin' && (currentRole === 'Admin' || newRole === 'Admin')) {
+      throw new ServiceError('Only an Admin can manage Admin accounts', 403);
+    }
+  }
+
+  // The last active Admin cannot be demoted or deactivated
+  async assertAdminRemains(user, db) {
+    if (user.role !== 'Admin' || !user.is_active) return;
+
+    const [admins] = await db.execute(
+      'SELECT COUNT(*) as count FROM users WHERE role = "Admin" AND is_active = TRUE AND id <> ?',
+      [user.id]
+    );
+
+    if (admins[0].count === 0) {
+      throw new ServiceError('At least one active Admin is required', 409);
+    }
+  }
+
+  async create({ username, email, password, full_name, phone, role = 'Staff' }, { actor }) {
+    this.assertCanManage(actor, { newRole: role });
+    await this.assertUnique({ username, email });
+
+    const [result] = await pool.execute(
+      'INSERT INTO users (username, email, password, full_name, phone, role) VALUES (?, ?, ?, ?, ?, ?)',
+      [username, email, await this.hashPassword(password), full_name, phone || null, role]
+    );
+
+    return this.getUser(result.insertId);
+  }
+
+  async update(userId, changes, { actor }) {
+    return withTransaction(async (connection) => {
+      const user = await this.getUser(userId, connection, { forUpdate: true });
+      this.assertCanManage(actor, { currentRole: user.role, newRole: changes.role });
+
+      if (changes.username !== undefined || changes.email !== undefined) {
+        await this.assertUnique({ username: changes.username, email: changes.email }, user.id, connection);
+      }
+
+      if (changes.role !== undefined && changes.role !== user.role) {
+        if (user.id === actor.id) {
+          throw new ServiceError('You cannot change your own role', 409);
+        }
+        await this.assertAdminRemains(user, connection);
+      }
+
+      const updates = ['username', 'email', 'full_name', 'phone', 'avatar_url', 'role']
+        .filter(field => changes[field] !== undefined);
+
+      if (updates.length === 0) {
+        throw new ServiceError('No valid fields to update', 400);
+      }
+
+      await connection.execute(
+        `UPDATE users SET ${updates.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...updates.map(field => changes[field]), user.id]
+      );
+
+      return this.getUser(user.id, connection);
+    });
+  }
+
+  // Deactivated users cannot sign in and their existing tokens stop working
+  async setActive(userId, isActive, { actor }) {
+    const { user, familyIds } = await withTransaction(async (connection) => {
+      const user = await this.getUser(userId, connection, { forUpdate: true });
+      this.assertCanManage(actor, { currentRole: user.role });
+
+      if (!isActive) {
+        if (user.id === actor.id) {
+          throw new ServiceError('You cannot deactivate your own account', 409);
+        }
+        await this.assertAdminRemains(user, connection);
+      }
+
+      await connection.execute('UPDATE users SET is_active = ? WHERE id = ?', [isActive, user.id]);
+
+      const familyIds = isActive
+        ? []
+        : await authService.revokeAllForUser(user.id, { revokedBy: actor.id, reason: 'deactivated', db: connection });
+
+      return { user: await this.getUser(user.id, connection), familyIds };
+    });
+
+    authService.disconnect(familyIds);
+    return user;
+  }
+
+  // Remove a user's PIN (and any PIN lockout); they can set a new one from their profile
+  async clearPin(userId, { actor }) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(actor, { currentRole: user.role });
+
+    await authService.clearPin(user.id);
+    return this.getUser(user.id);
+  }
+
+  // Lift a password or PIN lockout before it expires
+  async unlock(userId, { actor }) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(actor, { currentRole: user.role });
+
+    await authService.unlockAccount(user.id);
+    return this.getUser(user.id);
+  }
+
+  // Remove a user's authenticator (e.g. a lost phone); if their role requires 2FA they enrol again at next login
+  async resetTwoFactor(userId, { actor }) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(actor, { currentRole: user.role });
+
+    await twoFactorService.reset(user.id);
+    return this.getUser(user.id);
+  }
+
+  // Set a new password chosen by the admin, or generate a temporary one, and sign the user out everywhere
+  async resetPassword(userId, { password, actor }) {
+    const user = await this.getUser(userId);
+    this.assertCanManage(actor, { currentRole: user.role });
+
+    const newPassword = password || crypto.randomBytes(6).toString('base64url');
+    await pool.execute(
+      'UPDATE users SET password = ? WHERE id = ?',
+      [await this.hashPassword(newPassword), user.id]
+    );
+    await authService.revokeAllForUser(user.id, { revokedBy: actor.id, reason: 'password_reset' });
+
+    return { user, temporaryPassword: password ? null : newPassword };
+  }
+}
+
+const userService = new UserService();
+userService.ROLES = ROLES;
+userService.STAFF_ROLES = STAFF_ROLES;
+
+module.exports = userService;
@@ -0,0 +1,21 @@
+// Error raised by services for expected business-rule failures.
+// Routes translate it to `res.status(error.status).json({ error: error.message })` with handleError.
+class ServiceError extends Error {
+  constructor(message, status = 400, details) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// Send a ServiceError as its status; anything else is logged and becomes a 500
+const handleError = (res, error, label) => {
+  if (error instanceof ServiceError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+module.exports = { ServiceError, handleError };
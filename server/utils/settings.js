@@ -0,0 +1,51 @@
+const { pool } = require('../config/database');
+
+// Convert a system_settings value according to its setting_type
+const parseSetting = (value, type) => {
+  if (value === null || value === undefined) return value;
+
+  switch (type) {
+    case 'number':
+      return parseFloat(value);
+    case 'boolean':
+      return value === 'true' || value === '1';
+    case 'json':
+      return JSON.parse(value);
+    default:
+      return value;
+  }
+};
+
+// Read a single system setting, falling back when it is missing
+const getSetting = async (key, fallback = null, db = pool) => {
+  const [settings] = await db.execute(
+    'SELECT setting_value, setting_type FROM system_settings WHERE setting_key = ?',
+    [key]
+  );
+
+  if (settings.length === 0) return fallback;
+
+  try {
+    return parseSetting(settings[0].setting_value, settings[0].setting_type);
+  } catch (error) {
+    console.error(`Invalid value for setting ${key}:`, error.message);
+    return fallback;
+  }
+};
+
+// Update an existing system setting, serialising the value according to its setting_type
+const setSetting = async (key, value, db = pool) => {
+  const [settings] = await db.execute(
+    'SELECT setting_type FROM system_settings WHERE setting_key = ?',
+    [key]
+  );
+
+  if (settings.length === 0) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const stored = settings[0].setting_type === 'json' ? JSON.stringify(value) : String(value);
+  await db.execute('UPDATE system_settings SET setting_value = ? WHERE setting_key = ?', [stored, key]);
+};
+
+module.exports = { getSetting, setSetting, parseSetting };
@@ -23,6 +23,8 @@ import BookTable from "./Component/UserDashboard/BookTable/BookTable";
 import SessionHistory from "./Component/UserDashboard/SessionHistory/SessionHistory";
 import Signup from "./Auth/Signup";
 import ForgotPassword from "./Auth/ForgotPassword";
+import ResetPassword from "./Auth/ResetPassword";
+import LockScreen from "./Auth/LockScreen";
 import Profile from "./Profile/Profile";
 import Dashboard from "./Component/AdminDashboard/Dashboard/Dashboard";
 import AdminItemManager from "./Component/AdminDashboard/AddItems/AdminItemManager";
@@ -51,7 +53,9 @@ function App() {
   // Pages that don't need layout (auth pages)
   const hideLayout = location.pathname === "/" ||
     location.pathname === "/signup" ||
-    location.pathname === "/forgot-password";
+    location.pathname === "/forgot-password" ||
+    location.pathname === "/reset-password" ||
+    location.pathname === "/lock";
 
   // Protected route component
   const ProtectedRoute = ({ children, allowedRoles }) => {
@@ -69,6 +73,8 @@ function App() {
           <Route path="/" element={<Login />} />
           <Route path="/signup" element={<Signup />} />
           <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/lock" element={<LockScreen />} />
 
         </Routes>
       ) : (
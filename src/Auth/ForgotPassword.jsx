@@ -1,19 +1,35 @@
 import React, { useState } from "react";
 import { Link } from "react-router-dom";
+import { API_URL } from "../config";
 
 const ForgotPassword = () => {
   const [email, setEmail] = useState("");
   const [isSubmitted, setIsSubmitted] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
+    setError("");
 
-    // Simulate sending reset link
-    await new Promise((resolve) => setTimeout(resolve, 1000));
-    setIsSubmitted(true);
-    setIsLoading(false);
+    try {
+      const response = await fetch(`${API_URL}/auth/password-reset/request`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+      });
+
+      if (!response.ok) {
+        throw new Error("Request failed");
+      }
+
+      setIsSubmitted(true);
+    } catch {
+      setError("Could not send the reset link. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
   };
 
   return (
@@ -41,10 +57,12 @@ const ForgotPassword = () => {
 
           {isSubmitted ? (
             <div className="alert alert-success">
-              Password reset link has been sent to <strong>{email}</strong>
+              If an account exists for <strong>{email}</strong>, a password reset link has been sent to it.
             </div>
           ) : (
             <form onSubmit={handleSubmit}>
+              {error && <div className="alert alert-danger">{error}</div>}
+
               {/* Email Input */}
               <div className="mb-3 position-relative">
                 <i className="bi bi-envelope position-absolute top-50 start-0 translate-middle-y ms-3 text-secondary"></i>
@@ -0,0 +1,212 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { API_URL } from "../config";
+import { saveSession, terminalHeaders } from "../auth";
+
+// Shared POS terminals: staff pick their avatar and enter a PIN.
+// The terminal id and device key come from registering the terminal in the admin panel.
+
+const LockScreen = () => {
+  const [isConfigured, setIsConfigured] = useState(Boolean(localStorage.getItem("terminalKey")));
+  const [setup, setSetup] = useState({ terminalId: "", terminalKey: "" });
+  const [terminal, setTerminal] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [selectedUser, setSelectedUser] = useState(null);
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!isConfigured) return;
+
+    const loadUsers = async () => {
+      try {
+        const response = await fetch(`${API_URL}/terminals/lock-screen`, { headers: terminalHeaders() });
+        const data = await response.json();
+
+        if (!response.ok) {
+          setError(data.error || "This terminal is not registered.");
+          return;
+        }
+
+        setTerminal(data.terminal);
+        setUsers(data.users);
+      } catch {
+        setError("Cannot reach the server.");
+      }
+    };
+
+    loadUsers();
+  }, [isConfigured]);
+
+  const handleSetup = (e) => {
+    e.preventDefault();
+    localStorage.setItem("terminalId", setup.terminalId.trim());
+    localStorage.setItem("terminalKey", setup.terminalKey.trim());
+    setError("");
+    setIsConfigured(true);
+  };
+
+  const handleDigit = (digit) => {
+    if (pin.length < 6) setPin(pin + digit);
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError("");
+
+    try {
+      const response = await fetch(`${API_URL}/auth/pin-login`, {
+        method: "POST",
+        headers: terminalHeaders(),
+        body: JSON.stringify({ user_id: selectedUser.id, pin }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || "Sign-in failed.");
+        setPin("");
+        return;
+      }
+
+      saveSession(data);
+
+      switch (data.user.role) {
+        case "Admin":
+          navigate("/admin/dashboard");
+          break;
+        case "Staff":
+          navigate("/staff/tablesmanagement");
+          break;
+        default:
+          navigate("/");
+      }
+    } catch {
+      setError("Cannot reach the server.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="container-fluid min-vh-100 d-flex align-items-center justify-content-center bg-light p-4">
+      <div
+        className="card shadow-lg w-100"
+        style={{ maxWidth: "700px", borderRadius: "2rem" }}
+      >
+        <div className="p-5 text-center">
+          <h2 className="h5 text-secondary mb-1">
+            {terminal ? terminal.name : "Terminal Locked"}
+          </h2>
+          <p className="text-muted mb-4">
+            {selectedUser ? `Enter the PIN for ${selectedUser.full_name}` : "Tap your name to sign in"}
+          </p>
+
+          {error && <div className="alert alert-danger">{error}</div>}
+
+          {!isConfigured ? (
+            <form onSubmit={handleSetup} className="text-start">
+              <div className="mb-3">
+                <label className="form-label">Terminal ID</label>
+                <input
+                  className="form-control"
+                  value={setup.terminalId}
+                  onChange={(e) => setSetup({ ...setup, terminalId: e.target.value })}
+                  placeholder="TERM-XXXXXX"
+                  required
+                />
+              </div>
+              <div className="mb-3">
+                <label className="form-label">Device key</label>
+                <input
+                  className="form-control"
+                  value={setup.terminalKey}
+                  onChange={(e) => setSetup({ ...setup, terminalKey: e.target.value })}
+                  required
+                />
+              </div>
+              <button type="submit" className="btn btn-warning w-100 text-white fw-semibold">
+                Set Up Terminal
+              </button>
+            </form>
+          ) : !selectedUser ? (
+            <div className="d-flex flex-wrap justify-content-center gap-3">
+              {users.map((user) => (
+                <button
+                  key={user.id}
+                  type="button"
+                  className="btn btn-light border d-flex flex-column align-items-center p-3"
+                  style={{ width: "120px", borderRadius: "1rem" }}
+                  disabled={user.pin_locked}
+                  onClick={() => setSelectedUser(user)}
+                >
+                  {user.avatar_url ? (
+                    <img
+                      src={user.avatar_url}
+                      alt={user.full_name}
+                      className="rounded-circle mb-2"
+                      style={{ width: "56px", height: "56px", objectFit: "cover" }}
+                    />
+                  ) : (
+                    <div
+                      className="rounded-circle bg-warning text-white fw-bold d-flex align-items-center justify-content-center mb-2"
+                      style={{ width: "56px", height: "56px" }}
+                    >
+                      {user.initials}
+                    </div>
+                  )}
+                  <span className="small fw-semibold">{user.full_name}</span>
+                  <span className="small text-muted">{user.pin_locked ? "Locked" : user.role}</span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <form onSubmit={handleUnlock} className="mx-auto" style={{ maxWidth: "260px" }}>
+              <input
+                type="password"
+                inputMode="numeric"
+                className="form-control form-control-lg text-center mb-3"
+                value={pin}
+                onChange={(e) => setPin(e.target.value.replace(/\D/g, "").slice(0, 6))}
+                autoFocus
+              />
+              <div className="d-grid gap-2 mb-3" style={{ gridTemplateColumns: "repeat(3, 1fr)" }}>
+                {["1", "2", "3", "4", "5", "6", "7", "8", "9"].map((digit) => (
+                  <button key={digit} type="button" className="btn btn-outline-secondary btn-lg" onClick={() => handleDigit(digit)}>
+                    {digit}
+                  </button>
+                ))}
+                <button type="button" className="btn btn-outline-secondary btn-lg" onClick={() => setPin(pin.slice(0, -1))}>
+                  ⌫
+                </button>
+                <button type="button" className="btn btn-outline-secondary btn-lg" onClick={() => handleDigit("0")}>
+                  0
+                </button>
+                <button type="submit" className="btn btn-warning btn-lg text-white" disabled={pin.length < 4 || isLoading}>
+                  OK
+                </button>
+              </div>
+              <button
+                type="button"
+                className="btn btn-link text-decoration-none"
+                onClick={() => { setSelectedUser(null); setPin(""); setError(""); }}
+              >
+                Not {selectedUser.full_name}?
+              </button>
+            </form>
+          )}
+
+          <div className="text-center mt-4">
+            <Link to="/" className="text-decoration-none fw-semibold" style={{ color: "#1f2937" }}>
+              Sign in with email instead
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LockScreen;
@@ -3,6 +3,8 @@ import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 // import 'react-toastify/dist/ReactToastify.css';
 import { Link } from "react-router-dom";
+import { API_URL } from "../config";
+import { saveSession, terminalHeaders } from "../auth";
 
 
 const Login = () => {
@@ -13,6 +15,11 @@ const Login = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [signedInRole, setSignedInRole] = useState("");
   const navigate = useNavigate();
 
   const roles = ["Admin", "Staff", "User"];
@@ -22,61 +29,98 @@ const Login = () => {
     setShowRoleDropdown(false);
   };
 
+  // Redirect based on role
+  const goToDashboard = (role) => {
+    switch (role) {
+      case "Admin":
+        navigate("/admin/dashboard");
+        break;
+      case "Staff":
+        navigate("/staff/tablesmanagement");
+        break;
+      case "User":
+        navigate("/user/booktable");
+        break;
+      default:
+        navigate("/");
+    }
+  };
+
+  const finishLogin = (data) => {
+    saveSession(data);
+
+    if (rememberMe) {
+      localStorage.setItem("rememberedEmail", email);
+    } else {
+      localStorage.removeItem("rememberedEmail");
+    }
+
+    // Completing two-factor enrolment returns recovery codes, shown once before continuing
+    if (data.recovery_codes) {
+      setSignedInRole(data.user.role);
+      setRecoveryCodes(data.recovery_codes);
+      return;
+    }
+    goToDashboard(data.user.role);
+  };
+
   const handleLogin = async (e) => {
     e.preventDefault();
     setIsLoading(true);
+    setError("");
 
-    // Simulate API call with timeout
     try {
-      // In a real app, you would make an API call here
-      // const response = await authApi.login({ email, password, role: selectedRole });
-
-      // Mock users data - replace with actual API call in production
-      const users = [
-        { email: "admin@example.com", password: "123", role: "Admin" },
-        { email: "staff@example.com", password: "123", role: "Staff" },
-        { email: "user@example.com", password: "123", role: "User" },
-      ];
-
-      // Simulate network delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      const user = users.find(
-        (u) => u.email === email && u.password === password && u.role === selectedRole
-      );
-
-      if (user) {
-        // Store user data in localStorage
-        localStorage.setItem("role", user.role);
-        localStorage.setItem("isAuthenticated", "true");
-
-        if (rememberMe) {
-          localStorage.setItem("rememberedEmail", email);
-        } else {
-          localStorage.removeItem("rememberedEmail");
-        }
-
-        // Redirect based on role
-        setTimeout(() => {
-          switch (user.role) {
-            case "Admin":
-              navigate("/admin/dashboard");
-              break;
-            case "Staff":
-              navigate("/staff/tablesmanagement");
-              break;
-            case "User":
-              navigate("/user/booktable");
-              break;
-            default:
-              navigate("/");
-          }
-        }, 1500);
-      } else {
-        throw new Error("Invalid credentials or role");
+      const response = await fetch(`${API_URL}/auth/login`, {
+        method: "POST",
+        headers: terminalHeaders(),
+        body: JSON.stringify({ email, password, role: selectedRole || undefined }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || "Login failed. Please try again.");
+        return;
       }
-    } catch (error) {
-      //   toast.error(error.message || "Login failed. Please try again.");
+
+      // Accounts with two-factor continue with a code from their authenticator app
+      if (data.two_factor_required) {
+        setChallenge(data);
+        setCode("");
+        return;
+      }
+
+      finishLogin(data);
+    } catch {
+      setError("Cannot reach the server.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCode = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError("");
+
+    try {
+      const response = await fetch(`${API_URL}/auth/login/2fa`, {
+        method: "POST",
+        headers: terminalHeaders(),
+        body: JSON.stringify({ challenge_token: challenge.challenge_token, code }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || "Invalid authentication code.");
+        setCode("");
+        // Expired, used up or locked challenges need the password again
+        if (response.status !== 429 && data.attempts_remaining === undefined) setChallenge(null);
+        return;
+      }
+
+      finishLogin(data);
+    } catch {
+      setError("Cannot reach the server.");
     } finally {
       setIsLoading(false);
     }
@@ -114,112 +158,176 @@ const Login = () => {
             <h2 className="h5 text-secondary mt-3">Welcome Back!</h2>
             <p className="text-muted mb-4">Login to access your dashboard</p>
 
-            <form onSubmit={handleLogin}>
-              {/* Email */}
-              <div className="mb-3 position-relative">
-                <i className="bi bi-envelope position-absolute top-50 start-0 translate-middle-y ms-3 text-secondary"></i>
-                <input
-                  type="email"
-                  className="form-control ps-5"
-                  placeholder="Email"
-                  value={email}
-                  onChange={(e) => setEmail(e.target.value)}
-                  required
-                />
-              </div>
+            {error && <div className="alert alert-danger py-2">{error}</div>}
 
-              {/* Password */}
-              <div className="mb-3 position-relative">
-                <i className="bi bi-lock position-absolute top-50 start-0 translate-middle-y ms-3 text-secondary"></i>
-                <input
-                  type={showPassword ? "text" : "password"}
-                  className="form-control ps-5 pe-5"
-                  placeholder="Password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  required
-                  minLength="3"
-                />
-                <i
-                  className={`bi ${showPassword ? "bi-eye-slash" : "bi-eye"
-                    } position-absolute top-50 end-0 translate-middle-y me-3 text-secondary cursor-pointer`}
-                  role="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                ></i>
+            {recoveryCodes && (
+              <div className="text-start">
+                <p className="small">
+                  Two-factor authentication is on. Keep these recovery codes somewhere safe; each one signs you
+                  in once if you lose your phone.
+                </p>
+                <div className="bg-light rounded p-3 mb-3 font-monospace d-flex flex-wrap gap-3">
+                  {recoveryCodes.map((recoveryCode) => (
+                    <span key={recoveryCode}>{recoveryCode}</span>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  className="btn btn-warning w-100 text-white fw-semibold"
+                  onClick={() => goToDashboard(signedInRole)}
+                >
+                  Continue
+                </button>
               </div>
+            )}
 
-              {/* Role Dropdown */}
-              <div className="mb-3 position-relative">
-                <div
-                  className="form-control d-flex justify-content-between align-items-center"
-                  onClick={() => setShowRoleDropdown(!showRoleDropdown)}
-                  role="button"
+            {!recoveryCodes && challenge && (
+              <form onSubmit={handleCode}>
+                {challenge.enrollment && (
+                  <div className="text-start small mb-3">
+                    <p className="mb-1">Your role requires two-factor authentication. Add this key to your authenticator app:</p>
+                    <div className="bg-light rounded p-2 font-monospace text-break">{challenge.enrollment.secret}</div>
+                  </div>
+                )}
+                <div className="mb-3">
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    className="form-control text-center"
+                    placeholder="6-digit code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    required
+                  />
+                </div>
+                <button
+                  type="submit"
+                  className="btn btn-warning w-100 text-white fw-semibold mb-3"
+                  disabled={isLoading}
                 >
-                  <span className={selectedRole ? "" : "text-muted"}>
-                    {selectedRole || "Select Role"}
-                  </span>
+                  {isLoading ? "Checking..." : "Verify"}
+                </button>
+                <button type="button" className="btn btn-link text-secondary" onClick={() => setChallenge(null)}>
+                  Back to login
+                </button>
+              </form>
+            )}
+
+            {!recoveryCodes && !challenge && (
+              <form onSubmit={handleLogin}>
+                {/* Email */}
+                <div className="mb-3 position-relative">
+                  <i className="bi bi-envelope position-absolute top-50 start-0 translate-middle-y ms-3 text-secondary"></i>
+                  <input
+                    type="email"
+                    className="form-control ps-5"
+                    placeholder="Email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    required
+                  />
+                </div>
+
+                {/* Password */}
+                <div className="mb-3 position-relative">
+                  <i className="bi bi-lock position-absolute top-50 start-0 translate-middle-y ms-3 text-secondary"></i>
+                  <input
+                    type={showPassword ? "text" : "password"}
+                    className="form-control ps-5 pe-5"
+                    placeholder="Password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    minLength="3"
+                  />
                   <i
-                    className={`bi bi-chevron-down ${showRoleDropdown ? "rotate-180" : ""
-                      }`}
+                    className={`bi ${showPassword ? "bi-eye-slash" : "bi-eye"
+                      } position-absolute top-50 end-0 translate-middle-y me-3 text-secondary cursor-pointer`}
+                    role="button"
+                    onClick={() => setShowPassword(!showPassword)}
                   ></i>
                 </div>
-                {showRoleDropdown && (
-                  <div className="position-absolute w-100 border rounded bg-white mt-1 shadow-sm z-1">
-                    {roles.map((role) => (
-                      <div
-                        key={role}
-                        className="px-3 py-2 hover-bg-light cursor-pointer"
-                        onClick={() => handleRoleSelect(role)}
-                      >
-                        {role}
-                      </div>
-                    ))}
+
+                {/* Role Dropdown */}
+                <div className="mb-3 position-relative">
+                  <div
+                    className="form-control d-flex justify-content-between align-items-center"
+                    onClick={() => setShowRoleDropdown(!showRoleDropdown)}
+                    role="button"
+                  >
+                    <span className={selectedRole ? "" : "text-muted"}>
+                      {selectedRole || "Select Role"}
+                    </span>
+                    <i
+                      className={`bi bi-chevron-down ${showRoleDropdown ? "rotate-180" : ""
+                        }`}
+                    ></i>
                   </div>
-                )}
-              </div>
+                  {showRoleDropdown && (
+                    <div className="position-absolute w-100 border rounded bg-white mt-1 shadow-sm z-1">
+                      {roles.map((role) => (
+                        <div
+                          key={role}
+                          className="px-3 py-2 hover-bg-light cursor-pointer"
+                          onClick={() => handleRoleSelect(role)}
+                        >
+                          {role}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
 
-              {/* Remember / Forgot */}
-              <div className="d-flex justify-content-between align-items-center mb-4">
-                <div className="form-check">
-                  <input
-                    className="form-check-input"
-                    type="checkbox"
-                    id="rememberMe"
-                    checked={rememberMe}
-                    onChange={() => setRememberMe(!rememberMe)}
-                  />
-                  <label className="form-check-label" htmlFor="rememberMe">
-                    Remember Me
-                  </label>
+                {/* Remember / Forgot */}
+                <div className="d-flex justify-content-between align-items-center mb-4">
+                  <div className="form-check">
+                    <input
+                      className="form-check-input"
+                      type="checkbox"
+                      id="rememberMe"
+                      checked={rememberMe}
+                      onChange={() => setRememberMe(!rememberMe)}
+                    />
+                    <label className="form-check-label" htmlFor="rememberMe">
+                      Remember Me
+                    </label>
+                  </div>
+                  <Link to="/forgot-password" className=" text-decoration-none" style={{ color: "#1f2937" }}>
+                    Forgot Password?
+                  </Link>
                 </div>
-                <Link to="/forgot-password" className=" text-decoration-none" style={{ color: "#1f2937" }}>
-                  Forgot Password?
-                </Link>
-              </div>
 
-              {/* Login Button */}
-              <button
-                type="submit"
-                className="btn btn-warning w-100 text-white fw-semibold mb-3"
-                disabled={isLoading}
-              >
-                {isLoading ? (
-                  <>
-                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                    Logging in...
-                  </>
-                ) : (
-                  "Login"
-                )}
-              </button>
+                {/* Login Button */}
+                <button
+                  type="submit"
+                  className="btn btn-warning w-100 text-white fw-semibold mb-3"
+                  disabled={isLoading}
+                >
+                  {isLoading ? (
+                    <>
+                      <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                      Logging in...
+                    </>
+                  ) : (
+                    "Login"
+                  )}
+                </button>
 
-              <div className="text-center">
-                <span className="text-muted">Don't have an account? </span>
-                <Link to="/signup" className=" text-decoration-none fw-semibold" style={{ color: "#1f2937" }}>
-                  Sign Up
-                </Link>
-              </div>
-            </form>
+                <div className="text-center">
+                  <span className="text-muted">Don't have an account? </span>
+                  <Link to="/signup" className=" text-decoration-none fw-semibold" style={{ color: "#1f2937" }}>
+                    Sign Up
+                  </Link>
+                </div>
+
+                <div className="text-center mt-2">
+                  <Link to="/lock" className=" text-decoration-none" style={{ color: "#1f2937" }}>
+                    Shared terminal? Sign in with PIN
+                  </Link>
+                </div>
+              </form>
+            )}
           </div>
 
           {/* Right: Image */}
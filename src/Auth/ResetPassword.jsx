@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { API_URL } from "../config";
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isDone, setIsDone] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match.");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/auth/password-reset/confirm`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token, newPassword: password }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || "Could not reset the password.");
+        return;
+      }
+
+      setIsDone(true);
+    } catch {
+      setError("Could not reset the password. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="container-fluid min-vh-100 d-flex align-items-center justify-content-center bg-light p-4">
+      <div
+        className="card shadow-lg w-100"
+        style={{ maxWidth: "500px", borderRadius: "2rem" }}
+      >
+        <div className="p-5 text-center">
+          {/* Logo and Title */}
+          <div className="d-flex justify-content-center align-items-center mb-4">
+            <img
+              src="https://i.postimg.cc/mZHz3k1Q/Whats-App-Image-2025-07-23-at-12-38-03-add5b5dd-removebg-preview-1.png"
+              alt="logo"
+              className="navbar-logo m-2"
+              style={{ height: "50px" }}
+            />
+          </div>
+
+          <h2 className="h5 text-secondary mt-3">Choose a New Password</h2>
+
+          {!token ? (
+            <div className="alert alert-danger">
+              This reset link is incomplete. Please request a new one.
+            </div>
+          ) : isDone ? (
+            <div className="alert alert-success">
+              Your password has been reset. Please sign in with your new password.
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {error && <div className="alert alert-danger">{error}</div>}
+
+              {/* Password Inputs */}
+              <div className="mb-3 position-relative">
+                <i className="bi bi-lock position-absolute top-50 start-0 translate-middle-y ms-3 text-secondary"></i>
+                <input
+                  type="password"
+                  className="form-control ps-5"
+                  placeholder="New password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  minLength={6}
+                  required
+                />
+              </div>
+              <div className="mb-3 position-relative">
+                <i className="bi bi-lock position-absolute top-50 start-0 translate-middle-y ms-3 text-secondary"></i>
+                <input
+                  type="password"
+                  className="form-control ps-5"
+                  placeholder="Confirm new password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  minLength={6}
+                  required
+                />
+              </div>
+
+              {/* Submit Button */}
+              <button
+                type="submit"
+                className="btn btn-warning w-100 text-white fw-semibold mb-3"
+                disabled={isLoading}
+              >
+                {isLoading ? (
+                  <>
+                    <span
+                      className="spinner-border spinner-border-sm me-2"
+                      role="status"
+                      aria-hidden="true"
+                    ></span>
+                    Saving...
+                  </>
+                ) : (
+                  "Reset Password"
+                )}
+              </button>
+            </form>
+          )}
+
+          <div className="text-center mt-3">
+            <Link to="/" className="text-decoration-none fw-semibold" style={{ color: "#1f2937" }}>
+              Back to Login
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,4 +1,6 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { apiFetch } from '../../../auth';
 // import 'bootstrap/dist/css/bootstrap.min.css';
 import {
     RiDashboardLine,
@@ -20,33 +22,80 @@ const BillingPayment = () => {
     const [customDiscount, setCustomDiscount] = useState('');
     const [discountMenuOpen, setDiscountMenuOpen] = useState(false);
     const [paymentMethod, setPaymentMethod] = useState(null);
-    const [sessionTime, setSessionTime] = useState('02:45:32');
+    const [sessionTime, setSessionTime] = useState('00:00:00');
     const [isProcessing, setIsProcessing] = useState(false);
+    const [bill, setBill] = useState(null);
+    const [error, setError] = useState('');
+    const [searchParams] = useSearchParams();
+    const sessionId = searchParams.get('session_id');
+    const orderId = searchParams.get('order_id');
 
-    // Timer functionality
+    // Load the bill for ?session_id= or ?order_id= (GET /api/payments/bill)
     useEffect(() => {
-        let startTime = new Date();
-        startTime.setHours(startTime.getHours() - 2);
-        startTime.setMinutes(startTime.getMinutes() - 45);
-        startTime.setSeconds(startTime.getSeconds() - 32);
+        if (!sessionId && !orderId) {
+            setError('Open a bill from a table session or an order.');
+            return;
+        }
+
+        const loadBill = async () => {
+            try {
+                const params = new URLSearchParams(sessionId ? { session_id: sessionId } : { order_id: orderId });
+                const response = await apiFetch(`/payments/bill?${params}`);
+                const data = await response.json();
+
+                if (!response.ok) {
+                    setError(data.error || 'Could not load the bill.');
+                    return;
+                }
+
+                setError('');
+                setBill({ ...data.bill, loaded_at: Date.now() });
+            } catch {
+                setError('Cannot reach the server.');
+            }
+        };
+
+        loadBill();
+    }, [sessionId, orderId]);
+
+    const session = bill && bill.session;
+    const isRunning = Boolean(session) && !session.end_time;
+    const isTicking = Boolean(session) && session.status === 'Active';
+    const money = (amount) => `$${parseFloat(amount || 0).toFixed(2)}`;
 
-        const updateTimer = () => {
-            const now = new Date();
-            const diff = now - startTime;
+    // Time is listed net of any tax included in its rate; the tax shows with the other taxes
+    const timeAmount = bill && bill.time_tax ? bill.time_tax.taxable_amount : 0;
+    const orders = bill ? (bill.type === 'session' ? bill.orders : [bill.order]) : [];
+    const charges = bill ? bill.charges : [];
+    const taxes = bill ? bill.taxes : [];
+    const discounts = bill ? bill.discounts : [];
 
+    // Timer functionality
+    useEffect(() => {
+        if (!session) return undefined;
+
+        const formatElapsed = (diff) => {
             const hours = Math.floor(diff / (1000 * 60 * 60));
             const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
             const seconds = Math.floor((diff % (1000 * 60)) / 1000);
 
-            setSessionTime(
-                `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`
-            );
+            return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
         };
 
+        // Billable time as the server worked it out when the bill loaded, which leaves out pauses;
+        // it only keeps counting while the session is active
+        const billableMs = bill.time_billing.billable_seconds * 1000;
+        if (!isTicking) {
+            setSessionTime(formatElapsed(billableMs));
+            return undefined;
+        }
+
+        const updateTimer = () => setSessionTime(formatElapsed(billableMs + Date.now() - bill.loaded_at));
+
         updateTimer();
         const interval = setInterval(updateTimer, 1000);
         return () => clearInterval(interval);
-    }, []);
+    }, [bill, session, isTicking]);
 
     // Discount functionality
     const applyDiscount = () => {
@@ -91,12 +140,16 @@ const BillingPayment = () => {
                             <p className="text-muted mb-0">Manage session billing and process payments</p>
                         </div>
                         <div className="d-flex align-items-center">
-                            <span className="bg-success bg-opacity-10 text-success px-3 py-1 rounded-pill small fw-medium">
-                                Table 12 - Active
-                            </span>
+                            {bill && (
+                                <span className="bg-success bg-opacity-10 text-success px-3 py-1 rounded-pill small fw-medium">
+                                    {session ? `Session ${session.session_id} - ${session.status}` : `Order ${bill.order.order_number}`}
+                                </span>
+                            )}
                         </div>
                     </div>
 
+                    {error && <div className="alert alert-danger">{error}</div>}
+
                     {/* Content Grid */}
                     <div className="row g-4">
                         {/* Left Column */}
@@ -106,86 +159,102 @@ const BillingPayment = () => {
                                 <div className="d-flex flex-column flex-md-row align-items-md-center justify-content-between mb-4">
                                     <div>
                                         <h2 className="fs-5 fw-semibold text-dark">Bill Summary</h2>
-                                        <p className="text-muted small">Table 12 • Started: 2:30 PM</p>
+                                        {session && (
+                                            <p className="text-muted small">
+                                                Started: {new Date(session.start_time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                                            </p>
+                                        )}
                                     </div>
-                                    <div className="text-md-end mt-3 mt-md-0">
-                                        <div className="bg-warning text-dark px-4 py-2 rounded-3 font-monospace fw-bold fs-5">
-                                            {sessionTime}
+                                    {session && (
+                                        <div className="text-md-end mt-3 mt-md-0">
+                                            <div className="bg-warning text-dark px-4 py-2 rounded-3 font-monospace fw-bold fs-5">
+                                                {sessionTime}
+                                            </div>
+                                            <p className="text-muted x-small mt-1">Session Time</p>
                                         </div>
-                                        <p className="text-muted x-small mt-1">Session Time</p>
-                                    </div>
+                                    )}
                                 </div>
 
-                                <div className="bill-summary-content">
-                                    {/* Session Charges */}
-                                    <div className="border-bottom pb-3 mb-3">
-                                        <h3 className="fs-5 fw-semibold text-dark ">Session Charges</h3>
-                                        <div className="d-flex justify-content-between align-items-center">
-                                            <div>
-                                                <span className="text-dark">Gaming Session (2h 45m)</span>
-                                                <p className="text-muted small mb-0">$15.00/hour</p>
-                                            </div>
-                                            <span className="fw-semibold">$41.25</span>
-                                        </div>
-                                    </div>
+                                {!bill && !error && <p className="text-muted mb-0">Loading bill...</p>}
 
-                                    {/* Food & Beverages */}
-                                    <div className="border-bottom pb-3 mb-3">
-                                        <h3 className="fs-5 fw-semibold text-dark">Food & Beverages</h3>
-                                        <div className="food-items-list">
-                                            <div className="d-flex justify-content-between align-items-center bg-light p-3 rounded mb-2">
-                                                <div>
-                                                    <span className="text-dark">Chicken Wings</span>
-                                                    <span className="text-muted small ms-2">× 2</span>
+                                {bill && (
+                                    <div className="bill-summary-content">
+                                        {/* Session Charges */}
+                                        {session && (
+                                            <div className="border-bottom pb-3 mb-3">
+                                                <h3 className="fs-5 fw-semibold text-dark ">Session Charges</h3>
+                                                <div className="d-flex justify-content-between align-items-center">
+                                                    <div>
+                                                        <span className="text-dark">Gaming Session{isRunning ? ' (so far)' : ''}</span>
+                                                        <p className="text-muted small mb-0">{money(session.hourly_rate)}/hour</p>
+                                                    </div>
+                                                    <span className="fw-semibold">{money(timeAmount)}</span>
                                                 </div>
-                                                <span className="fw-semibold">$24.00</span>
                                             </div>
-                                            <div className="d-flex justify-content-between align-items-center p-3 rounded mb-2">
-                                                <div>
-                                                    <span className="text-dark">Coca Cola</span>
-                                                    <span className="text-muted small ms-2">× 3</span>
+                                        )}
+
+                                        {/* Food & Beverages */}
+                                        {orders.length > 0 && (
+                                            <div className="border-bottom pb-3 mb-3">
+                                                <h3 className="fs-5 fw-semibold text-dark">Food & Beverages</h3>
+                                                <div className="food-items-list">
+                                                    {orders.map((order, index) => (
+                                                        <div
+                                                            key={order.id}
+                                                            className={`d-flex justify-content-between align-items-center p-3 rounded mb-2 ${index % 2 === 0 ? 'bg-light' : ''}`}
+                                                        >
+                                                            <div>
+                                                                <span className="text-dark">Order {order.order_number}</span>
+                                                                <span className="text-muted small ms-2">{order.payment_status}</span>
+                                                            </div>
+                                                            <span className="fw-semibold">{money(order.subtotal)}</span>
+                                                        </div>
+                                                    ))}
                                                 </div>
-                                                <span className="fw-semibold">$9.00</span>
                                             </div>
-                                            <div className="d-flex justify-content-between align-items-center bg-light p-3 rounded mb-2">
-                                                <div>
-                                                    <span className="text-dark">Nachos Supreme</span>
-                                                    <span className="text-muted small ms-2">× 1</span>
+                                        )}
+
+                                        {/* Totals */}
+                                        <div className="totals-section">
+                                            {discounts.map(discount => (
+                                                <div key={discount.id} className="d-flex justify-content-between mb-1">
+                                                    <span className="text-success">{discount.reason}</span>
+                                                    <span className="text-success">-{money(discount.amount)}</span>
                                                 </div>
-                                                <span className="fw-semibold">$18.50</span>
-                                            </div>
-                                            <div className="d-flex justify-content-between align-items-center p-3 rounded">
-                                                <div>
-                                                    <span className="text-dark">Energy Drink</span>
-                                                    <span className="text-muted small ms-2">× 2</span>
+                                            ))}
+                                            {charges.map(charge => (
+                                                <div key={charge.id} className="d-flex justify-content-between mb-1">
+                                                    <span className="text-muted">{charge.name}</span>
+                                                    <span>{money(charge.amount)}</span>
                                                 </div>
-                                                <span className="fw-semibold">$8.00</span>
-                                            </div>
-                                        </div>
-                                    </div>
-
-                                    {/* Totals */}
-                                    <div className="totals-section">
-                                        <div className="d-flex justify-content-between mb-1">
-                                            <span className="text-muted">Subtotal</span>
-                                            <span>$100.75</span>
-                                        </div>
-                                        <div className="d-flex justify-content-between mb-1">
-                                            <span className="text-muted">Tax (8.5%)</span>
-                                            <span>$8.56</span>
-                                        </div>
-                                        <div className="d-flex justify-content-between mb-1 discount-row d-none">
-                                            <span className="text-success">Discount (<span id="discount-percent">0</span>%)</span>
-                                            <span className="text-success">-$<span id="discount-amount">0.00</span></span>
-                                        </div>
-                                        <div className="border-top pt-2 mt-2">
-                                            <div className="d-flex justify-content-between fs-5 fw-bold text-dark">
-                                                <span>Total</span>
-                                                <span id="final-total">$109.31</span>
+                                            ))}
+                                            {taxes.map(tax => (
+                                                <div key={`${tax.name}-${tax.rate}`} className="d-flex justify-content-between mb-1">
+                                                    <span className="text-muted">{tax.name} ({tax.rate}%)</span>
+                                                    <span>{money(tax.amount)}</span>
+                                                </div>
+                                            ))}
+                                            <div className="border-top pt-2 mt-2">
+                                                <div className="d-flex justify-content-between fs-5 fw-bold text-dark">
+                                                    <span>Total</span>
+                                                    <span id="final-total">{money(bill.total)}</span>
+                                                </div>
+                                                {bill.paid > 0 && (
+                                                    <>
+                                                        <div className="d-flex justify-content-between text-muted">
+                                                            <span>Paid</span>
+                                                            <span>-{money(bill.paid)}</span>
+                                                        </div>
+                                                        <div className="d-flex justify-content-between fw-semibold text-dark">
+                                                            <span>Balance</span>
+                                                            <span>{money(bill.balance)}</span>
+                                                        </div>
+                                                    </>
+                                                )}
                                             </div>
                                         </div>
                                     </div>
-                                </div>
+                                )}
                             </div>
 
                             {/* Discount Card */}
@@ -343,10 +412,10 @@ const BillingPayment = () => {
                                 </div>
 
                                 <button
-                                    className={`btn btn-success w-100 py-3 mb-3 ${isProcessing ? 'disabled' : ''}`}
+                                    className={`btn btn-success w-100 py-3 mb-3 ${isProcessing || !bill ? 'disabled' : ''}`}
                                     onClick={handlePayment}
                                 >
-                                    {isProcessing ? 'Processing...' : `Pay Now - $109.31`}
+                                    {isProcessing ? 'Processing...' : `Pay Now - ${money(bill ? bill.balance : 0)}`}
                                 </button>
 
                                 <div className="row g-2">
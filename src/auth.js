@@ -0,0 +1,70 @@
+import { API_URL } from "./config";
+
+// Shared POS terminals send their registered id and device key with every request
+export const terminalHeaders = () => ({
+  "Content-Type": "application/json",
+  "X-Terminal-Id": localStorage.getItem("terminalId") || "",
+  "X-Terminal-Key": localStorage.getItem("terminalKey") || "",
+});
+
+// Keep the tokens from /auth/login, /auth/login/2fa or /auth/pin-login. PIN logins get no refresh
+// token, so a stale one from an earlier password login is dropped.
+export const saveSession = (data) => {
+  localStorage.setItem("token", data.token);
+  if (data.refresh_token) {
+    localStorage.setItem("refreshToken", data.refresh_token);
+  } else {
+    localStorage.removeItem("refreshToken");
+  }
+  localStorage.setItem("role", data.user.role);
+  localStorage.setItem("isAuthenticated", "true");
+};
+
+// Refresh tokens are single-use and reusing one revokes the login session, so requests that get a
+// 401 at the same time share one refresh
+let pendingRefresh = null;
+
+const refreshSession = () => {
+  const refreshToken = localStorage.getItem("refreshToken");
+  if (!refreshToken) return Promise.resolve(false);
+
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      try {
+        const response = await fetch(`${API_URL}/auth/refresh`, {
+          method: "POST",
+          headers: terminalHeaders(),
+          body: JSON.stringify({ refresh_token: refreshToken }),
+        });
+        if (!response.ok) return false;
+
+        const data = await response.json();
+        localStorage.setItem("token", data.token);
+        localStorage.setItem("refreshToken", data.refresh_token);
+        return true;
+      } finally {
+        pendingRefresh = null;
+      }
+    })();
+  }
+  return pendingRefresh;
+};
+
+// fetch() against the API with the signed-in user's token. Access tokens are short-lived:
+// on a 401 the refresh token is exchanged for a new one and the request is sent once more.
+export const apiFetch = async (path, options = {}) => {
+  const send = () => fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...terminalHeaders(),
+      Authorization: `Bearer ${localStorage.getItem("token") || ""}`,
+      ...options.headers,
+    },
+  });
+
+  const response = await send();
+  if (response.status === 401 && (await refreshSession())) {
+    return send();
+  }
+  return response;
+};
@@ -0,0 +1,2 @@
+// Base URL of the POS backend (set VITE_API_URL in .env.local to override)
+export const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";